@@ -1,4 +1,8 @@
 <?php
+// Basic backend: ?action= link, rows, complete, incomplete and comment only.
+// Accounts, projects and every other route are Node-only (server/server.js);
+// server/contract/sheets.contract.test.js checks both against the same cases.
+
 // ================== BOOTSTRAP ==================
 
 require_once __DIR__ . "/vendor/autoload.php";
@@ -9,11 +13,14 @@ use Google\Service\Sheets;
 // ---------- Headers ----------
 header("Content-Type: application/json");
 header("X-Robots-Tag: noindex, nofollow");
+// Tells the client it reached this backend (even on a 401), so it may send its key
+header("X-Backend: php");
 
 // ---------- CORS ----------
 $CORS_ORIGIN = getenv("CORS_ORIGIN") ?: "*";
 header("Access-Control-Allow-Origin: $CORS_ORIGIN");
 header("Access-Control-Allow-Headers: Content-Type, X-API-Key");
+header("Access-Control-Expose-Headers: X-Backend");
 header("Access-Control-Allow-Methods: GET, POST, PUT, OPTIONS");
 
 if ($_SERVER["REQUEST_METHOD"] === "OPTIONS") {
@@ -56,6 +63,14 @@ function getSheetsClient(): Sheets {
     if ($svc) return $svc;
 
     $client = new Client();
+
+    // A stand-in Sheets API (the contract tests' fake) takes unauthenticated calls
+    $rootUrl = getenv("SHEETS_API_ROOT_URL");
+    if ($rootUrl) {
+        $svc = new Sheets($client, rtrim($rootUrl, "/") . "/");
+        return $svc;
+    }
+
     $client->setScopes([Sheets::SPREADSHEETS]);
 
     $creds = getenv("GOOGLE_APPLICATION_CREDENTIALS");
@@ -146,8 +161,9 @@ if ($method === "GET" && $action === "rows") {
     exit;
 }
 
-// ---------- PUT /complete /incomplete /comment ----------
-if ($method === "PUT" && in_array($action, ["complete", "incomplete", "comment"])) {
+// ---------- PUT|POST /complete /incomplete /comment ----------
+// POST gets past firewalls that block PUT (the client sends POST)
+if (in_array($method, ["PUT", "POST"]) && in_array($action, ["complete", "incomplete", "comment"])) {
     $spreadsheetId = loadSpreadsheetId($STORE_PATH);
     if (!$spreadsheetId) errorResponse(400, "No spreadsheet linked");
 
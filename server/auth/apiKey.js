@@ -1,37 +1,38 @@
 // server/auth/apiKey.js
 
 /**
- * Simple API key middleware.
+ * API key authentication for scripts and other machine clients.
  *
- * Set API_KEY in your environment (e.g. .env):
- *   API_KEY=some-long-random-string
+ * Requests authenticate with:
+ *   x-api-key: <key>
  *
- * All /api requests must then include:
- *   x-api-key: some-long-random-string
+ * Keys come from the registry (see apiKeys.js) plus the legacy API_KEY env
+ * var. A "read" key acts as a viewer, a "write" key as a technician.
+ * Browsers sign in with a user account instead (see authenticate.js); no key
+ * is ever shipped to the client.
  *
- * If API_KEY is not set, the middleware logs a warning and allows all requests.
+ * Set REQUIRE_API_KEY=true (recommended in production) to refuse to start
+ * while no key is active – see assertApiKeyConfigured.
  */
-function requireApiKey(req, res, next) {
-  const configuredKey = process.env.API_KEY;
 
-  // If no API key is configured, don't block requests, but log a warning.
-  if (!configuredKey) {
-    console.warn(
-      "[WARN] API_KEY is not set. API key auth is effectively disabled."
-    );
-    return next();
-  }
+const { identityForKey, hasActiveKey } = require("./apiKeys");
 
-  const providedKey = req.header("x-api-key");
+/** Identity for a valid, active x-api-key header, otherwise null. */
+function apiKeyIdentity(req) {
+  return identityForKey(req.header("x-api-key"));
+}
 
-  if (!providedKey || providedKey !== configuredKey) {
-    return res.status(401).json({
-      ok: false,
-      error: "Unauthorized",
-    });
+/** Throw at startup when keys are required but none is active. */
+function assertApiKeyConfigured() {
+  const required = String(process.env.REQUIRE_API_KEY || "").trim().toLowerCase() === "true";
+  if (required && !hasActiveKey()) {
+    throw new Error(
+      "REQUIRE_API_KEY is set but no API key is active. Set API_KEY or add a key to the registry (API_KEYS_STORE)."
+    );
+  }
+  if (!required && process.env.NODE_ENV === "production" && !hasActiveKey()) {
+    console.warn("[WARN] No API key is active; only signed-in users can reach the API.");
   }
-
-  return next();
 }
 
-module.exports = requireApiKey;
\ No newline at end of file
+module.exports = { apiKeyIdentity, assertApiKeyConfigured };
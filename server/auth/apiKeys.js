@@ -0,0 +1,219 @@
+// server/auth/apiKeys.js
+/**
+ * Registry of API keys for scripts, contractors and wall-display dashboards.
+ *
+ * Stored as one JSON file (secrets are kept only as SHA-256 hashes):
+ *   { "keys": [ { id, label, scope, keyHash, prefix, notBefore, expiresAt,
+ *                 createdAt, revokedAt, rotatedFrom } ] }
+ *
+ * scope "read" acts as the viewer role, "write" as technician. Keys never
+ * get admin rights. Several keys may be valid at once, which is how rotation
+ * works: issue the new key, move clients over, then revoke (or let expire)
+ * the old one.
+ *
+ * The legacy single API_KEY env var is still honoured as one extra key
+ * (label API_KEY_LABEL, scope API_KEY_SCOPE, default "write").
+ *
+ * Env:
+ *   API_KEYS_STORE   optional path of the registry file (defaults to ./apiKeys.json)
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { httpError } = require("../storage/sheetUtils");
+
+const STORE_PATH =
+  process.env.API_KEYS_STORE && process.env.API_KEYS_STORE.trim().length > 0
+    ? process.env.API_KEYS_STORE
+    : path.resolve(process.cwd(), "apiKeys.json");
+
+const SCOPES = ["read", "write"];
+const SCOPE_ROLES = { read: "viewer", write: "technician" };
+const KEY_PREFIX = "cnh_";
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("base64url");
+}
+
+function readAll() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(STORE_PATH, "utf8"));
+    return Array.isArray(parsed?.keys) ? parsed.keys : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(keys) {
+  const tmp = `${STORE_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify({ keys }, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, STORE_PATH);
+}
+
+/** The legacy API_KEY env var as a registry-shaped entry (or null). */
+function envKey() {
+  const secret = process.env.API_KEY;
+  if (!secret) return null;
+  const scope = SCOPES.includes(process.env.API_KEY_SCOPE) ? process.env.API_KEY_SCOPE : "write";
+  return {
+    id: "env",
+    label: process.env.API_KEY_LABEL || "api-key",
+    scope,
+    keyHash: hashKey(secret),
+    prefix: null,
+    notBefore: null,
+    expiresAt: null,
+    createdAt: null,
+    revokedAt: null,
+  };
+}
+
+/** "active" | "revoked" | "expired" | "pending" (before notBefore). */
+function statusOf(entry, now = Date.now()) {
+  if (entry.revokedAt) return "revoked";
+  if (entry.expiresAt && Date.parse(entry.expiresAt) <= now) return "expired";
+  if (entry.notBefore && Date.parse(entry.notBefore) > now) return "pending";
+  return "active";
+}
+
+function toPublic(entry) {
+  const { keyHash, ...rest } = entry;
+  return { ...rest, status: statusOf(entry) };
+}
+
+/** Optional ISO date input -> ISO string, null, or a 400. */
+function parseDate(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw httpError(400, `'${field}' must be an ISO date.`);
+  return new Date(ms).toISOString();
+}
+
+// ---------------- Lookup ----------------
+
+/** Identity for a presented key: { type, keyId, label, scope, role } or null. */
+function identityForKey(key) {
+  if (!key) return null;
+  const keyHash = hashKey(key);
+  const entries = [...readAll(), envKey()].filter(Boolean);
+  const entry = entries.find((e) => e.keyHash === keyHash);
+  if (!entry || statusOf(entry) !== "active") return null;
+  return {
+    type: "apiKey",
+    keyId: entry.id,
+    label: entry.label,
+    scope: entry.scope,
+    role: SCOPE_ROLES[entry.scope] || "viewer",
+  };
+}
+
+/** True when at least one key (registry or env) can authenticate right now. */
+function hasActiveKey() {
+  return [...readAll(), envKey()].some((e) => e && statusOf(e) === "active");
+}
+
+// ---------------- Management ----------------
+
+function listKeys() {
+  const env = envKey();
+  return [...(env ? [env] : []), ...readAll()].map(toPublic);
+}
+
+/**
+ * Issue a key: { label, scope, notBefore?, expiresAt? }.
+ * Returns { key, apiKey } – the plain key is only ever shown here.
+ */
+function createKey({ label, scope, notBefore, expiresAt, rotatedFrom = null }) {
+  const name = String(label || "").trim();
+  if (!name) throw httpError(400, "Key label is required.");
+  if (!SCOPES.includes(scope)) {
+    throw httpError(400, `Scope must be one of: ${SCOPES.join(", ")}.`);
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    label: name.slice(0, 100),
+    scope,
+    keyHash: null,
+    prefix: null,
+    notBefore: parseDate(notBefore, "notBefore"),
+    expiresAt: parseDate(expiresAt, "expiresAt"),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    rotatedFrom,
+  };
+  if (entry.notBefore && entry.expiresAt && entry.notBefore >= entry.expiresAt) {
+    throw httpError(400, "'expiresAt' must be after 'notBefore'.");
+  }
+
+  const apiKey = KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+  entry.keyHash = hashKey(apiKey);
+  entry.prefix = apiKey.slice(0, KEY_PREFIX.length + 6);
+
+  writeAll([...readAll(), entry]);
+  return { key: toPublic(entry), apiKey };
+}
+
+function findStored(keys, keyId) {
+  if (keyId === "env") {
+    throw httpError(400, "The API_KEY environment key is managed through the environment.");
+  }
+  const entry = keys.find((k) => k.id === keyId);
+  if (!entry) throw httpError(404, "API key not found.");
+  return entry;
+}
+
+/** Revoke a key immediately. Revoking twice is a no-op. */
+function revokeKey(keyId) {
+  const keys = readAll();
+  const entry = findStored(keys, keyId);
+  if (!entry.revokedAt) {
+    entry.revokedAt = new Date().toISOString();
+    writeAll(keys);
+  }
+  return toPublic(entry);
+}
+
+/**
+ * Replace a key: issue a new one with the same label and scope, and let the
+ * old one keep working for `graceHours` (default 24) so clients can switch.
+ */
+function rotateKey(keyId, { graceHours } = {}) {
+  const keys = readAll();
+  const old = findStored(keys, keyId);
+  if (statusOf(old) === "revoked") throw httpError(409, "A revoked key cannot be rotated.");
+
+  const hours = graceHours === undefined ? DEFAULT_ROTATION_GRACE_HOURS : Number(graceHours);
+  if (!Number.isFinite(hours) || hours < 0) {
+    throw httpError(400, "'graceHours' must be a non-negative number.");
+  }
+
+  const issued = createKey({
+    label: old.label,
+    scope: old.scope,
+    expiresAt: old.expiresAt && Date.parse(old.expiresAt) > Date.now() ? old.expiresAt : null,
+    rotatedFrom: old.id,
+  });
+
+  // Re-read: createKey just appended the new entry
+  const after = readAll();
+  const stored = after.find((k) => k.id === old.id);
+  const graceEnd = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+  if (!stored.expiresAt || stored.expiresAt > graceEnd) stored.expiresAt = graceEnd;
+  writeAll(after);
+
+  return { ...issued, previous: toPublic(stored) };
+}
+
+module.exports = {
+  SCOPES,
+  identityForKey,
+  hasActiveKey,
+  listKeys,
+  createKey,
+  revokeKey,
+  rotateKey,
+};
@@ -0,0 +1,154 @@
+// server/auth/apiKeys.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-test-"));
+process.env.API_KEYS_STORE = path.join(dir, "apiKeys.json");
+
+const apiKeys = require("./apiKeys");
+
+const HOUR = 60 * 60 * 1000;
+const inHours = (hours) => new Date(Date.now() + hours * HOUR).toISOString();
+
+beforeEach(() => {
+  fs.rmSync(process.env.API_KEYS_STORE, { force: true });
+  delete process.env.API_KEY;
+  delete process.env.API_KEY_SCOPE;
+  delete process.env.API_KEY_LABEL;
+});
+afterEach(() => {
+  jest.useRealTimers();
+});
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a read key acts as a viewer and a write key as a technician", () => {
+  const read = apiKeys.createKey({ label: "wall display", scope: "read" });
+  const write = apiKeys.createKey({ label: "import script", scope: "write" });
+
+  expect(apiKeys.identityForKey(read.apiKey)).toEqual({
+    type: "apiKey",
+    keyId: read.key.id,
+    label: "wall display",
+    scope: "read",
+    role: "viewer",
+  });
+  expect(apiKeys.identityForKey(write.apiKey)).toMatchObject({ scope: "write", role: "technician" });
+  expect(apiKeys.identityForKey("cnh_not-a-key")).toBeNull();
+  expect(apiKeys.identityForKey("")).toBeNull();
+});
+
+test("the plain key is returned once and only its hash is stored", () => {
+  const { key, apiKey } = apiKeys.createKey({ label: "script", scope: "write" });
+  expect(apiKey).toMatch(/^cnh_/);
+  expect(key.prefix).toBe(apiKey.slice(0, 10));
+  expect(key).not.toHaveProperty("keyHash");
+  expect(fs.readFileSync(process.env.API_KEYS_STORE, "utf8")).not.toContain(apiKey);
+  expect(JSON.stringify(apiKeys.listKeys())).not.toContain(apiKey);
+});
+
+test("labels and scopes are checked", () => {
+  expect(() => apiKeys.createKey({ label: " ", scope: "read" })).toThrow("Key label is required.");
+  expect(() => apiKeys.createKey({ label: "x", scope: "admin" })).toThrow("Scope must be one of: read, write.");
+  expect(() => apiKeys.createKey({ label: "x", scope: "read", expiresAt: "soon" })).toThrow(
+    "'expiresAt' must be an ISO date."
+  );
+  expect(() =>
+    apiKeys.createKey({ label: "x", scope: "read", notBefore: inHours(2), expiresAt: inHours(1) })
+  ).toThrow("'expiresAt' must be after 'notBefore'.");
+});
+
+test("a key works only between notBefore and expiresAt", () => {
+  const pending = apiKeys.createKey({ label: "contractor", scope: "write", notBefore: inHours(1), expiresAt: inHours(3) });
+  const expired = apiKeys.createKey({ label: "old", scope: "read", expiresAt: inHours(-1) });
+
+  expect(pending.key.status).toBe("pending");
+  expect(expired.key.status).toBe("expired");
+  expect(apiKeys.identityForKey(pending.apiKey)).toBeNull();
+  expect(apiKeys.identityForKey(expired.apiKey)).toBeNull();
+  expect(apiKeys.hasActiveKey()).toBe(false);
+
+  jest.useFakeTimers({ now: Date.now() + 2 * HOUR });
+  expect(apiKeys.identityForKey(pending.apiKey)).toMatchObject({ role: "technician" });
+  expect(apiKeys.hasActiveKey()).toBe(true);
+
+  jest.setSystemTime(Date.now() + 2 * HOUR);
+  expect(apiKeys.identityForKey(pending.apiKey)).toBeNull();
+  expect(apiKeys.listKeys().map((k) => k.status)).toEqual(["expired", "expired"]);
+});
+
+test("rotating issues a replacement and keeps the old key for the grace window", () => {
+  const old = apiKeys.createKey({ label: "script", scope: "write" });
+  const rotated = apiKeys.rotateKey(old.key.id);
+
+  expect(rotated.key).toMatchObject({ label: "script", scope: "write", rotatedFrom: old.key.id, status: "active" });
+  expect(rotated.apiKey).not.toBe(old.apiKey);
+  expect(Date.parse(rotated.previous.expiresAt) - Date.now()).toBeGreaterThan(23.9 * HOUR);
+  expect(apiKeys.identityForKey(old.apiKey)).toMatchObject({ keyId: old.key.id });
+  expect(apiKeys.identityForKey(rotated.apiKey)).toMatchObject({ keyId: rotated.key.id });
+
+  jest.useFakeTimers({ now: Date.now() + 25 * HOUR });
+  expect(apiKeys.identityForKey(old.apiKey)).toBeNull();
+  expect(apiKeys.identityForKey(rotated.apiKey)).not.toBeNull();
+});
+
+test("a rotation never extends the old key, and a zero grace ends it now", () => {
+  const soon = apiKeys.createKey({ label: "short", scope: "read", expiresAt: inHours(2) });
+  const rotated = apiKeys.rotateKey(soon.key.id, { graceHours: 48 });
+  expect(rotated.previous.expiresAt).toBe(soon.key.expiresAt);
+  expect(rotated.key.expiresAt).toBe(soon.key.expiresAt); // the replacement keeps the end date
+
+  const other = apiKeys.createKey({ label: "other", scope: "read" });
+  const now = apiKeys.rotateKey(other.key.id, { graceHours: 0 });
+  expect(now.previous.status).toBe("expired");
+  expect(apiKeys.identityForKey(other.apiKey)).toBeNull();
+
+  expect(() => apiKeys.rotateKey(other.key.id, { graceHours: -1 })).toThrow(
+    "'graceHours' must be a non-negative number."
+  );
+});
+
+test("revoking ends a key at once; revoking twice is a no-op and revoked keys can't rotate", () => {
+  const { key, apiKey } = apiKeys.createKey({ label: "laptop", scope: "write" });
+  const revoked = apiKeys.revokeKey(key.id);
+  expect(revoked.status).toBe("revoked");
+  expect(apiKeys.identityForKey(apiKey)).toBeNull();
+
+  expect(apiKeys.revokeKey(key.id).revokedAt).toBe(revoked.revokedAt);
+  expect(() => apiKeys.rotateKey(key.id)).toThrow(expect.objectContaining({ status: 409 }));
+  expect(() => apiKeys.revokeKey("no-such-key")).toThrow(expect.objectContaining({ status: 404 }));
+});
+
+test("API_KEY is honoured as one more key, listed first as id 'env'", () => {
+  process.env.API_KEY = "legacy-secret";
+  expect(apiKeys.identityForKey("legacy-secret")).toEqual({
+    type: "apiKey",
+    keyId: "env",
+    label: "api-key",
+    scope: "write",
+    role: "technician",
+  });
+
+  process.env.API_KEY_SCOPE = "read";
+  process.env.API_KEY_LABEL = "kiosk";
+  apiKeys.createKey({ label: "script", scope: "write" });
+  expect(apiKeys.identityForKey("legacy-secret")).toMatchObject({ label: "kiosk", role: "viewer" });
+  expect(apiKeys.listKeys().map((k) => [k.id, k.status])).toEqual([
+    ["env", "active"],
+    [expect.any(String), "active"],
+  ]);
+  expect(JSON.stringify(apiKeys.listKeys())).not.toContain("legacy-secret");
+
+  process.env.API_KEY_SCOPE = "admin"; // keys never get admin rights
+  expect(apiKeys.identityForKey("legacy-secret")).toMatchObject({ scope: "write", role: "technician" });
+});
+
+test("the environment key can't be revoked or rotated here", () => {
+  process.env.API_KEY = "legacy-secret";
+  const message = "The API_KEY environment key is managed through the environment.";
+  expect(() => apiKeys.revokeKey("env")).toThrow(message);
+  expect(() => apiKeys.rotateKey("env")).toThrow(expect.objectContaining({ status: 400 }));
+  expect(apiKeys.identityForKey("legacy-secret")).not.toBeNull();
+});
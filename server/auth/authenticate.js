@@ -0,0 +1,40 @@
+// server/auth/authenticate.js
+
+/**
+ * Authentication for every /api route except /api/auth.
+ *
+ * Accepts, in order:
+ *   1. a login session cookie  -> req.auth = { type: "user", userId, username, role, label }
+ *   2. a valid x-api-key       -> req.auth = { type: "apiKey", role, label }
+ * Anything else gets 401. Route-level permissions use requireRole (roles.js).
+ */
+
+const { apiKeyIdentity } = require("./apiKey");
+const { findSession, readSessionCookie } = require("./sessions");
+const { getUser } = require("./users");
+
+/** The signed-in user's identity from the session cookie, or null. */
+function sessionIdentity(req) {
+  const session = findSession(readSessionCookie(req));
+  if (!session) return null;
+  const user = getUser(session.userId);
+  if (!user) return null;
+  return {
+    type: "user",
+    userId: user.id,
+    username: user.username,
+    role: user.role,
+    label: user.username,
+  };
+}
+
+function authenticate(req, res, next) {
+  const identity = sessionIdentity(req) || apiKeyIdentity(req);
+  if (!identity) {
+    return res.status(401).json({ ok: false, error: "Unauthorized" });
+  }
+  req.auth = identity;
+  return next();
+}
+
+module.exports = { authenticate, sessionIdentity };
@@ -0,0 +1,121 @@
+// server/auth/rateLimits.js
+/**
+ * Rate limits per caller instead of per IP, so a crew behind one NAT doesn't
+ * share a single budget. Runs after authenticate: signed-in users are keyed
+ * by account, machine clients by API key.
+ *
+ * Each request draws from exactly one budget, the first entry of ROUTE_LIMITS
+ * it matches (sheet routes count the same under /googleSheets, /projects/:id
+ * and the ?action= form):
+ *   rows      GET .../rows (the polling / refresh endpoint)
+ *   events    GET .../events (live-update reconnects)
+ *   lint      GET .../lint (reads and checks the whole tab)
+ *   lintFix   .../lint/fix
+ *   batch     .../batch (up to 500 writes per request)
+ *   digest    .../digest/send (sends email)
+ *   write     any other mutation (POST / PUT / PATCH / DELETE)
+ *   read      every other GET (tabs, history, projects, ...)
+ *
+ * Responses carry the standard RateLimit-* headers; a caller over budget gets
+ * 429 with Retry-After and { ok: false, error, retryAfter }.
+ *
+ * Env (requests per window, per caller; whole numbers above 0):
+ *   RATE_LIMIT_WINDOW_MINUTES   optional window length (default 15)
+ *   RATE_LIMIT_<NAME>           optional budget of one entry, e.g. RATE_LIMIT_ROWS=600,
+ *                               RATE_LIMIT_LINT_FIX=10 (defaults in ROUTE_LIMITS)
+ */
+
+const rateLimit = require("express-rate-limit");
+
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+const isRead = (req) => READ_METHODS.has(req.method);
+
+/** "/projects/default/rows", or ".../rows" for "/googleSheets?action=rows". */
+function endpointOf(req) {
+  const action = typeof req.query?.action === "string" ? req.query.action : "";
+  return action ? `${req.path.replace(/\/+$/, "")}/${action}` : req.path;
+}
+
+function endsWith(suffix) {
+  const pattern = new RegExp(`/${suffix}/?$`);
+  return (req) => pattern.test(endpointOf(req));
+}
+
+// First match wins; `limit` is the default budget per window
+const ROUTE_LIMITS = [
+  { name: "rows", limit: 300, match: (req) => isRead(req) && endsWith("rows")(req) },
+  { name: "events", limit: 60, match: (req) => isRead(req) && endsWith("events")(req) },
+  { name: "lint", limit: 60, match: (req) => isRead(req) && endsWith("lint")(req) },
+  { name: "lintFix", limit: 30, match: (req) => !isRead(req) && endsWith("lint/fix")(req) },
+  { name: "batch", limit: 60, match: (req) => !isRead(req) && endsWith("batch")(req) },
+  { name: "digest", limit: 10, match: (req) => !isRead(req) && endsWith("digest/send")(req) },
+  { name: "write", limit: 300, match: (req) => !isRead(req) },
+  { name: "read", limit: 300, match: () => true },
+];
+
+/** "lintFix" -> "RATE_LIMIT_LINT_FIX" */
+const envNameOf = (name) => `RATE_LIMIT_${name.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase()}`;
+
+/** A whole number above 0 from the env, else `fallback` (with a warning when set but invalid). */
+function positiveInteger(envName, fallback) {
+  const raw = process.env[envName];
+  if (raw === undefined || String(raw).trim() === "") return fallback;
+  const text = String(raw).trim();
+  const n = Number(text);
+  if (/^\d+$/.test(text) && Number.isSafeInteger(n) && n > 0) return n;
+  console.warn(`[WARN] ${envName} must be a whole number above 0; using ${fallback}.`);
+  return fallback;
+}
+
+const WINDOW_MS = positiveInteger("RATE_LIMIT_WINDOW_MINUTES", 15) * 60 * 1000;
+
+// name -> budget per window, after env overrides
+const BUDGETS = Object.fromEntries(ROUTE_LIMITS.map(({ name, limit }) => [name, positiveInteger(envNameOf(name), limit)]));
+
+/** Which ROUTE_LIMITS entry a request draws from (its name). */
+function budgetFor(req) {
+  return ROUTE_LIMITS.find((r) => r.match(req)).name;
+}
+
+/** Account or key, never IP (authenticate always sets req.auth first). */
+function callerKey(req) {
+  const auth = req.auth || {};
+  if (auth.type === "user") return `user:${auth.userId}`;
+  if (auth.type === "apiKey") return `key:${auth.keyId}`;
+  return `ip:${req.ip}`;
+}
+
+function tooManyRequests(req, res, _next, options) {
+  const resetTime = req.rateLimit?.resetTime;
+  const retryAfter = resetTime
+    ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000))
+    : Math.ceil(options.windowMs / 1000);
+  res.setHeader("Retry-After", String(retryAfter));
+  return res.status(options.statusCode).json({
+    ok: false,
+    error: `Too many requests. Try again in ${retryAfter} seconds.`,
+    retryAfter,
+  });
+}
+
+// One limiter (and counter store) per budget
+const limiters = Object.fromEntries(
+  Object.entries(BUDGETS).map(([name, limit]) => [
+    name,
+    rateLimit({
+      windowMs: WINDOW_MS,
+      limit,
+      standardHeaders: "draft-6",
+      legacyHeaders: false,
+      keyGenerator: callerKey,
+      handler: tooManyRequests,
+    }),
+  ])
+);
+
+/** Middleware: count the request against the caller's budget for this route. */
+function identityRateLimit(req, res, next) {
+  return limiters[budgetFor(req)](req, res, next);
+}
+
+module.exports = { identityRateLimit, budgetFor, BUDGETS };
@@ -0,0 +1,102 @@
+// server/auth/rateLimits.test.js
+const express = require("express");
+
+/** The module loaded with `env` set (limits are read when it loads). */
+function loadWith(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  let mod;
+  jest.isolateModules(() => {
+    mod = require("./rateLimits");
+  });
+  process.env = saved;
+  return mod;
+}
+
+const req = (method, path, query = {}) => ({ method, path, query });
+
+describe("budgetFor", () => {
+  const { budgetFor } = loadWith({});
+
+  test.each([
+    ["GET", "/projects/default/rows", {}, "rows"],
+    ["GET", "/googleSheets/rows/", {}, "rows"],
+    ["GET", "/googleSheets", { action: "rows" }, "rows"],
+    ["GET", "/projects/default/events", {}, "events"],
+    ["GET", "/googleSheets/lint", {}, "lint"],
+    ["POST", "/projects/default/lint/fix", {}, "lintFix"],
+    ["PUT", "/googleSheets", { action: "batch" }, "batch"],
+    ["POST", "/googleSheets/digest/send", {}, "digest"],
+    ["POST", "/projects/default/complete", {}, "write"],
+    ["DELETE", "/projects/old", {}, "write"],
+    ["POST", "/projects/default/rows", {}, "write"],
+    ["GET", "/projects/default/history", {}, "read"],
+    ["GET", "/projects", {}, "read"],
+  ])("%s %s %j draws from %s", (method, path, query, budget) => {
+    expect(budgetFor(req(method, path, query))).toBe(budget);
+  });
+});
+
+describe("budgets from the env", () => {
+  test("take whole numbers above 0 for any route", () => {
+    const { BUDGETS } = loadWith({ RATE_LIMIT_ROWS: "600", RATE_LIMIT_LINT_FIX: " 5 " });
+    expect(BUDGETS).toMatchObject({ rows: 600, lintFix: 5, write: 300, read: 300 });
+  });
+
+  test("keep the default for anything else, with a warning", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const { BUDGETS } = loadWith({
+      RATE_LIMIT_ROWS: "1.5",
+      RATE_LIMIT_WRITE: "0",
+      RATE_LIMIT_READ: "-10",
+      RATE_LIMIT_BATCH: "10abc",
+      RATE_LIMIT_EVENTS: "1e3",
+    });
+    expect(BUDGETS).toMatchObject({ rows: 300, write: 300, read: 300, batch: 60, events: 60 });
+    expect(warn).toHaveBeenCalledTimes(5);
+    warn.mockRestore();
+  });
+});
+
+describe("identityRateLimit", () => {
+  let server;
+  let origin;
+  beforeAll(async () => {
+    const { identityRateLimit } = loadWith({ RATE_LIMIT_ROWS: "2", RATE_LIMIT_WRITE: "1" });
+    const app = express();
+    // Stands in for authenticate: the caller is named by a header
+    app.use("/api", (req, _res, next) => {
+      req.auth = { type: "user", userId: req.header("x-user") };
+      next();
+    });
+    app.use("/api", identityRateLimit);
+    app.all("/api/*path", (_req, res) => res.json({ ok: true }));
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const call = (user, path, method = "GET") =>
+    fetch(`${origin}/api${path}`, { method, headers: { "x-user": user } });
+
+  test("counts each caller's budget separately, with RateLimit headers and a 429", async () => {
+    const first = await call("alice", "/googleSheets/rows");
+    expect(first.status).toBe(200);
+    expect(first.headers.get("ratelimit-limit")).toBe("2");
+    expect((await call("alice", "/googleSheets?action=rows")).status).toBe(200);
+
+    const over = await call("alice", "/projects/default/rows");
+    expect(over.status).toBe(429);
+    expect(Number(over.headers.get("retry-after"))).toBeGreaterThan(0);
+    expect(await over.json()).toMatchObject({ ok: false, retryAfter: expect.any(Number) });
+
+    // Other callers and other budgets are untouched
+    expect((await call("bob", "/googleSheets/rows")).status).toBe(200);
+    expect((await call("alice", "/projects/default/history")).status).toBe(200);
+    expect((await call("alice", "/googleSheets/complete", "POST")).status).toBe(200);
+    expect((await call("alice", "/googleSheets/comment", "POST")).status).toBe(429);
+  });
+});
@@ -0,0 +1,29 @@
+// server/auth/roles.js
+/**
+ * Roles, lowest to highest. Each role can do everything the ones before it can:
+ *   viewer      read rows, tabs, history and live events
+ *   technician  + complete / incomplete / comment / batch
+ *   admin       + link sheets, manage projects and users
+ */
+
+const ROLES = ["viewer", "technician", "admin"];
+
+function hasRole(role, required) {
+  const have = ROLES.indexOf(role);
+  return have !== -1 && have >= ROLES.indexOf(required);
+}
+
+/** Middleware: 403 unless the authenticated caller has at least `required`. */
+function requireRole(required) {
+  return (req, res, next) => {
+    if (!hasRole(req.auth?.role, required)) {
+      return res.status(403).json({
+        ok: false,
+        error: `This action requires the '${required}' role.`,
+      });
+    }
+    return next();
+  };
+}
+
+module.exports = { ROLES, hasRole, requireRole };
@@ -0,0 +1,29 @@
+// server/auth/roles.test.js
+const { hasRole, requireRole } = require("./roles");
+
+test("each role includes the ones below it", () => {
+  expect(hasRole("admin", "technician")).toBe(true);
+  expect(hasRole("technician", "technician")).toBe(true);
+  expect(hasRole("technician", "admin")).toBe(false);
+  expect(hasRole("viewer", "technician")).toBe(false);
+  expect(hasRole(undefined, "viewer")).toBe(false);
+  expect(hasRole("owner", "viewer")).toBe(false);
+});
+
+test("requireRole lets a strong enough caller through and answers 403 otherwise", () => {
+  const run = (role) => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    requireRole("technician")({ auth: role ? { role } : undefined }, res, next);
+    return { res, next };
+  };
+
+  expect(run("admin").next).toHaveBeenCalled();
+
+  const refused = run("viewer");
+  expect(refused.next).not.toHaveBeenCalled();
+  expect(refused.res.status).toHaveBeenCalledWith(403);
+  expect(refused.res.json).toHaveBeenCalledWith(expect.objectContaining({ ok: false }));
+
+  expect(run(null).res.status).toHaveBeenCalledWith(403);
+});
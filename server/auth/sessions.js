@@ -0,0 +1,126 @@
+// server/auth/sessions.js
+/**
+ * Login sessions, carried in an HttpOnly cookie.
+ *
+ * The browser holds a random token; the server stores only its SHA-256, so
+ * a leaked sessions file can't be replayed. Sessions persist across restarts.
+ *
+ * Env:
+ *   SESSIONS_STORE      optional path of the sessions file (defaults to ./sessions.json)
+ *   SESSION_TTL_HOURS   optional lifetime of a login (default 168 = 7 days)
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const STORE_PATH =
+  process.env.SESSIONS_STORE && process.env.SESSIONS_STORE.trim().length > 0
+    ? process.env.SESSIONS_STORE
+    : path.resolve(process.cwd(), "sessions.json");
+
+const parsedTtl = Number.parseFloat(process.env.SESSION_TTL_HOURS);
+const TTL_MS = (Number.isFinite(parsedTtl) && parsedTtl > 0 ? parsedTtl : 168) * 60 * 60 * 1000;
+
+const COOKIE_NAME = "cnh_session";
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("base64url");
+}
+
+function readAll() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(STORE_PATH, "utf8"));
+    return Array.isArray(parsed?.sessions) ? parsed.sessions : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(sessions) {
+  const tmp = `${STORE_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify({ sessions }, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, STORE_PATH);
+}
+
+const isLive = (s, now) => Date.parse(s.expiresAt) > now;
+
+/** Start a session for a user; returns { token, expiresAt }. Prunes expired ones. */
+function createSession(userId) {
+  const now = Date.now();
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(now + TTL_MS).toISOString();
+  const sessions = readAll().filter((s) => isLive(s, now));
+  sessions.push({ tokenHash: hashToken(token), userId, createdAt: new Date(now).toISOString(), expiresAt });
+  writeAll(sessions);
+  return { token, expiresAt };
+}
+
+/** The live session for a token, or null. */
+function findSession(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const session = readAll().find((s) => s.tokenHash === tokenHash);
+  return session && isLive(session, Date.now()) ? session : null;
+}
+
+function deleteSession(token) {
+  if (!token) return;
+  const tokenHash = hashToken(token);
+  const sessions = readAll();
+  const next = sessions.filter((s) => s.tokenHash !== tokenHash);
+  if (next.length !== sessions.length) writeAll(next);
+}
+
+/** Log a user out everywhere (e.g. when the account is deleted). */
+function deleteUserSessions(userId) {
+  const sessions = readAll();
+  const next = sessions.filter((s) => s.userId !== userId);
+  if (next.length !== sessions.length) writeAll(next);
+}
+
+// ---------------- Cookie helpers ----------------
+
+function readSessionCookie(req) {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const eq = part.indexOf("=");
+    if (eq === -1) continue;
+    if (part.slice(0, eq).trim() === COOKIE_NAME) {
+      try {
+        return decodeURIComponent(part.slice(eq + 1).trim());
+      } catch {
+        return null; // malformed escapes (e.g. "%E0%A4%A"): no session rather than a 500
+      }
+    }
+  }
+  return null;
+}
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: process.env.NODE_ENV === "production",
+    path: "/api",
+  };
+}
+
+function setSessionCookie(res, { token, expiresAt }) {
+  res.cookie(COOKIE_NAME, token, { ...cookieOptions(), expires: new Date(expiresAt) });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(COOKIE_NAME, cookieOptions());
+}
+
+module.exports = {
+  createSession,
+  findSession,
+  deleteSession,
+  deleteUserSessions,
+  readSessionCookie,
+  setSessionCookie,
+  clearSessionCookie,
+};
@@ -0,0 +1,64 @@
+// server/auth/sessions.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-test-"));
+process.env.SESSIONS_STORE = path.join(dir, "sessions.json");
+
+const sessions = require("./sessions");
+
+beforeEach(() => {
+  fs.rmSync(process.env.SESSIONS_STORE, { force: true });
+});
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a new session is found by its token, which is never stored", () => {
+  const { token, expiresAt } = sessions.createSession("user-1");
+  expect(Date.parse(expiresAt)).toBeGreaterThan(Date.now());
+  expect(sessions.findSession(token)).toMatchObject({ userId: "user-1" });
+  expect(fs.readFileSync(process.env.SESSIONS_STORE, "utf8")).not.toContain(token);
+  expect(sessions.findSession("not-a-token")).toBeNull();
+  expect(sessions.findSession(null)).toBeNull();
+});
+
+test("expired sessions are not found and are pruned on the next login", () => {
+  const { token } = sessions.createSession("user-1");
+  const store = JSON.parse(fs.readFileSync(process.env.SESSIONS_STORE, "utf8"));
+  store.sessions[0].expiresAt = new Date(Date.now() - 1000).toISOString();
+  fs.writeFileSync(process.env.SESSIONS_STORE, JSON.stringify(store));
+
+  expect(sessions.findSession(token)).toBeNull();
+  sessions.createSession("user-2");
+  const after = JSON.parse(fs.readFileSync(process.env.SESSIONS_STORE, "utf8"));
+  expect(after.sessions.map((s) => s.userId)).toEqual(["user-2"]);
+});
+
+test("logging out ends one session; deleting a user ends all of theirs", () => {
+  const a = sessions.createSession("user-1");
+  const b = sessions.createSession("user-1");
+  const c = sessions.createSession("user-2");
+
+  sessions.deleteSession(a.token);
+  expect(sessions.findSession(a.token)).toBeNull();
+  expect(sessions.findSession(b.token)).not.toBeNull();
+
+  sessions.deleteUserSessions("user-1");
+  expect(sessions.findSession(b.token)).toBeNull();
+  expect(sessions.findSession(c.token)).not.toBeNull();
+});
+
+test("readSessionCookie picks the session cookie out of the header", () => {
+  const req = (cookie) => ({ headers: cookie ? { cookie } : {} });
+  expect(sessions.readSessionCookie(req("theme=dark; cnh_session=abc%2Fdef; other=1"))).toBe("abc/def");
+  expect(sessions.readSessionCookie(req("theme=dark"))).toBeNull();
+  expect(sessions.readSessionCookie(req())).toBeNull();
+});
+
+test("a malformed session cookie counts as no cookie", () => {
+  const req = (cookie) => ({ headers: { cookie } });
+  expect(sessions.readSessionCookie(req("cnh_session=%E0%A4%A"))).toBeNull();
+  expect(sessions.readSessionCookie(req("theme=%E0%A4%A; cnh_session=abc"))).toBe("abc");
+});
@@ -0,0 +1,188 @@
+// server/auth/users.js
+/**
+ * Local user accounts.
+ *
+ * Stored as one JSON file:
+ *   { "users": [ { id, username, passwordHash, role, createdAt, updatedAt } ] }
+ *
+ * Passwords are hashed with scrypt (random salt per user) and never leave
+ * this module; everything returned is a "public" user without the hash.
+ * New accounts are viewers. The first admin is created by the operator, never
+ * by whoever signs up first: at startup from ADMIN_USERNAME / ADMIN_PASSWORD
+ * (seedAdminFromEnv), or with `node server/tools/createAdmin.js`.
+ *
+ * Env:
+ *   USERS_STORE      optional path of the users file (defaults to ./users.json)
+ *   ADMIN_USERNAME   optional admin account to create at startup if it doesn't exist
+ *   ADMIN_PASSWORD   its password (at least 8 characters); unset it once the account exists
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const { httpError } = require("../storage/sheetUtils");
+const { ROLES } = require("./roles");
+
+const scrypt = promisify(crypto.scrypt);
+
+const STORE_PATH =
+  process.env.USERS_STORE && process.env.USERS_STORE.trim().length > 0
+    ? process.env.USERS_STORE
+    : path.resolve(process.cwd(), "users.json");
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+function readAll() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(STORE_PATH, "utf8"));
+    return Array.isArray(parsed?.users) ? parsed.users : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Write to a temp file first so a crash never leaves half a store behind. */
+function writeAll(users) {
+  const tmp = `${STORE_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, STORE_PATH);
+}
+
+function toPublic(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, "base64");
+  const actual = await scrypt(password, Buffer.from(saltB64, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function findByUsername(users, username) {
+  const key = String(username || "").trim().toLowerCase();
+  return users.find((u) => u.username.toLowerCase() === key) || null;
+}
+
+function listUsers() {
+  return readAll().map(toPublic);
+}
+
+function getUser(userId) {
+  return toPublic(readAll().find((u) => u.id === userId));
+}
+
+/** Create an account: { username, password, role? } -> public user (a viewer unless `role`). */
+async function createUser({ username, password, role = "viewer" }) {
+  const name = String(username || "").trim();
+  const secret = String(password || "");
+
+  if (!ROLES.includes(role)) {
+    throw httpError(400, `Role must be one of: ${ROLES.join(", ")}.`);
+  }
+  if (!USERNAME_PATTERN.test(name)) {
+    throw httpError(400, "Username must be 3-32 letters, digits, '.', '_' or '-'.");
+  }
+  if (secret.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+
+  const passwordHash = await hashPassword(secret);
+
+  // Re-read after the (slow) hash so concurrent sign-ups can't collide
+  const users = readAll();
+  if (findByUsername(users, name)) {
+    throw httpError(409, `Username '${name}' is already taken.`);
+  }
+
+  const now = new Date().toISOString();
+  const user = {
+    id: crypto.randomUUID(),
+    username: name,
+    passwordHash,
+    role,
+    createdAt: now,
+    updatedAt: now,
+  };
+  writeAll([...users, user]);
+  return toPublic(user);
+}
+
+const hasAdmin = () => readAll().some((u) => u.role === "admin");
+
+/**
+ * Create ADMIN_USERNAME as an admin unless that account already exists (an
+ * existing one keeps its password and role). Resolves with the public user,
+ * or null when the env vars aren't set.
+ */
+async function seedAdminFromEnv() {
+  const username = String(process.env.ADMIN_USERNAME || "").trim();
+  const password = String(process.env.ADMIN_PASSWORD || "");
+  if (!username || !password) return null;
+
+  const existing = findByUsername(readAll(), username);
+  if (existing) return toPublic(existing);
+  return createUser({ username, password, role: "admin" });
+}
+
+/** The public user for valid credentials, otherwise null. */
+async function authenticate(username, password) {
+  const user = findByUsername(readAll(), username);
+  if (!user) return null;
+  return (await verifyPassword(String(password || ""), user.passwordHash)) ? toPublic(user) : null;
+}
+
+/** Change a user's role; refuses to demote the last admin. */
+function setRole(userId, role) {
+  if (!ROLES.includes(role)) {
+    throw httpError(400, `Role must be one of: ${ROLES.join(", ")}.`);
+  }
+  const users = readAll();
+  const user = users.find((u) => u.id === userId);
+  if (!user) throw httpError(404, "User not found.");
+
+  const admins = users.filter((u) => u.role === "admin");
+  if (user.role === "admin" && role !== "admin" && admins.length === 1) {
+    throw httpError(409, "At least one admin is required.");
+  }
+
+  user.role = role;
+  user.updatedAt = new Date().toISOString();
+  writeAll(users);
+  return toPublic(user);
+}
+
+/** Remove a user; refuses to remove the last admin. */
+function deleteUser(userId) {
+  const users = readAll();
+  const user = users.find((u) => u.id === userId);
+  if (!user) throw httpError(404, "User not found.");
+  if (user.role === "admin" && users.filter((u) => u.role === "admin").length === 1) {
+    throw httpError(409, "At least one admin is required.");
+  }
+  writeAll(users.filter((u) => u.id !== userId));
+}
+
+module.exports = {
+  listUsers,
+  getUser,
+  createUser,
+  hasAdmin,
+  seedAdminFromEnv,
+  authenticate,
+  setRole,
+  deleteUser,
+};
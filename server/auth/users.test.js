@@ -0,0 +1,92 @@
+// server/auth/users.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "users-test-"));
+process.env.USERS_STORE = path.join(dir, "users.json");
+
+const users = require("./users");
+
+const PASSWORD = "correct-horse-1";
+
+beforeEach(() => {
+  fs.rmSync(process.env.USERS_STORE, { force: true });
+  delete process.env.ADMIN_USERNAME;
+  delete process.env.ADMIN_PASSWORD;
+});
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("createUser", () => {
+  test("makes viewers, even the first account", async () => {
+    const first = await users.createUser({ username: "first", password: PASSWORD });
+    expect(first.role).toBe("viewer");
+    expect(users.hasAdmin()).toBe(false);
+  });
+
+  test("never returns or stores the password", async () => {
+    const user = await users.createUser({ username: "alice", password: PASSWORD });
+    expect(user).not.toHaveProperty("passwordHash");
+    expect(fs.readFileSync(process.env.USERS_STORE, "utf8")).not.toContain(PASSWORD);
+  });
+
+  test("refuses a taken name (any case), a bad name, a short password and an unknown role", async () => {
+    await users.createUser({ username: "alice", password: PASSWORD });
+    await expect(users.createUser({ username: "ALICE", password: PASSWORD })).rejects.toMatchObject({ status: 409 });
+    await expect(users.createUser({ username: "a b", password: PASSWORD })).rejects.toMatchObject({ status: 400 });
+    await expect(users.createUser({ username: "bob", password: "short" })).rejects.toMatchObject({ status: 400 });
+    await expect(users.createUser({ username: "bob", password: PASSWORD, role: "owner" })).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+});
+
+describe("authenticate", () => {
+  test("accepts the right password only", async () => {
+    await users.createUser({ username: "alice", password: PASSWORD });
+    await expect(users.authenticate("Alice", PASSWORD)).resolves.toMatchObject({ username: "alice" });
+    await expect(users.authenticate("alice", "wrong-password")).resolves.toBeNull();
+    await expect(users.authenticate("nobody", PASSWORD)).resolves.toBeNull();
+  });
+});
+
+describe("seedAdminFromEnv", () => {
+  test("does nothing without ADMIN_USERNAME and ADMIN_PASSWORD", async () => {
+    await expect(users.seedAdminFromEnv()).resolves.toBeNull();
+    expect(users.listUsers()).toEqual([]);
+  });
+
+  test("creates the admin once", async () => {
+    process.env.ADMIN_USERNAME = "root-admin";
+    process.env.ADMIN_PASSWORD = PASSWORD;
+    await expect(users.seedAdminFromEnv()).resolves.toMatchObject({ username: "root-admin", role: "admin" });
+    await users.seedAdminFromEnv();
+    expect(users.listUsers()).toHaveLength(1);
+    await expect(users.authenticate("root-admin", PASSWORD)).resolves.toMatchObject({ role: "admin" });
+  });
+
+  test("leaves an existing account's role and password alone", async () => {
+    await users.createUser({ username: "taken", password: PASSWORD });
+    process.env.ADMIN_USERNAME = "taken";
+    process.env.ADMIN_PASSWORD = "another-password";
+    await expect(users.seedAdminFromEnv()).resolves.toMatchObject({ role: "viewer" });
+    await expect(users.authenticate("taken", "another-password")).resolves.toBeNull();
+  });
+});
+
+describe("setRole and deleteUser", () => {
+  test("keep at least one admin", async () => {
+    const admin = await users.createUser({ username: "admin", password: PASSWORD, role: "admin" });
+    const tech = await users.createUser({ username: "tech", password: PASSWORD });
+
+    expect(users.setRole(tech.id, "technician").role).toBe("technician");
+    expect(() => users.setRole(admin.id, "viewer")).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => users.deleteUser(admin.id)).toThrow(expect.objectContaining({ status: 409 }));
+
+    users.setRole(tech.id, "admin");
+    users.deleteUser(admin.id);
+    expect(users.listUsers().map((u) => u.username)).toEqual(["tech"]);
+  });
+});
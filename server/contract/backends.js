@@ -0,0 +1,169 @@
+// server/contract/backends.js
+/**
+ * The backends the contract suite runs against, each started on its own
+ * port and pointed at the fake Sheets service (see fakeSheets.js):
+ *
+ *   node   `node server/server.js`. Signs in as the admin it creates from
+ *          ADMIN_USERNAME / ADMIN_PASSWORD and sends the session cookie.
+ *   php    googleSheets.php under `php -S`. Sends an X-API-Key. Runs whenever
+ *          PHP and composer's vendor/ are there: `php` on PATH (or the binary
+ *          CONTRACT_PHP names) and vendor/autoload.php at the repo root, from
+ *          `composer require google/apiclient`. CONTRACT_PHP=off skips it.
+ *          Otherwise it is reported as skipped, with the reason.
+ *
+ * Each resolves with { name, baseUrl, headers, close() }; requests in the
+ * PHP form go to `${baseUrl}?action=<name>`. Stores, logs and the linked
+ * sheet live in a fresh temp directory per backend.
+ */
+
+const { spawn, spawnSync } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const REPO_ROOT = path.resolve(__dirname, "..", "..");
+const API_KEY = "contract-test-key";
+const ADMIN = { username: "contract-admin", password: "contract-password-1" };
+
+function tempDir(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `contract-${name}-`));
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/** Poll until the URL answers at all (any status), giving up when `gone()` or after 10s. */
+async function waitForHttp(url, gone) {
+  const deadline = Date.now() + 10000;
+  for (;;) {
+    try {
+      await fetch(url);
+      return;
+    } catch (err) {
+      if (gone()) throw new Error("it exited");
+      if (Date.now() > deadline) throw new Error(`${url} did not answer: ${err.message}`);
+      await new Promise((r) => setTimeout(r, 100));
+    }
+  }
+}
+
+/** Run a server process until it answers; close() stops it and removes `dir`. */
+async function serve(name, command, argsFor, { env, dir }) {
+  const port = await freePort();
+  const child = spawn(command, argsFor(port), {
+    cwd: REPO_ROOT,
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: process.env.CONTRACT_VERBOSE ? "inherit" : "ignore",
+  });
+  let exitCode;
+  const exited = new Promise((resolve) => child.once("exit", (code) => resolve((exitCode = code))));
+  const close = async () => {
+    if (exitCode === undefined) child.kill();
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  const origin = `http://127.0.0.1:${port}`;
+  try {
+    await waitForHttp(origin, () => exitCode !== undefined);
+  } catch (err) {
+    await close();
+    throw new Error(`The ${name} backend did not start: ${err.message}`);
+  }
+  return { origin, close };
+}
+
+// ---------------- Node ----------------
+
+async function startNode(fake) {
+  const dir = tempDir("node");
+  const { origin, close } = await serve("node", process.execPath, () => ["server/server.js"], {
+    dir,
+    env: {
+      STORAGE_PROVIDER: "google",
+      SHEETS_API_ROOT_URL: fake.url,
+      SHEETS_RETRY_ATTEMPTS: "1",
+      PROJECTS_STORE: path.join(dir, "projects.json"),
+      ACTIVE_SHEET_STORE: path.join(dir, "activeSheet.json"),
+      USERS_STORE: path.join(dir, "users.json"),
+      SESSIONS_STORE: path.join(dir, "sessions.json"),
+      API_KEYS_STORE: path.join(dir, "apiKeys.json"),
+      AUDIT_LOG_PATH: path.join(dir, "audit.jsonl"),
+      WEBHOOKS_STORE: path.join(dir, "webhooks.json"),
+      WEBHOOK_LOG_PATH: path.join(dir, "webhookDeliveries.jsonl"),
+      ADMIN_USERNAME: ADMIN.username,
+      ADMIN_PASSWORD: ADMIN.password,
+      REQUIRE_API_KEY: "false",
+      API_KEY: "",
+      SMTP_HOST: "",
+    },
+  });
+
+  try {
+    const login = await fetch(`${origin}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(ADMIN),
+    });
+    const cookie = String(login.headers.get("set-cookie") || "").split(";")[0];
+    if (!login.ok || !cookie) throw new Error(`Login failed with HTTP ${login.status}`);
+    return { name: "node", origin, baseUrl: `${origin}/api/googleSheets`, headers: { Cookie: cookie }, close };
+  } catch (err) {
+    await close();
+    throw err;
+  }
+}
+
+// ---------------- PHP ----------------
+
+async function startPhp(fake) {
+  const dir = tempDir("php");
+  const { origin, close } = await serve(
+    "php",
+    phpBinary().binary,
+    (port) => ["-S", `127.0.0.1:${port}`, "googleSheets.php"],
+    {
+      dir,
+      env: {
+        SHEETS_API_ROOT_URL: fake.url,
+        API_KEY,
+        ACTIVE_SHEET_STORE: path.join(dir, "activeSheet.json"),
+      },
+    }
+  );
+  return { name: "php", origin, baseUrl: `${origin}/googleSheets.php`, headers: { "X-API-Key": API_KEY }, close };
+}
+
+/** The PHP binary to run, or { skip: reason } when the PHP backend can't run here. */
+function phpBinary() {
+  const configured = String(process.env.CONTRACT_PHP || "").trim();
+  if (/^(0|false|no|off)$/i.test(configured)) return { skip: "CONTRACT_PHP is off" };
+  const binary = configured || "php";
+  const probe = spawnSync(binary, ["-v"], { stdio: "ignore", timeout: 10000 });
+  if (probe.error || probe.status !== 0) return { skip: `no PHP binary '${binary}' (set CONTRACT_PHP to its path)` };
+  if (!fs.existsSync(path.join(REPO_ROOT, "vendor", "autoload.php"))) {
+    return { skip: "no vendor/autoload.php (run `composer require google/apiclient` at the repo root)" };
+  }
+  return { binary };
+}
+
+/** Names of the backends this run covers, and why any other one is skipped. */
+function backendNames() {
+  const php = phpBinary();
+  return php.binary ? { run: ["node", "php"], skipped: {} } : { run: ["node"], skipped: { php: php.skip } };
+}
+
+function startBackend(name, fake) {
+  return name === "php" ? startPhp(fake) : startNode(fake);
+}
+
+module.exports = { backendNames, startBackend };
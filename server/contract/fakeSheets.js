@@ -0,0 +1,418 @@
+// server/contract/fakeSheets.js
+/**
+ * In-memory stand-in for the Google Sheets v4 REST API, for the contract
+ * tests. Both backends talk to it over HTTP like the real thing: the Node
+ * server and googleSheets.php are pointed at it with SHEETS_API_ROOT_URL.
+ *
+ *   const fake = await startFakeSheets();
+ *   fake.seed("sheet-1", { title: "Inventory", sheets: [{ title: "Sheet1", rows: [[...], ...] }] });
+ *   // ... call a backend started with SHEETS_API_ROOT_URL=fake.url ...
+ *   fake.cell("sheet-1", "Sheet1", "C2");   // what was written
+ *   await fake.close();
+ *
+ * createService() is the same fake without the HTTP server, for tests that
+ * call handle(method, pathname, query, body) directly. googleapis does not
+ * load under jest; unit tests replace it with googleapisFor(service):
+ *
+ *   const mockSheets = createService();
+ *   jest.mock("googleapis", () => require("../contract/fakeSheets").googleapisFor(mockSheets));
+ *
+ * Covers what the backends call: spreadsheets.get / batchUpdate (addSheet)
+ * and values get / batchGet / update / batchUpdate / append, with A1 ranges
+ * ('Tab'!A1:B2, Tab!A:C, 2:2, A2:A, a bare tab title). USER_ENTERED input
+ * is parsed like Sheets does ("TRUE" -> true, "12" -> 12, a leading "'" keeps
+ * the text as is; "=..." is stored as { formula }); RAW is stored as sent.
+ * Reads render FORMATTED_VALUE (the default: booleans as "TRUE"/"FALSE",
+ * numbers as text) or UNFORMATTED_VALUE, and drop trailing empty cells and
+ * rows. spreadsheets.get with `ranges` returns grid data holding only each
+ * cell's number format type, seeded per column: { numberFormats: { E: "DATE" } }.
+ * Errors use Google's body shape: { error: { code, message, status } }.
+ */
+
+const http = require("http");
+
+const STATUS_NAMES = { 400: "INVALID_ARGUMENT", 404: "NOT_FOUND" };
+
+function sheetsError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// ---------------- A1 ranges ----------------
+
+function columnNumber(letters) {
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function columnLetters(index) {
+  let s = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  }
+  return s;
+}
+
+/** "B3" / "B" / "3" -> { col, row } (0-based, null where left out). */
+function parseRef(ref) {
+  const match = /^([A-Z]*)(\d*)$/.exec(ref.toUpperCase());
+  if (!match || (!match[1] && !match[2])) return null;
+  return {
+    col: match[1] ? columnNumber(match[1]) : null,
+    row: match[2] ? Number(match[2]) - 1 : null,
+  };
+}
+
+/** Split "'Tab'!A1:B2" into the tab title and the A1 part ("" for the whole tab). */
+function splitRange(range) {
+  const quoted = /^'((?:[^']|'')*)'(?:!(.*))?$/.exec(range);
+  if (quoted) return { title: quoted[1].replace(/''/g, "'"), a1: quoted[2] || "" };
+  const bang = range.lastIndexOf("!");
+  if (bang !== -1) return { title: range.slice(0, bang), a1: range.slice(bang + 1) };
+  return { title: null, a1: range };
+}
+
+/** { sheet, r0, c0, r1, c1 } for a range (inclusive bounds, Infinity for open ends). */
+function resolveRange(book, range) {
+  const unparsable = () => sheetsError(400, `Unable to parse range: ${range}`);
+  let { title, a1 } = splitRange(String(range));
+
+  // A bare word is a tab title when there is such a tab, else an A1 range on the first tab
+  if (title === null && book.sheets.some((s) => s.title === a1)) [title, a1] = [a1, ""];
+  const sheet = title === null ? book.sheets[0] : book.sheets.find((s) => s.title === title);
+  if (!sheet) throw unparsable();
+  if (!a1) return { sheet, r0: 0, c0: 0, r1: Infinity, c1: Infinity };
+
+  const [startText, endText, extra] = a1.split(":");
+  const start = parseRef(startText);
+  const end = endText === undefined ? start : parseRef(endText);
+  if (!start || !end || extra !== undefined) throw unparsable();
+  return {
+    sheet,
+    r0: start.row ?? 0,
+    c0: start.col ?? 0,
+    r1: end.row ?? Infinity,
+    c1: end.col ?? Infinity,
+  };
+}
+
+function a1Of(sheet, r0, c0, r1, c1) {
+  return `'${sheet.title.replace(/'/g, "''")}'!${columnLetters(c0)}${r0 + 1}:${columnLetters(c1)}${r1 + 1}`;
+}
+
+// ---------------- Cells ----------------
+
+const isEmpty = (v) => v === undefined || v === null || v === "";
+
+/** A value as Sheets stores it for the given valueInputOption. */
+function inputValue(value, option) {
+  if (option === "RAW" || typeof value !== "string") return value;
+  if (value.startsWith("'")) return value.slice(1);
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === "true";
+  if (value.trim() !== "" && Number.isFinite(Number(value))) return Number(value);
+  if (value.startsWith("=")) return { formula: value };
+  return value;
+}
+
+function renderValue(value, option) {
+  if (value && typeof value === "object") return value.formula; // nothing is calculated here
+  if (option === "UNFORMATTED_VALUE") return value;
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (typeof value === "number") return String(value);
+  return value;
+}
+
+/** The values of a resolved range, trimmed like Sheets trims them. */
+function readValues({ sheet, r0, c0, r1, c1 }, { majorDimension = "ROWS", valueRenderOption = "FORMATTED_VALUE" } = {}) {
+  const rows = [];
+  for (let r = r0; r <= Math.min(r1, sheet.rows.length - 1); r++) {
+    const source = sheet.rows[r] || [];
+    const row = [];
+    for (let c = c0; c <= Math.min(c1, source.length - 1); c++) {
+      row.push(isEmpty(source[c]) ? "" : renderValue(source[c], valueRenderOption));
+    }
+    while (row.length > 0 && isEmpty(row[row.length - 1])) row.pop();
+    rows.push(row);
+  }
+  while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+  if (majorDimension !== "COLUMNS") return rows;
+
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  const columns = Array.from({ length: width }, (_, c) => rows.map((r) => r[c] ?? ""));
+  columns.forEach((col) => {
+    while (col.length > 0 && isEmpty(col[col.length - 1])) col.pop();
+  });
+  return columns;
+}
+
+/** Write a 2D block at the range's top-left corner; null cells are left alone. */
+function writeValues({ sheet, r0, c0 }, values, option) {
+  (values || []).forEach((row, i) => {
+    const r = r0 + i;
+    while (sheet.rows.length <= r) sheet.rows.push([]);
+    (row || []).forEach((value, j) => {
+      if (value === null || value === undefined) return;
+      const c = c0 + j;
+      while (sheet.rows[r].length <= c) sheet.rows[r].push("");
+      sheet.rows[r][c] = inputValue(value, option);
+    });
+  });
+  const height = (values || []).length;
+  const width = Math.max(0, ...(values || []).map((row) => (row || []).length));
+  return {
+    updatedRange: a1Of(sheet, r0, c0, r0 + Math.max(height, 1) - 1, c0 + Math.max(width, 1) - 1),
+    updatedRows: height,
+    updatedColumns: width,
+    updatedCells: (values || []).reduce((n, row) => n + (row || []).length, 0),
+  };
+}
+
+/** Grid data of a resolved range: just the number format of each formatted non-empty cell. */
+function gridData({ sheet, r0, c0, r1, c1 }) {
+  const rowData = [];
+  for (let r = r0; r <= Math.min(r1, sheet.rows.length - 1); r++) {
+    const source = sheet.rows[r] || [];
+    const values = [];
+    for (let c = c0; c <= Math.min(c1, source.length - 1); c++) {
+      const type = isEmpty(source[c]) ? null : sheet.numberFormats[columnLetters(c)];
+      values.push(type ? { effectiveFormat: { numberFormat: { type } } } : {});
+    }
+    rowData.push({ values });
+  }
+  return { startRow: r0, startColumn: c0, rowData };
+}
+
+// ---------------- Service ----------------
+
+function createService() {
+  const books = new Map(); // spreadsheetId -> { spreadsheetId, title, timeZone, sheets }
+  const requests = [];     // "METHOD /path" of every call, for tests that count them
+
+  function bookOf(spreadsheetId) {
+    const book = books.get(spreadsheetId);
+    if (!book) throw sheetsError(404, "Requested entity was not found.");
+    return book;
+  }
+
+  function metadata(book) {
+    return {
+      spreadsheetId: book.spreadsheetId,
+      properties: { title: book.title, timeZone: book.timeZone },
+      sheets: book.sheets.map((s, index) => ({
+        properties: {
+          sheetId: s.sheetId,
+          title: s.title,
+          index,
+          sheetType: "GRID",
+          gridProperties: {
+            rowCount: Math.max(1000, s.rows.length),
+            columnCount: Math.max(26, ...s.rows.map((r) => r.length)),
+          },
+        },
+      })),
+    };
+  }
+
+  function addSheet(book, properties = {}) {
+    const title = properties.title || `Sheet${book.sheets.length + 1}`;
+    if (book.sheets.some((s) => s.title === title)) {
+      throw sheetsError(400, `Invalid requests[0].addSheet: A sheet with the name "${title}" already exists.`);
+    }
+    const sheetId = properties.sheetId ?? Math.max(0, ...book.sheets.map((s) => s.sheetId)) + 1;
+    const sheet = { sheetId, title, rows: [], numberFormats: {} };
+    book.sheets.push(sheet);
+    return { sheetId, title, index: book.sheets.length - 1 };
+  }
+
+  /** Answer one API call: { status, body }. */
+  function handle(method, pathname, query, body) {
+    const match = /^\/v4\/spreadsheets\/([^/:]+)(.*)$/.exec(pathname);
+    if (!match) return { status: 404, body: { error: { code: 404, message: "Not found", status: "NOT_FOUND" } } };
+    const book = bookOf(decodeURIComponent(match[1]));
+    const rest = match[2];
+    const values = /^\/values\/(.+?)(:append)?$/.exec(rest);
+
+    if (method === "GET" && rest === "") {
+      const ranges = query.getAll("ranges");
+      if (ranges.length === 0) return { status: 200, body: metadata(book) };
+      return { status: 200, body: { sheets: ranges.map((range) => ({ data: [gridData(resolveRange(book, range))] })) } };
+    }
+
+    if (method === "POST" && rest === ":batchUpdate") {
+      const replies = (body.requests || []).map((request) => {
+        if (request.addSheet) return { addSheet: { properties: addSheet(book, request.addSheet.properties) } };
+        throw sheetsError(400, `Unsupported request: ${Object.keys(request).join(", ")}`);
+      });
+      return { status: 200, body: { spreadsheetId: book.spreadsheetId, replies } };
+    }
+
+    if (method === "GET" && rest === "/values:batchGet") {
+      const ranges = query.getAll("ranges");
+      const options = Object.fromEntries(query);
+      return {
+        status: 200,
+        body: {
+          spreadsheetId: book.spreadsheetId,
+          valueRanges: ranges.map((range) => {
+            const rows = readValues(resolveRange(book, range), options);
+            return { range, majorDimension: options.majorDimension || "ROWS", ...(rows.length ? { values: rows } : {}) };
+          }),
+        },
+      };
+    }
+
+    if (method === "POST" && rest === "/values:batchUpdate") {
+      const option = body.valueInputOption;
+      const responses = (body.data || []).map((d) => writeValues(resolveRange(book, d.range), d.values, option));
+      return {
+        status: 200,
+        body: {
+          spreadsheetId: book.spreadsheetId,
+          totalUpdatedCells: responses.reduce((n, r) => n + r.updatedCells, 0),
+          responses,
+        },
+      };
+    }
+
+    if (values) {
+      const range = decodeURIComponent(values[1]);
+      const target = resolveRange(book, range);
+      const options = Object.fromEntries(query);
+
+      if (method === "GET" && !values[2]) {
+        const rows = readValues(target, options);
+        return {
+          status: 200,
+          body: { range, majorDimension: options.majorDimension || "ROWS", ...(rows.length ? { values: rows } : {}) },
+        };
+      }
+      if (method === "PUT" && !values[2]) {
+        return {
+          status: 200,
+          body: { spreadsheetId: book.spreadsheetId, ...writeValues(target, body.values, options.valueInputOption) },
+        };
+      }
+      if (method === "POST" && values[2]) {
+        // Appended below the last row that has anything in it
+        let last = target.sheet.rows.length - 1;
+        while (last >= 0 && !(target.sheet.rows[last] || []).some((v) => !isEmpty(v))) last--;
+        const at = { ...target, r0: last + 1 };
+        return {
+          status: 200,
+          body: { spreadsheetId: book.spreadsheetId, updates: writeValues(at, body.values, options.valueInputOption) },
+        };
+      }
+    }
+
+    return { status: 404, body: { error: { code: 404, message: `No fake for ${method} ${pathname}`, status: "NOT_FOUND" } } };
+  }
+
+  return {
+    requests,
+
+    /** Replace (or create) a spreadsheet. Tabs get sheetIds 0, 1, ... unless given. */
+    seed(spreadsheetId, { title = "Spreadsheet", timeZone = "UTC", sheets = [{ title: "Sheet1", rows: [] }] } = {}) {
+      books.set(spreadsheetId, {
+        spreadsheetId,
+        title,
+        timeZone,
+        sheets: sheets.map((s, i) => ({
+          sheetId: s.sheetId ?? i,
+          title: s.title,
+          rows: (s.rows || []).map((r) => r.slice()),
+          numberFormats: { ...s.numberFormats },
+        })),
+      });
+    },
+
+    /** A tab's stored rows (untrimmed; formulas as { formula }). */
+    rows(spreadsheetId, title) {
+      const sheet = bookOf(spreadsheetId).sheets.find((s) => s.title === title);
+      if (!sheet) throw new Error(`No tab '${title}' in ${spreadsheetId}`);
+      return sheet.rows.map((r) => r.slice());
+    },
+
+    /** One stored cell by A1 reference ("" when empty). */
+    cell(spreadsheetId, title, ref) {
+      const { row, col } = parseRef(ref);
+      const value = this.rows(spreadsheetId, title)[row]?.[col];
+      return isEmpty(value) ? "" : value;
+    },
+
+    reset() {
+      books.clear();
+      requests.length = 0;
+    },
+
+    handle,
+  };
+}
+
+/**
+ * Serve a fake on 127.0.0.1 (port 0 picks a free one). Resolves with the
+ * service plus { url, close() }; `url` is the SHEETS_API_ROOT_URL to use.
+ */
+function startFakeSheets({ port = 0 } = {}) {
+  const service = createService();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://fake");
+      service.requests.push(`${req.method} ${url.pathname}`);
+
+      let result;
+      try {
+        const text = Buffer.concat(chunks).toString("utf8");
+        result = service.handle(req.method, url.pathname, url.searchParams, text ? JSON.parse(text) : {});
+      } catch (err) {
+        const code = err.code || 500;
+        result = { status: code, body: { error: { code, message: err.message, status: STATUS_NAMES[code] || "INTERNAL" } } };
+      }
+      res.writeHead(result.status, { "Content-Type": "application/json; charset=UTF-8" });
+      res.end(JSON.stringify(result.body));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      resolve(
+        Object.assign(service, {
+          url: `http://127.0.0.1:${server.address().port}/`,
+          close: () => new Promise((done) => server.close(done)),
+        })
+      );
+    });
+  });
+}
+
+/** A stand-in for the googleapis module whose Sheets calls the service answers. */
+function googleapisFor(service) {
+  const call = (method, suffix) => async ({ spreadsheetId, range, ranges, requestBody, ...options }) => {
+    const query = new URLSearchParams(options);
+    (ranges || []).forEach((r) => query.append("ranges", r));
+    const pathname = `/v4/spreadsheets/${encodeURIComponent(spreadsheetId)}${suffix(range)}`;
+    service.requests.push(`${method} ${pathname}`);
+    return { data: service.handle(method, pathname, query, requestBody || {}).body };
+  };
+  const sheets = {
+    spreadsheets: {
+      get: call("GET", () => ""),
+      batchUpdate: call("POST", () => ":batchUpdate"),
+      values: {
+        get: call("GET", (range) => `/values/${encodeURIComponent(range)}`),
+        batchGet: call("GET", () => "/values:batchGet"),
+        update: call("PUT", (range) => `/values/${encodeURIComponent(range)}`),
+        batchUpdate: call("POST", () => "/values:batchUpdate"),
+        append: call("POST", (range) => `/values/${encodeURIComponent(range)}:append`),
+      },
+    },
+  };
+  return { google: { sheets: () => sheets } };
+}
+
+module.exports = { createService, startFakeSheets, googleapisFor };
@@ -0,0 +1,240 @@
+// server/contract/sheets.contract.test.js
+/**
+ * Contract both backends must keep: the routes, methods and responses the
+ * client and googleSheets.php share, checked against the fake Sheets
+ * service. Requests use the PHP form (?action=) so the same cases run
+ * against either backend; writes are sent as POST and as PUT.
+ *
+ *   npm test                               # Node, plus PHP when php and vendor/ are there
+ *   CONTRACT_PHP=/usr/bin/php8.3 npm test  # a PHP binary that isn't on PATH
+ *   CONTRACT_PHP=off npm test              # Node only
+ *
+ * googleSheets.php only serves ?action= link, rows, complete, incomplete and
+ * comment, which is what the shared cases cover. Everything else is
+ * Node-only and checked against Node alone ("paths" below): the path form
+ * (/api/googleSheets/<action>, /api/projects/:id/...), the other actions
+ * (tabs, columns, lint, batch, notes, history, queue, events), and the
+ * auth, users, API key, project, webhook and digest routes.
+ */
+
+const { startFakeSheets } = require("./fakeSheets");
+const { backendNames, startBackend } = require("./backends");
+
+const HEADER = ["Device", "IP Address", "Completed", "Comment"];
+const isTrue = (v) => v === true || String(v).toUpperCase() === "TRUE";
+
+let fake;
+beforeAll(async () => {
+  fake = await startFakeSheets();
+});
+afterAll(async () => {
+  await fake.close();
+});
+
+// A fresh spreadsheet per test, so no backend cache carries over
+let sheetCount = 0;
+function seedSheet() {
+  const spreadsheetId = `contract-sheet-${++sheetCount}`;
+  fake.seed(spreadsheetId, {
+    title: "Contract Inventory",
+    sheets: [
+      {
+        title: "Sheet1",
+        rows: [HEADER, ["PC-01", "10.0.0.1", false, ""], ["PC-02", "10.0.0.2", false, "old"]],
+      },
+    ],
+  });
+  return spreadsheetId;
+}
+
+const { run, skipped } = backendNames();
+
+// A backend that can't run here shows up as skipped, with the reason
+Object.entries(skipped).forEach(([name, reason]) => {
+  describe.skip(`${name} backend: ${reason}`, () => {
+    test("contract", () => {});
+  });
+});
+
+describe.each(run)("%s backend", (name) => {
+  let backend;
+  beforeAll(async () => {
+    backend = await startBackend(name, fake);
+  });
+  afterAll(async () => {
+    await backend?.close();
+  });
+
+  /** Call `?action=<action>`; resolves with { status, body, headers } (body null when not JSON). */
+  async function call(method, action, body) {
+    const res = await fetch(`${backend.baseUrl}?action=${encodeURIComponent(action)}`, {
+      method,
+      headers: { ...backend.headers, ...(body ? { "Content-Type": "application/json" } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // left null; the assertion on it says what came back
+    }
+    return { status: res.status, body: json, headers: res.headers };
+  }
+
+  async function linkNewSheet() {
+    const spreadsheetId = seedSheet();
+    const { status } = await call("POST", "link", { spreadsheetId });
+    expect(status).toBe(200);
+    return spreadsheetId;
+  }
+
+  // Runs first: nothing is linked on a fresh backend
+  test("rows and writes before linking are a 400", async () => {
+    const rows = await call("GET", "rows");
+    expect(rows.status).toBe(400);
+    expect(rows.body).toMatchObject({ ok: false });
+
+    const complete = await call("POST", "complete", { device: "PC-01" });
+    expect(complete.status).toBe(400);
+    expect(complete.body).toMatchObject({ ok: false });
+  });
+
+  describe("link", () => {
+    test("links a spreadsheet by ID", async () => {
+      const spreadsheetId = seedSheet();
+      const { status, body } = await call("POST", "link", { spreadsheetId });
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ ok: true, spreadsheetId, spreadsheetTitle: "Contract Inventory" });
+    });
+
+    test("takes a Google Sheets URL", async () => {
+      const spreadsheetId = seedSheet();
+      const { status, body } = await call("POST", "link", {
+        spreadsheetId: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit#gid=0`,
+      });
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ ok: true, spreadsheetId });
+    });
+
+    test("refuses a missing ID with 400", async () => {
+      const { status, body } = await call("POST", "link", { spreadsheetId: "" });
+      expect(status).toBe(400);
+      expect(body).toMatchObject({ ok: false });
+    });
+  });
+
+  describe("rows", () => {
+    test("returns the linked tab, header first", async () => {
+      const spreadsheetId = await linkNewSheet();
+      const { status, body } = await call("GET", "rows");
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ ok: true, spreadsheetId, sheetTitle: "Sheet1" });
+      expect(body.rows[0]).toEqual(HEADER);
+      expect(body.rows.slice(1).map((r) => r[0])).toEqual(["PC-01", "PC-02"]);
+    });
+  });
+
+  describe.each(["POST", "PUT"])("writes over %s", (method) => {
+    test("complete and incomplete set the Completed cell", async () => {
+      const spreadsheetId = await linkNewSheet();
+
+      const complete = await call(method, "complete", { device: "PC-02" });
+      expect(complete.status).toBe(200);
+      expect(complete.body).toMatchObject({ ok: true });
+      expect(fake.cell(spreadsheetId, "Sheet1", "C3")).toBe(true);
+      expect(fake.cell(spreadsheetId, "Sheet1", "C2")).toBe(false);
+
+      const rows = await call("GET", "rows");
+      expect(isTrue(rows.body.rows[2][2])).toBe(true);
+
+      const incomplete = await call(method, "incomplete", { device: "PC-02" });
+      expect(incomplete.status).toBe(200);
+      expect(incomplete.body).toMatchObject({ ok: true });
+      expect(fake.cell(spreadsheetId, "Sheet1", "C3")).toBe(false);
+    });
+
+    test("comment sets the Comment cell, formulas as plain text", async () => {
+      const spreadsheetId = await linkNewSheet();
+
+      const first = await call(method, "comment", { device: "PC-01", comment: "Needs a new battery" });
+      expect(first.status).toBe(200);
+      expect(first.body).toMatchObject({ ok: true });
+      expect(fake.cell(spreadsheetId, "Sheet1", "D2")).toBe("Needs a new battery");
+
+      const formula = await call(method, "comment", { device: "PC-01", comment: "=HYPERLINK(\"x\")" });
+      expect(formula.status).toBe(200);
+      expect(fake.cell(spreadsheetId, "Sheet1", "D2")).toBe("=HYPERLINK(\"x\")");
+    });
+
+    test("devices match case-insensitively", async () => {
+      const spreadsheetId = await linkNewSheet();
+      const { status } = await call(method, "complete", { device: "  pc-01 " });
+      expect(status).toBe(200);
+      expect(fake.cell(spreadsheetId, "Sheet1", "C2")).toBe(true);
+    });
+
+    test("a missing device is a 400, an unknown one a 404", async () => {
+      await linkNewSheet();
+
+      const missing = await call(method, "complete", {});
+      expect(missing.status).toBe(400);
+      expect(missing.body).toMatchObject({ ok: false });
+
+      const unknown = await call(method, "complete", { device: "PC-99" });
+      expect(unknown.status).toBe(404);
+      expect(unknown.body).toMatchObject({ ok: false });
+    });
+  });
+
+  test("an unknown action is a 404", async () => {
+    const { status, body } = await call("GET", "nope");
+    expect(status).toBe(404);
+    expect(body).toMatchObject({ ok: false });
+  });
+
+  // The client sends the PHP backend's key only after seeing this (src/redux/backend.js)
+  test("only the PHP backend marks its responses with X-Backend", async () => {
+    const { headers } = await call("GET", "nope");
+    expect(headers.get("x-backend")).toBe(name === "php" ? "php" : null);
+  });
+
+  // Node-only: the client's own form, routes as paths, writes over POST (PUT for older callers)
+  (name === "node" ? describe : describe.skip)("paths", () => {
+    async function send(method, path, body) {
+      const res = await fetch(`${backend.origin}${path}`, {
+        method,
+        headers: { ...backend.headers, "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      return { status: res.status, body: await res.json() };
+    }
+
+    test.each([
+      ["POST", "/api/googleSheets"],
+      ["PUT", "/api/googleSheets"],
+      ["POST", "/api/projects/default"],
+      ["PUT", "/api/projects/default"],
+    ])("%s %s/complete, /incomplete and /comment", async (method, base) => {
+      const spreadsheetId = seedSheet();
+      expect((await send("POST", `${base}/link`, { spreadsheetId })).status).toBe(200);
+
+      expect((await send(method, `${base}/complete`, { device: "PC-01" })).status).toBe(200);
+      expect(fake.cell(spreadsheetId, "Sheet1", "C2")).toBe(true);
+      expect((await send(method, `${base}/incomplete`, { device: "PC-01" })).status).toBe(200);
+      expect(fake.cell(spreadsheetId, "Sheet1", "C2")).toBe(false);
+      expect((await send(method, `${base}/comment`, { device: "PC-01", comment: "ok" })).status).toBe(200);
+      expect(fake.cell(spreadsheetId, "Sheet1", "D2")).toBe("ok");
+    });
+
+    test("?action= keeps the rest of the query", async () => {
+      await send("POST", "/api/googleSheets/link", { spreadsheetId: seedSheet() });
+      await send("POST", "/api/googleSheets/comment", { device: "PC-02", comment: "checked" });
+
+      const { status, body } = await send("GET", "/api/googleSheets?action=history&device=PC-02");
+      expect(status).toBe(200);
+      expect(body.entries.length).toBeGreaterThan(0);
+      expect(body.entries.every((e) => e.device === "PC-02")).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,279 @@
+// server/digest/dailyDigest.js
+/**
+ * End-of-day progress digest for a project's linked tab, built from the
+ * same rows /rows serves and counted the way Home counts them (splitByStatus
+ * in server/storage/cellTypes.js, which webhook milestones use too).
+ *
+ * buildDigest(project) ->
+ *   { projectId, projectName, spreadsheetTitle, sheetTitle, date, timeZone, generatedAt,
+ *     total, completed, remaining, percent,
+ *     completedToday: [{ device, type, completedBy, completedAt }],
+ *     remainingByType: [{ type, count }],
+ *     newComments: [{ device, comment, actor, at }] }
+ *
+ * "Today" is the calendar day in DIGEST_TIME_ZONE, else the spreadsheet's
+ * time zone. Completed today comes from the completedAt column (from the
+ * audit log when the tab has none); new comments are comments changed
+ * through the API today (see server/storage/auditLog.js), newest per device.
+ *
+ * renderDigest(digest) -> { subject, text, html }; the HTML uses inline
+ * styles only, so mail clients show it as the preview does.
+ *
+ * Env:
+ *   DIGEST_TO          comma-separated recipients of the scheduled digest
+ *   DIGEST_TIME_ZONE   optional IANA time zone for "today" and the schedule (default: the sheet's)
+ */
+
+const rowsCache = require("../storage/rowsCache");
+const auditLog = require("../storage/auditLog");
+const { projectTarget } = require("../storage/projects");
+const { columnIndex, httpError } = require("../storage/sheetUtils");
+const { columnTypesOf, typeRows, typeValue, splitByStatus } = require("../storage/cellTypes");
+const { sendMail } = require("../utils/mailer");
+
+const MAX_LISTED = 50;
+const NO_TYPE = "(no type)";
+
+/** Recipients from DIGEST_TO. */
+function digestRecipients() {
+  return String(process.env.DIGEST_TO || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function validTimeZone(zone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** The zone a project's digest counts days in. */
+function digestTimeZone(sheetTimeZone) {
+  const configured = String(process.env.DIGEST_TIME_ZONE || "").trim();
+  if (configured && validTimeZone(configured)) return configured;
+  return sheetTimeZone && validTimeZone(sheetTimeZone) ? sheetTimeZone : "UTC";
+}
+
+/** "YYYY-MM-DD" of a moment in a time zone, or null for an invalid date. */
+function dayIn(value, timeZone) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+}
+
+const isFilled = (value) => String(value ?? "").trim() !== "";
+
+// ---------------- Build ----------------
+
+/** Today's audit entries for the tab, newest first. */
+function todaysEntries(projectId, sheet, day, timeZone) {
+  // Local midnight is never more than 14 hours before UTC midnight
+  const since = new Date(Date.parse(`${day}T00:00:00Z`) - 14 * 60 * 60 * 1000).toISOString();
+  return auditLog
+    .readHistory({ projectId, since, limit: 1000 })
+    .filter(
+      (e) =>
+        e.spreadsheetId === sheet.spreadsheetId &&
+        (e.sheetId ?? null) === (sheet.sheetId ?? null) &&
+        dayIn(e.ts, timeZone) === day
+    );
+}
+
+/** The newest entry per row among entries for `field`. */
+function latestPerRow(entries, sheet, field) {
+  const seen = new Set();
+  return entries.filter((e) => {
+    if (columnIndex([e.field], sheet.columns, field) !== 0) return false;
+    const row = String(e.key || e.device || "").trim().toLowerCase();
+    if (seen.has(row)) return false;
+    seen.add(row);
+    return true;
+  });
+}
+
+async function buildDigest(project) {
+  const sheet = projectTarget(project);
+  if (!sheet) throw httpError(400, "No spreadsheet linked.");
+
+  const { data } = await rowsCache.readRows(sheet);
+  const rows = typeRows(data.rows || [], columnTypesOf(data.rows || [], sheet, data.numberFormats), data.timeZone);
+  const [header = []] = rows;
+  const at = (field) => columnIndex(header, sheet.columns, field);
+  const idx = {
+    device: at("device"),
+    status: at("status"),
+    type: at("type"),
+    completedAt: at("completedAt"),
+    completedBy: at("completedBy"),
+  };
+  const cell = (row, field) => (idx[field] === -1 ? null : row?.[idx[field]] ?? null);
+
+  const timeZone = digestTimeZone(data.timeZone || sheet.timeZone);
+  const now = new Date();
+  const day = dayIn(now, timeZone);
+  const entries = todaysEntries(project.id, sheet, day, timeZone);
+
+  const { devices, done, open } = splitByStatus(rows, sheet.columns);
+
+  let completedToday;
+  if (idx.completedAt !== -1) {
+    completedToday = done.filter((r) => isFilled(cell(r, "completedAt")) && dayIn(cell(r, "completedAt"), timeZone) === day);
+  } else {
+    const completedNow = new Map(done.map((r) => [String(cell(r, "device") ?? "").trim().toLowerCase(), r]));
+    completedToday = latestPerRow(entries, sheet, "status")
+      .filter((e) => typeValue(e.newValue, "boolean") === true)
+      .map((e) => completedNow.get(String(e.device || "").trim().toLowerCase()))
+      .filter(Boolean);
+  }
+
+  const byType = new Map();
+  open.forEach((r) => {
+    const type = String(cell(r, "type") ?? "").trim() || NO_TYPE;
+    byType.set(type, (byType.get(type) || 0) + 1);
+  });
+
+  const newComments = latestPerRow(entries, sheet, "comment")
+    .filter((e) => isFilled(e.newValue))
+    .map((e) => ({ device: e.device, comment: String(e.newValue), actor: e.actor, at: e.ts }));
+
+  return {
+    projectId: project.id,
+    projectName: project.name || project.id,
+    spreadsheetTitle: data.spreadsheetTitle || null,
+    sheetTitle: data.sheetTitle || sheet.sheetTitle || null,
+    date: day,
+    timeZone,
+    generatedAt: now.toISOString(),
+    total: devices.length,
+    completed: done.length,
+    remaining: open.length,
+    percent: devices.length ? Math.round((done.length / devices.length) * 100) : 0,
+    completedToday: completedToday.map((r) => ({
+      device: String(cell(r, "device") ?? ""),
+      type: String(cell(r, "type") ?? "").trim() || null,
+      completedBy: cell(r, "completedBy"),
+      completedAt: cell(r, "completedAt"),
+    })),
+    remainingByType: [...byType.entries()]
+      .map(([type, count]) => ({ type, count }))
+      .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type)),
+    newComments,
+  };
+}
+
+// ---------------- Render ----------------
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+
+function timeOf(value, timeZone) {
+  const date = new Date(value);
+  if (!isFilled(value) || Number.isNaN(date.getTime())) return "";
+  return new Intl.DateTimeFormat("en-US", { timeZone, hour: "numeric", minute: "2-digit" }).format(date);
+}
+
+function longDate(day) {
+  return new Intl.DateTimeFormat("en-US", { timeZone: "UTC", weekday: "long", month: "long", day: "numeric", year: "numeric" }).format(
+    new Date(`${day}T12:00:00Z`)
+  );
+}
+
+const CELL = "padding:6px 10px;border-bottom:1px solid #dee2e6;text-align:left;vertical-align:top;";
+const HEAD = `${CELL}background:#f8f9fa;font-weight:600;`;
+
+function table(headings, rows) {
+  const head = headings.map((h) => `<th style="${HEAD}">${escapeHtml(h)}</th>`).join("");
+  const body = rows.map((r) => `<tr>${r.map((c) => `<td style="${CELL}">${escapeHtml(c)}</td>`).join("")}</tr>`).join("");
+  return `<table cellspacing="0" cellpadding="0" style="border-collapse:collapse;width:100%;font-size:14px;"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function section(title, content) {
+  return `<h2 style="font-size:16px;margin:24px 0 8px;">${escapeHtml(title)}</h2>${content}`;
+}
+
+const more = (count) =>
+  count > MAX_LISTED ? `<p style="color:#6c757d;font-size:13px;">…and ${count - MAX_LISTED} more.</p>` : "";
+
+/** Subject, plain text and HTML of a digest. */
+function renderDigest(digest) {
+  const { timeZone } = digest;
+  const title = [digest.projectName, digest.sheetTitle].filter(Boolean).join(" – ");
+  const subject = `${digest.projectName}: ${digest.completedToday.length} completed today, ${digest.remaining} remaining`;
+
+  const text = [
+    `${title} — ${longDate(digest.date)}`,
+    "",
+    `Completed today: ${digest.completedToday.length}`,
+    `Overall: ${digest.completed} of ${digest.total} completed (${digest.percent}%), ${digest.remaining} remaining`,
+    "",
+    "Remaining by equipment type:",
+    ...(digest.remainingByType.length ? digest.remainingByType.map((t) => `  ${t.type}: ${t.count}`) : ["  none"]),
+    "",
+    "New comments:",
+    ...(digest.newComments.length
+      ? digest.newComments.map((c) => `  ${c.device} (${c.actor}, ${timeOf(c.at, timeZone)}): ${c.comment}`)
+      : ["  none"]),
+    "",
+  ].join("\n");
+
+  const stat = (value, label, color) =>
+    `<td style="padding:12px 16px;border:1px solid #dee2e6;border-radius:6px;text-align:center;">` +
+    `<div style="font-size:24px;font-weight:700;color:${color};">${escapeHtml(value)}</div>` +
+    `<div style="font-size:12px;color:#6c757d;">${escapeHtml(label)}</div></td>`;
+
+  const completedList = digest.completedToday.length
+    ? table(
+        ["Device", "Type", "By", "At"],
+        digest.completedToday
+          .slice(0, MAX_LISTED)
+          .map((d) => [d.device, d.type || "", d.completedBy || "", timeOf(d.completedAt, timeZone)])
+      ) + more(digest.completedToday.length)
+    : `<p style="color:#6c757d;">Nothing completed today.</p>`;
+
+  const byType = digest.remainingByType.length
+    ? table(["Equipment type", "Remaining"], digest.remainingByType.map((t) => [t.type, t.count]))
+    : `<p style="color:#198754;">Everything is completed.</p>`;
+
+  const comments = digest.newComments.length
+    ? table(
+        ["Device", "Comment", "By", "At"],
+        digest.newComments.slice(0, MAX_LISTED).map((c) => [c.device, c.comment, c.actor, timeOf(c.at, timeZone)])
+      ) + more(digest.newComments.length)
+    : `<p style="color:#6c757d;">No new comments today.</p>`;
+
+  const html = `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#ffffff;color:#212529;font-family:-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;">
+<div style="max-width:680px;margin:0 auto;">
+<h1 style="font-size:20px;margin:0 0 4px;">${escapeHtml(title)}</h1>
+<p style="margin:0 0 16px;color:#6c757d;">${escapeHtml(longDate(digest.date))} (${escapeHtml(timeZone)})</p>
+<table cellspacing="8" cellpadding="0" style="border-collapse:separate;"><tr>
+${stat(digest.completedToday.length, "completed today", "#198754")}
+${stat(digest.remaining, "remaining", "#dc3545")}
+${stat(`${digest.percent}%`, `of ${digest.total} done`, "#0d6efd")}
+</tr></table>
+${section("Completed today", completedList)}
+${section("Remaining by equipment type", byType)}
+${section("New comments", comments)}
+<p style="margin-top:24px;color:#adb5bd;font-size:12px;">Generated ${escapeHtml(digest.generatedAt)} from ${escapeHtml(digest.spreadsheetTitle || "the linked sheet")}.</p>
+</div>
+</body></html>`;
+
+  return { subject, text, html };
+}
+
+/** Build and email a project's digest (to DIGEST_TO unless `to` is given). */
+async function sendDigest(project, { to } = {}) {
+  const recipients = to && to.length ? to : digestRecipients();
+  if (recipients.length === 0) throw httpError(400, "No digest recipients. Set DIGEST_TO or pass 'to'.");
+  const digest = await buildDigest(project);
+  const { subject, text, html } = renderDigest(digest);
+  const sent = await sendMail({ to: recipients, subject, text, html });
+  return { subject, date: digest.date, ...sent };
+}
+
+module.exports = { buildDigest, renderDigest, sendDigest, digestRecipients, digestTimeZone, dayIn };
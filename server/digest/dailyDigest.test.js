@@ -0,0 +1,131 @@
+// server/digest/dailyDigest.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "digest-test-"));
+process.env.AUDIT_LOG_PATH = path.join(dir, "audit.jsonl");
+process.env.DIGEST_TIME_ZONE = "UTC";
+process.env.SMTP_HOST = "smtp.example.test";
+process.env.SMTP_FROM = "Tracker <tracker@example.test>";
+delete process.env.SMTP_USER;
+
+const nodemailer = require("nodemailer");
+const rowsCache = require("../storage/rowsCache");
+const auditLog = require("../storage/auditLog");
+const { buildDigest, renderDigest, sendDigest } = require("./dailyDigest");
+
+const HEADER = ["Device", "Equipment Type", "Completed", "Completed At", "Completed By", "Comment"];
+const PROJECT = { id: "lab", name: "Lab <Refresh>", spreadsheetId: "sheet-1", sheetId: 0 };
+const now = new Date().toISOString();
+
+beforeEach(() => {
+  jest.spyOn(rowsCache, "readRows").mockResolvedValue({
+    data: {
+      spreadsheetTitle: "Inventory",
+      sheetTitle: "Sheet1",
+      timeZone: "UTC",
+      rows: [
+        HEADER,
+        ["PC-01", "Laptop", true, now, "alice", ""],
+        ["PC-02", "Laptop", "TRUE", "2020-01-01T10:00:00Z", "bob", ""],
+        ["PC-03", "Desktop", false, "", "", ""],
+        ["", "", false, "", "", "spare charger"], // no Device, but filled in: Home lists it
+        ["", "", "", "", "", ""],
+      ],
+    },
+  });
+  fs.rmSync(process.env.AUDIT_LOG_PATH, { force: true });
+});
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("counts rows the way Home does and lists today's completions and comments", async () => {
+  auditLog.appendEntries([
+    { projectId: "lab", spreadsheetId: "sheet-1", sheetId: 0, device: "PC-03", key: "PC-03", field: "Comment", oldValue: "", newValue: "No charger", actor: "carol" },
+  ]);
+
+  const digest = await buildDigest(PROJECT);
+  expect(digest).toMatchObject({
+    projectName: "Lab <Refresh>",
+    sheetTitle: "Sheet1",
+    timeZone: "UTC",
+    total: 4,
+    completed: 2,
+    remaining: 2,
+    percent: 50,
+    completedToday: [{ device: "PC-01", type: "Laptop", completedBy: "alice" }],
+    remainingByType: [
+      { type: "(no type)", count: 1 },
+      { type: "Desktop", count: 1 },
+    ],
+    newComments: [{ device: "PC-03", comment: "No charger", actor: "carol" }],
+  });
+});
+
+test("renders a subject, plain text and escaped HTML", async () => {
+  const { subject, text, html } = renderDigest(await buildDigest(PROJECT));
+  expect(subject).toBe("Lab <Refresh>: 1 completed today, 2 remaining");
+  expect(text).toContain("Completed today: 1");
+  expect(text).toContain("Overall: 2 of 4 completed (50%), 2 remaining");
+  expect(text).toContain("  Desktop: 1");
+  expect(html).toContain("<h1 style=\"font-size:20px;margin:0 0 4px;\">Lab &lt;Refresh&gt; – Sheet1</h1>");
+  expect(html).toContain(">PC-01</td>");
+  expect(html).toContain("No new comments today.");
+  expect(html).not.toContain("<Refresh>");
+});
+
+test("sends the digest as one text + HTML message through the configured SMTP server", async () => {
+  const stub = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  const sent = jest.spyOn(stub, "sendMail");
+  const createTransport = jest.spyOn(nodemailer, "createTransport").mockReturnValue(stub);
+
+  const result = await sendDigest(PROJECT, { to: ["ops@example.test", "lead@example.test"] });
+  expect(result).toMatchObject({
+    subject: "Lab <Refresh>: 1 completed today, 2 remaining",
+    accepted: ["ops@example.test", "lead@example.test"],
+  });
+
+  expect(createTransport).toHaveBeenCalledWith(
+    expect.objectContaining({ host: "smtp.example.test", port: 587, secure: false, requireTLS: false, auth: undefined })
+  );
+  const { message } = await sent.mock.results[0].value;
+  const raw = message.toString("utf8");
+  expect(raw).toMatch(/^From: Tracker <tracker@example\.test>$/m);
+  expect(raw).toMatch(/^To: ops@example\.test, lead@example\.test$/m);
+  expect(raw).toMatch(/^Content-Type: multipart\/alternative;/m);
+  expect(raw).toMatch(/^Content-Type: text\/plain; charset=utf-8$/m);
+  expect(raw).toMatch(/^Content-Type: text\/html; charset=utf-8$/m);
+});
+
+test("credentials require TLS, and failures and a missing server are reported", async () => {
+  const failing = { sendMail: jest.fn().mockRejectedValue(Object.assign(new Error("auth"), { response: "535 Bad login" })), close: jest.fn() };
+  const createTransport = jest.spyOn(nodemailer, "createTransport").mockReturnValue(failing);
+  process.env.SMTP_USER = "tracker";
+  process.env.SMTP_PASS = "secret";
+  try {
+    await expect(sendDigest(PROJECT, { to: ["ops@example.test"] })).rejects.toMatchObject({
+      status: 502,
+      message: "Could not send email through smtp.example.test: 535 Bad login",
+      payload: { code: "SMTP_FAILED" },
+    });
+    expect(createTransport).toHaveBeenCalledWith(
+      expect.objectContaining({ requireTLS: true, auth: { user: "tracker", pass: "secret" } })
+    );
+    expect(failing.close).toHaveBeenCalled();
+
+    process.env.SMTP_HOST = "";
+    await expect(sendDigest(PROJECT, { to: ["ops@example.test"] })).rejects.toMatchObject({
+      status: 503,
+      payload: { code: "SMTP_NOT_CONFIGURED" },
+    });
+  } finally {
+    process.env.SMTP_HOST = "smtp.example.test";
+    delete process.env.SMTP_USER;
+    delete process.env.SMTP_PASS;
+  }
+});
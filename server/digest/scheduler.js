@@ -0,0 +1,90 @@
+// server/digest/scheduler.js
+/**
+ * Sends every linked project's daily digest (see dailyDigest.js) at
+ * DIGEST_TIME in the project's digest time zone. Checked twice a minute;
+ * each project gets at most one scheduled digest per day. A server that is
+ * down at DIGEST_TIME skips that day.
+ *
+ * Off unless SMTP is configured (see server/utils/mailer.js) and DIGEST_TO
+ * names at least one recipient.
+ *
+ * Env:
+ *   DIGEST_TIME       optional "HH:MM", 24-hour (default "17:00")
+ *   DIGEST_DAYS       optional weekdays to send on, e.g. "mon,tue,wed,thu,fri" (default every day)
+ *   DIGEST_PROJECTS   optional comma-separated project IDs (default every project with a linked sheet)
+ */
+
+const { listProjects } = require("../storage/projects");
+const { isMailConfigured } = require("../utils/mailer");
+const { sendDigest, digestRecipients, digestTimeZone, dayIn } = require("./dailyDigest");
+
+const TICK_MS = 30 * 1000;
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const listOf = (value) =>
+  String(value || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+/** "HH:MM" and weekday of a moment in a time zone. */
+function clockIn(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, hourCycle: "h23", hour: "2-digit", minute: "2-digit", weekday: "short" })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return { time: `${parts.hour}:${parts.minute}`, weekday: String(parts.weekday).slice(0, 3).toLowerCase() };
+}
+
+/**
+ * Start the schedule; returns the timer, or null (with a log line saying
+ * why) when it is off or misconfigured.
+ */
+function startDigestSchedule() {
+  if (!isMailConfigured() || digestRecipients().length === 0) {
+    console.log("[INFO] Email digest off (set SMTP_HOST, SMTP_FROM and DIGEST_TO to send it).");
+    return null;
+  }
+
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(process.env.DIGEST_TIME || "17:00").trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    console.error(`[ERROR] Email digest off: DIGEST_TIME '${process.env.DIGEST_TIME}' is not HH:MM.`);
+    return null;
+  }
+  const at = `${match[1].padStart(2, "0")}:${match[2]}`;
+
+  const days = listOf(process.env.DIGEST_DAYS).map((d) => d.slice(0, 3));
+  const unknownDay = days.find((d) => !WEEKDAYS.includes(d));
+  if (unknownDay) {
+    console.error(`[ERROR] Email digest off: DIGEST_DAYS has an unknown day '${unknownDay}'.`);
+    return null;
+  }
+  const only = listOf(process.env.DIGEST_PROJECTS);
+  const lastSent = new Map(); // projectId -> day
+
+  const tick = () => {
+    const now = new Date();
+    listProjects()
+      .filter((p) => p.spreadsheetId && (only.length === 0 || only.includes(p.id)))
+      .forEach((project) => {
+        const timeZone = digestTimeZone(project.timeZone);
+        const { time, weekday } = clockIn(now, timeZone);
+        const day = dayIn(now, timeZone);
+        if (time !== at || lastSent.get(project.id) === day) return;
+        if (days.length > 0 && !days.includes(weekday)) return;
+
+        lastSent.set(project.id, day);
+        sendDigest(project)
+          .then(({ accepted }) => console.log(`[INFO] Sent ${project.id} digest for ${day} to ${accepted.join(", ")}`))
+          .catch((err) => console.error(`[ERROR] Could not send ${project.id} digest:`, err.message));
+      });
+  };
+
+  console.log(`[INFO] Email digest scheduled daily at ${at} to ${digestRecipients().join(", ")}.`);
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { startDigestSchedule };
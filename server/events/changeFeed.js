@@ -0,0 +1,42 @@
+// server/events/changeFeed.js
+/**
+ * In-process pub/sub for row changes, fanned out to every open
+ * GET /events stream of the same project.
+ *
+ * Events:
+ *   { type: "cells",  projectId, spreadsheetId, sheetId, actor, changes: [{ device, key, cells: { [colName]: typed value }, version }] }
+ *   { type: "linked", projectId, spreadsheetId, sheetId, sheetTitle }
+ *   { type: "columns", projectId, columns, types, headerRow }   (the column mapping changed)
+ *   { type: "note",   projectId, spreadsheetId, sheetId, actor, note: { id, key, device, author, createdAt, text } }
+ *
+ * Only changes made through this server process are seen; edits made
+ * directly in the spreadsheet still need a normal rows refresh.
+ */
+
+// projectId -> Set of listeners (one per connected browser). A plain map, not
+// an EventEmitter keyed by project id: a project named "error" must not throw.
+const listeners = new Map();
+
+let sequence = 0;
+
+/** Broadcast an event to the project's subscribers; returns it with its id/ts. */
+function publish(projectId, event) {
+  const full = { id: ++sequence, ts: new Date().toISOString(), projectId, ...event };
+  // Copied so a listener may unsubscribe while being called
+  for (const listener of [...(listeners.get(projectId) || [])]) listener(full);
+  return full;
+}
+
+/** Listen to one project's events; returns the unsubscribe function. */
+function subscribe(projectId, listener) {
+  if (!listeners.has(projectId)) listeners.set(projectId, new Set());
+  listeners.get(projectId).add(listener);
+  return () => {
+    const set = listeners.get(projectId);
+    if (!set) return;
+    set.delete(listener);
+    if (set.size === 0) listeners.delete(projectId);
+  };
+}
+
+module.exports = { publish, subscribe };
@@ -0,0 +1,45 @@
+// server/events/changeFeed.test.js
+const { publish, subscribe } = require("./changeFeed");
+
+test("subscribers get their own project's events, with an id and timestamp", () => {
+  const seen = [];
+  const other = [];
+  const stop = subscribe("alpha", (e) => seen.push(e));
+  const stopOther = subscribe("beta", (e) => other.push(e));
+
+  const event = publish("alpha", { type: "cells", changes: [] });
+  expect(event).toMatchObject({ projectId: "alpha", type: "cells" });
+  expect(typeof event.id).toBe("number");
+  expect(seen).toEqual([event]);
+  expect(other).toEqual([]);
+
+  stop();
+  publish("alpha", { type: "cells", changes: [] });
+  expect(seen).toHaveLength(1);
+  stopOther();
+});
+
+test("publishing to a project named like an EventEmitter event never throws", () => {
+  expect(() => publish("error", { type: "cells", changes: [] })).not.toThrow();
+  expect(() => publish("newListener", { type: "cells", changes: [] })).not.toThrow();
+
+  const seen = [];
+  const stop = subscribe("error", (e) => seen.push(e.type));
+  publish("error", { type: "linked" });
+  expect(seen).toEqual(["linked"]);
+  stop();
+});
+
+test("a listener may unsubscribe while being called", () => {
+  const calls = [];
+  const stopFirst = subscribe("gamma", () => {
+    calls.push("first");
+    stopFirst();
+  });
+  const stopSecond = subscribe("gamma", () => calls.push("second"));
+
+  publish("gamma", { type: "cells", changes: [] });
+  publish("gamma", { type: "cells", changes: [] });
+  expect(calls).toEqual(["first", "second", "second"]);
+  stopSecond();
+});
@@ -0,0 +1,264 @@
+// server/events/webhookDispatcher.js
+/**
+ * Sends events to a project's webhook subscriptions (see
+ * server/storage/webhooks.js).
+ *
+ * Events, raised by writes made through the API (notifyWrites):
+ *   device.completed     a row went from not completed to completed
+ *   device.uncompleted   a completed row was reopened
+ *   comment.changed      a row's comment changed
+ *   milestone.reached    the share of completed rows reached one of WEBHOOK_MILESTONES
+ *                        (counted as Home and the daily digest count them)
+ *   ping                 only sent by POST /webhooks/:id/test
+ *
+ * Payload (JSON body of a POST):
+ *   { id, event, ts, projectId, spreadsheetId, sheetId, actor, text, data }
+ *   `text` is a one-line summary, so a chat tool's incoming webhook shows
+ *   something readable; `data` holds the details (typed cell values).
+ *
+ * Headers:
+ *   X-Webhook-Event       the event
+ *   X-Webhook-Delivery    the payload id (the same on every retry)
+ *   X-Webhook-Signature   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed with the secret>
+ *
+ * Delivery: network errors, timeouts, 408, 429 and 5xx are retried with
+ * jittered exponential backoff; every attempt is written to the delivery
+ * log. Pending retries live in memory, so a restart drops them.
+ *
+ * Env:
+ *   WEBHOOK_MILESTONES      optional comma-separated percentages (default "50,90,100")
+ *   WEBHOOK_TIMEOUT_MS      optional per-attempt timeout in ms (default 5000)
+ *   WEBHOOK_MAX_ATTEMPTS    optional attempts per delivery, first included (default 5)
+ *   WEBHOOK_RETRY_BASE_MS   optional first retry delay in ms, doubled per retry (default 2000)
+ */
+
+const crypto = require("crypto");
+const rowsCache = require("../storage/rowsCache");
+const webhooks = require("../storage/webhooks");
+const { columnIndex } = require("../storage/sheetUtils");
+const { typeCells, columnTypesOf, typeRows, splitByStatus } = require("../storage/cellTypes");
+
+function envInt(name, fallback, min) {
+  const parsed = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+const TIMEOUT_MS = envInt("WEBHOOK_TIMEOUT_MS", 5000, 1);
+const MAX_ATTEMPTS = envInt("WEBHOOK_MAX_ATTEMPTS", 5, 1);
+const RETRY_BASE_MS = envInt("WEBHOOK_RETRY_BASE_MS", 2000, 0);
+
+const MILESTONES = String(process.env.WEBHOOK_MILESTONES || "50,90,100")
+  .split(",")
+  .map((s) => Number(s.trim()))
+  .filter((n) => Number.isFinite(n) && n > 0 && n <= 100)
+  .sort((a, b) => a - b);
+
+const USER_AGENT = "CNH-Tracker-Webhook/1";
+
+// ---------------- Delivery ----------------
+
+function signature(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/** Jittered exponential backoff before attempt `attempt + 1`. */
+function retryDelayMs(attempt) {
+  const base = RETRY_BASE_MS * 2 ** (attempt - 1);
+  return Math.round(base / 2 + Math.random() * (base / 2));
+}
+
+/**
+ * POST the payload once; schedules the next attempt when the failure is
+ * worth retrying. Returns { ok, status, error, attempt, nextAttemptAt }.
+ */
+async function attemptDelivery(webhook, payload, attempt) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let status = null;
+  let error = null;
+
+  try {
+    const resp = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": USER_AGENT,
+        "X-Webhook-Event": payload.event,
+        "X-Webhook-Delivery": payload.id,
+        "X-Webhook-Signature": `t=${timestamp},v1=${signature(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    status = resp.status;
+    await resp.arrayBuffer().catch(() => null);
+    if (status < 200 || status >= 300) error = `Receiver answered ${status}.`;
+  } catch (err) {
+    error = err?.name === "TimeoutError" ? `No answer within ${TIMEOUT_MS} ms.` : err?.cause?.code || err?.message || "Request failed.";
+  }
+
+  const ok = error === null;
+  const retryable = !ok && (status === null || status === 408 || status === 429 || status >= 500);
+  const delay = retryable && attempt < MAX_ATTEMPTS ? retryDelayMs(attempt) : null;
+  const nextAttemptAt = delay === null ? null : new Date(Date.now() + delay).toISOString();
+
+  webhooks.appendDelivery({
+    deliveryId: payload.id,
+    webhookId: webhook.id,
+    projectId: webhook.projectId,
+    event: payload.event,
+    attempt,
+    ok,
+    status,
+    error,
+    durationMs: Date.now() - started,
+    nextAttemptAt,
+  });
+
+  if (delay !== null) {
+    setTimeout(() => retryDelivery(webhook, payload, attempt + 1), delay).unref();
+  }
+  return { ok, status, error, attempt, nextAttemptAt };
+}
+
+/** Retry with the subscription as it is now; deleted or paused ones get nothing more. */
+function retryDelivery(webhook, payload, attempt) {
+  let current;
+  try {
+    current = webhooks.getWebhook(webhook.projectId, webhook.id);
+  } catch {
+    return;
+  }
+  if (!current.active) return;
+  attemptDelivery(current, payload, attempt).catch((err) =>
+    console.error(`[ERROR] Webhook ${webhook.id} retry failed:`, err.message)
+  );
+}
+
+function payloadFor(event, context, text, data) {
+  return {
+    id: crypto.randomUUID(),
+    event,
+    ts: new Date().toISOString(),
+    projectId: context.projectId,
+    spreadsheetId: context.sheet?.spreadsheetId ?? null,
+    sheetId: context.sheet?.sheetId ?? null,
+    actor: context.actor ?? null,
+    text,
+    data,
+  };
+}
+
+/** Send one event to every active subscription that wants it. */
+function dispatch(event, context, text, data) {
+  webhooks.subscribersFor(context.projectId, event).forEach((webhook) => {
+    attemptDelivery(webhook, payloadFor(event, context, text, data), 1).catch((err) =>
+      console.error(`[ERROR] Webhook ${webhook.id} delivery failed:`, err.message)
+    );
+  });
+}
+
+// ---------------- Events from writes ----------------
+
+/** The logical field (status, comment, ...) a written column maps to, if any. */
+function fieldOf(colName, map, fields) {
+  return fields.find((f) => columnIndex([colName], map, f) === 0) || null;
+}
+
+/** Completed / total devices of the tab, from the rows cache (see splitByStatus). */
+async function progressOf(sheet) {
+  const { data } = await rowsCache.readRows(sheet);
+  const raw = data.rows || [];
+  if (columnIndex(raw[0] || [], sheet.columns, "status") === -1) return null;
+  const rows = typeRows(raw, columnTypesOf(raw, sheet, data.numberFormats), data.timeZone);
+  const { devices, done } = splitByStatus(rows, sheet.columns);
+  return { completed: done.length, total: devices.length };
+}
+
+/** Announce milestones the tab's progress has newly reached. */
+async function checkMilestones(context) {
+  if (MILESTONES.length === 0 || webhooks.subscribersFor(context.projectId, "milestone.reached").length === 0) {
+    return;
+  }
+  const progress = await progressOf(context.sheet);
+  if (!progress || progress.total === 0) return;
+
+  const percent = (progress.completed * 100) / progress.total;
+  const tab = `${context.sheet.spreadsheetId}::${context.sheet.sheetId ?? ""}`;
+  const before = webhooks.reachedMilestones(context.projectId, tab);
+  const reached = MILESTONES.filter((m) => percent >= m);
+  const fresh = reached.filter((m) => !before.includes(m));
+  if (fresh.length === 0 && reached.length === before.length) return;
+
+  webhooks.setReachedMilestones(context.projectId, tab, reached);
+  // Only the highest one when several are crossed at once
+  if (fresh.length > 0) {
+    const milestone = fresh[fresh.length - 1];
+    dispatch(
+      "milestone.reached",
+      context,
+      `${milestone}% complete: ${progress.completed} of ${progress.total} devices done.`,
+      { milestone, percent: Math.floor(percent), ...progress }
+    );
+  }
+}
+
+/**
+ * Raise webhook events for successful writes
+ * ([{ device, key, previous, written }], as the router records them).
+ * context: { projectId, sheet, actor }. Never throws; delivery runs in the
+ * background.
+ */
+async function notifyWrites(context, writes) {
+  try {
+    let statusChanged = false;
+    writes.forEach(({ device, key, previous, written }) => {
+      const before = typeCells(previous, context.sheet);
+      const after = typeCells(written, context.sheet);
+      const byField = {};
+      Object.keys(written).forEach((colName) => {
+        const field = fieldOf(colName, context.sheet.columns, ["status", "comment", "completedAt", "completedBy"]);
+        if (field) byField[field] = colName;
+      });
+      const row = { device, key };
+
+      if (byField.status) {
+        const was = before[byField.status] === true;
+        const now = after[byField.status] === true;
+        if (now && !was) {
+          const completedBy = byField.completedBy ? after[byField.completedBy] : null;
+          const text = completedBy ? `${device} completed by ${completedBy}.` : `${device} completed.`;
+          const completedAt = byField.completedAt ? after[byField.completedAt] : null;
+          dispatch("device.completed", context, text, { ...row, completedBy, completedAt });
+        } else if (was && !now) {
+          dispatch("device.uncompleted", context, `${device} reopened.`, row);
+        }
+        statusChanged = statusChanged || now !== was;
+      }
+
+      if (byField.comment) {
+        const comment = after[byField.comment] ?? "";
+        const previousComment = before[byField.comment] ?? "";
+        if (comment !== previousComment) {
+          const text = comment ? `Comment on ${device}: ${comment}` : `Comment on ${device} cleared.`;
+          dispatch("comment.changed", context, text, { ...row, comment, previous: previousComment });
+        }
+      }
+    });
+
+    if (statusChanged) await checkMilestones(context);
+  } catch (err) {
+    console.error(`[ERROR] Could not raise webhook events for ${context.projectId}:`, err.message);
+  }
+}
+
+/** Send a "ping" to one subscription now; resolves with the first attempt's outcome. */
+function sendTest(projectId, webhookId) {
+  const webhook = webhooks.getWebhook(projectId, webhookId);
+  const payload = payloadFor("ping", { projectId }, "Webhook test from the tracker.", { webhookId });
+  return attemptDelivery(webhook, payload, 1).then((outcome) => ({ deliveryId: payload.id, ...outcome }));
+}
+
+module.exports = { notifyWrites, sendTest };
@@ -0,0 +1,156 @@
+// server/events/webhookDispatcher.test.js
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-test-"));
+process.env.WEBHOOKS_STORE = path.join(dir, "webhooks.json");
+process.env.WEBHOOK_LOG_PATH = path.join(dir, "webhookDeliveries.jsonl");
+process.env.WEBHOOK_MAX_ATTEMPTS = "1";
+
+const rowsCache = require("../storage/rowsCache");
+const webhooks = require("../storage/webhooks");
+const { notifyWrites, sendTest } = require("./webhookDispatcher");
+
+const SECRET = "whsec_test-secret";
+
+// A receiver that records each delivery and answers `nextStatus`
+let receiver;
+let deliveries;
+let nextStatus;
+beforeAll(async () => {
+  receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      deliveries.push({ headers: req.headers, body: Buffer.concat(chunks).toString("utf8") });
+      res.statusCode = nextStatus;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+});
+afterAll(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+beforeEach(() => {
+  fs.rmSync(process.env.WEBHOOKS_STORE, { force: true });
+  fs.rmSync(process.env.WEBHOOK_LOG_PATH, { force: true });
+  deliveries = [];
+  nextStatus = 204;
+});
+
+function subscribe(projectId, events = ["device.completed"]) {
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  return webhooks.createWebhook(projectId, { url, events, secret: SECRET }).webhook;
+}
+
+/** { t, v1 } from an X-Webhook-Signature header. */
+function parseSignature(header) {
+  return Object.fromEntries(String(header).split(",").map((part) => part.split("=")));
+}
+
+const hmac = (secret, text) => crypto.createHmac("sha256", secret).update(text).digest("hex");
+
+async function waitForDeliveries(count) {
+  const deadline = Date.now() + 2000;
+  while (deliveries.length < count && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return deliveries;
+}
+
+test("deliveries are signed with HMAC-SHA256 of '<t>.<body>' keyed with the secret", async () => {
+  const webhook = subscribe("alpha");
+  const outcome = await sendTest("alpha", webhook.id);
+  expect(outcome).toMatchObject({ ok: true, status: 204, attempt: 1 });
+
+  const [{ headers, body }] = deliveries;
+  const { t, v1 } = parseSignature(headers["x-webhook-signature"]);
+  expect(Math.abs(Date.now() / 1000 - Number(t))).toBeLessThan(5);
+  expect(v1).toBe(hmac(SECRET, `${t}.${body}`));
+  expect(v1).not.toBe(hmac("whsec_other-secret", `${t}.${body}`));
+  expect(v1).not.toBe(hmac(SECRET, `${t}.${body.replace("ping", "pong")}`));
+
+  expect(headers["x-webhook-event"]).toBe("ping");
+  expect(headers["x-webhook-delivery"]).toBe(outcome.deliveryId);
+  expect(JSON.parse(body)).toMatchObject({ id: outcome.deliveryId, event: "ping", projectId: "alpha" });
+});
+
+test("a generated secret signs deliveries too, and only its prefix is listed", async () => {
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  const { webhook, secret } = webhooks.createWebhook("beta", { url, events: ["device.completed"] });
+  expect(secret).toMatch(/^whsec_/);
+  expect(webhooks.listWebhooks("beta")).toEqual([expect.objectContaining({ secretPrefix: secret.slice(0, 6) })]);
+  expect(JSON.stringify(webhooks.listWebhooks("beta"))).not.toContain(secret);
+
+  await sendTest("beta", webhook.id);
+  const [{ headers, body }] = deliveries;
+  const { t, v1 } = parseSignature(headers["x-webhook-signature"]);
+  expect(v1).toBe(hmac(secret, `${t}.${body}`));
+});
+
+test("a completed write is delivered signed with the subscription's current secret", async () => {
+  const webhook = subscribe("gamma");
+  webhooks.updateWebhook("gamma", webhook.id, { secret: "whsec_rotated" });
+
+  await notifyWrites({ projectId: "gamma", sheet: { spreadsheetId: "s1", sheetId: 0 }, actor: "alice" }, [
+    { device: "PC-01", key: "PC-01", previous: { Completed: false }, written: { Completed: true } },
+  ]);
+  const [{ headers, body }] = await waitForDeliveries(1);
+
+  const { t, v1 } = parseSignature(headers["x-webhook-signature"]);
+  expect(v1).toBe(hmac("whsec_rotated", `${t}.${body}`));
+  expect(v1).not.toBe(hmac(SECRET, `${t}.${body}`));
+  expect(JSON.parse(body)).toMatchObject({
+    event: "device.completed",
+    projectId: "gamma",
+    actor: "alice",
+    text: "PC-01 completed.",
+    data: { device: "PC-01" },
+  });
+});
+
+test("every attempt is logged; a failed one with the receiver's status", async () => {
+  const webhook = subscribe("delta");
+  nextStatus = 503;
+  const outcome = await sendTest("delta", webhook.id);
+  expect(outcome).toMatchObject({ ok: false, status: 503, nextAttemptAt: null });
+
+  expect(webhooks.readDeliveries({ projectId: "delta" })).toEqual([
+    expect.objectContaining({ webhookId: webhook.id, event: "ping", attempt: 1, ok: false, status: 503 }),
+  ]);
+});
+
+test("milestones count rows the way Home and the digest do", async () => {
+  const readRows = jest.spyOn(rowsCache, "readRows").mockResolvedValue({
+    data: {
+      timeZone: "UTC",
+      rows: [
+        ["Device", "Completed", "Comment"],
+        ["PC-01", true, ""],
+        ["PC-02", false, ""],
+        ["", false, "spare charger"], // no Device, but filled in: counted
+        ["PC-03", "yes", ""],
+        ["", "", ""],
+      ],
+    },
+  });
+  subscribe("epsilon", ["milestone.reached"]);
+  try {
+    await notifyWrites({ projectId: "epsilon", sheet: { spreadsheetId: "s1", sheetId: 0 } }, [
+      { device: "PC-01", key: "PC-01", previous: { Completed: false }, written: { Completed: true } },
+    ]);
+    const [{ body }] = await waitForDeliveries(1);
+    expect(JSON.parse(body)).toMatchObject({
+      event: "milestone.reached",
+      text: "50% complete: 2 of 4 devices done.",
+      data: { milestone: 50, completed: 2, total: 4 },
+    });
+  } finally {
+    readRows.mockRestore();
+  }
+});
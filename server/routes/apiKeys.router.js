@@ -0,0 +1,83 @@
+// server/routes/apiKeys.router.js
+/**
+ * API Keys Router (Express) – admin only.
+ * Endpoints:
+ *   GET    /apiKeys                -> list keys with status (never the secrets)
+ *   POST   /apiKeys                -> issue a key { label, scope: "read"|"write", notBefore?, expiresAt? }
+ *                                     responds with the plain key once
+ *   POST   /apiKeys/:keyId/rotate  -> issue a replacement; the old key stays valid
+ *                                     for { graceHours } (default 24)
+ *   DELETE /apiKeys/:keyId         -> revoke a key immediately
+ */
+
+const express = require("express");
+const { SCOPES, listKeys, createKey, revokeKey, rotateKey } = require("../auth/apiKeys");
+const { requireRole } = require("../auth/roles");
+const { handleError } = require("../utils/respond");
+const { validate } = require("../utils/validate");
+
+const router = express.Router();
+router.use(express.json());
+router.use(requireRole("admin"));
+
+// ---------------- Schemas ----------------
+
+const DATE = { type: "string", maxLength: 40 };
+const SCHEMAS = {
+  create: {
+    body: {
+      label: { type: "string", required: true, maxLength: 100 },
+      scope: {
+        type: "string",
+        required: true,
+        check: (v) => (SCOPES.includes(v.toLowerCase()) ? undefined : `must be one of: ${SCOPES.join(", ")}`),
+      },
+      notBefore: DATE,
+      expiresAt: DATE,
+    },
+  },
+  rotate: { body: { graceHours: { type: "number", min: 0, max: 24 * 365 } } },
+};
+
+router.get("/", (_req, res) => {
+  try {
+    return res.status(200).json({ ok: true, keys: listKeys() });
+  } catch (err) {
+    return handleError(res, err, "Failed to list API keys");
+  }
+});
+
+router.post("/", validate(SCHEMAS.create), (req, res) => {
+  try {
+    const { key, apiKey } = createKey({
+      label: req.body.label,
+      scope: req.body.scope.toLowerCase(),
+      notBefore: req.body.notBefore,
+      expiresAt: req.body.expiresAt,
+    });
+    return res.status(201).json({ ok: true, key, apiKey });
+  } catch (err) {
+    return handleError(res, err, "Failed to create API key");
+  }
+});
+
+router.post("/:keyId/rotate", validate(SCHEMAS.rotate), (req, res) => {
+  try {
+    const { key, apiKey, previous } = rotateKey(req.params.keyId, {
+      graceHours: req.body.graceHours,
+    });
+    return res.status(201).json({ ok: true, key, apiKey, previous });
+  } catch (err) {
+    return handleError(res, err, "Failed to rotate API key");
+  }
+});
+
+router.delete("/:keyId", (req, res) => {
+  try {
+    return res.status(200).json({ ok: true, key: revokeKey(req.params.keyId) });
+  } catch (err) {
+    return handleError(res, err, "Failed to revoke API key");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+// server/routes/auth.router.js
+/**
+ * Auth Router (Express) – public, mounted before the authenticate middleware.
+ * Endpoints:
+ *   POST /auth/register   -> create an account { username, password } and sign in
+ *   POST /auth/login      -> sign in { username, password } (sets the session cookie)
+ *   POST /auth/logout     -> end the current session
+ *   GET  /auth/me         -> the signed-in user (401 when signed out)
+ *
+ * Sign-ups are closed unless ALLOW_REGISTRATION=true, and always make viewers
+ * until an admin changes their role; otherwise admins add accounts (POST
+ * /api/users). The first admin comes from the operator (see auth/users.js).
+ */
+
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const { createUser, authenticate } = require("../auth/users");
+const {
+  createSession,
+  deleteSession,
+  readSessionCookie,
+  setSessionCookie,
+  clearSessionCookie,
+} = require("../auth/sessions");
+const { sessionIdentity } = require("../auth/authenticate");
+const { handleError } = require("../utils/respond");
+const { validate } = require("../utils/validate");
+
+const router = express.Router();
+router.use(express.json());
+
+// Slow down password guessing: 20 attempts per IP per 15 minutes
+const credentialsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { ok: false, error: "Too many attempts. Try again later." },
+});
+
+// Passwords are taken exactly as typed; the cap keeps hashing cheap
+const CREDENTIALS = {
+  body: {
+    username: { type: "string", required: true, maxLength: 64 },
+    password: { type: "string", required: true, maxLength: 256, raw: true },
+  },
+};
+
+const registrationOpen = () =>
+  String(process.env.ALLOW_REGISTRATION || "").trim().toLowerCase() === "true";
+
+function startSession(res, user) {
+  setSessionCookie(res, createSession(user.id));
+}
+
+router.post("/register", credentialsLimiter, validate(CREDENTIALS), async (req, res) => {
+  try {
+    if (!registrationOpen()) {
+      return res.status(403).json({ ok: false, error: "Registration is closed." });
+    }
+    const user = await createUser({
+      username: req.body.username,
+      password: req.body.password,
+    });
+    startSession(res, user);
+    return res.status(201).json({ ok: true, user });
+  } catch (err) {
+    return handleError(res, err, "Failed to register");
+  }
+});
+
+router.post("/login", credentialsLimiter, validate(CREDENTIALS), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = await authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ ok: false, error: "Invalid username or password." });
+    }
+
+    startSession(res, user);
+    return res.status(200).json({ ok: true, user });
+  } catch (err) {
+    return handleError(res, err, "Failed to log in");
+  }
+});
+
+router.post("/logout", (req, res) => {
+  deleteSession(readSessionCookie(req));
+  clearSessionCookie(res);
+  return res.status(200).json({ ok: true });
+});
+
+router.get("/me", (req, res) => {
+  const identity = sessionIdentity(req);
+  if (!identity) {
+    return res.status(401).json({ ok: false, error: "Not signed in." });
+  }
+  const { userId, username, role } = identity;
+  return res.status(200).json({ ok: true, user: { id: userId, username, role } });
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// server/routes/auth.router.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-router-test-"));
+process.env.USERS_STORE = path.join(dir, "users.json");
+process.env.SESSIONS_STORE = path.join(dir, "sessions.json");
+process.env.API_KEYS_STORE = path.join(dir, "apiKeys.json");
+
+const express = require("express");
+const authRouter = require("./auth.router");
+const { createUser } = require("../auth/users");
+
+let server;
+let origin;
+beforeAll(async () => {
+  const app = express();
+  app.use("/api/auth", authRouter);
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+afterEach(() => {
+  delete process.env.ALLOW_REGISTRATION;
+});
+
+function post(route, body, headers = {}) {
+  return fetch(`${origin}/api/auth${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+test("registration is closed unless ALLOW_REGISTRATION=true", async () => {
+  const res = await post("/register", { username: "walk-in", password: "walk-in-password" });
+  expect(res.status).toBe(403);
+  expect(fs.existsSync(process.env.USERS_STORE)).toBe(false);
+});
+
+test("an open sign-up makes a viewer, even as the first account", async () => {
+  process.env.ALLOW_REGISTRATION = "true";
+  const res = await post("/register", { username: "first-in", password: "first-in-password" });
+  expect(res.status).toBe(201);
+  expect((await res.json()).user).toMatchObject({ username: "first-in", role: "viewer" });
+});
+
+test("login sets a session cookie that /me and /logout honour", async () => {
+  await createUser({ username: "admin", password: "admin-password", role: "admin" });
+
+  expect((await post("/login", { username: "admin", password: "wrong-password" })).status).toBe(401);
+
+  const login = await post("/login", { username: "admin", password: "admin-password" });
+  expect(login.status).toBe(200);
+  const cookie = String(login.headers.get("set-cookie")).split(";")[0];
+  expect(login.headers.get("set-cookie")).toMatch(/HttpOnly/i);
+
+  const me = await fetch(`${origin}/api/auth/me`, { headers: { Cookie: cookie } });
+  expect(await me.json()).toMatchObject({ ok: true, user: { username: "admin", role: "admin" } });
+
+  await post("/logout", {}, { Cookie: cookie });
+  expect((await fetch(`${origin}/api/auth/me`, { headers: { Cookie: cookie } })).status).toBe(401);
+});
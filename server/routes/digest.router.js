@@ -0,0 +1,61 @@
+// server/routes/digest.router.js
+/**
+ * Daily Digest Router (Express), mounted inside the sheets router (so under
+ * /api/projects/:projectId/digest and /api/googleSheets/digest).
+ * Endpoints:
+ *   GET  /digest           -> today's digest as JSON (viewer)
+ *   GET  /digest/preview   -> the digest email as HTML, ?format=text for the plain part (viewer)
+ *   POST /digest/send      -> email it now to { to? } or DIGEST_TO (admin)
+ *
+ * Content and counting: see server/digest/dailyDigest.js; the schedule:
+ * server/digest/scheduler.js; SMTP settings: server/utils/mailer.js.
+ */
+
+const express = require("express");
+const { buildDigest, renderDigest, sendDigest } = require("../digest/dailyDigest");
+const { requireRole } = require("../auth/roles");
+const { handleError } = require("../utils/respond");
+const { validate } = require("../utils/validate");
+
+const router = express.Router({ mergeParams: true });
+router.use(express.json());
+
+// ---------------- Schemas ----------------
+
+const EMAIL = { type: "string", maxLength: 254, pattern: /^[^\s@<>,;]+@[^\s@<>,;]+$/ };
+const SCHEMAS = {
+  preview: { query: { format: { type: "string", oneOf: ["html", "text"] } } },
+  send: { body: { to: { type: "array", minItems: 1, maxItems: 20, items: EMAIL } } },
+};
+
+// ---------------- Routes ----------------
+
+router.get("/", requireRole("viewer"), async (req, res) => {
+  try {
+    return res.status(200).json({ ok: true, digest: await buildDigest(req.project) });
+  } catch (err) {
+    return handleError(res, err, "Failed to build digest");
+  }
+});
+
+router.get("/preview", requireRole("viewer"), validate(SCHEMAS.preview), async (req, res) => {
+  try {
+    const { subject, text, html } = renderDigest(await buildDigest(req.project));
+    res.set("Cache-Control", "no-store");
+    if (req.query.format === "text") return res.status(200).type("text/plain").send(`Subject: ${subject}\n\n${text}`);
+    return res.status(200).type("html").send(html);
+  } catch (err) {
+    return handleError(res, err, "Failed to build digest");
+  }
+});
+
+router.post("/send", requireRole("admin"), validate(SCHEMAS.send), async (req, res) => {
+  try {
+    const sent = await sendDigest(req.project, { to: req.body.to });
+    return res.status(200).json({ ok: true, ...sent });
+  } catch (err) {
+    return handleError(res, err, "Failed to send digest");
+  }
+});
+
+module.exports = router;
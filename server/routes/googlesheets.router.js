@@ -2,235 +2,434 @@
 /**
  * Google Sheets Router (Express)
  * Endpoints:
- *   POST /google-sheets/link           -> link a sheet for future reads/writes
- *   GET  /google-sheets/rows           -> read all rows from FIRST tab
- *   PUT  /google-sheets/complete       -> set Completed=true for a Device
- *   PUT  /google-sheets/incomplete     -> set Completed=false for a Device
+ *   POST /google-sheets/link           -> link a sheet (and tab) for future reads/writes
+ *   GET  /google-sheets/tabs           -> list tabs with row counts
+ *   GET  /google-sheets/rows           -> read all rows from the linked tab (cached, ETag) + row versions
+ *   GET  /google-sheets/columns        -> the linked sheet's column mapping and what it resolves to
+ *   PUT  /google-sheets/columns        -> save the column mapping
+ *   GET  /google-sheets/lint           -> data-quality findings for the linked tab
+ *   POST /google-sheets/lint/fix       -> preview (dryRun) or apply the safe fixes of findings
+ *   PUT  /google-sheets/complete       -> set Completed=true (+ Completed At/By) for a Device
+ *   PUT  /google-sheets/incomplete     -> set Completed=false (clears Completed At/By)
  *   PUT  /google-sheets/comment        -> update Comment for a Device
+ *   POST /google-sheets/batch          -> complete/incomplete/comment many Devices at once
+ *   GET  /google-sheets/notes          -> a Device's notes thread (?key= or ?device=)
+ *   POST /google-sheets/notes          -> add a note to a Device (the Comment column shows the latest)
+ *   GET  /google-sheets/history        -> audit trail of changes (optionally ?device=)
+ *   GET  /google-sheets/queue          -> write queue depth and counters for the linked spreadsheet
+ *   GET  /google-sheets/events         -> Server-Sent Events stream of live row changes
+ *   ...  /google-sheets/webhooks       -> outbound webhook subscriptions (see webhooks.router.js)
+ *   ...  /google-sheets/digest         -> daily email digest: JSON, HTML preview, send now (see digest.router.js)
  *
- * Auth:
- *   Service Account with Sheets API. Share the spreadsheet with the SA email.
+ * Reads and writes go through the storage provider (server/storage/index.js).
  *
- * Env:
- *   ACTIVE_SHEET_STORE               optional path to persist active sheet id
- *   GOOGLE_APPLICATION_CREDENTIALS   absolute path to SA JSON key
- *      OR
- *   GOOGLE_SA_CLIENT_EMAIL / GOOGLE_SA_PRIVATE_KEY
+ * Roles (see server/auth/roles.js):
+ *   viewer      GET /rows, /history, /events, /lint, /digest, GET /notes
+ *   technician  /complete, /incomplete, /comment, /batch, POST /notes
+ *   admin       /link, /tabs, PUT /columns, /lint/fix, /queue, /webhooks, /digest/send
+ *
+ * Every write accepts POST and PUT alike, and the single-segment routes also
+ * answer googleSheets.php's form, `?action=<route>` on the router's root.
+ * Mounted at /api/projects/:projectId and, for the "default" project, at
+ * /api/googleSheets.
  */
 
+const crypto = require("crypto");
 const express = require("express");
-const fs = require("fs");
-const path = require("path");
-const { google } = require("googleapis");
-
-const router = express.Router();
+const storage = require("../storage");
+const rowsCache = require("../storage/rowsCache");
+const auditLog = require("../storage/auditLog");
+const writeQueue = require("../storage/writeQueue");
+const changeFeed = require("../events/changeFeed");
+const webhookDispatcher = require("../events/webhookDispatcher");
+const webhooksRouter = require("./webhooks.router");
+const digestRouter = require("./digest.router");
+const {
+  DEFAULT_PROJECT_ID,
+  getProject,
+  updateProject,
+  projectTarget,
+} = require("../storage/projects");
+const {
+  normalizeSpreadsheetId,
+  rowVersion,
+  keyColumnsOf,
+  duplicateKeys,
+  refOf,
+  locateRow,
+  rowKeyOf,
+  columnIndex,
+  COLUMN_FIELDS,
+  normalizeColumnMap,
+  resolveColumns,
+} = require("../storage/sheetUtils");
+const {
+  CELL_TYPES,
+  normalizeColumnTypes,
+  columnTypesOf,
+  typeRows,
+  typeCells,
+} = require("../storage/cellTypes");
+const { lintRows } = require("../storage/sheetLint");
+const { requireRole } = require("../auth/roles");
+const { handleError } = require("../utils/respond");
+const { validate } = require("../utils/validate");
+
+const router = express.Router({ mergeParams: true });
+
+const BATCH_OPS = ["complete", "incomplete", "comment"];
+const MAX_BATCH_SIZE = 500;
+const MAX_NAME_LENGTH = 100;
+const MAX_REF_LENGTH = 200;
+const MAX_COMMENT_LENGTH = 2000;
+const SSE_HEARTBEAT_MS = 25 * 1000;
 router.use(express.json());
 
-const IS_PROD = process.env.NODE_ENV === "production";
-
-// ---------------- Error / sanitization helpers ----------------
-
-/**
- * Standardized error response helper.
- * In production, it hides internal error messages from clients.
- */
-function errorResponse(res, status, genericMessage, err) {
-  const body = { ok: false, error: genericMessage };
-
-  if (!IS_PROD && err && err.message) {
-    body.details = err.message;
-  }
-
-  return res.status(status).json(body);
-}
-
-/**
- * Sanitize comments going into Google Sheets to avoid formula injection.
- * If a comment starts with = + - @, prefix it with ' so Sheets treats it as text.
- */
-function sanitizeForSheetsComment(input) {
-  if (input == null) return "";
-  const s = String(input);
-  if (/^[=+\-@]/.test(s)) {
-    return "'" + s;
-  }
-  return s;
+// ---------------- Schemas ----------------
+// Request shapes (see server/utils/validate.js); handlers only see cleaned input
+
+const SPREADSHEET_ID = {
+  type: "string",
+  maxLength: 500,
+  check: (v) =>
+    normalizeSpreadsheetId(v) ? undefined : "must be a raw ID or a Google Sheets URL containing /spreadsheets/d/<ID>/",
+};
+const VERSION = { type: "string", maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/ };
+const ROW_NAME = {
+  key: { type: "string", maxLength: MAX_REF_LENGTH },
+  device: { type: "string", maxLength: MAX_REF_LENGTH },
+};
+const ROW_REF = {
+  key: ROW_NAME.key,
+  device: { ...ROW_NAME.device, requiredWithout: "key" },
+  version: VERSION,
+};
+const COMPLETED_BY = { type: "string", maxLength: MAX_NAME_LENGTH };
+const COMMENT = { type: "string", maxLength: MAX_COMMENT_LENGTH, multiline: true };
+const COLUMN_MAP = { type: "object", maxKeys: Object.keys(COLUMN_FIELDS).length };
+const COLUMN_TYPES = { type: "object", maxKeys: 100 };
+
+const SCHEMAS = {
+  link: {
+    body: {
+      spreadsheetId: { ...SPREADSHEET_ID, required: true },
+      sheetId: { type: "integer", min: 0 },
+      sheetTitle: { type: "string", maxLength: 100 },
+      columns: COLUMN_MAP,
+      types: COLUMN_TYPES,
+    },
+  },
+  tabs: { query: { spreadsheetId: SPREADSHEET_ID } },
+  columns: { body: { columns: COLUMN_MAP, types: COLUMN_TYPES } },
+  lintFix: {
+    body: {
+      ids: { type: "array", required: true, minItems: 1, maxItems: MAX_BATCH_SIZE, items: { type: "string", maxLength: 300 } },
+      dryRun: { type: "boolean" },
+    },
+  },
+  complete: { body: { ...ROW_REF, completedBy: COMPLETED_BY } },
+  incomplete: { body: ROW_REF },
+  comment: { body: { ...ROW_REF, comment: COMMENT } },
+  // Unknown ops and unnamed rows fail per operation (see /batch), not the whole request
+  batch: {
+    body: {
+      operations: {
+        type: "array",
+        required: true,
+        minItems: 1,
+        maxItems: MAX_BATCH_SIZE,
+        items: {
+          type: "object",
+          fields: {
+            ...ROW_NAME,
+            op: { type: "string", maxLength: 20 },
+            comment: COMMENT,
+            completedBy: COMPLETED_BY,
+            version: VERSION,
+          },
+        },
+      },
+      completedBy: COMPLETED_BY,
+    },
+  },
+  notes: { query: { key: ROW_NAME.key, device: { ...ROW_NAME.device, requiredWithout: "key" } } },
+  addNote: {
+    body: {
+      key: ROW_NAME.key,
+      device: { ...ROW_NAME.device, requiredWithout: "key" },
+      text: { ...COMMENT, required: true },
+      author: COMPLETED_BY,
+    },
+  },
+  history: {
+    query: {
+      key: ROW_NAME.key,
+      device: ROW_NAME.device,
+      limit: { type: "integer", min: 1 },
+    },
+  },
+};
+
+// ---------------- Methods ----------------
+
+/** Register a write route for both POST and PUT (POST gets past firewalls that block PUT). */
+function writeRoute(path, ...handlers) {
+  router.post(path, ...handlers);
+  router.put(path, ...handlers);
 }
 
-// ---------------- Configuration ----------------
+// Routes reachable in googleSheets.php's form: <root>?action=<name>
+const ACTIONS = new Set([
+  "link", "tabs", "rows", "columns", "lint", "complete", "incomplete",
+  "comment", "batch", "notes", "history", "queue", "events",
+]);
 
-const STORE_PATH =
-  process.env.ACTIVE_SHEET_STORE && process.env.ACTIVE_SHEET_STORE.trim().length > 0
-    ? process.env.ACTIVE_SHEET_STORE
-    : path.resolve(process.cwd(), "activeSheet.json");
+// Rewrite /?action=complete&x=1 to /complete?x=1 before the routes match
+router.use((req, res, next) => {
+  if (req.path !== "/" || req.query.action === undefined) return next();
 
-function loadActiveSpreadsheetId() {
-  try {
-    const raw = fs.readFileSync(STORE_PATH, "utf8");
-    const parsed = JSON.parse(raw);
-    return parsed && typeof parsed.spreadsheetId === "string"
-      ? parsed.spreadsheetId
-      : null;
-  } catch {
-    return null; // Not linked yet
+  const action = req.query.action;
+  if (typeof action !== "string" || !ACTIONS.has(action)) {
+    return res.status(404).json({ ok: false, error: "Route not found" });
   }
-}
+  const query = new URLSearchParams(req.url.slice(req.url.indexOf("?") + 1));
+  query.delete("action");
+  const rest = query.toString();
+  req.url = `/${action}${rest ? `?${rest}` : ""}`;
+  return next();
+});
 
-function saveActiveSpreadsheetId(spreadsheetId) {
-  const payload = { spreadsheetId, updatedAt: new Date().toISOString() };
-  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
-  fs.writeFileSync(STORE_PATH, JSON.stringify(payload, null, 2), "utf8");
-}
+// ---------------- Project scope ----------------
 
-// ---------------- Google Auth ----------------
+// Attach req.projectId / req.project for every route below
+router.use((req, res, next) => {
+  const projectId = req.params.projectId || DEFAULT_PROJECT_ID;
+  const project = getProject(projectId);
 
-let sheetsClient = null;
+  // The default project is created lazily on first link
+  if (!project && projectId !== DEFAULT_PROJECT_ID) {
+    return res
+      .status(404)
+      .json({ ok: false, error: `Project '${projectId}' not found.` });
+  }
 
-/** Authenticated Google Sheets client (READ/WRITE scope) */
-async function getSheetsClient() {
-  if (sheetsClient) return sheetsClient;
+  req.projectId = projectId;
+  req.project = project;
+  return next();
+});
 
-  const SCOPES = ["https://www.googleapis.com/auth/spreadsheets"];
+router.use("/webhooks", webhooksRouter);
+router.use("/digest", digestRouter);
 
-  let auth;
-  if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-    auth = await google.auth.getClient({ scopes: SCOPES });
-  } else if (process.env.GOOGLE_SA_CLIENT_EMAIL && process.env.GOOGLE_SA_PRIVATE_KEY) {
-    const key = process.env.GOOGLE_SA_PRIVATE_KEY.replace(/\\n/g, "\n");
-    auth = new google.auth.JWT({
-      email: process.env.GOOGLE_SA_CLIENT_EMAIL,
-      key,
-      scopes: SCOPES,
-    });
-  } else {
-    throw new Error(
-      "Google credentials not found. Set GOOGLE_APPLICATION_CREDENTIALS or GOOGLE_SA_CLIENT_EMAIL and GOOGLE_SA_PRIVATE_KEY."
-    );
-  }
+// ---------------- Audit ----------------
 
-  sheetsClient = google.sheets({ version: "v4", auth });
-  return sheetsClient;
+function actorOf(req) {
+  return req.auth?.label || "anonymous";
 }
 
-// ---------------- Utilities ----------------
-
-function normalizeSpreadsheetId(input) {
-  if (!input || typeof input !== "string") return null;
-  if (!input.includes("http")) return input.trim();
-  const match = input.match(/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
-  return match ? match[1] : null;
+/** Technician stamped into the completedBy column: the request's name, else the caller. */
+function completedByOf(req, value = req.body?.completedBy) {
+  const name = String(value ?? "").trim();
+  return name || actorOf(req);
 }
 
-async function getSpreadsheetMetadata(spreadsheetId) {
-  const sheets = await getSheetsClient();
-  const resp = await sheets.spreadsheets.get({
-    spreadsheetId,
-    fields:
-      "spreadsheetId,properties.title,sheets(properties.title,properties.index,properties.sheetId)",
-  });
-  return resp.data;
+/** { key, device } named by a request body or batch operation (either may be ""). */
+function rowNameOf(body) {
+  return {
+    key: String(body?.key ?? "").trim(),
+    device: String(body?.device ?? "").trim(),
+  };
 }
 
-async function readAllRowsFromFirstTab(spreadsheetId) {
-  const sheets = await getSheetsClient();
-  const meta = await getSpreadsheetMetadata(spreadsheetId);
-  if (!meta.sheets || meta.sheets.length === 0) {
-    throw new Error("The spreadsheet has no visible sheets.");
-  }
-  const first = [...meta.sheets].sort(
-    (a, b) => (a.properties.index ?? 0) - (b.properties.index ?? 0)
-  )[0];
-  const firstTitle = first.properties.title;
-
-  const valuesResp = await sheets.spreadsheets.values.get({
-    spreadsheetId,
-    range: firstTitle,
-    majorDimension: "ROWS",
-    valueRenderOption: "UNFORMATTED_VALUE",
-    dateTimeRenderOption: "SERIAL_NUMBER",
-  });
-
+/** keyColumn / duplicates flags and the resolved columns for a tab's rows. */
+function keyReport(rows, map) {
+  const header = rows?.[0] || [];
   return {
-    spreadsheetId: meta.spreadsheetId,
-    spreadsheetTitle: meta.properties?.title,
-    sheetTitle: firstTitle,
-    rows: valuesResp.data.values || [],
+    keyColumn: keyColumnsOf(header, map).keyColumn,
+    duplicates: duplicateKeys(rows, map),
+    columns: resolveColumns(header, map),
   };
 }
 
-// A1 helpers
-function columnIndexToA1(colIdxZeroBased) {
-  let idx = colIdxZeroBased + 1; // 1-based
-  let s = "";
-  while (idx > 0) {
-    const rem = (idx - 1) % 26;
-    s = String.fromCharCode(65 + rem) + s;
-    idx = Math.floor((idx - 1) / 26);
-  }
-  return s;
+/** The rows ETag, varied by the column mapping and declared types (they change the /rows body too). */
+function rowsEtag(etag, sheet) {
+  const layout = JSON.stringify([sheet.columns || {}, sheet.types || {}]);
+  if (layout === "[{},{}]") return etag;
+  const hash = crypto.createHash("sha1").update(layout).digest("base64url").slice(0, 10);
+  return `${etag.slice(0, -1)}.${hash}"`;
 }
 
-async function getFirstTabHeader(spreadsheetId) {
-  const { sheetTitle, rows } = await readAllRowsFromFirstTab(spreadsheetId);
-  if (!rows || rows.length === 0) {
-    throw new Error("Spreadsheet has no data.");
-  }
-  const header = rows[0];
-  return { tabName: sheetTitle, header, rows };
+/** The row version a write was based on, or null to write unconditionally. */
+function versionOf(value) {
+  const version = typeof value === "string" ? value.trim() : "";
+  return version || null;
 }
 
-/** Find the 1-based row number (including header) where header[colName] === value (ci). */
-function findRowByHeaderValue(rows, header, colName, needle) {
-  const colIdx = header.findIndex(
-    (h) =>
-      String(h || "").trim().toLowerCase() ===
-      String(colName).trim().toLowerCase()
-  );
-  if (colIdx === -1) return { rowIndex1: -1, colIndex0: -1 };
-  const target = String(needle ?? "").trim().toLowerCase();
-  for (let r = 1; r < rows.length; r++) {
-    // skip header at r=0
-    const cell = rows[r]?.[colIdx];
-    if (String(cell ?? "").trim().toLowerCase() === target) {
-      return { rowIndex1: r + 1, colIndex0: colIdx }; // A1 row is 1-based
-    }
-  }
-  return { rowIndex1: -1, colIndex0: colIdx };
+/** Audit entries for one row: `written` maps field -> new value. */
+function auditEntries(req, sheet, { device, key }, previous, written) {
+  return Object.entries(written).map(([field, newValue]) => ({
+    projectId: req.projectId,
+    spreadsheetId: sheet.spreadsheetId,
+    sheetId: sheet.sheetId ?? null,
+    device,
+    key,
+    field,
+    oldValue: previous?.[field] ?? null,
+    newValue,
+    actor: actorOf(req),
+  }));
+}
+
+/**
+ * After successful writes ([{ device, key, previous, written, version }]):
+ * patch the rows cache, append the audit entries, push one live change event
+ * and raise webhook events.
+ */
+function recordWrites(req, sheet, writes) {
+  if (writes.length === 0) return;
+  const entries = [];
+  writes.forEach(({ device, key, previous, written }) => {
+    Object.entries(written).forEach(([colName, value]) =>
+      rowsCache.patchRowCell(sheet, refOf({ key, device }), colName, value)
+    );
+    entries.push(...auditEntries(req, sheet, { device, key }, previous, written));
+  });
+  auditLog.appendEntries(entries);
+  changeFeed.publish(req.projectId, {
+    type: "cells",
+    spreadsheetId: sheet.spreadsheetId,
+    sheetId: sheet.sheetId ?? null,
+    actor: actorOf(req),
+    changes: writes.map(({ device, key, written, version }) => ({
+      device,
+      key,
+      cells: typeCells(written, sheet),
+      version,
+    })),
+  });
+  webhookDispatcher.notifyWrites({ projectId: req.projectId, sheet, actor: actorOf(req) }, writes);
 }
 
 // ---------------- Routes ----------------
 
-router.post("/link", async (req, res) => {
+/**
+ * POST /google-sheets/link
+ * Body: { spreadsheetId: string, sheetId?: number, sheetTitle?: string, columns?: object, types?: object }
+ * Without a tab the first tab is linked. `columns` / `types` save a column
+ * mapping / declared types with the link; without them, re-linking the same
+ * tab keeps the current ones and linking another one starts from the defaults. The response's `headerRow`
+ * is the row the header was found on.
+ */
+writeRoute("/link", requireRole("admin"), validate(SCHEMAS.link), async (req, res) => {
   try {
-    const rawId = (req.body && req.body.spreadsheetId) || "";
-    const spreadsheetId = normalizeSpreadsheetId(rawId);
+    const spreadsheetId = normalizeSpreadsheetId(req.body.spreadsheetId);
+    const sheetId = req.body.sheetId ?? null;
+    const sheetTitle = req.body.sheetTitle || null;
+
+    const hasColumns = req.body?.columns !== undefined;
+    const requestedColumns = normalizeColumnMap(req.body?.columns);
+    const hasTypes = req.body?.types !== undefined;
+    const requestedTypes = normalizeColumnTypes(req.body?.types);
+
+    const previous = projectTarget(req.project);
+    const guess = hasColumns ? requestedColumns : previous?.columns || {};
+    let linked = await storage.link({ spreadsheetId, sheetId, sheetTitle, columns: guess });
+    const sameTab =
+      previous?.spreadsheetId === linked.spreadsheetId &&
+      String(previous?.sheetId) === String(linked.sheetId);
+    const columns = hasColumns ? requestedColumns : sameTab ? previous.columns : {};
+    const types = hasTypes ? requestedTypes : sameTab ? previous.types : {};
+
+    // The header was looked for with another tab's mapping: look again with the defaults
+    if (columns !== guess && Object.keys(guess).length > 0) {
+      linked = await storage.link({ spreadsheetId, sheetId: linked.sheetId, columns });
+    }
 
-    if (!spreadsheetId) {
-      return res.status(400).json({
-        ok: false,
-        error:
-          "Provide 'spreadsheetId' as a raw ID or a full Google Sheets URL containing /spreadsheets/d/<ID>/",
-      });
+    updateProject(req.projectId, {
+      spreadsheetId: linked.spreadsheetId,
+      sheetId: linked.sheetId,
+      sheetTitle: linked.sheetTitle,
+      headerRow: linked.headerRow,
+      timeZone: linked.timeZone,
+      columns,
+      types,
+    });
+    rowsCache.invalidate(linked);
+
+    // Flag duplicate row keys right away; a failed read doesn't undo the link
+    let keys = { keyColumn: null, duplicates: [], columns: null };
+    try {
+      keys = keyReport((await rowsCache.readRows(linked)).data.rows, columns);
+      if (keys.duplicates.length > 0) {
+        console.warn(
+          `[WARN] ${linked.spreadsheetId} '${linked.sheetTitle}' has duplicate ${keys.keyColumn} values: ${keys.duplicates.join(", ")}`
+        );
+      }
+    } catch (err) {
+      console.warn(`[WARN] Could not check row keys after linking: ${err.message}`);
     }
 
-    const meta = await getSpreadsheetMetadata(spreadsheetId);
-    saveActiveSpreadsheetId(meta.spreadsheetId);
+    changeFeed.publish(req.projectId, {
+      type: "linked",
+      spreadsheetId: linked.spreadsheetId,
+      sheetId: linked.sheetId,
+      sheetTitle: linked.sheetTitle,
+    });
 
     return res.status(200).json({
       ok: true,
-      spreadsheetId: meta.spreadsheetId,
-      spreadsheetTitle: meta.properties?.title || null,
+      projectId: req.projectId,
+      spreadsheetId: linked.spreadsheetId,
+      spreadsheetTitle: linked.spreadsheetTitle || null,
+      sheetId: linked.sheetId,
+      sheetTitle: linked.sheetTitle,
+      headerRow: linked.headerRow,
+      ...keys,
       message: "Spreadsheet linked successfully.",
     });
   } catch (err) {
-    return errorResponse(res, 500, "Failed to link spreadsheet", err);
+    return handleError(res, err, "Failed to link spreadsheet");
   }
 });
 
-router.get("/rows", async (_req, res) => {
+/**
+ * GET /google-sheets/tabs[?spreadsheetId=<ID or URL>]
+ * Lists the tabs of the given spreadsheet (or the linked one) so the client
+ * can offer a picker before linking.
+ */
+router.get("/tabs", requireRole("admin"), validate(SCHEMAS.tabs), async (req, res) => {
   try {
-    const spreadsheetId = loadActiveSpreadsheetId();
+    const active = projectTarget(req.project);
+    const spreadsheetId = req.query.spreadsheetId
+      ? normalizeSpreadsheetId(String(req.query.spreadsheetId))
+      : active?.spreadsheetId;
+
     if (!spreadsheetId) {
+      return res.status(400).json({
+        ok: false,
+        error: "Provide ?spreadsheetId= or link a spreadsheet first.",
+      });
+    }
+
+    const tabs = await storage.listTabs(spreadsheetId);
+    const linkedSheetId =
+      active && active.spreadsheetId === spreadsheetId ? active.sheetId : null;
+
+    return res.status(200).json({ ok: true, spreadsheetId, linkedSheetId, tabs });
+  } catch (err) {
+    return handleError(res, err, "Failed to list tabs");
+  }
+});
+
+/**
+ * GET /google-sheets/rows
+ * Responds with an ETag; a matching If-None-Match gets 304. When the provider
+ * is unreachable the last good copy is returned with `stale: true`.
+ */
+router.get("/rows", requireRole("viewer"), async (req, res) => {
+  try {
+    const sheet = projectTarget(req.project);
+    if (!sheet) {
       return res.status(400).json({
         ok: false,
         error:
@@ -238,170 +437,563 @@ router.get("/rows", async (_req, res) => {
       });
     }
 
-    const data = await readAllRowsFromFirstTab(spreadsheetId);
-    return res.status(200).json({ ok: true, ...data });
+    const { data, etag: rowsTag, fetchedAt, stale } = await rowsCache.readRows(sheet);
+    const etag = rowsEtag(rowsTag, sheet);
+
+    // Links made before time zones were saved pick theirs up here (write responses need it)
+    if (data.timeZone && data.timeZone !== req.project.timeZone) {
+      updateProject(req.projectId, { timeZone: data.timeZone });
+    }
+
+    // Clients must revalidate every time; the ETag keeps that cheap
+    res.set("Cache-Control", "no-cache");
+
+    // A stale copy is never confirmed as current (not even by the ETag Express adds itself)
+    if (stale) {
+      delete req.headers["if-none-match"];
+    } else {
+      res.set("ETag", etag);
+      if (req.get("If-None-Match") === etag) {
+        return res.status(304).end();
+      }
+    }
+
+    const types = columnTypesOf(data.rows, sheet, data.numberFormats);
+    return res.status(200).json({
+      ok: true,
+      projectId: req.projectId,
+      ...data,
+      rows: typeRows(data.rows, types, data.timeZone),
+      types,
+      versions: (data.rows || []).map((row, i) => (i === 0 ? null : rowVersion(row))),
+      ...keyReport(data.rows, sheet.columns),
+      stale,
+      fetchedAt: new Date(fetchedAt).toISOString(),
+    });
   } catch (err) {
-    return errorResponse(res, 500, "Failed to read rows", err);
+    return handleError(res, err, "Failed to read rows");
   }
 });
 
 /**
- * PUT /google-sheets/complete
- * Body: { device: string }
- * Sets the "Completed" cell to TRUE for the row whose "Device" matches.
+ * GET /google-sheets/columns
+ * { mapping, defaults, columns, types, cellTypes }: the saved mapping
+ * ({ field: [names] }), each field's default names, what the fields resolve
+ * to on the linked tab (null columns when nothing is linked or the tab can't
+ * be read), the declared column types and the types that may be declared.
  */
-router.put("/complete", async (req, res) => {
+router.get("/columns", requireRole("viewer"), async (req, res) => {
   try {
-    const spreadsheetId = loadActiveSpreadsheetId();
-    if (!spreadsheetId) {
+    const sheet = projectTarget(req.project);
+    const mapping = sheet?.columns || {};
+    let columns = null;
+    if (sheet) {
+      try {
+        columns = resolveColumns((await rowsCache.readRows(sheet)).data.rows?.[0] || [], mapping);
+      } catch (err) {
+        console.warn(`[WARN] Could not resolve columns for ${req.projectId}: ${err.message}`);
+      }
+    }
+    return res.status(200).json({
+      ok: true,
+      projectId: req.projectId,
+      mapping,
+      defaults: COLUMN_FIELDS,
+      columns,
+      types: sheet?.types || {},
+      cellTypes: CELL_TYPES,
+    });
+  } catch (err) {
+    return handleError(res, err, "Failed to read column mapping");
+  }
+});
+
+/**
+ * PUT /google-sheets/columns
+ * Body: { columns: { [field]: string | string[] }, types?: { [header]: type } }
+ * Replaces the linked sheet's column mapping; a blank field uses its defaults.
+ * `types` replaces the declared column types (kept when omitted).
+ * The header row is looked for again, since mapped names may only match a
+ * later row; the response reports it as `headerRow`.
+ */
+async function saveColumns(req, res) {
+  try {
+    const sheet = projectTarget(req.project);
+    if (!sheet) {
       return res
         .status(400)
         .json({ ok: false, error: "No spreadsheet linked." });
     }
 
-    const device = String(req.body?.device || "").trim();
-    if (!device) {
+    const mapping = normalizeColumnMap(req.body?.columns);
+    const types = req.body?.types === undefined ? sheet.types : normalizeColumnTypes(req.body.types);
+    const { headerRow } = await storage.link({ ...sheet, columns: mapping });
+    updateProject(req.projectId, { columns: mapping, types, headerRow });
+    if (headerRow !== sheet.headerRow) rowsCache.invalidate(sheet);
+
+    let columns = null;
+    try {
+      columns = resolveColumns(
+        (await rowsCache.readRows({ ...sheet, headerRow, columns: mapping })).data.rows?.[0] || [],
+        mapping
+      );
+    } catch (err) {
+      console.warn(`[WARN] Could not resolve columns for ${req.projectId}: ${err.message}`);
+    }
+
+    changeFeed.publish(req.projectId, { type: "columns", columns: mapping, types, headerRow });
+    return res.status(200).json({ ok: true, projectId: req.projectId, mapping, types, headerRow, columns });
+  } catch (err) {
+    return handleError(res, err, "Failed to save column mapping");
+  }
+}
+writeRoute("/columns", requireRole("admin"), validate(SCHEMAS.columns), saveColumns);
+
+/**
+ * GET /google-sheets/lint
+ * Data-quality findings for the linked tab (see server/storage/sheetLint.js):
+ * { findings: [{ id, rule, severity, row, key, column, value, message, fix? }],
+ *   counts: { error, warning, info }, checkedRows }
+ */
+router.get("/lint", requireRole("viewer"), async (req, res) => {
+  try {
+    const sheet = projectTarget(req.project);
+    if (!sheet) {
       return res
         .status(400)
-        .json({ ok: false, error: "Device is required." });
+        .json({ ok: false, error: "No spreadsheet linked." });
     }
 
-    const sheets = await getSheetsClient();
-    const { tabName, header, rows } = await getFirstTabHeader(spreadsheetId);
+    const { data, stale } = await rowsCache.readRows(sheet);
+    return res.status(200).json({ ok: true, projectId: req.projectId, ...lintRows(data.rows, sheet), stale });
+  } catch (err) {
+    return handleError(res, err, "Failed to check the sheet");
+  }
+});
 
-    const completedIdx = header.findIndex(
-      (h) => String(h || "").trim().toLowerCase() === "completed"
-    );
-    if (completedIdx === -1) throw new Error("Header 'Completed' not found.");
+/**
+ * POST /google-sheets/lint/fix
+ * Body: { ids: string[], dryRun?: boolean }
+ * Fixes the named findings as the sheet is checked now; ids that no longer
+ * have a fix are returned in `skipped`. With dryRun nothing is written:
+ *   { ok, dryRun, changes: [{ id, row, key, column, from, to }], skipped,
+ *     results?: [{ id, ok, status?, error? }], succeeded?, failed? }
+ * A fix's id holds its row key and the row version the preview saw, so a row
+ * moved, edited or replaced since then is skipped rather than fixed in its
+ * place; one edited while this runs fails with 409.
+ */
+writeRoute("/lint/fix", requireRole("admin"), validate(SCHEMAS.lintFix), async (req, res) => {
+  try {
+    const sheet = projectTarget(req.project);
+    if (!sheet) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "No spreadsheet linked." });
+    }
 
-    const { rowIndex1 } = findRowByHeaderValue(rows, header, "Device", device);
-    if (rowIndex1 === -1) {
+    const { ids } = req.body;
+    const { data, stale } = await rowsCache.readRows(sheet);
+    if (stale) {
       return res
-        .status(404)
-        .json({ ok: false, error: `Device '${device}' not found.` });
+        .status(503)
+        .json({ ok: false, error: "The sheet is unreachable; try again once it is back." });
     }
 
-    const colA1 = columnIndexToA1(completedIdx);
-    const range = `${tabName}!${colA1}${rowIndex1}`;
+    const wanted = new Set(ids);
+    const fixable = lintRows(data.rows, sheet).findings.filter((f) => f.fix && wanted.has(f.id));
+    const found = new Set(fixable.map((f) => f.id));
+    const skipped = [...wanted].filter((id) => !found.has(id));
+    const changes = fixable.map((f) => ({
+      id: f.id,
+      row: f.row,
+      key: f.key,
+      column: f.column,
+      from: f.value,
+      to: f.fix.value,
+    }));
+
+    if (req.body?.dryRun || fixable.length === 0) {
+      return res.status(200).json({ ok: true, dryRun: !!req.body?.dryRun, changes, skipped });
+    }
 
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range,
-      valueInputOption: "USER_ENTERED",
-      requestBody: { values: [["TRUE"]] },
-    });
+    const outcomes = await storage.applyBatch(
+      sheet,
+      fixable.map((f) => ({ key: f.key, op: "set", field: f.fix.field, value: f.fix.value, version: f.fix.version }))
+    );
+    const writes = outcomes.filter((o) => o.ok);
+    recordWrites(req, sheet, writes);
 
-    return res.status(200).json({ ok: true, device, completed: true });
+    const results = outcomes.map((o, i) =>
+      o.ok
+        ? { id: fixable[i].id, ok: true }
+        : { id: fixable[i].id, ok: false, status: o.error?.status || 500, error: o.error?.message || "Failed to apply fix." }
+    );
+    return res.status(200).json({
+      ok: true,
+      dryRun: false,
+      changes,
+      skipped,
+      results,
+      succeeded: writes.length,
+      failed: results.length - writes.length,
+    });
   } catch (err) {
-    return errorResponse(res, 500, "Failed to mark complete", err);
+    return handleError(res, err, "Failed to apply fixes");
   }
 });
 
 /**
- * PUT /google-sheets/incomplete
- * Body: { device: string }
- * Sets the "Completed" cell to FALSE for the row whose "Device" matches.
+ * PUT /google-sheets/complete
+ * Body: { key | device: string, completedBy?: string, version?: string }
+ * Sets the status column to TRUE for the row the key (or device) names, and
+ * stamps the completedAt / completedBy columns when the sheet has them
+ * (completedBy defaults to the caller's key label).
  */
-router.put("/incomplete", async (req, res) => {
+writeRoute("/complete", requireRole("technician"), validate(SCHEMAS.complete), async (req, res) => {
   try {
-    const spreadsheetId = loadActiveSpreadsheetId();
-    if (!spreadsheetId) {
+    const sheet = projectTarget(req.project);
+    if (!sheet) {
       return res
         .status(400)
         .json({ ok: false, error: "No spreadsheet linked." });
     }
 
-    const device = String(req.body?.device || "").trim();
-    if (!device) {
+    const name = rowNameOf(req.body);
+    const result = await storage.setCompleted(sheet, refOf(name), true, {
+      completedBy: completedByOf(req),
+      version: versionOf(req.body?.version),
+    });
+    recordWrites(req, sheet, [result]);
+
+    return res.status(200).json({
+      ok: true,
+      device: result.device,
+      key: result.key,
+      completed: true,
+      cells: typeCells(result.written, sheet),
+      version: result.version,
+    });
+  } catch (err) {
+    return handleError(res, err, "Failed to mark complete");
+  }
+});
+
+/**
+ * PUT /google-sheets/incomplete
+ * Body: { key | device: string, version?: string }
+ * Sets the status column to FALSE for the row the key (or device) names and
+ * clears the completedAt / completedBy columns.
+ */
+writeRoute("/incomplete", requireRole("technician"), validate(SCHEMAS.incomplete), async (req, res) => {
+  try {
+    const sheet = projectTarget(req.project);
+    if (!sheet) {
       return res
         .status(400)
-        .json({ ok: false, error: "Device is required." });
+        .json({ ok: false, error: "No spreadsheet linked." });
     }
 
-    const sheets = await getSheetsClient();
-    const { tabName, header, rows } = await getFirstTabHeader(spreadsheetId);
+    const name = rowNameOf(req.body);
+    const result = await storage.setCompleted(sheet, refOf(name), false, {
+      version: versionOf(req.body?.version),
+    });
+    recordWrites(req, sheet, [result]);
 
-    const completedIdx = header.findIndex(
-      (h) => String(h || "").trim().toLowerCase() === "completed"
-    );
-    if (completedIdx === -1) throw new Error("Header 'Completed' not found.");
+    return res.status(200).json({
+      ok: true,
+      device: result.device,
+      key: result.key,
+      completed: false,
+      cells: typeCells(result.written, sheet),
+      version: result.version,
+    });
+  } catch (err) {
+    return handleError(res, err, "Failed to mark incomplete");
+  }
+});
 
-    const { rowIndex1 } = findRowByHeaderValue(rows, header, "Device", device);
-    if (rowIndex1 === -1) {
+/**
+ * PUT /google-sheets/comment
+ * Body: { key | device: string, comment: string, version?: string }
+ * Updates the comment column for the row the key (or device) names.
+ */
+writeRoute("/comment", requireRole("technician"), validate(SCHEMAS.comment), async (req, res) => {
+  try {
+    const sheet = projectTarget(req.project);
+    if (!sheet) {
       return res
-        .status(404)
-        .json({ ok: false, error: `Device '${device}' not found.` });
+        .status(400)
+        .json({ ok: false, error: "No spreadsheet linked." });
     }
 
-    const colA1 = columnIndexToA1(completedIdx);
-    const range = `${tabName}!${colA1}${rowIndex1}`;
+    const name = rowNameOf(req.body);
+    const comment = req.body.comment ?? "";
 
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range,
-      valueInputOption: "USER_ENTERED",
-      requestBody: { values: [["FALSE"]] },
+    const result = await storage.setComment(sheet, refOf(name), comment, {
+      version: versionOf(req.body?.version),
     });
+    recordWrites(req, sheet, [result]);
 
-    return res.status(200).json({ ok: true, device, completed: false });
+    return res
+      .status(200)
+      .json({ ok: true, device: result.device, key: result.key, comment, version: result.version });
   } catch (err) {
-    return errorResponse(res, 500, "Failed to mark incomplete", err);
+    return handleError(res, err, "Failed to update comment");
   }
 });
 
 /**
- * PUT /google-sheets/comment
- * Body: { device: string, comment: string }
- * Updates the "Comment" cell for the row whose "Device" matches.
+ * POST /google-sheets/batch
+ * Body: {
+ *   operations: [{
+ *     key | device: string, op: "complete"|"incomplete"|"comment",
+ *     comment?: string, completedBy?: string, version?: string
+ *   }],
+ *   completedBy?: string   // default for every "complete" operation
+ * }
+ * Applies every valid operation in a single provider write and reports each
+ * device's outcome:
+ *   { ok, results: [{ device, key?, op, ok, cells?, version?, status?, error?, conflict? }], succeeded, failed }
  */
-router.put("/comment", async (req, res) => {
+writeRoute("/batch", requireRole("technician"), validate(SCHEMAS.batch), async (req, res) => {
   try {
-    const spreadsheetId = loadActiveSpreadsheetId();
-    if (!spreadsheetId) {
+    const sheet = projectTarget(req.project);
+    if (!sheet) {
       return res
         .status(400)
         .json({ ok: false, error: "No spreadsheet linked." });
     }
 
-    const device = String(req.body?.device ?? "").trim();
-    const rawComment = req.body?.comment ?? "";
-    const comment = sanitizeForSheetsComment(rawComment);
+    const { operations } = req.body;
+
+    // Normalize; invalid entries fail on their own without blocking the rest
+    const results = operations.map((o) => ({
+      ...rowNameOf(o),
+      op: String(o?.op ?? "").trim().toLowerCase(),
+      comment: String(o?.comment ?? ""),
+      completedBy: completedByOf(req, o?.completedBy ?? req.body?.completedBy),
+      version: versionOf(o?.version),
+    }));
+    const valid = [];
+    results.forEach((r) => {
+      if (!r.device && !r.key) Object.assign(r, { ok: false, status: 400, error: "Device is required." });
+      else if (!BATCH_OPS.includes(r.op)) {
+        Object.assign(r, { ok: false, status: 400, error: `Unknown operation '${r.op}'.` });
+      } else valid.push(r);
+    });
+
+    if (valid.length > 0) {
+      const outcomes = await storage.applyBatch(sheet, valid);
+      const writes = [];
+      valid.forEach((r, i) => {
+        const outcome = outcomes[i];
+        if (outcome.ok) {
+          r.ok = true;
+          r.device = outcome.device;
+          r.key = outcome.key;
+          r.cells = typeCells(outcome.written, sheet);
+          r.version = outcome.version;
+          writes.push(outcome);
+        } else {
+          r.ok = false;
+          r.status = outcome.error?.status || 500;
+          r.error = outcome.error?.message || "Failed to apply operation.";
+          if (outcome.error?.payload?.conflict) r.conflict = outcome.error.payload.conflict;
+        }
+      });
+      recordWrites(req, sheet, writes);
+    }
+
+    // `version` is the row's new version on success (not the one sent)
+    const body = results.map(({ comment, completedBy, version, key, ...r }) => ({
+      ...r,
+      ...(key ? { key } : {}),
+      ...(r.op === "comment" ? { comment } : {}),
+      ...(r.ok ? { version } : {}),
+    }));
+    const failed = body.filter((r) => !r.ok).length;
+
+    return res.status(200).json({
+      ok: true,
+      results: body,
+      succeeded: body.length - failed,
+      failed,
+    });
+  } catch (err) {
+    return handleError(res, err, "Failed to apply batch");
+  }
+});
+
+/** The row a request names, from the (cached) rows: { sheetId, device, key, hasComment }. */
+async function namedRow(sheet, name) {
+  const { data } = await rowsCache.readRows(sheet);
+  const rows = data.rows || [];
+  const row = rows[locateRow(rows, refOf(name), sheet.columns) - 1];
+  const columns = keyColumnsOf(rows[0] || [], sheet.columns);
+  return {
+    sheetId: data.sheetId ?? null,
+    device: String(row[columns.deviceIdx] ?? "").trim(),
+    key: rowKeyOf(row, columns),
+    hasComment: columnIndex(rows[0] || [], sheet.columns, "comment") !== -1,
+  };
+}
 
-    if (!device) {
+/**
+ * GET /google-sheets/notes?key=<row key> | ?device=<Device>
+ * The row's notes, oldest first: { device, key, notes: [{ id, author, createdAt, text }] }.
+ */
+router.get("/notes", requireRole("viewer"), validate(SCHEMAS.notes), async (req, res) => {
+  try {
+    const sheet = projectTarget(req.project);
+    if (!sheet) {
       return res
         .status(400)
-        .json({ ok: false, error: "Device is required." });
+        .json({ ok: false, error: "No spreadsheet linked." });
     }
 
-    const sheets = await getSheetsClient();
-    const { tabName, header, rows } = await getFirstTabHeader(spreadsheetId);
-
-    const commentIdx = header.findIndex(
-      (h) => String(h || "").trim().toLowerCase() === "comment"
-    );
-    if (commentIdx === -1) throw new Error("Header 'Comment' not found.");
+    const row = await namedRow(sheet, rowNameOf(req.query));
+    const notes = await storage.readNotes(sheet, row);
+    return res.status(200).json({ ok: true, device: row.device, key: row.key, notes });
+  } catch (err) {
+    return handleError(res, err, "Failed to read notes");
+  }
+});
 
-    const { rowIndex1 } = findRowByHeaderValue(rows, header, "Device", device);
-    if (rowIndex1 === -1) {
+/**
+ * POST /google-sheets/notes
+ * Body: { key | device: string, text: string, author?: string }
+ * Appends a note (author defaults to the caller's key label) and copies its
+ * text into the Comment column. Notes are never edited, so there is no
+ * `version`: the Comment column always takes the newest note. If that copy
+ * fails the note still stands and `commentError` says why.
+ * Responds 201 { note, device, key, cells?, version?, commentError? }.
+ */
+writeRoute("/notes", requireRole("technician"), validate(SCHEMAS.addNote), async (req, res) => {
+  try {
+    const sheet = projectTarget(req.project);
+    if (!sheet) {
       return res
-        .status(404)
-        .json({ ok: false, error: `Device '${device}' not found.` });
+        .status(400)
+        .json({ ok: false, error: "No spreadsheet linked." });
     }
 
-    const colA1 = columnIndexToA1(commentIdx);
-    const range = `${tabName}!${colA1}${rowIndex1}`;
+    const row = await namedRow(sheet, rowNameOf(req.body));
+    const note = await storage.addNote(sheet, {
+      id: crypto.randomUUID(),
+      sheetId: row.sheetId,
+      key: row.key,
+      device: row.device,
+      author: completedByOf(req, req.body.author),
+      createdAt: new Date().toISOString(),
+      text: req.body.text,
+    });
+    changeFeed.publish(req.projectId, {
+      type: "note",
+      spreadsheetId: sheet.spreadsheetId,
+      sheetId: row.sheetId,
+      actor: actorOf(req),
+      note,
+    });
 
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range,
-      valueInputOption: "USER_ENTERED",
-      requestBody: { values: [[comment]] },
+    const body = { ok: true, note, device: row.device, key: row.key };
+    if (row.hasComment) {
+      try {
+        const result = await storage.setComment(sheet, { key: row.key }, note.text);
+        recordWrites(req, sheet, [result]);
+        body.cells = typeCells(result.written, sheet);
+        body.version = result.version;
+      } catch (err) {
+        console.warn(`[WARN] Note ${note.id} saved, but the Comment column was not updated:`, err.message);
+        body.commentError = err.message;
+      }
+    }
+    return res.status(201).json(body);
+  } catch (err) {
+    return handleError(res, err, "Failed to add note");
+  }
+});
+
+/**
+ * GET /google-sheets/history[?key=<row key>&device=<Device>&limit=<n>]
+ * Recorded changes for this project, newest first (optionally for one row).
+ */
+router.get("/history", requireRole("viewer"), validate(SCHEMAS.history), async (req, res) => {
+  try {
+    const device = String(req.query.device ?? "").trim();
+    const key = String(req.query.key ?? "").trim();
+    const entries = auditLog.readHistory({
+      projectId: req.projectId,
+      device: device || null,
+      key: key || null,
+      limit: req.query.limit,
     });
 
-    return res.status(200).json({ ok: true, device, comment });
+    return res.status(200).json({
+      ok: true,
+      projectId: req.projectId,
+      device: device || null,
+      key: key || null,
+      entries,
+    });
   } catch (err) {
-    return errorResponse(res, 500, "Failed to update comment", err);
+    return handleError(res, err, "Failed to read history");
+  }
+});
+
+/**
+ * GET /google-sheets/queue
+ * The linked spreadsheet's write queue, for monitoring (see
+ * server/storage/writeQueue.js): { depth, pendingWrites, running,
+ * oldestWaitMs, processed, batches, merged, maxDepth }. The local provider
+ * writes synchronously, so its queue always reads empty.
+ */
+router.get("/queue", requireRole("admin"), (req, res) => {
+  const sheet = projectTarget(req.project);
+  if (!sheet) {
+    return res
+      .status(400)
+      .json({ ok: false, error: "No spreadsheet linked." });
   }
+  return res.status(200).json({
+    ok: true,
+    projectId: req.projectId,
+    spreadsheetId: sheet.spreadsheetId,
+    ...writeQueue.stats(sheet.spreadsheetId),
+  });
+});
+
+/**
+ * GET /google-sheets/events
+ * Server-Sent Events stream for this project. Every change made through the
+ * API arrives as `event: change` (see server/events/changeFeed.js), a re-link
+ * as `event: linked`, a new column mapping as `event: columns`, a new note
+ * as `event: note`. A comment line every 25s keeps proxies from closing it.
+ */
+router.get("/events", requireRole("viewer"), (req, res) => {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+
+  const send = (eventName, data) => {
+    res.write(`id: ${data.id}\nevent: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write(`retry: 5000\n\n`);
+  res.write(`event: ready\ndata: ${JSON.stringify({ projectId: req.projectId })}\n\n`);
+
+  const unsubscribe = changeFeed.subscribe(req.projectId, (event) => {
+    send(event.type === "cells" ? "change" : event.type, event);
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
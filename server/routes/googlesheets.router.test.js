@@ -0,0 +1,395 @@
+// server/routes/googlesheets.router.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sheets-router-test-"));
+process.env.STORAGE_PROVIDER = "local";
+process.env.LOCAL_SHEETS_DIR = path.join(dir, "sheets");
+process.env.PROJECTS_STORE = path.join(dir, "projects.json");
+process.env.ACTIVE_SHEET_STORE = path.join(dir, "activeSheet.json");
+process.env.AUDIT_LOG_PATH = path.join(dir, "audit.jsonl");
+process.env.WEBHOOKS_STORE = path.join(dir, "webhooks.json");
+process.env.WEBHOOK_LOG_PATH = path.join(dir, "webhookDeliveries.jsonl");
+
+const express = require("express");
+const sheetsRouter = require("./googlesheets.router");
+const rowsCache = require("../storage/rowsCache");
+const { NOTES_TAB_TITLE, NOTES_HEADER, noteToRow } = require("../storage/sheetUtils");
+
+let server;
+let origin;
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  // Stands in for authenticate: the caller's role comes from a test header
+  app.use((req, res, next) => {
+    req.auth = { role: req.get("X-Test-Role") || "admin", label: "tester" };
+    next();
+  });
+  app.use("/api/googleSheets", sheetsRouter);
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** Save a local workbook: [{ sheetId?, title, rows }]. */
+function seedWorkbook(spreadsheetId, sheets) {
+  fs.mkdirSync(process.env.LOCAL_SHEETS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(process.env.LOCAL_SHEETS_DIR, `${spreadsheetId}.json`), JSON.stringify({ sheets }));
+}
+
+function readWorkbook(spreadsheetId) {
+  return JSON.parse(fs.readFileSync(path.join(process.env.LOCAL_SHEETS_DIR, `${spreadsheetId}.json`), "utf8"));
+}
+
+async function call(method, route, { body, role, headers = {} } = {}) {
+  const res = await fetch(`${origin}/api/googleSheets${route}`, {
+    method,
+    headers: {
+      ...(body ? { "Content-Type": "application/json" } : {}),
+      ...(role ? { "X-Test-Role": role } : {}),
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await res.text();
+  return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+const get = (route, options) => call("GET", route, options);
+const post = (route, body, options) => call("POST", route, { ...options, body });
+
+/** Seed a one-tab workbook and link it as the default project's sheet. */
+async function linkWorkbook(spreadsheetId, rows, body = {}) {
+  seedWorkbook(spreadsheetId, [{ sheetId: 0, title: "Sheet1", rows }]);
+  const linked = await post("/link", { spreadsheetId, ...body });
+  expect(linked.status).toBe(200);
+  return linked.body;
+}
+
+const note = (fields) => noteToRow({ author: "alice", createdAt: "2024-05-01T09:00:00.000Z", ...fields });
+
+describe("notes", () => {
+  const SHEET = "notes-book";
+  beforeAll(async () => {
+    seedWorkbook(SHEET, [
+      { sheetId: 9, title: NOTES_TAB_TITLE, rows: [
+        NOTES_HEADER,
+        note({ id: "legacy", sheetId: 0, key: "PC-01", device: "PC-01", text: "saved before Asset Tag" }),
+        note({ id: "keyed", sheetId: 0, key: "A-100", device: "PC-01", text: "keyed", createdAt: "2024-05-02T09:00:00.000Z" }),
+        note({ id: "other-tab", sheetId: 4, key: "A-100", device: "PC-01", text: "another tab's row" }),
+      ] },
+      { sheetId: 0, title: "Laptops", rows: [
+        ["Asset Tag", "Device", "Completed", "Comment"],
+        ["A-100", "PC-01", false, ""],
+        ["A-200", "PC-02", false, ""],
+      ] },
+      { sheetId: 4, title: "Desktops", rows: [["Asset Tag", "Device"], ["A-100", "PC-01"]] },
+    ]);
+    expect((await post("/link", { spreadsheetId: SHEET })).body).toMatchObject({ sheetId: 0, sheetTitle: "Laptops" });
+  });
+
+  test("/tabs leaves the notes tab out and /link refuses it", async () => {
+    const tabs = await get(`/tabs?spreadsheetId=${SHEET}`);
+    expect(tabs.body.tabs.map((t) => t.title)).toEqual(["Laptops", "Desktops"]);
+
+    const byId = await post("/link", { spreadsheetId: SHEET, sheetId: 9 });
+    expect(byId.status).toBe(400);
+    const byTitle = await post("/link", { spreadsheetId: SHEET, sheetTitle: NOTES_TAB_TITLE });
+    expect(byTitle.body.error).toBe(`'${NOTES_TAB_TITLE}' holds the device notes and can't be tracked. Pick another tab.`);
+  });
+
+  test("GET /notes finds a row's notes by key or Device, legacy ones included, on the linked tab only", async () => {
+    const byKey = await get("/notes?key=A-100", { role: "viewer" });
+    expect(byKey.status).toBe(200);
+    expect(byKey.body).toMatchObject({ device: "PC-01", key: "A-100" });
+    expect(byKey.body.notes.map((n) => n.id)).toEqual(["legacy", "keyed"]);
+
+    const byDevice = await get("/notes?device=PC-01", { role: "viewer" });
+    expect(byDevice.body.notes.map((n) => n.id)).toEqual(["legacy", "keyed"]);
+
+    expect((await get("/notes?key=A-200", { role: "viewer" })).body.notes).toEqual([]);
+    expect((await get("/notes?key=A-999", { role: "viewer" })).status).toBe(404);
+  });
+
+  test("POST /notes appends under the row's key and copies the text to Comment", async () => {
+    expect((await post("/notes", { key: "A-200", text: "x" }, { role: "viewer" })).status).toBe(403);
+
+    const added = await post("/notes", { key: "A-200", text: "Needs a charger" }, { role: "technician" });
+    expect(added.status).toBe(201);
+    expect(added.body).toMatchObject({
+      device: "PC-02",
+      key: "A-200",
+      note: { sheetId: 0, key: "A-200", device: "PC-02", author: "tester", text: "Needs a charger" },
+      cells: { Comment: "Needs a charger" },
+    });
+
+    const thread = await get("/notes?device=PC-02", { role: "viewer" });
+    expect(thread.body.notes).toEqual([added.body.note]);
+    expect(readWorkbook(SHEET).sheets[1].rows[2][3]).toBe("Needs a charger");
+  });
+});
+
+describe("version conflicts", () => {
+  const SHEET = "conflicts-book";
+  beforeEach(async () => {
+    await linkWorkbook(SHEET, [
+      ["Device", "Completed", "Comment"],
+      ["PC-01", false, "Needs RAM"],
+      ["PC-02", false, ""],
+    ]);
+  });
+
+  test("/comment based on an outdated row is a 409 with the row's current value and version", async () => {
+    const { body: rows } = await get("/rows", { role: "viewer" });
+    const seen = rows.versions[1];
+
+    const first = await post("/comment", { device: "PC-01", comment: "RAM added", version: seen }, { role: "technician" });
+    expect(first.status).toBe(200);
+    expect(first.body.version).not.toBe(seen);
+
+    const stale = await post("/comment", { device: "PC-01", comment: "Still needs RAM", version: seen }, { role: "technician" });
+    expect(stale.status).toBe(409);
+    expect(stale.body).toEqual({
+      ok: false,
+      error: "Device 'PC-01' was changed by someone else.",
+      conflict: { device: "PC-01", version: first.body.version, current: { Comment: "RAM added" } },
+    });
+
+    // Overwriting with the version from the conflict goes through
+    const overwrite = await post(
+      "/comment",
+      { device: "PC-01", comment: "Still needs RAM", version: stale.body.conflict.version },
+      { role: "technician" }
+    );
+    expect(overwrite.status).toBe(200);
+    expect(readWorkbook(SHEET).sheets[0].rows[1][2]).toBe("Still needs RAM");
+  });
+
+  test("a change made in the sheet itself conflicts too; writes without a version never do", async () => {
+    const { body: rows } = await get("/rows", { role: "viewer" });
+    const workbook = readWorkbook(SHEET);
+    workbook.sheets[0].rows[2][1] = true;
+    fs.writeFileSync(path.join(process.env.LOCAL_SHEETS_DIR, `${SHEET}.json`), JSON.stringify(workbook));
+
+    const stale = await post("/incomplete", { device: "PC-02", version: rows.versions[2] }, { role: "technician" });
+    expect(stale.status).toBe(409);
+    expect(stale.body.conflict.current).toEqual({ Completed: true });
+
+    const unconditional = await post("/comment", { device: "PC-02", comment: "Checked" }, { role: "technician" });
+    expect(unconditional.status).toBe(200);
+  });
+});
+
+describe("duplicate row keys", () => {
+  test("/link and /rows flag duplicates; a write naming one is a 409 saying how to fix it", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const linked = await linkWorkbook("duplicates-book", [
+      ["Device", "Completed", "Comment"],
+      ["PC-01", false, ""],
+      ["pc-01 ", false, ""],
+      ["PC-02", false, ""],
+    ]);
+    expect(linked).toMatchObject({ keyColumn: "Device", duplicates: ["PC-01"] });
+    expect(warn).toHaveBeenCalledWith("[WARN] duplicates-book 'Sheet1' has duplicate Device values: PC-01");
+    warn.mockRestore();
+
+    const rows = await get("/rows", { role: "viewer" });
+    expect(rows.body).toMatchObject({ keyColumn: "Device", duplicates: ["PC-01"] });
+
+    const ambiguous = await post("/complete", { device: "PC-01" }, { role: "technician" });
+    expect(ambiguous.status).toBe(409);
+    expect(ambiguous.body).toEqual({
+      ok: false,
+      error: "Device 'PC-01' matches 2 rows. Add an 'Asset Tag' column or make the 'Device' values unique.",
+      duplicate: { device: "PC-01", count: 2 },
+    });
+    expect((await post("/complete", { device: "PC-02" }, { role: "technician" })).status).toBe(200);
+  });
+
+  test("with a key column, rows sharing a Device are written by key", async () => {
+    const linked = await linkWorkbook("keyed-book", [
+      ["Asset Tag", "Device", "Completed", "Comment"],
+      ["A-100", "PC-01", false, ""],
+      ["A-101", "PC-01", false, ""],
+      ["", "PC-02", false, ""],
+    ]);
+    expect(linked).toMatchObject({ keyColumn: "Asset Tag", duplicates: [] });
+
+    const byDevice = await post("/comment", { device: "PC-01", comment: "x" }, { role: "technician" });
+    expect(byDevice.status).toBe(409);
+    expect(byDevice.body.error).toBe("Device 'PC-01' matches 2 rows. Use the row's 'Asset Tag' instead.");
+
+    const byKey = await post("/comment", { key: "A-101", comment: "Second PC-01" }, { role: "technician" });
+    expect(byKey.body).toMatchObject({ ok: true, device: "PC-01", key: "A-101" });
+    // A blank key falls back to the Device
+    const fallback = await post("/comment", { key: "PC-02", comment: "No tag yet" }, { role: "technician" });
+    expect(fallback.body).toMatchObject({ ok: true, device: "PC-02", key: "PC-02" });
+
+    expect(readWorkbook("keyed-book").sheets[0].rows.map((r) => r[3])).toEqual(["Comment", "", "Second PC-01", "No tag yet"]);
+  });
+});
+
+describe("/rows caching", () => {
+  beforeAll(async () => {
+    await linkWorkbook("etag-book", [["Device", "Completed", "Comment"], ["PC-01", false, ""]]);
+  });
+
+  test("answers a matching If-None-Match with 304 until a write changes the rows", async () => {
+    const first = await get("/rows", { role: "viewer" });
+    const etag = first.headers.get("etag");
+    expect(etag).toMatch(/^"[\w-]+"$/);
+    expect(first.headers.get("cache-control")).toBe("no-cache");
+
+    const again = await get("/rows", { role: "viewer", headers: { "If-None-Match": etag } });
+    expect(again.status).toBe(304);
+    expect(again.body).toBeNull();
+
+    await post("/comment", { device: "PC-01", comment: "Needs RAM" }, { role: "technician" });
+    const changed = await get("/rows", { role: "viewer", headers: { "If-None-Match": etag } });
+    expect(changed.status).toBe(200);
+    expect(changed.headers.get("etag")).not.toBe(etag);
+    expect(changed.body.rows[1]).toEqual(["PC-01", false, "Needs RAM"]);
+  });
+
+  test("a stale copy is served with `stale: true` and never answered with 304", async () => {
+    const { headers } = await get("/rows", { role: "viewer" });
+    const original = rowsCache.readRows;
+    const readRows = jest
+      .spyOn(rowsCache, "readRows")
+      .mockImplementation(async (target) => ({ ...(await original(target)), stale: true }));
+    try {
+      const stale = await get("/rows", { role: "viewer", headers: { "If-None-Match": headers.get("etag") } });
+      expect(stale.status).toBe(200);
+      expect(stale.body).toMatchObject({ ok: true, stale: true });
+
+      // fetch adds "Cache-Control: no-cache" to conditional requests unless told otherwise; other clients don't
+      const repeat = await get("/rows", {
+        role: "viewer",
+        headers: { "If-None-Match": stale.headers.get("etag"), "Cache-Control": "max-age=0" },
+      });
+      expect(repeat.status).toBe(200);
+    } finally {
+      readRows.mockRestore();
+    }
+  });
+});
+
+describe("/batch", () => {
+  const SHEET = "batch-book";
+  beforeEach(async () => {
+    await linkWorkbook(SHEET, [
+      ["Device", "Completed", "Comment"],
+      ["PC-01", false, ""],
+      ["PC-02", false, ""],
+      ["PC-03", false, "old"],
+    ]);
+  });
+
+  test("reports every operation in order and keeps the ones that succeed", async () => {
+    const { body: rows } = await get("/rows", { role: "viewer" });
+    await post("/comment", { device: "PC-03", comment: "changed meanwhile" }, { role: "technician" });
+
+    const res = await post(
+      "/batch",
+      {
+        operations: [
+          { device: "PC-01", op: "complete" },
+          { device: "PC-02", op: "Comment", comment: "Boxed" },
+          { device: "PC-09", op: "complete" },
+          { device: "PC-02", op: "reboot" },
+          { op: "complete" },
+          { device: "PC-03", op: "comment", comment: "overwrite?", version: rows.versions[3] },
+        ],
+      },
+      { role: "technician" }
+    );
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, succeeded: 2, failed: 4 });
+    expect(res.body.results).toEqual([
+      { device: "PC-01", key: "PC-01", op: "complete", ok: true, cells: { Completed: true }, version: expect.any(String) },
+      { device: "PC-02", key: "PC-02", op: "comment", comment: "Boxed", ok: true, cells: { Comment: "Boxed" }, version: expect.any(String) },
+      { device: "PC-09", op: "complete", ok: false, status: 404, error: "Device 'PC-09' not found." },
+      { device: "PC-02", op: "reboot", ok: false, status: 400, error: "Unknown operation 'reboot'." },
+      { device: "", op: "complete", ok: false, status: 400, error: "Device is required." },
+      {
+        device: "PC-03",
+        op: "comment",
+        comment: "overwrite?",
+        ok: false,
+        status: 409,
+        error: "Device 'PC-03' was changed by someone else.",
+        conflict: { device: "PC-03", version: expect.any(String), current: { Comment: "changed meanwhile" } },
+      },
+    ]);
+
+    expect(readWorkbook(SHEET).sheets[0].rows).toEqual([
+      ["Device", "Completed", "Comment"],
+      ["PC-01", true, ""],
+      ["PC-02", false, "Boxed"],
+      ["PC-03", false, "changed meanwhile"],
+    ]);
+  });
+
+  test("an all-invalid batch writes nothing; viewers can't batch", async () => {
+    const res = await post("/batch", { operations: [{ device: "PC-01", op: "delete" }] }, { role: "technician" });
+    expect(res.body).toMatchObject({ ok: true, succeeded: 0, failed: 1 });
+
+    expect((await post("/batch", { operations: [{ device: "PC-01", op: "complete" }] }, { role: "viewer" })).status).toBe(403);
+    expect((await post("/batch", { operations: [] }, { role: "technician" })).status).toBe(400);
+    expect(readWorkbook(SHEET).sheets[0].rows[1]).toEqual(["PC-01", false, ""]);
+  });
+});
+
+describe("completion stamps", () => {
+  const SHEET = "stamps-book";
+
+  test("completing stamps Completed At and Completed By; marking incomplete clears them", async () => {
+    await linkWorkbook(SHEET, [
+      ["Device", "Completed", "Completed At", "Completed By"],
+      ["PC-01", false, "", ""],
+      ["PC-02", false, "", ""],
+    ]);
+    const before = Date.now();
+
+    const named = await post("/complete", { device: "PC-01", completedBy: "  bob " }, { role: "technician" });
+    expect(named.body).toMatchObject({
+      completed: true,
+      cells: { "Completed": true, "Completed At": expect.any(String), "Completed By": "bob" },
+    });
+    const stampedAt = Date.parse(named.body.cells["Completed At"]);
+    expect(stampedAt).toBeGreaterThanOrEqual(before);
+    expect(stampedAt).toBeLessThanOrEqual(Date.now());
+
+    // Without a name the caller's label is stamped
+    const anonymous = await post("/complete", { device: "PC-02" }, { role: "technician" });
+    expect(anonymous.body.cells["Completed By"]).toBe("tester");
+
+    const cleared = await post("/incomplete", { device: "PC-01" }, { role: "technician" });
+    expect(cleared.body.cells).toEqual({ "Completed": false, "Completed At": null, "Completed By": null });
+    expect(readWorkbook(SHEET).sheets[0].rows.slice(1)).toEqual([
+      ["PC-01", false, "", ""],
+      ["PC-02", true, anonymous.body.cells["Completed At"], "tester"],
+    ]);
+  });
+
+  test("the stamps follow the column mapping and are skipped when the sheet has no such columns", async () => {
+    await linkWorkbook(
+      SHEET,
+      [["Device", "Completed", "Done On", "Tech"], ["PC-01", false, "", ""]],
+      { columns: { completedAt: "Done On", completedBy: "Tech" } }
+    );
+    const mapped = await post("/complete", { device: "PC-01", completedBy: "carol" }, { role: "technician" });
+    expect(mapped.body.cells).toEqual({ "Completed": true, "Done On": expect.any(String), "Tech": "carol" });
+
+    await linkWorkbook(SHEET, [["Device", "Completed"], ["PC-01", false]], { columns: {} });
+    const plain = await post("/complete", { device: "PC-01", completedBy: "carol" }, { role: "technician" });
+    expect(plain.body.cells).toEqual({ Completed: true });
+    expect(readWorkbook(SHEET).sheets[0].rows[1]).toEqual(["PC-01", true]);
+  });
+});
@@ -0,0 +1,100 @@
+// server/routes/projects.router.js
+/**
+ * Projects Router (Express)
+ * Endpoints:
+ *   GET    /projects                 -> list projects
+ *   POST   /projects                 -> create a project { name, id? }
+ *   GET    /projects/:projectId      -> one project
+ *   PATCH  /projects/:projectId      -> rename / update settings { name?, settings? }
+ *   DELETE /projects/:projectId      -> remove a project (the sheet itself is untouched)
+ *
+ * Reading projects needs the viewer role; creating, changing and deleting
+ * them is admin only.
+ *   *      /projects/:projectId/...  -> sheet routes scoped to the project
+ *                                       (see googlesheets.router.js)
+ */
+
+const express = require("express");
+const sheetsRouter = require("./googlesheets.router");
+const {
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+} = require("../storage/projects");
+const { handleError } = require("../utils/respond");
+const { validate } = require("../utils/validate");
+const { requireRole } = require("../auth/roles");
+
+const router = express.Router();
+router.use(express.json());
+
+// ---------------- Schemas ----------------
+
+const NAME = { type: "string", maxLength: 100 };
+const SCHEMAS = {
+  create: { body: { name: { ...NAME, required: true }, id: { type: "string", maxLength: 64 } } },
+  update: { body: { name: NAME, settings: { type: "object", maxKeys: 50 } } },
+};
+
+router.get("/", requireRole("viewer"), (_req, res) => {
+  try {
+    return res.status(200).json({ ok: true, projects: listProjects() });
+  } catch (err) {
+    return handleError(res, err, "Failed to list projects");
+  }
+});
+
+router.post("/", requireRole("admin"), validate(SCHEMAS.create), (req, res) => {
+  try {
+    const project = createProject({ id: req.body.id, name: req.body.name });
+    return res.status(201).json({ ok: true, project });
+  } catch (err) {
+    return handleError(res, err, "Failed to create project");
+  }
+});
+
+router.get("/:projectId", requireRole("viewer"), (req, res) => {
+  const project = getProject(req.params.projectId);
+  if (!project) {
+    return res
+      .status(404)
+      .json({ ok: false, error: `Project '${req.params.projectId}' not found.` });
+  }
+  return res.status(200).json({ ok: true, project });
+});
+
+router.patch("/:projectId", requireRole("admin"), validate(SCHEMAS.update), (req, res) => {
+  try {
+    if (!getProject(req.params.projectId)) {
+      return res
+        .status(404)
+        .json({ ok: false, error: `Project '${req.params.projectId}' not found.` });
+    }
+
+    // Only name and settings are editable here; the sheet is changed via /link
+    const changes = {};
+    if (req.body.name) changes.name = req.body.name;
+    if (req.body.settings) changes.settings = req.body.settings;
+
+    const project = updateProject(req.params.projectId, changes);
+    return res.status(200).json({ ok: true, project });
+  } catch (err) {
+    return handleError(res, err, "Failed to update project");
+  }
+});
+
+router.delete("/:projectId", requireRole("admin"), (req, res) => {
+  try {
+    deleteProject(req.params.projectId);
+    return res.status(200).json({ ok: true, projectId: req.params.projectId });
+  } catch (err) {
+    return handleError(res, err, "Failed to delete project");
+  }
+});
+
+// Sheet routes (link, tabs, rows, complete, ...) scoped to one project
+router.use("/:projectId", sheetsRouter);
+
+module.exports = router;
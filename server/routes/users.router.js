@@ -0,0 +1,68 @@
+// server/routes/users.router.js
+/**
+ * Users Router (Express) – admin only.
+ * Endpoints:
+ *   GET    /users            -> list accounts (never includes password hashes)
+ *   POST   /users            -> add an account { username, password, role? } (a viewer by default)
+ *   PATCH  /users/:userId    -> change a role { role: "viewer"|"technician"|"admin" }
+ *   DELETE /users/:userId    -> remove an account and end its sessions
+ */
+
+const express = require("express");
+const { listUsers, createUser, setRole, deleteUser } = require("../auth/users");
+const { deleteUserSessions } = require("../auth/sessions");
+const { ROLES, requireRole } = require("../auth/roles");
+const { handleError } = require("../utils/respond");
+const { validate } = require("../utils/validate");
+
+const router = express.Router();
+router.use(express.json());
+router.use(requireRole("admin"));
+
+const ROLE_BODY = { body: { role: { type: "string", required: true, oneOf: ROLES } } };
+const NEW_USER_BODY = {
+  body: {
+    username: { type: "string", required: true, maxLength: 64 },
+    password: { type: "string", required: true, maxLength: 256, raw: true },
+    role: { type: "string", oneOf: ROLES },
+  },
+};
+
+router.get("/", (_req, res) => {
+  try {
+    return res.status(200).json({ ok: true, users: listUsers() });
+  } catch (err) {
+    return handleError(res, err, "Failed to list users");
+  }
+});
+
+router.post("/", validate(NEW_USER_BODY), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const user = await createUser({ username, password, role: role || "viewer" });
+    return res.status(201).json({ ok: true, user });
+  } catch (err) {
+    return handleError(res, err, "Failed to add user");
+  }
+});
+
+router.patch("/:userId", validate(ROLE_BODY), (req, res) => {
+  try {
+    const user = setRole(req.params.userId, req.body.role);
+    return res.status(200).json({ ok: true, user });
+  } catch (err) {
+    return handleError(res, err, "Failed to update user");
+  }
+});
+
+router.delete("/:userId", (req, res) => {
+  try {
+    deleteUser(req.params.userId);
+    deleteUserSessions(req.params.userId);
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    return handleError(res, err, "Failed to delete user");
+  }
+});
+
+module.exports = router;
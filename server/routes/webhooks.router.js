@@ -0,0 +1,120 @@
+// server/routes/webhooks.router.js
+/**
+ * Webhooks Router (Express) – admin only, mounted inside the sheets router
+ * (so under /api/projects/:projectId/webhooks and /api/googleSheets/webhooks).
+ * Endpoints:
+ *   GET    /webhooks                    -> the project's subscriptions (never the secrets)
+ *   POST   /webhooks                    -> subscribe { url, events, secret? }
+ *                                          responds with the secret once
+ *   PATCH  /webhooks/:webhookId         -> change { url?, events?, secret?, active? }
+ *   DELETE /webhooks/:webhookId         -> unsubscribe
+ *   GET    /webhooks/deliveries         -> delivery attempts, newest first (?webhookId=&limit=)
+ *   POST   /webhooks/:webhookId/test    -> send a "ping" now and report how it went
+ *
+ * Events, payloads and signatures: see server/events/webhookDispatcher.js.
+ */
+
+const express = require("express");
+const webhooks = require("../storage/webhooks");
+const { sendTest } = require("../events/webhookDispatcher");
+const { requireRole } = require("../auth/roles");
+const { handleError } = require("../utils/respond");
+const { validate } = require("../utils/validate");
+
+const router = express.Router({ mergeParams: true });
+router.use(express.json());
+router.use(requireRole("admin"));
+
+// ---------------- Schemas ----------------
+
+const URL_FIELD = { type: "string", maxLength: 2000 };
+const EVENTS = {
+  type: "array",
+  minItems: 1,
+  maxItems: webhooks.WEBHOOK_EVENTS.length,
+  items: { type: "string", oneOf: webhooks.WEBHOOK_EVENTS },
+};
+// Kept exactly as sent: receivers sign with the same bytes
+const SECRET = { type: "string", raw: true, minLength: 16, maxLength: 200 };
+
+const SCHEMAS = {
+  create: {
+    body: {
+      url: { ...URL_FIELD, required: true },
+      events: { ...EVENTS, required: true },
+      secret: SECRET,
+    },
+  },
+  update: { body: { url: URL_FIELD, events: EVENTS, secret: SECRET, active: { type: "boolean" } } },
+  deliveries: {
+    query: {
+      webhookId: { type: "string", maxLength: 100 },
+      limit: { type: "integer", min: 1, max: 1000 },
+    },
+  },
+};
+
+// ---------------- Routes ----------------
+
+router.get("/", (req, res) => {
+  try {
+    return res.status(200).json({
+      ok: true,
+      events: webhooks.WEBHOOK_EVENTS,
+      webhooks: webhooks.listWebhooks(req.projectId),
+    });
+  } catch (err) {
+    return handleError(res, err, "Failed to list webhooks");
+  }
+});
+
+router.post("/", validate(SCHEMAS.create), (req, res) => {
+  try {
+    const { webhook, secret } = webhooks.createWebhook(req.projectId, req.body);
+    return res.status(201).json({ ok: true, webhook, secret });
+  } catch (err) {
+    return handleError(res, err, "Failed to create webhook");
+  }
+});
+
+router.get("/deliveries", validate(SCHEMAS.deliveries), (req, res) => {
+  try {
+    const deliveries = webhooks.readDeliveries({
+      projectId: req.projectId,
+      webhookId: req.query.webhookId,
+      limit: req.query.limit,
+    });
+    return res.status(200).json({ ok: true, deliveries });
+  } catch (err) {
+    return handleError(res, err, "Failed to read webhook deliveries");
+  }
+});
+
+router.patch("/:webhookId", validate(SCHEMAS.update), (req, res) => {
+  try {
+    const webhook = webhooks.updateWebhook(req.projectId, req.params.webhookId, req.body);
+    return res.status(200).json({ ok: true, webhook });
+  } catch (err) {
+    return handleError(res, err, "Failed to update webhook");
+  }
+});
+
+router.delete("/:webhookId", (req, res) => {
+  try {
+    webhooks.deleteWebhook(req.projectId, req.params.webhookId);
+    return res.status(200).json({ ok: true });
+  } catch (err) {
+    return handleError(res, err, "Failed to delete webhook");
+  }
+});
+
+router.post("/:webhookId/test", async (req, res) => {
+  try {
+    const delivery = await sendTest(req.projectId, req.params.webhookId);
+    return res.status(200).json({ ok: true, delivery });
+  } catch (err) {
+    return handleError(res, err, "Failed to send test delivery");
+  }
+});
+
+module.exports = router;
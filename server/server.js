@@ -3,12 +3,15 @@
 // Core dependencies
 const express = require("express");
 const helmet = require("helmet");
-const rateLimit = require("express-rate-limit");
 const cors = require("cors");
 const path = require("path");
 require("dotenv").config();
 
-const requireApiKey = require("./auth/apiKey");
+const { authenticate } = require("./auth/authenticate");
+const { assertApiKeyConfigured } = require("./auth/apiKey");
+const { identityRateLimit } = require("./auth/rateLimits");
+const { hasAdmin, seedAdminFromEnv } = require("./auth/users");
+const { startDigestSchedule } = require("./digest/scheduler");
 
 // Create app
 const app = express();
@@ -47,23 +50,29 @@ app.use(express.urlencoded({ extended: true, limit: "100kb" }));
 // Serve built React app
 app.use(express.static(path.join(__dirname, "..", "build")));
 
-// ----------------- API security -----------------
+// ----------------- Routes -----------------
 
-// Basic rate limiting for all /api routes
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100,                 // 100 requests per IP per window
-});
+const auth = require("./routes/auth.router");
+const users = require("./routes/users.router");
+const apiKeys = require("./routes/apiKeys.router");
+const sheets = require("./routes/googlesheets.router");
+const projects = require("./routes/projects.router");
 
-// Apply rate limit and API key auth to all /api routes
-app.use("/api", apiLimiter, requireApiKey);
+// Login / registration are the only public API routes
+app.use("/api/auth", auth);
 
-// ----------------- Routes -----------------
+// Everything else needs a session cookie or API key (roles are checked per route)
+app.use("/api", authenticate);
 
-const sheets = require("./routes/googlesheets.router");
+// Rate limits per user / API key, with separate rows, read and write budgets
+app.use("/api", identityRateLimit);
 
 // Mount routers under /api
+app.use("/api/users", users);
+app.use("/api/apiKeys", apiKeys);
+// /api/googleSheets is the legacy unscoped path and targets the "default" project
 app.use("/api/googleSheets", sheets);
+app.use("/api/projects", projects);
 
 // ----------------- Catch-all for SPA (optional) -----------------
 // If you want React Router to handle unknown paths, uncomment:
@@ -95,6 +104,28 @@ app.use((err, req, res, next) => {
 
 // ----------------- Start server -----------------
 
-app.listen(PORT, () => {
-  console.log(`Listening on port: ${PORT}`);
-});
\ No newline at end of file
+// Refuse to start when REQUIRE_API_KEY is set but no key can authenticate
+try {
+  assertApiKeyConfigured();
+} catch (err) {
+  console.error(`[FATAL] ${err.message}`);
+  process.exit(1);
+}
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD before taking requests
+seedAdminFromEnv()
+  .then(() => {
+    if (!hasAdmin()) {
+      console.warn(
+        "[WARN] No admin account yet. Set ADMIN_USERNAME and ADMIN_PASSWORD or run server/tools/createAdmin.js."
+      );
+    }
+    app.listen(PORT, () => {
+      console.log(`Listening on port: ${PORT}`);
+      startDigestSchedule();
+    });
+  })
+  .catch((err) => {
+    console.error(`[FATAL] Could not create the admin account: ${err.message}`);
+    process.exit(1);
+  });
\ No newline at end of file
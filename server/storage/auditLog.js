@@ -0,0 +1,105 @@
+// server/storage/auditLog.js
+/**
+ * Append-only audit log of every change made through the API.
+ *
+ * One JSON object per line (JSONL), never rewritten:
+ *   { ts, projectId, spreadsheetId, sheetId, device, key, field, oldValue, newValue, actor }
+ *
+ * `key` is the row key (see sheetUtils.js); entries written before row keys
+ * existed only have `device`.
+ *
+ * Env:
+ *   AUDIT_LOG_PATH   optional path of the log file (defaults to ./auditLog.jsonl)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const LOG_PATH =
+  process.env.AUDIT_LOG_PATH && process.env.AUDIT_LOG_PATH.trim().length > 0
+    ? process.env.AUDIT_LOG_PATH
+    : path.resolve(process.cwd(), "auditLog.jsonl");
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function normalizeDevice(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+/** True when the log exists and its last line was cut off (a torn write). */
+function endsMidLine() {
+  let fd;
+  try {
+    fd = fs.openSync(LOG_PATH, "r");
+    const { size } = fs.fstatSync(fd);
+    if (size === 0) return false;
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] !== 0x0a;
+  } catch {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Append entries in a single write so a batch lands together. After a torn
+ * write the batch starts on a new line, so only the torn entry is lost.
+ * A failed append is logged but never fails the change it describes.
+ */
+function appendEntries(entries) {
+  if (!entries || entries.length === 0) return;
+  const ts = new Date().toISOString();
+  const lines = entries.map((e) => JSON.stringify({ ts, ...e })).join("\n") + "\n";
+  try {
+    fs.mkdirSync(path.dirname(LOG_PATH), { recursive: true });
+    fs.appendFileSync(LOG_PATH, endsMidLine() ? `\n${lines}` : lines, "utf8");
+  } catch (err) {
+    console.error(`[ERROR] Could not append to audit log ${LOG_PATH}:`, err.message);
+  }
+}
+
+/**
+ * Entries for a project (optionally one row), newest first. A row is picked
+ * by `key`, falling back to `device` for entries without one, or by `device`
+ * alone. `since` (an ISO timestamp) stops at older entries. Unparsable lines
+ * (e.g. a torn write) are skipped.
+ */
+function readHistory({ projectId, device, key, since, limit = DEFAULT_LIMIT }) {
+  let raw;
+  try {
+    raw = fs.readFileSync(LOG_PATH, "utf8");
+  } catch {
+    return [];
+  }
+
+  const wanted = device ? normalizeDevice(device) : null;
+  const wantedKey = key ? normalizeDevice(key) : null;
+  const matches = (entry) => {
+    if (wantedKey && entry.key) return normalizeDevice(entry.key) === wantedKey;
+    if (wanted) return normalizeDevice(entry.device) === wanted;
+    return !wantedKey;
+  };
+  const max = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const out = [];
+  const lines = raw.split("\n");
+
+  for (let i = lines.length - 1; i >= 0 && out.length < max; i--) {
+    if (!lines[i]) continue;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      continue;
+    }
+    if (since && entry.ts < since) break;
+    if (entry.projectId !== projectId) continue;
+    if (!matches(entry)) continue;
+    out.push(entry);
+  }
+  return out;
+}
+
+module.exports = { appendEntries, readHistory };
@@ -0,0 +1,100 @@
+// server/storage/auditLog.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-log-test-"));
+process.env.AUDIT_LOG_PATH = path.join(dir, "logs", "audit.jsonl");
+
+const { appendEntries, readHistory } = require("./auditLog");
+
+const LOG = process.env.AUDIT_LOG_PATH;
+
+function change(fields) {
+  return { projectId: "lab", spreadsheetId: "s1", sheetId: 0, field: "Comment", oldValue: "", newValue: "x", actor: "alice", ...fields };
+}
+
+/** Append entries as if written at `iso`. */
+function appendAt(iso, entries) {
+  jest.setSystemTime(new Date(iso));
+  appendEntries(entries);
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  fs.rmSync(path.dirname(LOG), { recursive: true, force: true });
+});
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a batch is appended as one JSON line per entry sharing one timestamp", () => {
+  expect(readHistory({ projectId: "lab" })).toEqual([]);
+
+  const completed = change({ device: "PC-01", key: "A-100", field: "Completed", oldValue: false, newValue: true });
+  appendAt("2024-05-01T09:00:00.000Z", [completed, change({ device: "PC-02", key: "A-200" })]);
+  appendEntries([]);
+
+  const lines = fs.readFileSync(LOG, "utf8").split("\n");
+  expect(lines).toHaveLength(3);
+  expect(lines[2]).toBe("");
+  expect(JSON.parse(lines[0])).toEqual({ ts: "2024-05-01T09:00:00.000Z", ...completed });
+  expect(JSON.parse(lines[1]).ts).toBe("2024-05-01T09:00:00.000Z");
+});
+
+test("a failed append is logged and never thrown", () => {
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(fs, "appendFileSync").mockImplementation(() => {
+    throw new Error("disk full");
+  });
+  expect(() => appendEntries([change({ device: "PC-01" })])).not.toThrow();
+  expect(error).toHaveBeenCalledWith(`[ERROR] Could not append to audit log ${LOG}:`, "disk full");
+});
+
+describe("readHistory", () => {
+  beforeEach(() => {
+    appendAt("2024-05-01T09:00:00.000Z", [change({ device: "PC-01", newValue: "legacy, no key" })]);
+    appendAt("2024-05-02T09:00:00.000Z", [change({ device: "PC-01", key: "A-100", newValue: "keyed" })]);
+    appendAt("2024-05-03T09:00:00.000Z", [change({ device: "PC-01", key: "A-101", newValue: "other row, same Device" })]);
+    appendAt("2024-05-04T09:00:00.000Z", [change({ projectId: "other", device: "PC-01", key: "A-100" })]);
+    fs.appendFileSync(LOG, '{"ts":"2024-05-04T10:00:00.000Z","projectId":"lab",'); // a torn write
+    appendAt("2024-05-05T09:00:00.000Z", [change({ device: "pc-02 ", key: "a-200", newValue: "latest" })]);
+  });
+  const values = (entries) => entries.map((e) => e.newValue);
+
+  test("returns a project's entries newest first; a torn line is skipped without losing the next entry", () => {
+    expect(values(readHistory({ projectId: "lab" }))).toEqual(["latest", "other row, same Device", "keyed", "legacy, no key"]);
+    expect(values(readHistory({ projectId: "other" }))).toEqual(["x"]);
+    expect(readHistory({ projectId: "none" })).toEqual([]);
+  });
+
+  test("picks a row by key, falling back to the Device for entries without one", () => {
+    expect(values(readHistory({ projectId: "lab", key: "A-100", device: "PC-01" }))).toEqual(["keyed", "legacy, no key"]);
+    expect(values(readHistory({ projectId: "lab", key: "A-100" }))).toEqual(["keyed"]);
+    expect(values(readHistory({ projectId: "lab", key: " A-200" }))).toEqual(["latest"]);
+  });
+
+  test("picks a row by Device alone, case- and space-insensitively", () => {
+    expect(values(readHistory({ projectId: "lab", device: "pc-01" }))).toEqual([
+      "other row, same Device",
+      "keyed",
+      "legacy, no key",
+    ]);
+    expect(values(readHistory({ projectId: "lab", device: "PC-02" }))).toEqual(["latest"]);
+  });
+
+  test("stops at `since` and caps the count at `limit`", () => {
+    expect(values(readHistory({ projectId: "lab", since: "2024-05-02T09:00:00.000Z" }))).toEqual([
+      "latest",
+      "other row, same Device",
+      "keyed",
+    ]);
+    expect(values(readHistory({ projectId: "lab", limit: 2 }))).toEqual(["latest", "other row, same Device"]);
+    expect(readHistory({ projectId: "lab", limit: 0 })).toHaveLength(4); // 0 means the default
+    expect(readHistory({ projectId: "lab", limit: -5 })).toHaveLength(1);
+  });
+});
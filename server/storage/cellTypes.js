@@ -0,0 +1,230 @@
+// server/storage/cellTypes.js
+/**
+ * Typed cell values for the API.
+ *
+ * Providers return cells as stored (Sheets: UNFORMATTED_VALUE with date
+ * serials; local: plain JSON), and row versions and the rows cache keep
+ * them that way. Responses convert each column to one type:
+ *   boolean  true / false (also "TRUE" / "FALSE" and "yes" / "no")
+ *   number   a finite number (numeric text is parsed)
+ *   date     an ISO 8601 string; Sheets serials are read in the spreadsheet's time zone
+ *   ip       a valid IPv4 / IPv6 address, trimmed
+ *   string   text (numbers such as a numeric Device name become text)
+ * Blank cells become null. A value that doesn't fit its column's type is
+ * returned as text, so nothing is lost.
+ *
+ * A column's type is, in order: declared for the sheet (`types`, by header
+ * name, saved with the column mapping), the type of the logical field its
+ * header maps to (FIELD_TYPES), else inferred from the column's values.
+ * Unformatted, a date is just a number; a numeric column whose number format
+ * (from readRows' `numberFormats`) is a date or date-time is inferred as "date".
+ *
+ * GET /rows returns the converted rows with `types`: { header: type }; write
+ * responses, live changes and webhook payloads report their `cells` the same
+ * way, so a client never parses "TRUE" or a date serial itself.
+ */
+
+const net = require("net");
+const { httpError, COLUMN_FIELDS, columnIndex, findHeaderIndex, fromSheetsSerial } = require("./sheetUtils");
+
+const CELL_TYPES = ["string", "number", "boolean", "date", "ip"];
+
+/** Types of the logical fields (see sheetUtils column mapping). */
+const FIELD_TYPES = {
+  key: "string",
+  device: "string",
+  status: "boolean",
+  completedAt: "date",
+  completedBy: "string",
+  comment: "string",
+  ip: "ip",
+  type: "string",
+  manufacturer: "string",
+  model: "string",
+  serial: "string",
+  location: "string",
+};
+
+const MAX_DECLARED_TYPES = 100;
+const MAX_HEADER_LENGTH = 100;
+
+// Sheets number format types of date serials (TIME is a fraction of a day, not a moment)
+const DATE_FORMATS = ["DATE", "DATE_TIME"];
+
+const BOOLEAN_TEXT = { true: true, false: false, yes: true, no: false };
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === "";
+
+/**
+ * Validate declared types from a request body: { "Header": type } ->
+ * the same with trimmed headers. Unknown types are a 400.
+ */
+function normalizeColumnTypes(input) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw httpError(400, "'types' must be an object of header name -> type.");
+  }
+  const entries = Object.entries(input);
+  if (entries.length > MAX_DECLARED_TYPES) {
+    throw httpError(400, `At most ${MAX_DECLARED_TYPES} column types may be declared.`);
+  }
+  const types = {};
+  for (const [header, type] of entries) {
+    const name = header.trim();
+    if (!name || name.length > MAX_HEADER_LENGTH) {
+      throw httpError(400, `Header names in 'types' must be 1-${MAX_HEADER_LENGTH} characters.`);
+    }
+    if (!CELL_TYPES.includes(type)) {
+      throw httpError(400, `Unknown type '${type}' for '${name}'. Use one of: ${CELL_TYPES.join(", ")}.`);
+    }
+    types[name] = type;
+  }
+  return types;
+}
+
+// ---------------- Conversion ----------------
+
+function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  const parsed = BOOLEAN_TEXT[String(value).trim().toLowerCase()];
+  return parsed === undefined ? null : parsed;
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const text = String(value).trim().replace(/,/g, "");
+  const parsed = Number(text);
+  return text !== "" && Number.isFinite(parsed) ? parsed : null;
+}
+
+function toIsoDate(value, timeZone) {
+  if (typeof value === "number") return fromSheetsSerial(value, timeZone)?.toISOString() ?? null;
+  const text = String(value).trim();
+  if (!ISO_DATE.test(text)) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toIp(value) {
+  const text = String(value).trim();
+  return net.isIP(text) ? text : null;
+}
+
+/** One cell as `type`; blank -> null, a misfit -> its text. */
+function typeValue(value, type, timeZone) {
+  if (isBlank(value)) return null;
+  let typed = null;
+  if (type === "boolean") typed = toBoolean(value);
+  else if (type === "number") typed = toNumber(value);
+  else if (type === "date") typed = toIsoDate(value, timeZone);
+  else if (type === "ip") typed = toIp(value);
+  return typed === null ? String(value) : typed;
+}
+
+// ---------------- Column types ----------------
+
+/**
+ * Type a column's values suggest: only when every non-blank value agrees.
+ * `numberFormat` is the column's Sheets number format type, if known.
+ */
+function inferType(values, numberFormat) {
+  const present = values.filter((v) => !isBlank(v));
+  if (present.length === 0) return "string";
+  const all = (test) => present.every(test);
+  if (all((v) => typeof v === "boolean" || (typeof v === "string" && /^(true|false)$/i.test(v.trim())))) {
+    return "boolean";
+  }
+  if (all((v) => typeof v === "number")) return DATE_FORMATS.includes(numberFormat) ? "date" : "number";
+  if (all((v) => typeof v === "string" && ISO_DATE.test(v.trim()) && toIsoDate(v) !== null)) return "date";
+  if (all((v) => typeof v === "string" && net.isIP(v.trim()) !== 0)) return "ip";
+  return "string";
+}
+
+/** The type declared for a header name (case-insensitive), or null. */
+function declaredType(types, name) {
+  const idx = findHeaderIndex(Object.keys(types || {}), name);
+  return idx === -1 ? null : Object.values(types)[idx];
+}
+
+/**
+ * { [header]: type } for every named column of a tab's rows (header first),
+ * using the target's declared `types` and column mapping and the rows'
+ * `numberFormats` (see readRows).
+ */
+function columnTypesOf(rows, target, numberFormats) {
+  const header = rows?.[0] || [];
+  const fieldAt = new Map();
+  Object.keys(COLUMN_FIELDS).forEach((field) => {
+    const idx = columnIndex(header, target?.columns, field);
+    if (idx !== -1 && !fieldAt.has(idx)) fieldAt.set(idx, field);
+  });
+
+  const types = {};
+  header.forEach((h, idx) => {
+    const name = String(h ?? "").trim();
+    if (!name) return;
+    types[name] =
+      declaredType(target?.types, name) ||
+      FIELD_TYPES[fieldAt.get(idx)] ||
+      inferType(rows.slice(1).map((r) => r?.[idx]), numberFormats?.[name]);
+  });
+  return types;
+}
+
+/** Rows (header first) with every data cell converted by its column's type. */
+function typeRows(rows, types, timeZone) {
+  if (!Array.isArray(rows) || rows.length === 0) return [];
+  const [header, ...data] = rows;
+  const columnTypes = (header || []).map((h) => types[String(h ?? "").trim()] || "string");
+  return [
+    header,
+    ...data.map((row) => (Array.isArray(row) ? row.map((v, i) => typeValue(v, columnTypes[i], timeZone)) : row)),
+  ];
+}
+
+/**
+ * Written cells ({ [colName]: stored value }) as typed values. Writes only
+ * touch mapped fields, so a column's type comes from its declaration or its
+ * field; anything else is passed through.
+ */
+function typeCells(cells, target) {
+  const typed = {};
+  Object.entries(cells || {}).forEach(([name, value]) => {
+    const field = Object.keys(FIELD_TYPES).find((f) => columnIndex([name], target?.columns, f) === 0);
+    const type = declaredType(target?.types, name) || FIELD_TYPES[field];
+    typed[name] = type ? typeValue(value, type, target?.timeZone) : value;
+  });
+  return typed;
+}
+
+// ---------------- Progress ----------------
+
+// Same test as the client's isTrue (src/utils/cellTypes.js)
+const isTrue = (value) =>
+  typeof value === "boolean" ? value : String(value ?? "").trim().toLowerCase() === "true";
+
+/**
+ * A tab's typed rows (header first, see typeRows) counted the way Home
+ * counts them: a data row is a device when any cell is filled in, and it is
+ * done when its status cell is true. -> { devices, done, open } (rows)
+ */
+function splitByStatus(rows, map) {
+  const [header = [], ...data] = rows || [];
+  const statusIdx = columnIndex(header, map, "status");
+  const devices = data.filter((r) => Array.isArray(r) && r.some((v) => !isBlank(v)));
+  const isDone = (r) => statusIdx !== -1 && isTrue(r[statusIdx]);
+  return { devices, done: devices.filter(isDone), open: devices.filter((r) => !isDone(r)) };
+}
+
+module.exports = {
+  CELL_TYPES,
+  FIELD_TYPES,
+  normalizeColumnTypes,
+  typeValue,
+  inferType,
+  columnTypesOf,
+  typeRows,
+  typeCells,
+  splitByStatus,
+};
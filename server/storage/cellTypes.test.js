@@ -0,0 +1,105 @@
+// server/storage/cellTypes.test.js
+const { typeValue, inferType, columnTypesOf, typeRows } = require("./cellTypes");
+const { fromSheetsSerial, sheetsDateTime } = require("./sheetUtils");
+
+// Sheets serial of 2024-01-01 00:00; DST in New York starts 2024-03-10 and ends 2024-11-03
+const JAN_1_2024 = 45292;
+const NEW_YORK = "America/New_York";
+
+test("typeValue converts a cell to its column's type, blank to null and misfits to text", () => {
+  expect(typeValue("  ", "number")).toBeNull();
+  expect(typeValue(null, "boolean")).toBeNull();
+
+  expect(typeValue("yes", "boolean")).toBe(true);
+  expect(typeValue(" FALSE ", "boolean")).toBe(false);
+  expect(typeValue("maybe", "boolean")).toBe("maybe");
+
+  expect(typeValue("1,234.5", "number")).toBe(1234.5);
+  expect(typeValue("n/a", "number")).toBe("n/a");
+
+  expect(typeValue(" 10.0.0.1 ", "ip")).toBe("10.0.0.1");
+  expect(typeValue("::1", "ip")).toBe("::1");
+  expect(typeValue("10.0.0.256", "ip")).toBe("10.0.0.256");
+
+  expect(typeValue("2024-03-09T12:00:00Z", "date")).toBe("2024-03-09T12:00:00.000Z");
+  expect(typeValue(JAN_1_2024 + 0.5, "date", "UTC")).toBe("2024-01-01T12:00:00.000Z");
+  expect(typeValue("next week", "date")).toBe("next week");
+
+  expect(typeValue(42, "string")).toBe("42");
+});
+
+test("inferType needs every non-blank value to agree", () => {
+  expect(inferType([true, "FALSE", ""])).toBe("boolean");
+  expect(inferType([1, 2.5, null])).toBe("number");
+  expect(inferType(["2024-01-01", "2024-01-02 09:30"])).toBe("date");
+  expect(inferType(["10.0.0.1", "fe80::1"])).toBe("ip");
+  expect(inferType([1, "two"])).toBe("string");
+  expect(inferType(["10.0.0.1", "printer"])).toBe("string");
+  expect(inferType(["", null])).toBe("string");
+});
+
+test("inferType reads numbers formatted as dates as dates", () => {
+  expect(inferType([45321, 45322], "DATE")).toBe("date");
+  expect(inferType([45321.5], "DATE_TIME")).toBe("date");
+  expect(inferType([0.5], "TIME")).toBe("number");
+  expect(inferType([19.99], "CURRENCY")).toBe("number");
+  expect(inferType([45321, "soon"], "DATE")).toBe("string");
+});
+
+test("columnTypesOf prefers declared types, then mapped fields, then inference", () => {
+  const rows = [
+    ["Device", "Completed", "Done On", "Purchase Date", "Cost", "Mgmt IP", "Notes"],
+    ["PC-01", "TRUE", 45321, 45321, 899, "10.0.0.1", 12],
+    ["PC-02", false, "", 45322, 1099, "10.0.0.2", ""],
+  ];
+  const target = {
+    columns: { completedAt: ["Done On"], ip: ["Mgmt IP"] },
+    types: { "cost": "string", "Mgmt IP": "number" },
+  };
+  expect(columnTypesOf(rows, target, { "Purchase Date": "DATE", "Cost": "CURRENCY" })).toEqual({
+    "Device": "string",
+    "Completed": "boolean",
+    "Done On": "date",           // mapped to completedAt
+    "Purchase Date": "date",     // inferred from its number format
+    "Cost": "string",            // declared (header matched case-insensitively)
+    "Mgmt IP": "number",         // a declaration wins over the mapped field
+    "Notes": "number",
+  });
+  // Without the formats an unmapped date column is just numbers
+  expect(columnTypesOf(rows, target)["Purchase Date"]).toBe("number");
+});
+
+test("typeRows converts every data cell by its column's type", () => {
+  const rows = [
+    ["Device", "Completed", "Purchase Date"],
+    [101, "TRUE", JAN_1_2024],
+    ["PC-02", "", ""],
+  ];
+  const types = columnTypesOf(rows, {}, { "Purchase Date": "DATE" });
+  expect(typeRows(rows, types, "UTC")).toEqual([
+    ["Device", "Completed", "Purchase Date"],
+    ["101", true, "2024-01-01T00:00:00.000Z"],
+    ["PC-02", null, null],
+  ]);
+});
+
+test("fromSheetsSerial reads serials as wall-clock time in the sheet's time zone across DST", () => {
+  const iso = (serial, timeZone) => fromSheetsSerial(serial, timeZone).toISOString();
+  const mar9 = JAN_1_2024 + 68;  // Saturday before the spring change (EST, UTC-5)
+  const mar11 = JAN_1_2024 + 70; // Monday after it (EDT, UTC-4)
+  const nov3 = JAN_1_2024 + 307; // the day of the autumn change
+
+  expect(iso(mar9 + 0.5, NEW_YORK)).toBe("2024-03-09T17:00:00.000Z");
+  expect(iso(mar11 + 0.5, NEW_YORK)).toBe("2024-03-11T16:00:00.000Z");
+  expect(iso(nov3 + 0.5 / 24, NEW_YORK)).toBe("2024-11-03T04:30:00.000Z"); // 00:30 EDT
+  expect(iso(nov3 + 0.5, NEW_YORK)).toBe("2024-11-03T17:00:00.000Z");      // 12:00 EST
+  expect(iso(mar9 + 0.5, "UTC")).toBe("2024-03-09T12:00:00.000Z");
+
+  // The inverse of sheetsDateTime on both sides of the change
+  ["2024-03-09T17:00:00.000Z", "2024-03-11T16:00:00.000Z", "2024-11-03T17:00:00.000Z"].forEach((moment) => {
+    const { serial } = sheetsDateTime(new Date(moment), NEW_YORK);
+    expect(iso(serial, NEW_YORK)).toBe(moment);
+  });
+
+  expect(fromSheetsSerial("not a date", NEW_YORK)).toBeNull();
+});
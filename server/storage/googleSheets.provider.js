@@ -0,0 +1,597 @@
+// server/storage/googleSheets.provider.js
+/**
+ * Google Sheets storage provider.
+ *
+ * API calls (auth, retries, quota handling, error codes) go through
+ * ./sheetsApi.js; its header lists the credentials and retry env.
+ */
+
+const {
+  httpError,
+  columnIndexToA1,
+  sheetRange,
+  trackableTabs,
+  resolveTab,
+  countDataRows,
+  columnIndex,
+  missingColumn,
+  HEADER_SCAN_ROWS,
+  detectHeaderRow,
+  headerRowOf,
+  fromHeaderRow,
+  cellText,
+  sanitizeForSheets,
+  sheetsDateTime,
+  rowVersion,
+  versionConflict,
+  keyColumnsOf,
+  rowKeyOf,
+  rowMatchesRef,
+  refOf,
+  refLabel,
+  ambiguousRef,
+  NOTES_TAB_TITLE,
+  NOTES_HEADER,
+  noteToRow,
+  notesForRow,
+} = require("./sheetUtils");
+const { callSheets } = require("./sheetsApi");
+const writeQueue = require("./writeQueue");
+
+// ---------------- Reads ----------------
+
+async function getSpreadsheetMetadata(spreadsheetId) {
+  const resp = await callSheets("spreadsheets.get", {
+    spreadsheetId,
+    fields:
+      "spreadsheetId,properties.title,properties.timeZone,sheets(properties.title,properties.index,properties.sheetId)",
+  });
+  return resp.data;
+}
+
+function tabsFromMetadata(meta) {
+  return (meta.sheets || []).map((s) => ({
+    sheetId: s.properties.sheetId,
+    title: s.properties.title,
+    index: s.properties.index ?? 0,
+  }));
+}
+
+/**
+ * Read the tab the target points at (first tab if none chosen), from its
+ * header row down.
+ */
+async function readAllRowsFromTab(target) {
+  const meta = await getSpreadsheetMetadata(target.spreadsheetId);
+  const tab = resolveTab(tabsFromMetadata(meta), target);
+
+  const valuesResp = await callSheets("spreadsheets.values.get", {
+    spreadsheetId: target.spreadsheetId,
+    range: sheetRange(tab.title),
+    majorDimension: "ROWS",
+    valueRenderOption: "UNFORMATTED_VALUE",
+    dateTimeRenderOption: "SERIAL_NUMBER",
+  });
+
+  const rows = fromHeaderRow(valuesResp.data.values, target);
+  return {
+    spreadsheetId: meta.spreadsheetId,
+    spreadsheetTitle: meta.properties?.title,
+    sheetId: tab.sheetId,
+    sheetTitle: tab.title,
+    timeZone: meta.properties?.timeZone || "UTC",
+    headerRow: headerRowOf(target),
+    rows,
+    numberFormats: await readNumberFormats(target.spreadsheetId, tab.title, headerRowOf(target), rows),
+  };
+}
+
+/**
+ * { [header]: number format type } ("DATE", "DATE_TIME", "CURRENCY", ...) of
+ * the columns holding numbers, read from each one's first numeric cell.
+ * Unformatted values don't tell a date serial from any other number; the
+ * format does (see cellTypes.inferType). Skipped when no column has a number.
+ */
+async function readNumberFormats(spreadsheetId, title, headerRow, rows) {
+  const [header = [], ...data] = rows || [];
+  const firstNumberAt = new Map(); // column -> data row index
+  header.forEach((h, c) => {
+    if (String(h ?? "").trim() === "") return;
+    const r = data.findIndex((row) => typeof row?.[c] === "number");
+    if (r !== -1) firstNumberAt.set(c, r);
+  });
+  if (firstNumberAt.size === 0) return {};
+
+  // One block from the first data row down to the lowest of those cells
+  const firstRow = headerRow + 1;
+  const lastRow = firstRow + Math.max(...firstNumberAt.values());
+  const resp = await callSheets("spreadsheets.get", {
+    spreadsheetId,
+    ranges: [sheetRange(title, `${firstRow}:${lastRow}`)],
+    fields: "sheets(data(rowData(values(effectiveFormat(numberFormat(type))))))",
+  });
+  const rowData = resp.data.sheets?.[0]?.data?.[0]?.rowData || [];
+
+  const formats = {};
+  firstNumberAt.forEach((r, c) => {
+    const type = rowData[r]?.values?.[c]?.effectiveFormat?.numberFormat?.type;
+    if (type) formats[String(header[c]).trim()] = type;
+  });
+  return formats;
+}
+
+/** All tabs in index order, each with its count of non-empty data rows. */
+async function listTabs(spreadsheetId) {
+  const meta = await getSpreadsheetMetadata(spreadsheetId);
+  const tabs = trackableTabs(tabsFromMetadata(meta)).sort((a, b) => a.index - b.index);
+  if (tabs.length === 0) return [];
+
+  const valuesResp = await callSheets("spreadsheets.values.batchGet", {
+    spreadsheetId,
+    ranges: tabs.map((t) => sheetRange(t.title)),
+    majorDimension: "ROWS",
+    valueRenderOption: "UNFORMATTED_VALUE",
+  });
+  const ranges = valuesResp.data.valueRanges || [];
+
+  return tabs.map((t, i) => {
+    const rows = ranges[i]?.values;
+    return { ...t, rowCount: countDataRows(rows, detectHeaderRow(rows)) };
+  });
+}
+
+// ---------------- Device index ----------------
+//
+// Writes only need one row number, so instead of downloading the whole tab
+// we keep row-key -> rows and Device -> rows maps built from the header row,
+// the key column and the Device column (row numbers are absolute, so they
+// already include the rows above the header). Before each write the header and the
+// rows about to change are re-read in one small batchGet; if anything moved,
+// the index is rebuilt.
+
+const deviceIndexes = new Map(); // target key -> index
+
+function targetKey(target) {
+  return `${target.spreadsheetId}::${target.sheetId ?? target.sheetTitle ?? ""}`;
+}
+
+/** The header row and column mapping an index was built with; a change to either needs a rebuild. */
+function layoutKey(target) {
+  return JSON.stringify([headerRowOf(target), target.columns || {}]);
+}
+
+function normalizeDevice(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+function addRow(map, value, rowIndex1) {
+  const key = normalizeDevice(value);
+  if (key) map.set(key, [...(map.get(key) || []), rowIndex1]);
+}
+
+function sameHeader(a = [], b = []) {
+  const len = Math.max(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    if (String(a[i] ?? "").trim() !== String(b[i] ?? "").trim()) return false;
+  }
+  return true;
+}
+
+/** Fetch header row + Device (and key) column and build a fresh index. */
+async function buildDeviceIndex(target) {
+  const meta = await getSpreadsheetMetadata(target.spreadsheetId);
+  const tab = resolveTab(tabsFromMetadata(meta), target);
+  const headerRow = headerRowOf(target);
+
+  const headerResp = await callSheets("spreadsheets.values.get", {
+    spreadsheetId: target.spreadsheetId,
+    range: sheetRange(tab.title, `${headerRow}:${headerRow}`),
+    majorDimension: "ROWS",
+    valueRenderOption: "UNFORMATTED_VALUE",
+  });
+  const header = headerResp.data.values?.[0] || [];
+  if (header.length === 0) throw new Error("Spreadsheet has no data.");
+
+  const columns = keyColumnsOf(header, target.columns);
+  if (columns.deviceIdx === -1) throw missingColumn("device", target.columns);
+  const columnRange = (colIdx) => {
+    const a1 = columnIndexToA1(colIdx);
+    return sheetRange(tab.title, `${a1}${headerRow + 1}:${a1}`);
+  };
+
+  const columnsResp = await callSheets("spreadsheets.values.batchGet", {
+    spreadsheetId: target.spreadsheetId,
+    ranges: [columnRange(columns.deviceIdx), ...(columns.keyIdx === -1 ? [] : [columnRange(columns.keyIdx)])],
+    majorDimension: "COLUMNS",
+    valueRenderOption: "UNFORMATTED_VALUE",
+  });
+  const [deviceValues, keyValues] = (columnsResp.data.valueRanges || []).map((r) => r.values?.[0] || []);
+
+  // Every row per name, so a name used twice is refused instead of guessed
+  const rowsByDevice = new Map();
+  const rowsByKey = new Map();
+  const count = Math.max(deviceValues?.length || 0, keyValues?.length || 0);
+  for (let i = 0; i < count; i++) {
+    const row = [];
+    row[columns.deviceIdx] = deviceValues?.[i];
+    if (columns.keyIdx !== -1) row[columns.keyIdx] = keyValues?.[i];
+    addRow(rowsByDevice, row[columns.deviceIdx], headerRow + 1 + i); // data starts below the header
+    addRow(rowsByKey, rowKeyOf(row, columns), headerRow + 1 + i);
+  }
+
+  const index = {
+    layout: layoutKey(target),
+    sheetTitle: tab.title,
+    headerRow,
+    timeZone: meta.properties?.timeZone || "UTC",
+    header,
+    columns,
+    rowsByDevice,
+    rowsByKey,
+  };
+  deviceIndexes.set(targetKey(target), index);
+  return index;
+}
+
+/**
+ * One batchGet: the header row, then every planned write's whole row.
+ * Confirms the index still matches the sheet and captures each row as it is
+ * right now (values about to be overwritten and its version).
+ */
+async function readWriteTargets(target, index, planned) {
+  const ranges = [sheetRange(index.sheetTitle, `${index.headerRow}:${index.headerRow}`)];
+  planned.forEach((p) => {
+    ranges.push(sheetRange(index.sheetTitle, `${p.rowIndex1}:${p.rowIndex1}`));
+  });
+
+  let valueRanges;
+  try {
+    const resp = await callSheets("spreadsheets.values.batchGet", {
+      spreadsheetId: target.spreadsheetId,
+      ranges,
+      majorDimension: "ROWS",
+      valueRenderOption: "UNFORMATTED_VALUE",
+    });
+    valueRanges = resp.data.valueRanges || [];
+  } catch (err) {
+    // A renamed/deleted tab makes the range unparsable -> rebuild
+    if (err?.code === 400 || err?.response?.status === 400) {
+      return { consistent: false, items: [] };
+    }
+    throw err;
+  }
+
+  let consistent = sameHeader(valueRanges[0]?.values?.[0], index.header);
+  const items = planned.map((p, i) => {
+    const row = valueRanges[i + 1]?.values?.[0] || [];
+    if (!rowMatchesRef(row, index.columns, p.ref)) consistent = false;
+    return { row };
+  });
+
+  return { consistent, items };
+}
+
+/**
+ * Map each write onto the index: { ref, version, rowIndex1, cols } or { error }.
+ * A ref matching no row is a 404, several rows a 409. Optional cells whose
+ * column is absent are dropped; timestamp cells become a date-time in the
+ * spreadsheet's time zone.
+ */
+function planWrites(index, writes, map) {
+  return writes.map((w) => {
+    const ref = refOf(w);
+    const matches =
+      (ref.key ? index.rowsByKey.get(normalizeDevice(ref.key)) : index.rowsByDevice.get(normalizeDevice(ref.device))) ||
+      [];
+    if (matches.length === 0) return { error: httpError(404, `${refLabel(ref)} not found.`) };
+    if (matches.length > 1) return { error: ambiguousRef(ref, matches.length, index.columns) };
+    const rowIndex1 = matches[0];
+    const cols = [];
+    for (const cell of w.cells) {
+      const colIdx = columnIndex(index.header, map, cell.field);
+      if (colIdx === -1) {
+        if (cell.optional) continue;
+        return { error: missingColumn(cell.field, map) };
+      }
+      const colName = String(index.header[colIdx]).trim();
+      if (cell.timestamp) {
+        const { text, serial } = sheetsDateTime(cell.timestamp, index.timeZone);
+        cols.push({ colName, colIdx, value: text, stored: serial });
+      } else {
+        cols.push({ colName, colIdx, value: cell.value, stored: cell.stored ?? cell.value });
+      }
+    }
+    return { ref, version: w.version || null, rowIndex1, cols };
+  });
+}
+
+// ---------------- Writes ----------------
+
+/**
+ * Write USER_ENTERED values for many devices in one values.batchUpdate.
+ * writes: [{ key | device, version?, cells: [{ field, value, stored?, optional?, timestamp? }] }]
+ *   field:   logical column (see sheetUtils column mapping), resolved with target.columns
+ *   stored:  what a later read returns for the cell (defaults to value)
+ *   version: the row version the caller saw; a changed row fails with 409
+ * Returns one result per write:
+ *   { ok: true, device, key, previous: { [colName]: oldValue }, written: { [colName]: stored }, version }
+ * or { ok: false, error }.
+ *
+ * Steady state costs one batchGet (verify + old values) and one batchUpdate;
+ * the index is rebuilt once if the sheet moved underneath it.
+ * Only ever called by the spreadsheet's write queue (writeDeviceCells), which
+ * passes jobOf: a write is checked against its row as the earlier jobs left it,
+ * while writes of one job all see the row as it was before that job.
+ */
+async function runWrites(target, writes, jobOf = []) {
+  const key = targetKey(target);
+
+  let index = deviceIndexes.get(key);
+  let fresh = false;
+  if (!index || index.layout !== layoutKey(target)) {
+    index = await buildDeviceIndex(target);
+    fresh = true;
+  }
+
+  let plan;
+  let snapshot;
+  for (;;) {
+    plan = planWrites(index, writes, target.columns);
+    const located = plan.filter((p) => !p.error);
+    snapshot = located.length
+      ? await readWriteTargets(target, index, located)
+      : { consistent: true, items: [] };
+
+    // Missing or duplicated names may just mean the index is out of date
+    const anyMissing = plan.some((p) => p.error?.status === 404 || p.error?.payload?.duplicate);
+    if (snapshot.consistent && (!anyMissing || fresh)) break;
+    if (fresh) throw httpError(409, "The sheet changed while writing. Please try again.");
+
+    // Missing or moved: the sheet changed since the index was built
+    index = await buildDeviceIndex(target);
+    fresh = true;
+  }
+
+  const data = [];
+  const rowsAfter = new Map(); // rowIndex1 -> row with every accepted write applied
+  const rowsBefore = new Map(); // rowIndex1 -> { job, row }: the row as the current job found it
+  let cursor = 0;
+  const results = plan.map((p, i) => {
+    if (p.error) return { ok: false, error: p.error };
+    const item = snapshot.items[cursor++];
+    const job = jobOf[i] ?? 0;
+    let before = rowsBefore.get(p.rowIndex1);
+    if (!before || before.job !== job) {
+      before = { job, row: rowsAfter.get(p.rowIndex1) || item.row };
+      rowsBefore.set(p.rowIndex1, before);
+    }
+    const { row } = before;
+    const previous = {};
+    p.cols.forEach((c) => {
+      previous[c.colName] = row[c.colIdx] ?? "";
+    });
+    const device = String(row[index.columns.deviceIdx] ?? "").trim();
+    const key = rowKeyOf(row, index.columns);
+
+    const current = rowVersion(row);
+    if (p.version && p.version !== current) {
+      return { ok: false, error: versionConflict(device, current, previous) };
+    }
+
+    const after = rowsAfter.get(p.rowIndex1) || item.row.slice();
+    const written = {};
+    p.cols.forEach((c) => {
+      data.push({
+        range: sheetRange(index.sheetTitle, `${columnIndexToA1(c.colIdx)}${p.rowIndex1}`),
+        values: [[c.value]],
+      });
+      written[c.colName] = c.stored;
+      while (after.length <= c.colIdx) after.push("");
+      after[c.colIdx] = c.stored;
+    });
+    rowsAfter.set(p.rowIndex1, after);
+    return { ok: true, device, key, previous, written, rowIndex1: p.rowIndex1 };
+  });
+
+  // A row written twice reports the version after its last change
+  results.forEach((r) => {
+    if (!r.ok) return;
+    r.version = rowVersion(rowsAfter.get(r.rowIndex1));
+    delete r.rowIndex1;
+  });
+
+  if (data.length > 0) {
+    await callSheets("spreadsheets.values.batchUpdate", {
+      spreadsheetId: target.spreadsheetId,
+      requestBody: { valueInputOption: "USER_ENTERED", data },
+    });
+  }
+  return results;
+}
+
+/** runWrites through the spreadsheet's write queue (see writeQueue.js). */
+function writeDeviceCells(target, writes) {
+  return writeQueue.enqueue(target, writes, runWrites);
+}
+
+/**
+ * Cells an operation writes, by logical field, in Sheets USER_ENTERED form.
+ * Completing stamps the optional completedAt / completedBy columns;
+ * reopening clears them. "set" writes one field (data-quality fixes).
+ */
+function cellsForOperation({ op, comment, completedBy, field, value }, now = new Date()) {
+  switch (op) {
+    case "complete":
+      return [
+        { field: "status", value: "TRUE", stored: true },
+        { field: "completedAt", timestamp: now, optional: true },
+        {
+          field: "completedBy",
+          value: sanitizeForSheets(completedBy),
+          stored: cellText(completedBy),
+          optional: true,
+        },
+      ];
+    case "incomplete":
+      return [
+        { field: "status", value: "FALSE", stored: false },
+        { field: "completedAt", value: "", optional: true },
+        { field: "completedBy", value: "", optional: true },
+      ];
+    case "comment":
+      return [
+        {
+          field: "comment",
+          value: sanitizeForSheets(comment),
+          stored: cellText(comment),
+        },
+      ];
+    case "set":
+      return typeof value === "boolean"
+        ? [{ field, value: value ? "TRUE" : "FALSE", stored: value }]
+        : [{ field, value: sanitizeForSheets(value), stored: cellText(value) }];
+    default:
+      throw httpError(400, `Unknown operation '${op}'.`);
+  }
+}
+
+/** Single-device operation; throws the same errors a batch would report. */
+async function writeOperation(target, operation) {
+  const [result] = await writeDeviceCells(target, [
+    { ...refOf(operation), version: operation.version, cells: cellsForOperation(operation) },
+  ]);
+  if (!result.ok) throw result.error;
+  const { ok, ...outcome } = result;
+  return outcome;
+}
+
+// ---------------- Notes ----------------
+
+const notesTabs = new Map(); // spreadsheetId -> promise of the notes tab being there
+
+async function hasNotesTab(spreadsheetId) {
+  const meta = await getSpreadsheetMetadata(spreadsheetId);
+  return tabsFromMetadata(meta).some((t) => t.title === NOTES_TAB_TITLE);
+}
+
+/** Create the notes tab (with its header) unless it exists; concurrent callers share one attempt. */
+function ensureNotesTab(spreadsheetId) {
+  if (!notesTabs.has(spreadsheetId)) {
+    const ready = (async () => {
+      if (await hasNotesTab(spreadsheetId)) return;
+      await callSheets("spreadsheets.batchUpdate", {
+        spreadsheetId,
+        requestBody: { requests: [{ addSheet: { properties: { title: NOTES_TAB_TITLE } } }] },
+      });
+      await callSheets("spreadsheets.values.update", {
+        spreadsheetId,
+        range: sheetRange(NOTES_TAB_TITLE, "A1"),
+        valueInputOption: "RAW",
+        requestBody: { values: [NOTES_HEADER] },
+      });
+    })();
+    // A failed attempt (or a tab deleted later) is retried by the next note
+    ready.catch(() => notesTabs.delete(spreadsheetId));
+    notesTabs.set(spreadsheetId, ready);
+  }
+  return notesTabs.get(spreadsheetId);
+}
+
+async function readNotes(target, { sheetId, key, device }) {
+  if (!(await hasNotesTab(target.spreadsheetId))) return [];
+  const resp = await callSheets("spreadsheets.values.get", {
+    spreadsheetId: target.spreadsheetId,
+    range: sheetRange(NOTES_TAB_TITLE, `A:${columnIndexToA1(NOTES_HEADER.length - 1)}`),
+    majorDimension: "ROWS",
+    valueRenderOption: "UNFORMATTED_VALUE",
+  });
+  return notesForRow(resp.data.values, sheetId, { key, device });
+}
+
+/**
+ * Append one note row. RAW input: Sheets stores the text as typed and never
+ * evaluates it, so it needs no formula escaping (only cellText's cleaning).
+ */
+async function addNote(target, note) {
+  const stored = { ...note, author: cellText(note.author), text: cellText(note.text) };
+  await ensureNotesTab(target.spreadsheetId);
+  try {
+    await callSheets("spreadsheets.values.append", {
+      spreadsheetId: target.spreadsheetId,
+      range: sheetRange(NOTES_TAB_TITLE, `A:${columnIndexToA1(NOTES_HEADER.length - 1)}`),
+      valueInputOption: "RAW",
+      insertDataOption: "INSERT_ROWS",
+      requestBody: { values: [noteToRow(stored)] },
+    });
+  } catch (err) {
+    notesTabs.delete(target.spreadsheetId);
+    throw err;
+  }
+  return stored;
+}
+
+// ---------------- Provider interface ----------------
+
+module.exports = {
+  name: "google",
+
+  /**
+   * Validate access to a spreadsheet (and tab, if chosen) and return
+   * ids/titles plus the header row found in its first HEADER_SCAN_ROWS rows.
+   */
+  async link(target) {
+    const meta = await getSpreadsheetMetadata(target.spreadsheetId);
+    const tab = resolveTab(tabsFromMetadata(meta), target);
+    deviceIndexes.delete(targetKey({ spreadsheetId: meta.spreadsheetId, sheetId: tab.sheetId }));
+
+    const topResp = await callSheets("spreadsheets.values.get", {
+      spreadsheetId: meta.spreadsheetId,
+      range: sheetRange(tab.title, `1:${HEADER_SCAN_ROWS}`),
+      majorDimension: "ROWS",
+      valueRenderOption: "UNFORMATTED_VALUE",
+    });
+
+    return {
+      spreadsheetId: meta.spreadsheetId,
+      spreadsheetTitle: meta.properties?.title || null,
+      sheetId: tab.sheetId,
+      sheetTitle: tab.title,
+      timeZone: meta.properties?.timeZone || "UTC",
+      headerRow: detectHeaderRow(topResp.data.values, target.columns),
+    };
+  },
+
+  listTabs,
+
+  readRows: readAllRowsFromTab,
+
+  async setCompleted(target, ref, completed, { completedBy, version } = {}) {
+    return writeOperation(target, {
+      ...ref,
+      op: completed ? "complete" : "incomplete",
+      completedBy,
+      version,
+    });
+  },
+
+  async setComment(target, ref, comment, { version } = {}) {
+    return writeOperation(target, { ...ref, op: "comment", comment, version });
+  },
+
+  /** Apply [{ key | device, op, comment?, completedBy?, field?, value?, version? }] in one batch write; one result per operation. */
+  async applyBatch(target, operations) {
+    const now = new Date();
+    return writeDeviceCells(
+      target,
+      operations.map((o) => ({
+        ...refOf(o),
+        version: o.version,
+        cells: cellsForOperation(o, now),
+      }))
+    );
+  },
+
+  readNotes,
+
+  addNote,
+};
@@ -0,0 +1,84 @@
+// server/storage/googleSheets.provider.test.js
+process.env.SHEETS_API_ROOT_URL = "http://sheets.invalid/";
+
+// googleapis does not load under jest; its calls go straight to the contract tests' fake
+const mockSheets = require("../contract/fakeSheets").createService();
+jest.mock("googleapis", () => require("../contract/fakeSheets").googleapisFor(mockSheets));
+
+const provider = require("./googleSheets.provider");
+
+beforeEach(() => {
+  mockSheets.reset();
+});
+
+test("readRows reports the number format of each numeric column", async () => {
+  mockSheets.seed("formats", {
+    sheets: [
+      {
+        title: "Sheet1",
+        rows: [
+          ["Inventory 2024"],
+          ["Device", "Purchase Date", "Cost", "Completed", "Room"],
+          ["PC-01", "", 899, false, "B12"],
+          ["PC-02", 45321, 1099, true, 12],
+        ],
+        numberFormats: { B: "DATE", C: "CURRENCY" },
+      },
+    ],
+  });
+
+  const data = await provider.readRows({ spreadsheetId: "formats", sheetId: 0, headerRow: 2 });
+  expect(data.rows[0]).toEqual(["Device", "Purchase Date", "Cost", "Completed", "Room"]);
+  expect(data.numberFormats).toEqual({ "Purchase Date": "DATE", "Cost": "CURRENCY" });
+  // One grid read, from the first data row down to the first date
+  expect(mockSheets.requests.filter((r) => r === "GET /v4/spreadsheets/formats")).toHaveLength(2);
+});
+
+test("readRows skips the format read when no column holds a number", async () => {
+  mockSheets.seed("text-only", {
+    sheets: [{ title: "Sheet1", rows: [["Device", "Completed"], ["PC-01", true]] }],
+  });
+
+  const data = await provider.readRows({ spreadsheetId: "text-only", sheetId: 0 });
+  expect(data.numberFormats).toEqual({});
+  expect(mockSheets.requests.filter((r) => r === "GET /v4/spreadsheets/text-only")).toHaveLength(1);
+});
+
+test("completing writes Completed At as the sheet's local time and Completed By; incomplete clears both", async () => {
+  mockSheets.seed("stamps", {
+    timeZone: "America/New_York",
+    sheets: [
+      {
+        title: "Sheet1",
+        rows: [["Device", "Completed", "Completed At", "Completed By"], ["PC-01", false, "", ""]],
+      },
+    ],
+  });
+  const target = { spreadsheetId: "stamps", sheetId: 0 };
+  // Only the clock is frozen; the write queue still needs real timers
+  jest.useFakeTimers({
+    now: new Date("2024-07-01T16:30:00Z"),
+    doNotFake: ["nextTick", "setImmediate", "setTimeout", "clearTimeout", "setInterval", "clearInterval", "queueMicrotask"],
+  });
+  try {
+    const done = await provider.setCompleted(target, { device: "PC-01" }, true, { completedBy: "=bob" });
+    expect(done.written).toEqual({
+      "Completed": true,
+      "Completed At": expect.closeTo(45474 + 12.5 / 24, 9), // 2024-07-01 12:30 EDT as a serial
+      "Completed By": "=bob",
+    });
+  } finally {
+    jest.useRealTimers();
+  }
+  expect(mockSheets.rows("stamps", "Sheet1")[1]).toEqual([
+    "PC-01",
+    true,
+    "2024-07-01 12:30:00",
+    "=bob", // sent as '=bob, so never a formula
+  ]);
+
+  const undone = await provider.setCompleted(target, { device: "PC-01" }, false);
+  expect(undone.written).toEqual({ "Completed": false, "Completed At": "", "Completed By": "" });
+  expect(mockSheets.rows("stamps", "Sheet1")[1].slice(0, 2)).toEqual(["PC-01", false]);
+  expect(mockSheets.cell("stamps", "Sheet1", "C2")).toBe("");
+});
@@ -0,0 +1,57 @@
+// server/storage/index.js
+/**
+ * Storage provider selection.
+ *
+ * Every provider implements the same operations the router exposes.
+ * A "target" is { spreadsheetId, sheetId?, sheetTitle?, headerRow?, columns?,
+ * types?, timeZone? }; without a tab the first tab (by index) is used.
+ * `columns` is the sheet's column mapping (see sheetUtils.js); writes find
+ * their columns through it. `types` and `timeZone` only shape responses
+ * (see cellTypes.js); providers always return cells as stored.
+ * `headerRow` (1-based, default 1) is where the header sits: readRows starts
+ * there and row numbers are offset by it. link() detects it (using columns).
+ *   link(target)                     -> { spreadsheetId, spreadsheetTitle, sheetId, sheetTitle, timeZone, headerRow }
+ *   listTabs(spreadsheetId)          -> [{ sheetId, title, index, rowCount }], the notes tab left out
+ *   readRows(target)                 -> { spreadsheetId, spreadsheetTitle, sheetId, sheetTitle, timeZone, headerRow, rows, numberFormats? }
+ *     numberFormats: { [header]: Sheets number format type } for numeric columns, when the provider knows them
+ *   setCompleted(target, ref, bool, { completedBy?, version? }) -> { device, key, previous, written, version }
+ *   setComment(target, ref, text, { version? })                 -> { device, key, previous, written, version }
+ *   applyBatch(target, [{ key | device, op, comment?, completedBy?, field?, value?, version? }])
+ *     -> [{ ok, device?, key?, previous?, written?, version?, error? }]
+ *     in the same order; op is "complete" | "incomplete" | "comment", or "set"
+ *     (one logical `field` to `value`; server-side fixes only); written in one round trip
+ *   readNotes(target, { sheetId, key, device }) -> [{ id, sheetId, key, device, author, createdAt, text }], oldest first
+ *   addNote(target, { id, sheetId, key, device, author, createdAt, text }) -> the note
+ *     notes are kept in the spreadsheet's notes tab (see sheetUtils.js), created on first use
+ *
+ * A ref is { key } or { device } (see sheetUtils.js). Writes fail with 404
+ * when it matches no row and 409 when it matches several; results name the
+ * row that was written by its Device and key.
+ *
+ * `previous` / `written` map each column a write touched (by its header text)
+ * to its old value and to the value a later readRows returns. Completing also
+ * stamps the optional completedAt / completedBy columns (cleared again on
+ * incomplete) when the sheet has them.
+ *
+ * `version` is the row's rowVersion (sheetUtils.js). A write given the
+ * version it was based on fails with 409 (error.payload.conflict) if the row
+ * has changed since; the result's version is the row's new one.
+ *
+ * Env:
+ *   STORAGE_PROVIDER   "google" (default) or "local"
+ */
+
+const providers = {
+  google: () => require("./googleSheets.provider"),
+  local: () => require("./local.provider"),
+};
+
+const selected = String(process.env.STORAGE_PROVIDER || "google").trim().toLowerCase();
+
+if (!providers[selected]) {
+  throw new Error(
+    `Unknown STORAGE_PROVIDER '${selected}'. Use one of: ${Object.keys(providers).join(", ")}.`
+  );
+}
+
+module.exports = providers[selected]();
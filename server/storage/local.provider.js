@@ -0,0 +1,321 @@
+// server/storage/local.provider.js
+/**
+ * Local JSON storage provider.
+ *
+ * Lets the tracker run without Google credentials (or where the Sheets API
+ * is blocked). Each "spreadsheet" is one JSON file in LOCAL_SHEETS_DIR named
+ * <spreadsheetId>.json:
+ *
+ *   {
+ *     "title": "Spring Cleaning",
+ *     "sheets": [
+ *       { "title": "Sheet1", "rows": [["Device", "Completed", "Comment"], ["PC-01", false, ""]] }
+ *     ]
+ *   }
+ *
+ * A tab may carry its own numeric "sheetId"; otherwise its position is used.
+ * Date serials in a workbook are read as UTC (the local "time zone").
+ *
+ * Env:
+ *   LOCAL_SHEETS_DIR   optional directory holding the workbook files
+ *                      (defaults to ./localSheets)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  httpError,
+  trackableTabs,
+  resolveTab,
+  countDataRows,
+  columnIndex,
+  missingColumn,
+  detectHeaderRow,
+  headerRowOf,
+  fromHeaderRow,
+  locateRow,
+  keyColumnsOf,
+  rowKeyOf,
+  refOf,
+  rowVersion,
+  versionConflict,
+  cellText,
+  NOTES_TAB_TITLE,
+  NOTES_HEADER,
+  noteToRow,
+  notesForRow,
+} = require("./sheetUtils");
+
+const DATA_DIR =
+  process.env.LOCAL_SHEETS_DIR && process.env.LOCAL_SHEETS_DIR.trim().length > 0
+    ? process.env.LOCAL_SHEETS_DIR
+    : path.resolve(process.cwd(), "localSheets");
+
+// Only ids that are safe to use as a file name
+const ID_PATTERN = /^[a-zA-Z0-9-_]+$/;
+
+function workbookPath(spreadsheetId) {
+  if (!ID_PATTERN.test(String(spreadsheetId || ""))) {
+    throw httpError(400, "Local spreadsheet ids may only contain letters, digits, '-' and '_'.");
+  }
+  return path.join(DATA_DIR, `${spreadsheetId}.json`);
+}
+
+function loadWorkbook(spreadsheetId) {
+  const file = workbookPath(spreadsheetId);
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch {
+    throw httpError(404, `Local spreadsheet '${spreadsheetId}' not found in ${DATA_DIR}.`);
+  }
+  const parsed = JSON.parse(raw);
+  if (!parsed || !Array.isArray(parsed.sheets)) {
+    throw new Error(`Local spreadsheet '${spreadsheetId}' is missing a 'sheets' array.`);
+  }
+  return parsed;
+}
+
+/** Write to a temp file first so a crash never leaves half a workbook behind. */
+function saveWorkbook(spreadsheetId, workbook) {
+  const file = workbookPath(spreadsheetId);
+  const tmp = `${file}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(workbook, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+function tabsOf(workbook) {
+  return workbook.sheets.map((sheet, i) => ({
+    sheetId: sheet.sheetId ?? i,
+    title: sheet.title || `Sheet${i + 1}`,
+    index: i,
+  }));
+}
+
+/**
+ * The sheet object the target points at (first tab if none chosen) and its
+ * rows from the header row on. The row arrays are shared, so edits to `rows`
+ * land in the workbook.
+ */
+function targetSheet(workbook, target) {
+  const tab = resolveTab(tabsOf(workbook), target);
+  const sheet = workbook.sheets[tab.index];
+  if (!Array.isArray(sheet.rows)) sheet.rows = [];
+  return { tab, sheet, rows: fromHeaderRow(sheet.rows, target) };
+}
+
+/** Set column `colIdx` of a row to `value` (in memory); returns the old value. */
+function setRowCell(row, colIdx, value) {
+  while (row.length <= colIdx) row.push("");
+  const previous = row[colIdx];
+  row[colIdx] = value;
+  return previous;
+}
+
+/**
+ * Cells an operation writes, by logical field (see sheetUtils column
+ * mapping). Plain JSON never evaluates formulas, but text is cleaned like
+ * any cell's (cellText); the completion time is stored as an ISO string. "set" writes one field (data-quality fixes).
+ */
+function cellsForOperation({ op, comment, completedBy, field, value }, now = new Date()) {
+  switch (op) {
+    case "complete":
+      return [
+        { field: "status", value: true },
+        { field: "completedAt", value: now.toISOString(), optional: true },
+        { field: "completedBy", value: cellText(completedBy), optional: true },
+      ];
+    case "incomplete":
+      return [
+        { field: "status", value: false },
+        { field: "completedAt", value: "", optional: true },
+        { field: "completedBy", value: "", optional: true },
+      ];
+    case "comment":
+      return [{ field: "comment", value: cellText(comment) }];
+    case "set":
+      return [{ field, value: typeof value === "boolean" ? value : cellText(value) }];
+    default:
+      throw httpError(400, `Unknown operation '${op}'.`);
+  }
+}
+
+/**
+ * The header columns an operation touches: [{ colName, colIdx, value }].
+ * Optional fields the sheet lacks are dropped; a missing required one throws.
+ */
+function columnsForOperation(header, map, operation, now) {
+  const cols = [];
+  for (const cell of cellsForOperation(operation, now)) {
+    const colIdx = columnIndex(header, map, cell.field);
+    if (colIdx === -1) {
+      if (cell.optional) continue;
+      throw missingColumn(cell.field, map);
+    }
+    cols.push({ colName: String(header[colIdx]).trim(), colIdx, value: cell.value });
+  }
+  return cols;
+}
+
+/** The one row an operation's ref points at (404 / 409 from locateRow). */
+function targetRow(rows, operation, map) {
+  return rows[locateRow(rows, refOf(operation), map) - 1];
+}
+
+/** The row's Device and key, reported with every write. */
+function rowIdentity(rows, row, map) {
+  const columns = keyColumnsOf(rows[0] || [], map);
+  return { device: String(row[columns.deviceIdx] ?? "").trim(), key: rowKeyOf(row, columns) };
+}
+
+/** 409 when the operation carries a `version` its row no longer has. */
+function assertVersion(rows, operation, map) {
+  if (!operation.version) return;
+  const row = targetRow(rows, operation, map);
+  const version = rowVersion(row);
+  if (version === operation.version) return;
+
+  const current = {};
+  columnsForOperation(rows[0] || [], map, operation).forEach(({ colName, colIdx }) => {
+    current[colName] = row[colIdx] ?? "";
+  });
+  throw versionConflict(rowIdentity(rows, row, map).device, version, current);
+}
+
+/**
+ * Apply one operation in memory:
+ * { device, key, previous, written, version } for the row and cells it touched.
+ */
+function applyOperation(rows, operation, now, map) {
+  const row = targetRow(rows, operation, map);
+  const previous = {};
+  const written = {};
+  for (const { colName, colIdx, value } of columnsForOperation(rows[0] || [], map, operation, now)) {
+    previous[colName] = setRowCell(row, colIdx, value);
+    written[colName] = value;
+  }
+  return { ...rowIdentity(rows, row, map), previous, written, version: rowVersion(row) };
+}
+
+/** Apply one operation and persist the workbook. */
+function writeOperation(target, operation) {
+  const workbook = loadWorkbook(target.spreadsheetId);
+  const { rows } = targetSheet(workbook, target);
+  assertVersion(rows, operation, target.columns);
+  const result = applyOperation(rows, operation, new Date(), target.columns);
+  saveWorkbook(target.spreadsheetId, workbook);
+  return result;
+}
+
+/** The workbook's notes tab, or null; `create` adds it (with its header) when missing. */
+function notesSheet(workbook, { create = false } = {}) {
+  let sheet = workbook.sheets.find((s) => s.title === NOTES_TAB_TITLE);
+  if (!sheet && create) {
+    sheet = { title: NOTES_TAB_TITLE, rows: [NOTES_HEADER] };
+    workbook.sheets.push(sheet);
+  }
+  return sheet || null;
+}
+
+// ---------------- Provider interface ----------------
+
+module.exports = {
+  name: "local",
+
+  async link(target) {
+    const workbook = loadWorkbook(target.spreadsheetId);
+    const { tab, sheet } = targetSheet(workbook, target);
+    return {
+      spreadsheetId: target.spreadsheetId,
+      spreadsheetTitle: workbook.title || target.spreadsheetId,
+      sheetId: tab.sheetId,
+      sheetTitle: tab.title,
+      timeZone: "UTC",
+      headerRow: detectHeaderRow(sheet.rows, target.columns),
+    };
+  },
+
+  async listTabs(spreadsheetId) {
+    const workbook = loadWorkbook(spreadsheetId);
+    return trackableTabs(tabsOf(workbook)).map((t) => {
+      const rows = workbook.sheets[t.index].rows;
+      return { ...t, rowCount: countDataRows(rows, detectHeaderRow(rows)) };
+    });
+  },
+
+  async readRows(target) {
+    const workbook = loadWorkbook(target.spreadsheetId);
+    const { tab, rows } = targetSheet(workbook, target);
+    return {
+      spreadsheetId: target.spreadsheetId,
+      spreadsheetTitle: workbook.title || target.spreadsheetId,
+      sheetId: tab.sheetId,
+      sheetTitle: tab.title,
+      timeZone: "UTC",
+      headerRow: headerRowOf(target),
+      rows,
+    };
+  },
+
+  async setCompleted(target, ref, completed, { completedBy, version } = {}) {
+    return writeOperation(target, {
+      ...ref,
+      op: completed ? "complete" : "incomplete",
+      completedBy,
+      version,
+    });
+  },
+
+  // Plain JSON never evaluates formulas, so the comment needs no formula escaping, only cellText's cleaning.
+  async setComment(target, ref, comment, { version } = {}) {
+    return writeOperation(target, { ...ref, op: "comment", comment, version });
+  },
+
+  /** Apply [{ key | device, op, comment?, completedBy?, field?, value?, version? }] with a single save; one result per operation. */
+  async applyBatch(target, operations) {
+    const workbook = loadWorkbook(target.spreadsheetId);
+    const { rows } = targetSheet(workbook, target);
+    const now = new Date();
+
+    // Versions are checked against the rows as they were before the batch
+    const checks = operations.map((o) => {
+      try {
+        assertVersion(rows, o, target.columns);
+        return null;
+      } catch (error) {
+        return error;
+      }
+    });
+
+    const results = operations.map((o, i) => {
+      if (checks[i]) return { ok: false, error: checks[i] };
+      try {
+        return { ok: true, ...applyOperation(rows, o, now, target.columns) };
+      } catch (error) {
+        return { ok: false, error };
+      }
+    });
+
+    // A row written twice reports the version after its last change
+    results.forEach((r, i) => {
+      if (r.ok) r.version = rowVersion(targetRow(rows, operations[i], target.columns));
+    });
+
+    if (results.some((r) => r.ok)) saveWorkbook(target.spreadsheetId, workbook);
+    return results;
+  },
+
+  async readNotes(target, { sheetId, key, device }) {
+    const sheet = notesSheet(loadWorkbook(target.spreadsheetId));
+    return sheet ? notesForRow(sheet.rows, sheetId, { key, device }) : [];
+  },
+
+  async addNote(target, note) {
+    const workbook = loadWorkbook(target.spreadsheetId);
+    const stored = { ...note, author: cellText(note.author), text: cellText(note.text) };
+    notesSheet(workbook, { create: true }).rows.push(noteToRow(stored));
+    saveWorkbook(target.spreadsheetId, workbook);
+    return stored;
+  },
+};
@@ -0,0 +1,196 @@
+// server/storage/projects.js
+/**
+ * Tracking projects (sites). Each project links its own spreadsheet + tab
+ * and carries free-form settings, so several campuses can be cleaned at the
+ * same time without one technician's link replacing everyone else's.
+ *
+ * Stored as one JSON file:
+ *   { "projects": [ { id, name, spreadsheetId, sheetId, sheetTitle, headerRow, columns, types, timeZone, settings, createdAt, updatedAt } ] }
+ *
+ * `columns` is the linked sheet's column mapping ({ field: [header names] },
+ * see sheetUtils.js); it is reset when a different sheet is linked.
+ * `headerRow` is the 1-based row the header was found on when linking.
+ * `types` declares column types by header name and `timeZone` is the
+ * spreadsheet's, used to turn date serials into ISO dates (see cellTypes.js).
+ *
+ * Env:
+ *   PROJECTS_STORE       optional path of the projects file (defaults to ./projects.json)
+ *   ACTIVE_SHEET_STORE   legacy single-sheet file; imported once as the "default" project
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { httpError } = require("./sheetUtils");
+
+const STORE_PATH =
+  process.env.PROJECTS_STORE && process.env.PROJECTS_STORE.trim().length > 0
+    ? process.env.PROJECTS_STORE
+    : path.resolve(process.cwd(), "projects.json");
+
+const LEGACY_STORE_PATH =
+  process.env.ACTIVE_SHEET_STORE && process.env.ACTIVE_SHEET_STORE.trim().length > 0
+    ? process.env.ACTIVE_SHEET_STORE
+    : path.resolve(process.cwd(), "activeSheet.json");
+
+/** Project used by the unscoped /api/googleSheets routes. */
+const DEFAULT_PROJECT_ID = "default";
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+function slugify(name) {
+  return String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 64);
+}
+
+/** Seed the default project from the pre-projects activeSheet.json, if any. */
+function importLegacyStore() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(LEGACY_STORE_PATH, "utf8"));
+    if (!parsed || typeof parsed.spreadsheetId !== "string") return [];
+    const now = new Date().toISOString();
+    return [
+      {
+        id: DEFAULT_PROJECT_ID,
+        name: "Default",
+        spreadsheetId: parsed.spreadsheetId,
+        sheetId: parsed.sheetId ?? null,
+        sheetTitle: parsed.sheetTitle ?? null,
+        settings: {},
+        createdAt: parsed.updatedAt || now,
+        updatedAt: parsed.updatedAt || now,
+      },
+    ];
+  } catch {
+    return [];
+  }
+}
+
+function readAll() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(STORE_PATH, "utf8"));
+    return Array.isArray(parsed?.projects) ? parsed.projects : [];
+  } catch {
+    return importLegacyStore();
+  }
+}
+
+/** Write to a temp file first so a crash never leaves half a store behind. */
+function writeAll(projects) {
+  const tmp = `${STORE_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify({ projects }, null, 2), "utf8");
+  fs.renameSync(tmp, STORE_PATH);
+}
+
+function listProjects() {
+  return readAll();
+}
+
+function getProject(projectId) {
+  return readAll().find((p) => p.id === projectId) || null;
+}
+
+/** Create a project; the id is derived from the name unless given. */
+function createProject({ id, name }) {
+  const displayName = String(name || "").trim();
+  if (!displayName) throw httpError(400, "Project name is required.");
+
+  const projectId = id ? String(id).trim().toLowerCase() : slugify(displayName);
+  if (!ID_PATTERN.test(projectId)) {
+    throw httpError(400, "Project id may only contain lowercase letters, digits and '-'.");
+  }
+
+  const projects = readAll();
+  if (projects.some((p) => p.id === projectId)) {
+    throw httpError(409, `Project '${projectId}' already exists.`);
+  }
+
+  const now = new Date().toISOString();
+  const project = {
+    id: projectId,
+    name: displayName,
+    spreadsheetId: null,
+    sheetId: null,
+    sheetTitle: null,
+    settings: {},
+    createdAt: now,
+    updatedAt: now,
+  };
+  writeAll([...projects, project]);
+  return project;
+}
+
+/**
+ * Shallow-merge `changes` into a project. `settings` is merged key by key.
+ * The default project is created on first update so the legacy routes work
+ * on a fresh install.
+ */
+function updateProject(projectId, changes = {}) {
+  const projects = readAll();
+  let idx = projects.findIndex((p) => p.id === projectId);
+
+  if (idx === -1) {
+    if (projectId !== DEFAULT_PROJECT_ID) {
+      throw httpError(404, `Project '${projectId}' not found.`);
+    }
+    projects.push({
+      id: DEFAULT_PROJECT_ID,
+      name: "Default",
+      spreadsheetId: null,
+      sheetId: null,
+      sheetTitle: null,
+      settings: {},
+      createdAt: new Date().toISOString(),
+    });
+    idx = projects.length - 1;
+  }
+
+  const current = projects[idx];
+  const next = {
+    ...current,
+    ...changes,
+    id: current.id,
+    settings: { ...(current.settings || {}), ...(changes.settings || {}) },
+    updatedAt: new Date().toISOString(),
+  };
+  projects[idx] = next;
+  writeAll(projects);
+  return next;
+}
+
+function deleteProject(projectId) {
+  const projects = readAll();
+  const remaining = projects.filter((p) => p.id !== projectId);
+  if (remaining.length === projects.length) {
+    throw httpError(404, `Project '${projectId}' not found.`);
+  }
+  writeAll(remaining);
+}
+
+/** Storage target for a project (with its header row, column mapping and types), or null if it has no sheet linked yet. */
+function projectTarget(project) {
+  if (!project || !project.spreadsheetId) return null;
+  return {
+    spreadsheetId: project.spreadsheetId,
+    sheetId: project.sheetId ?? null,
+    sheetTitle: project.sheetTitle ?? null,
+    headerRow: project.headerRow || 1,
+    columns: project.columns || {},
+    types: project.types || {},
+    timeZone: project.timeZone || "UTC",
+  };
+}
+
+module.exports = {
+  DEFAULT_PROJECT_ID,
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  projectTarget,
+};
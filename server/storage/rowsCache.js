@@ -0,0 +1,112 @@
+// server/storage/rowsCache.js
+/**
+ * In-process cache of each linked tab's rows.
+ *
+ * - Reads within ROWS_CACHE_TTL_MS are served from memory (no Sheets calls).
+ * - Every entry has an ETag so GET /rows can answer If-None-Match with 304.
+ * - Successful writes patch the cached cell instead of dropping the entry.
+ * - If the provider is unreachable, the last good copy is returned marked
+ *   `stale` so the UI can keep showing data (read-only).
+ *
+ * GET /rows sends `Cache-Control: no-cache`, so clients revalidate on every
+ * load and the ETag keeps that cheap. The router varies the ETag by the
+ * sheet's column mapping and declared types, which change the response but
+ * not the rows. A stale copy never gets an ETag or a 304: it must not be
+ * confirmed as current.
+ *
+ * Env:
+ *   ROWS_CACHE_TTL_MS   optional freshness window in ms (default 30000, 0 disables)
+ */
+
+const crypto = require("crypto");
+const storage = require("./index");
+const { findHeaderIndex, locateRow } = require("./sheetUtils");
+
+const parsedTtl = Number.parseInt(process.env.ROWS_CACHE_TTL_MS, 10);
+const TTL_MS = Number.isFinite(parsedTtl) && parsedTtl >= 0 ? parsedTtl : 30 * 1000;
+
+const entries = new Map(); // key -> { data, etag, fetchedAt }
+
+function cacheKey(target) {
+  return `${target.spreadsheetId}::${target.sheetId ?? target.sheetTitle ?? ""}`;
+}
+
+function computeEtag(data) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify([data.spreadsheetTitle, data.sheetTitle, data.timeZone, data.numberFormats, data.rows]))
+    .digest("base64url");
+  return `"${hash}"`;
+}
+
+function store(key, data) {
+  const entry = { data, etag: computeEtag(data), fetchedAt: Date.now() };
+  entries.set(key, entry);
+  return entry;
+}
+
+/**
+ * Rows for a target: { data, etag, fetchedAt, stale }.
+ * 4xx errors (bad tab, missing file) are never masked by a stale copy,
+ * except `transient` ones such as an exhausted Sheets quota.
+ */
+async function readRows(target) {
+  const key = cacheKey(target);
+  const cached = entries.get(key);
+
+  if (cached && Date.now() - cached.fetchedAt < TTL_MS) {
+    return { ...cached, stale: false };
+  }
+
+  try {
+    const data = await storage.readRows(target);
+    return { ...store(key, data), stale: false };
+  } catch (err) {
+    const isClientError = err && err.status >= 400 && err.status < 500 && !err.transient;
+    if (cached && !isClientError) {
+      console.warn(`[WARN] Serving stale rows for ${key}: ${err.message}`);
+      return { ...cached, stale: true };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Mirror a successful write into the cached rows so the next read does not
+ * have to hit the provider. `ref` is { key } or { device } (see sheetUtils);
+ * `colName` is the header the write reported.
+ * Drops the entry if the cell can't be located unambiguously.
+ */
+function patchRowCell(target, ref, colName, value) {
+  const key = cacheKey(target);
+  const cached = entries.get(key);
+  if (!cached) return;
+
+  const rows = cached.data.rows || [];
+  const colIdx = findHeaderIndex(rows[0] || [], colName);
+  let rowIndex1 = -1;
+  try {
+    rowIndex1 = locateRow(rows, ref, target.columns);
+  } catch {
+    // not found, or several rows match
+  }
+  if (colIdx === -1 || rowIndex1 === -1) {
+    entries.delete(key);
+    return;
+  }
+
+  const nextRows = rows.slice();
+  const row = (nextRows[rowIndex1 - 1] || []).slice();
+  while (row.length <= colIdx) row.push("");
+  row[colIdx] = value;
+  nextRows[rowIndex1 - 1] = row;
+
+  const data = { ...cached.data, rows: nextRows };
+  entries.set(key, { data, etag: computeEtag(data), fetchedAt: cached.fetchedAt });
+}
+
+function invalidate(target) {
+  entries.delete(cacheKey(target));
+}
+
+module.exports = { readRows, patchRowCell, invalidate };
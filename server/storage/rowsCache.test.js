@@ -0,0 +1,105 @@
+// server/storage/rowsCache.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rows-cache-test-"));
+process.env.STORAGE_PROVIDER = "local";
+process.env.LOCAL_SHEETS_DIR = dir;
+delete process.env.ROWS_CACHE_TTL_MS; // the 30 s default
+
+const storage = require("./index");
+const rowsCache = require("./rowsCache");
+const { httpError } = require("./sheetUtils");
+
+const TTL_MS = 30 * 1000;
+
+function sheetData(rows) {
+  return { spreadsheetId: "s1", spreadsheetTitle: "Inventory", sheetId: 0, sheetTitle: "Sheet1", timeZone: "UTC", rows };
+}
+
+// Each test reads its own spreadsheet so cache entries never carry over
+let sheetCount = 0;
+let target;
+let readRows;
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date("2024-05-01T09:00:00Z") });
+  sheetCount += 1;
+  target = { spreadsheetId: `sheet-${sheetCount}`, sheetId: 0 };
+  readRows = jest.spyOn(storage, "readRows").mockResolvedValue(
+    sheetData([["Device", "Completed", "Comment"], ["PC-01", false, ""]])
+  );
+});
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("reads within the TTL come from memory with the same ETag", async () => {
+  const first = await rowsCache.readRows(target);
+  expect(first).toMatchObject({ stale: false, etag: expect.stringMatching(/^"[\w-]+"$/) });
+
+  jest.advanceTimersByTime(TTL_MS - 1);
+  const second = await rowsCache.readRows(target);
+  expect(second.etag).toBe(first.etag);
+  expect(readRows).toHaveBeenCalledTimes(1);
+
+  jest.advanceTimersByTime(1);
+  await rowsCache.readRows(target);
+  expect(readRows).toHaveBeenCalledTimes(2);
+});
+
+test("the ETag follows the content and survives a refetch of the same rows", async () => {
+  const first = await rowsCache.readRows(target);
+  rowsCache.invalidate(target);
+  expect((await rowsCache.readRows(target)).etag).toBe(first.etag);
+
+  readRows.mockResolvedValue(sheetData([["Device", "Completed", "Comment"], ["PC-01", true, ""]]));
+  rowsCache.invalidate(target);
+  expect((await rowsCache.readRows(target)).etag).not.toBe(first.etag);
+});
+
+test("a write patches the cached cell and changes the ETag without a refetch", async () => {
+  const before = await rowsCache.readRows(target);
+  rowsCache.patchRowCell(target, { device: "pc-01" }, "Comment", "Needs RAM");
+
+  const after = await rowsCache.readRows(target);
+  expect(after.data.rows[1]).toEqual(["PC-01", false, "Needs RAM"]);
+  expect(after.etag).not.toBe(before.etag);
+  expect(readRows).toHaveBeenCalledTimes(1);
+
+  // A cell it can't place drops the entry instead
+  rowsCache.patchRowCell(target, { device: "PC-09" }, "Comment", "x");
+  await rowsCache.readRows(target);
+  expect(readRows).toHaveBeenCalledTimes(2);
+});
+
+test("an unreachable provider serves the last good copy as stale", async () => {
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  const good = await rowsCache.readRows(target);
+  jest.advanceTimersByTime(TTL_MS);
+
+  readRows.mockRejectedValueOnce(new Error("socket hang up"));
+  const stale = await rowsCache.readRows(target);
+  expect(stale).toMatchObject({ stale: true, etag: good.etag, data: good.data, fetchedAt: good.fetchedAt });
+
+  readRows.mockRejectedValueOnce(Object.assign(httpError(429, "Quota exceeded"), { transient: true }));
+  expect((await rowsCache.readRows(target)).stale).toBe(true);
+  expect(warn).toHaveBeenCalledTimes(2);
+
+  // Recovers on the next good read
+  expect((await rowsCache.readRows(target)).stale).toBe(false);
+});
+
+test("client errors and a cold cache are never masked", async () => {
+  readRows.mockRejectedValueOnce(new Error("socket hang up"));
+  await expect(rowsCache.readRows(target)).rejects.toThrow("socket hang up");
+
+  await rowsCache.readRows(target);
+  jest.advanceTimersByTime(TTL_MS);
+  readRows.mockRejectedValueOnce(httpError(404, "Tab 'Sheet1' not found in the spreadsheet."));
+  await expect(rowsCache.readRows(target)).rejects.toMatchObject({ status: 404 });
+});
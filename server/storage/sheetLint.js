@@ -0,0 +1,194 @@
+// server/storage/sheetLint.js
+/**
+ * Data-quality checks for a linked tab, so problems surface before a
+ * cleaning run instead of halfway through it.
+ *
+ * lintRows(rows, target) checks the rows (header first, as providers return
+ * them) and reports findings:
+ *   { id, rule, severity, row, key, column, value, message, fix? }
+ *   id       "<rule>:<key>:<row version>" for a fixable finding, so it names the
+ *            row by key and content rather than position: once the row is moved
+ *            away, edited or replaced, the id no longer matches anything.
+ *            "<rule>:<row>" for the rest.
+ *   row      the sheet's own row number (the header row offset included)
+ *   severity "error" (a row can't be worked on), "warning" or "info"
+ *   fix      { field, value, version } when the cell can be corrected safely:
+ *            only rows with a unique key, and only rewrites that keep the meaning
+ *
+ * Rules:
+ *   blank-device           error    the row has data but no Device name
+ *   duplicate-key          error    several rows share a row key (writes are refused)
+ *   invalid-status         error    Completed is neither true nor false
+ *   status-text            info     Completed is boolean text ("TRUE", "yes") -> a real boolean
+ *   invalid-ip             warning  the IP address is not a valid IPv4 / IPv6 address
+ *   duplicate-ip           warning  several rows share an IP address
+ *   manufacturer-spelling  info     a manufacturer spelled several ways -> its most common spelling
+ */
+
+const net = require("net");
+const {
+  headerRowOf,
+  keyColumnsOf,
+  rowKeyOf,
+  columnIndex,
+  rowVersion,
+} = require("./sheetUtils");
+const { typeValue } = require("./cellTypes");
+
+const SEVERITIES = ["error", "warning", "info"];
+
+const text = (value) => String(value ?? "").trim();
+const isBlankRow = (row) => !Array.isArray(row) || row.every((v) => text(v) === "");
+
+/** Group row entries by a normalized value; only groups with several entries. */
+function sharedValues(entries, valueOf) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const value = valueOf(entry);
+    if (!value) return;
+    groups.set(value, [...(groups.get(value) || []), entry]);
+  });
+  return [...groups.values()].filter((g) => g.length > 1);
+}
+
+/**
+ * Findings for a tab's rows, most severe first (then by row).
+ * Returns { findings, counts: { error, warning, info }, checkedRows }.
+ */
+function lintRows(rows, target) {
+  const header = rows?.[0] || [];
+  const map = target?.columns;
+  const firstRow = headerRowOf(target);
+  const columns = keyColumnsOf(header, map);
+  const colOf = (field) => {
+    const idx = columnIndex(header, map, field);
+    return idx === -1 ? null : { idx, name: text(header[idx]) };
+  };
+  const status = colOf("status");
+  const ip = colOf("ip");
+  const manufacturer = colOf("manufacturer");
+
+  // Data rows with their sheet row numbers; blank rows are not checked
+  const entries = [];
+  (rows || []).slice(1).forEach((row, i) => {
+    if (isBlankRow(row)) return;
+    entries.push({ row, rowNumber: firstRow + 1 + i, key: rowKeyOf(row, columns) });
+  });
+
+  // Rows whose key is shared can't be written safely
+  const ambiguous = new Set();
+  const findings = [];
+  const add = (rule, severity, entry, column, value, message, fix) => {
+    const fixable = fix && entry.key && !ambiguous.has(entry);
+    const version = fixable ? rowVersion(entry.row) : null;
+    findings.push({
+      id: fixable ? `${rule}:${entry.key}:${version}` : `${rule}:${entry.rowNumber}`,
+      rule,
+      severity,
+      row: entry.rowNumber,
+      key: entry.key || null,
+      column: column || null,
+      value: value ?? null,
+      message,
+      ...(fixable ? { fix: { ...fix, version } } : {}),
+    });
+  };
+
+  const deviceName = columns.deviceColumn;
+  entries.forEach((entry) => {
+    if (columns.deviceIdx !== -1 && text(entry.row[columns.deviceIdx]) === "") {
+      const message = `Row ${entry.rowNumber} has no ${deviceName}, so its card can't be opened.`;
+      add("blank-device", "error", entry, deviceName, "", message);
+    }
+  });
+
+  sharedValues(entries, (e) => e.key.toLowerCase()).forEach((group) => {
+    group.forEach((entry) => {
+      ambiguous.add(entry);
+      add(
+        "duplicate-key",
+        "error",
+        entry,
+        columns.keyIdx === -1 ? deviceName : columns.keyColumn,
+        entry.key,
+        `'${entry.key}' is used by ${group.length} rows (${group.map((e) => e.rowNumber).join(", ")}); changes to them are refused.`
+      );
+    });
+  });
+
+  if (status) {
+    entries.forEach((entry) => {
+      const value = entry.row[status.idx];
+      if (typeof value === "boolean" || text(value) === "") return;
+      const typed = typeValue(value, "boolean");
+      if (typeof typed === "boolean") {
+        const message = `${status.name} is the text '${text(value)}', not a checkbox value.`;
+        add("status-text", "info", entry, status.name, value, message, { field: "status", value: typed });
+      } else {
+        const message = `${status.name} '${text(value)}' is neither true nor false.`;
+        add("invalid-status", "error", entry, status.name, value, message);
+      }
+    });
+  }
+
+  if (ip) {
+    const valid = [];
+    entries.forEach((entry) => {
+      const value = text(entry.row[ip.idx]);
+      if (!value) return;
+      if (net.isIP(value)) valid.push({ ...entry, ip: value.toLowerCase() });
+      else add("invalid-ip", "warning", entry, ip.name, value, `'${value}' is not a valid IP address.`);
+    });
+    sharedValues(valid, (e) => e.ip).forEach((group) => {
+      group.forEach((entry) => {
+        add(
+          "duplicate-ip",
+          "warning",
+          entry,
+          ip.name,
+          entry.ip,
+          `${entry.ip} is shared by rows ${group.map((e) => e.rowNumber).join(", ")}.`
+        );
+      });
+    });
+  }
+
+  if (manufacturer) {
+    // Spellings per manufacturer, ignoring case and spacing
+    const spellings = new Map();
+    entries.forEach((entry) => {
+      const value = text(entry.row[manufacturer.idx]);
+      if (!value) return;
+      const norm = value.toLowerCase().replace(/\s+/g, " ");
+      if (!spellings.has(norm)) spellings.set(norm, new Map());
+      const counts = spellings.get(norm);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    entries.forEach((entry) => {
+      const raw = entry.row[manufacturer.idx];
+      const value = text(raw);
+      if (!value) return;
+      const counts = spellings.get(value.toLowerCase().replace(/\s+/g, " "));
+      // Most common spelling wins; the first seen on a tie
+      const canonical = [...counts.entries()].reduce((best, cur) => (cur[1] > best[1] ? cur : best))[0];
+      if (raw === canonical) return;
+      add(
+        "manufacturer-spelling",
+        "info",
+        entry,
+        manufacturer.name,
+        raw,
+        `'${raw}' is also spelled '${canonical}'.`,
+        { field: "manufacturer", value: canonical }
+      );
+    });
+  }
+
+  findings.sort(
+    (a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.row - b.row || a.rule.localeCompare(b.rule)
+  );
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, findings.filter((f) => f.severity === s).length]));
+  return { findings, counts, checkedRows: entries.length };
+}
+
+module.exports = { SEVERITIES, lintRows };
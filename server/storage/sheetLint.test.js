@@ -0,0 +1,58 @@
+// server/storage/sheetLint.test.js
+const { lintRows } = require("./sheetLint");
+
+const HEADER = ["Device", "IP Address", "Mfr", "Completed"];
+const ROWS = [
+  HEADER,
+  ["PC-01", "10.0.0.1", "Dell", "TRUE"],
+  ["PC-02", "10.0.0.2", "Dell", false],
+  ["PC-03", "10.0.0.3", "dell", false],
+  ["PC-04", "10.0.0.4", "Dell", "maybe"],
+];
+
+const fixesOf = (rows) => lintRows(rows, {}).findings.filter((f) => f.fix);
+const ids = (findings) => findings.map((f) => f.id);
+
+test("reports findings with sheet row numbers, most severe first", () => {
+  const { findings, counts, checkedRows } = lintRows(ROWS, {});
+  expect(checkedRows).toBe(4);
+  expect(counts).toEqual({ error: 1, warning: 0, info: 2 });
+  expect(findings.map((f) => [f.rule, f.row])).toEqual([
+    ["invalid-status", 5],
+    ["status-text", 2],
+    ["manufacturer-spelling", 4],
+  ]);
+  expect(findings[1].fix).toMatchObject({ field: "status", value: true });
+  expect(findings[2].fix).toMatchObject({ field: "manufacturer", value: "Dell" });
+});
+
+test("a fix's id follows its row when rows are inserted or sorted", () => {
+  const before = ids(fixesOf(ROWS));
+  const inserted = [HEADER, ["PC-00", "10.0.0.9", "Dell", false], ...ROWS.slice(1)];
+  const sorted = [HEADER, ...ROWS.slice(1).reverse()];
+
+  expect(ids(fixesOf(inserted))).toEqual(before);
+  expect(ids(fixesOf(sorted)).sort()).toEqual([...before].sort());
+  expect(fixesOf(inserted).map((f) => f.row)).toEqual([3, 5]);
+});
+
+test("a fix's id no longer matches once another row takes its place or the row changes", () => {
+  const [statusFix, spellingFix] = fixesOf(ROWS);
+
+  // PC-01 deleted: PC-02 now sits on row 2 and PC-03 on row 3
+  const deleted = [HEADER, ...ROWS.slice(2)];
+  expect(ids(fixesOf(deleted))).not.toContain(statusFix.id);
+  expect(ids(fixesOf(deleted))).toContain(spellingFix.id);
+
+  // PC-03 edited: any cell changes the row version
+  const edited = ROWS.map((r) => (r[0] === "PC-03" ? ["PC-03", "10.0.0.30", "dell", false] : r));
+  expect(ids(fixesOf(edited))).not.toContain(spellingFix.id);
+  expect(ids(fixesOf(edited))).toContain(statusFix.id);
+});
+
+test("rows whose key is blank or shared get no fix", () => {
+  const rows = [HEADER, ["PC-01", "", "", "yes"], ["PC-01", "", "", "no"], ["", "10.0.0.5", "", "TRUE"]];
+  const { findings } = lintRows(rows, {});
+  expect(findings.filter((f) => f.fix)).toEqual([]);
+  expect(new Set(ids(findings)).size).toBe(findings.length);
+});
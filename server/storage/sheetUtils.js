@@ -0,0 +1,524 @@
+// server/storage/sheetUtils.js
+/**
+ * Helpers shared by every storage provider.
+ * Rows are always a 2D array (header row first), exactly like the
+ * Google Sheets values API returns them.
+ *
+ * Header row:
+ *   Many sheets open with a title, a date or blank lines above the real
+ *   header. Linking scans the first HEADER_SCAN_ROWS rows for known or mapped
+ *   column names and saves the winner as the target's `headerRow` (1-based);
+ *   providers return rows from that row on and offset A1 row numbers by it.
+ *
+ * Column mapping:
+ *   Code refers to logical fields (COLUMN_FIELDS: key, device, status,
+ *   comment, ip, ...) rather than header names. Each linked sheet may carry a
+ *   mapping { field: "Header" | ["Header", "Alias", ...] }; a field resolves
+ *   to the first of its mapped names the header has, then to its defaults.
+ *
+ * Row keys:
+ *   Writes address a row by its key: the value of the sheet's key column
+ *   (the "key" field, e.g. "Asset Tag"), falling back to the device column
+ *   when that cell is blank or the sheet has no key column. A ref is either
+ *   { key } (matched against row keys) or { device } (matched against the
+ *   device column). A ref matching more than one row is refused with 409.
+ *
+ * Notes:
+ *   Device notes live in their own tab of the same spreadsheet
+ *   (NOTES_TAB_TITLE, created on the first note), one row per note under
+ *   NOTES_HEADER. "Tab" is the sheetId of the tracked tab the note belongs to.
+ *
+ * Env:
+ *   ROW_KEY_COLUMNS   optional comma-separated default names of the key
+ *                     column, in order of preference (default "Asset Tag,Row ID")
+ *   HEADER_SCAN_ROWS  optional number of rows searched for the header (default 10)
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Error carrying an HTTP status the router can forward to the client.
+ * `payload` fields are added to the JSON error body.
+ */
+function httpError(status, message, payload) {
+  const err = new Error(message);
+  err.status = status;
+  if (payload) err.payload = payload;
+  return err;
+}
+
+function normalizeSpreadsheetId(input) {
+  if (!input || typeof input !== "string") return null;
+  if (!input.includes("http")) return input.trim();
+  const match = input.match(/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
+  return match ? match[1] : null;
+}
+
+// A1 helpers
+function columnIndexToA1(colIdxZeroBased) {
+  let idx = colIdxZeroBased + 1; // 1-based
+  let s = "";
+  while (idx > 0) {
+    const rem = (idx - 1) % 26;
+    s = String.fromCharCode(65 + rem) + s;
+    idx = Math.floor((idx - 1) / 26);
+  }
+  return s;
+}
+
+/** Prefix an A1 reference with a quoted tab name ("My Tab" -> 'My Tab'!B7). */
+function sheetRange(sheetTitle, a1) {
+  const quoted = `'${String(sheetTitle).replace(/'/g, "''")}'`;
+  return a1 ? `${quoted}!${a1}` : quoted;
+}
+
+/** The tabs a sheet can be tracked on: every tab but the notes tab. */
+function trackableTabs(tabs) {
+  return (tabs || []).filter((t) => t.title !== NOTES_TAB_TITLE);
+}
+
+/**
+ * Pick the tab a target refers to from a list of { sheetId, title, index }.
+ * sheetId wins (it survives renames), then title, then the first tab by index.
+ * The notes tab is never a target: naming it is a 400.
+ */
+function resolveTab(tabs, target = {}) {
+  const ordered = trackableTabs(tabs).sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+  const notes = (tabs || []).find((t) => t.title === NOTES_TAB_TITLE);
+  if (notes && (String(target.sheetId ?? "") === String(notes.sheetId) || target.sheetTitle === NOTES_TAB_TITLE)) {
+    throw httpError(400, `'${NOTES_TAB_TITLE}' holds the device notes and can't be tracked. Pick another tab.`);
+  }
+  if (ordered.length === 0) {
+    throw new Error("The spreadsheet has no visible sheets.");
+  }
+
+  const hasId = target.sheetId !== undefined && target.sheetId !== null && target.sheetId !== "";
+  if (hasId) {
+    const byId = ordered.find((t) => String(t.sheetId) === String(target.sheetId));
+    if (byId) return byId;
+  }
+  if (target.sheetTitle) {
+    const byTitle = ordered.find((t) => t.title === target.sheetTitle);
+    if (byTitle) return byTitle;
+  }
+  if (hasId || target.sheetTitle) {
+    throw httpError(
+      404,
+      `Tab '${target.sheetTitle ?? target.sheetId}' not found in the spreadsheet.`
+    );
+  }
+  return ordered[0];
+}
+
+/** Count data rows (below the 1-based `headerRow`) that have at least one non-blank cell. */
+function countDataRows(rows, headerRow = 1) {
+  return (rows || [])
+    .slice(headerRow)
+    .filter((r) => Array.isArray(r) && r.some((v) => String(v ?? "").trim() !== ""))
+    .length;
+}
+
+/** Zero-based index of a header cell (case-insensitive, trimmed), or -1. */
+function findHeaderIndex(header, colName) {
+  const target = String(colName).trim().toLowerCase();
+  return (header || []).findIndex(
+    (h) => String(h || "").trim().toLowerCase() === target
+  );
+}
+
+// ---------------- Column mapping ----------------
+
+const KEY_COLUMNS = String(process.env.ROW_KEY_COLUMNS ?? "Asset Tag,Row ID")
+  .split(",")
+  .map((c) => c.trim())
+  .filter(Boolean);
+
+/** Logical fields and the header names each one matches when not mapped. */
+const COLUMN_FIELDS = {
+  key: KEY_COLUMNS,
+  device: ["Device"],
+  status: ["Completed"],
+  completedAt: ["Completed At"],
+  completedBy: ["Completed By"],
+  comment: ["Comment"],
+  ip: ["IP Address"],
+  type: ["Equipment Type"],
+  manufacturer: ["Mfr", "Manufacturer"],
+  model: ["*Model Name", "Model Name"],
+  serial: ["Serial Number"],
+  location: ["Location"],
+};
+
+const MAX_COLUMN_ALIASES = 10;
+const MAX_COLUMN_NAME_LENGTH = 100;
+
+/**
+ * Validate a mapping from a request body: { field: name | [names] } ->
+ * { field: [names] }. Unknown fields and blank names are a 400.
+ */
+function normalizeColumnMap(input) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw httpError(400, "'columns' must be an object of field -> header name(s).");
+  }
+  const map = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (!Object.prototype.hasOwnProperty.call(COLUMN_FIELDS, field)) {
+      throw httpError(400, `Unknown column field '${field}'. Use one of: ${Object.keys(COLUMN_FIELDS).join(", ")}.`);
+    }
+    const names = (Array.isArray(value) ? value : [value])
+      .map((n) => (typeof n === "string" ? n.trim() : ""))
+      .filter(Boolean);
+    if (names.length === 0) continue; // blank = use the defaults
+    if (names.length > MAX_COLUMN_ALIASES || names.some((n) => n.length > MAX_COLUMN_NAME_LENGTH)) {
+      throw httpError(
+        400,
+        `Field '${field}' takes at most ${MAX_COLUMN_ALIASES} names of up to ${MAX_COLUMN_NAME_LENGTH} characters.`
+      );
+    }
+    map[field] = names;
+  }
+  return map;
+}
+
+/** Header names a field matches, mapped names first. */
+function columnCandidates(field, map) {
+  const mapped = map?.[field];
+  const names = [...(Array.isArray(mapped) ? mapped : mapped ? [mapped] : []), ...(COLUMN_FIELDS[field] || [])];
+  return [...new Set(names)];
+}
+
+/** Zero-based index of a field's column in a header, or -1. */
+function columnIndex(header, map, field) {
+  for (const name of columnCandidates(field, map)) {
+    const idx = findHeaderIndex(header, name);
+    if (idx !== -1) return idx;
+  }
+  return -1;
+}
+
+/** Header text of a field's column, or null when the sheet lacks it. */
+function columnName(header, map, field) {
+  const idx = columnIndex(header, map, field);
+  return idx === -1 ? null : String(header[idx]).trim();
+}
+
+/** { field: header name | null } for every field, as clients need it. */
+function resolveColumns(header, map) {
+  return Object.fromEntries(
+    Object.keys(COLUMN_FIELDS).map((field) => [field, columnName(header, map, field)])
+  );
+}
+
+/** Error for a required field the sheet has no column for (a configuration problem). */
+function missingColumn(field, map) {
+  return new Error(`Header '${columnCandidates(field, map)[0] || field}' not found.`);
+}
+
+// ---------------- Header row ----------------
+
+const parsedScanRows = Number.parseInt(process.env.HEADER_SCAN_ROWS, 10);
+const HEADER_SCAN_ROWS = Number.isFinite(parsedScanRows) && parsedScanRows > 0 ? parsedScanRows : 10;
+
+/**
+ * 1-based number of the header row among the first HEADER_SCAN_ROWS rows:
+ * the one naming the most fields (mapped or default names), the earliest on
+ * a tie. Row 1 when no row names any.
+ */
+function detectHeaderRow(rows, map) {
+  let best = 1;
+  let bestScore = 0;
+  (rows || []).slice(0, HEADER_SCAN_ROWS).forEach((row, i) => {
+    if (!Array.isArray(row)) return;
+    const score = Object.keys(COLUMN_FIELDS).filter((field) => columnIndex(row, map, field) !== -1).length;
+    if (score > bestScore) {
+      best = i + 1;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/** The target's saved header row (1 for links made before detection). */
+function headerRowOf(target) {
+  const headerRow = Number(target?.headerRow);
+  return Number.isInteger(headerRow) && headerRow > 0 ? headerRow : 1;
+}
+
+/** A tab's rows from its header row on, so rows[0] is always the header. */
+function fromHeaderRow(rows, target) {
+  return (rows || []).slice(headerRowOf(target) - 1);
+}
+
+// ---------------- Row keys ----------------
+
+const normalizeKey = (value) => String(value ?? "").trim().toLowerCase();
+
+/**
+ * { keyIdx, deviceIdx, keyColumn, deviceColumn } for a header; keyIdx is -1
+ * without a key column, and keyColumn then names the device column.
+ */
+function keyColumnsOf(header, map) {
+  const deviceIdx = columnIndex(header, map, "device");
+  const deviceColumn = deviceIdx === -1 ? columnCandidates("device", map)[0] : String(header[deviceIdx]).trim();
+  const keyIdx = columnIndex(header, map, "key");
+  const keyColumn = keyIdx === -1 ? deviceColumn : String(header[keyIdx]).trim();
+  return { keyIdx, deviceIdx, keyColumn, deviceColumn };
+}
+
+/** A row's key: its key column value, else its Device. */
+function rowKeyOf(row, { keyIdx, deviceIdx }) {
+  const key = keyIdx === -1 ? "" : String(row?.[keyIdx] ?? "").trim();
+  return key || String(row?.[deviceIdx] ?? "").trim();
+}
+
+/** Whether a row is the one a ref ({ key } or { device }) points at. */
+function rowMatchesRef(row, columns, ref) {
+  if (ref.key) return normalizeKey(rowKeyOf(row, columns)) === normalizeKey(ref.key);
+  return normalizeKey(row?.[columns.deviceIdx]) === normalizeKey(ref.device);
+}
+
+/** The ref an operation carries: { key } when it has one, else { device }. */
+function refOf({ key, device }) {
+  const k = String(key ?? "").trim();
+  return k ? { key: k } : { device: String(device ?? "").trim() };
+}
+
+/** Human label for a ref in error messages. */
+function refLabel(ref) {
+  return ref.key ? `Row '${ref.key}'` : `Device '${ref.device}'`;
+}
+
+/** Row keys used by more than one data row (as first written), for flagging. */
+function duplicateKeys(rows, map) {
+  const columns = keyColumnsOf(rows?.[0] || [], map);
+  if (columns.deviceIdx === -1) return [];
+  const seen = new Map(); // normalized -> { key, count }
+  (rows || []).slice(1).forEach((row) => {
+    const key = rowKeyOf(row, columns);
+    if (!key) return;
+    const entry = seen.get(normalizeKey(key)) || { key, count: 0 };
+    entry.count += 1;
+    seen.set(normalizeKey(key), entry);
+  });
+  return [...seen.values()].filter((e) => e.count > 1).map((e) => e.key);
+}
+
+/**
+ * 1-based row number of the one row a ref points at. 404 when none matches,
+ * 409 when several do (the write would be ambiguous).
+ */
+function locateRow(rows, ref, map) {
+  if (!rows || rows.length === 0) {
+    throw new Error("Spreadsheet has no data.");
+  }
+  const columns = keyColumnsOf(rows[0], map);
+  if (columns.deviceIdx === -1) throw missingColumn("device", map);
+
+  const matches = [];
+  for (let r = 1; r < rows.length; r++) {
+    if (rowMatchesRef(rows[r], columns, ref)) matches.push(r + 1);
+  }
+  if (matches.length === 0) throw httpError(404, `${refLabel(ref)} not found.`);
+  if (matches.length > 1) throw ambiguousRef(ref, matches.length, columns);
+  return matches[0];
+}
+
+/** 409 for a ref that matches several rows (`columns` from keyColumnsOf). */
+function ambiguousRef(ref, count, { keyIdx, keyColumn, deviceColumn }) {
+  let hint;
+  if (keyIdx === -1) {
+    hint = `Add an '${KEY_COLUMNS[0] || "Asset Tag"}' column or make the '${deviceColumn}' values unique.`;
+  } else if (ref.key) {
+    hint = `Make the '${keyColumn}' values unique.`;
+  } else {
+    hint = `Use the row's '${keyColumn}' instead.`;
+  }
+  return httpError(409, `${refLabel(ref)} matches ${count} rows. ${hint}`, {
+    duplicate: { ...ref, count },
+  });
+}
+
+// ---------------- Cell text ----------------
+
+/** Longest text written to one cell (Sheets refuses more than 50,000 characters). */
+const MAX_CELL_LENGTH = 50000;
+
+// C0 / C1 control characters and bidi overrides; the multiline form keeps tab, CR and LF
+const CONTROL_CHARS = /[\u0000-\u001f\u007f-\u009f\u202a-\u202e\u2066-\u2069]/g;
+const CONTROL_CHARS_MULTILINE = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f-\u009f\u202a-\u202e\u2066-\u2069]/g;
+
+/** `text` without control characters (tabs and line breaks survive when `multiline`). */
+function stripControlChars(text, { multiline = false } = {}) {
+  return String(text ?? "").replace(multiline ? CONTROL_CHARS_MULTILINE : CONTROL_CHARS, "");
+}
+
+/** Text as a cell stores it: control characters removed, at most MAX_CELL_LENGTH long. */
+function cellText(input) {
+  return stripControlChars(input, { multiline: true }).slice(0, MAX_CELL_LENGTH);
+}
+
+/**
+ * cellText made safe for a USER_ENTERED write: text Sheets would read as a
+ * formula (starting with = + - @, possibly after spaces, or with a tab / CR)
+ * gets a leading ' so it stays text.
+ */
+function sanitizeForSheets(input) {
+  const s = cellText(input);
+  return /^(\s*[=+\-@]|[\t\r])/.test(s) ? "'" + s : s;
+}
+
+// Sheets date serials count days from 1899-12-30
+const SHEETS_EPOCH_OFFSET_DAYS = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * A moment as Sheets sees it in the spreadsheet's time zone:
+ *   text   -> "yyyy-mm-dd hh:mm:ss", parsed into a real date-time by USER_ENTERED
+ *   serial -> the number the values API returns for that cell when unformatted
+ * Unknown time zones fall back to UTC.
+ */
+function sheetsDateTime(date, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone || "UTC",
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    }).formatToParts(date);
+  } catch {
+    return sheetsDateTime(date, "UTC");
+  }
+  const p = Object.fromEntries(parts.map((x) => [x.type, x.value]));
+  const wallClockMs = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return {
+    text: `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}:${p.second}`,
+    serial: wallClockMs / MS_PER_DAY + SHEETS_EPOCH_OFFSET_DAYS,
+  };
+}
+
+/**
+ * The moment a Sheets date serial stands for, read as wall-clock time in the
+ * spreadsheet's time zone (the inverse of sheetsDateTime). Invalid -> null.
+ */
+function fromSheetsSerial(serial, timeZone) {
+  const wallClockMs = Math.round((Number(serial) - SHEETS_EPOCH_OFFSET_DAYS) * MS_PER_DAY);
+  if (!Number.isFinite(wallClockMs)) return null;
+  // Two passes settle the zone offset, including across a DST change
+  let ms = wallClockMs;
+  for (let i = 0; i < 2; i++) {
+    const seen = (sheetsDateTime(new Date(ms), timeZone).serial - SHEETS_EPOCH_OFFSET_DAYS) * MS_PER_DAY;
+    ms += wallClockMs - Math.round(seen);
+  }
+  const date = new Date(ms);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// ---------------- Row versions ----------------
+
+/**
+ * Short hash of one row's values. GET /rows sends one per row and writes may
+ * send it back as `version` to refuse changes based on an outdated row.
+ * Trailing blanks are ignored and numbers rounded so a row reads the same
+ * whether it came from the provider or from a patched cache entry.
+ */
+function rowVersion(row) {
+  const cells = (Array.isArray(row) ? row : []).map((v) => {
+    if (v === null || v === undefined) return "";
+    return typeof v === "number" ? Number(v.toPrecision(12)) : v;
+  });
+  while (cells.length > 0 && cells[cells.length - 1] === "") cells.pop();
+  return crypto.createHash("sha1").update(JSON.stringify(cells)).digest("base64url").slice(0, 16);
+}
+
+/** 409 for a write based on an outdated row: `current` maps column -> value now. */
+function versionConflict(device, version, current) {
+  return httpError(409, `Device '${device}' was changed by someone else.`, {
+    conflict: { device, version, current },
+  });
+}
+
+// ---------------- Notes ----------------
+
+const NOTES_TAB_TITLE = "Device Notes";
+const NOTES_HEADER = ["Note ID", "Tab", "Key", "Device", "Author", "Created At", "Text"];
+
+/** A note as a notes-tab row (NOTES_HEADER order). */
+function noteToRow(note) {
+  return [note.id, note.sheetId ?? "", note.key, note.device, note.author, note.createdAt, note.text];
+}
+
+/**
+ * Notes of one tracked row, oldest first, from the notes tab's rows (header
+ * first). A note is matched by its key; notes saved while the row was keyed
+ * by its Device (before a key column existed) are matched by Device.
+ */
+function notesForRow(rows, sheetId, { key, device }) {
+  const wantedKey = normalizeKey(key);
+  const wantedDevice = normalizeKey(device);
+  return (rows || [])
+    .slice(1)
+    .filter((r) => Array.isArray(r) && String(r[0] ?? "").trim() !== "")
+    .map((r) => ({
+      id: String(r[0]),
+      sheetId: r[1] === "" || r[1] === undefined || r[1] === null ? null : Number(r[1]),
+      key: String(r[2] ?? ""),
+      device: String(r[3] ?? ""),
+      author: String(r[4] ?? ""),
+      createdAt: String(r[5] ?? ""),
+      text: String(r[6] ?? ""),
+    }))
+    .filter((n) => (n.sheetId ?? null) === (sheetId ?? null))
+    .filter((n) => {
+      const noteKey = normalizeKey(n.key);
+      if (noteKey === wantedKey) return true;
+      return noteKey === normalizeKey(n.device) && normalizeKey(n.device) === wantedDevice;
+    })
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+module.exports = {
+  httpError,
+  normalizeSpreadsheetId,
+  columnIndexToA1,
+  sheetRange,
+  trackableTabs,
+  resolveTab,
+  countDataRows,
+  findHeaderIndex,
+  COLUMN_FIELDS,
+  normalizeColumnMap,
+  columnIndex,
+  columnName,
+  resolveColumns,
+  missingColumn,
+  HEADER_SCAN_ROWS,
+  detectHeaderRow,
+  headerRowOf,
+  fromHeaderRow,
+  keyColumnsOf,
+  rowKeyOf,
+  rowMatchesRef,
+  refOf,
+  refLabel,
+  duplicateKeys,
+  locateRow,
+  ambiguousRef,
+  MAX_CELL_LENGTH,
+  stripControlChars,
+  cellText,
+  sanitizeForSheets,
+  sheetsDateTime,
+  fromSheetsSerial,
+  rowVersion,
+  versionConflict,
+  NOTES_TAB_TITLE,
+  NOTES_HEADER,
+  noteToRow,
+  notesForRow,
+};
@@ -0,0 +1,108 @@
+// server/storage/sheetUtils.test.js
+const {
+  resolveTab,
+  trackableTabs,
+  HEADER_SCAN_ROWS,
+  detectHeaderRow,
+  fromHeaderRow,
+  notesForRow,
+  noteToRow,
+  NOTES_HEADER,
+  NOTES_TAB_TITLE,
+} = require("./sheetUtils");
+
+const TABS = [
+  { sheetId: 7, title: NOTES_TAB_TITLE, index: 0 },
+  { sheetId: 0, title: "Laptops", index: 1 },
+  { sheetId: 3, title: "Desktops", index: 2 },
+];
+
+test("the notes tab is never listed, picked by default or linked", () => {
+  expect(trackableTabs(TABS).map((t) => t.title)).toEqual(["Laptops", "Desktops"]);
+  expect(resolveTab(TABS, {})).toMatchObject({ sheetId: 0 });
+  expect(resolveTab(TABS, { sheetId: "3" })).toMatchObject({ title: "Desktops" });
+  expect(() => resolveTab(TABS, { sheetId: 7 })).toThrow(expect.objectContaining({ status: 400 }));
+  expect(() => resolveTab(TABS, { sheetTitle: NOTES_TAB_TITLE })).toThrow(
+    `'${NOTES_TAB_TITLE}' holds the device notes and can't be tracked. Pick another tab.`
+  );
+  expect(() => resolveTab([TABS[0]], {})).toThrow("The spreadsheet has no visible sheets.");
+});
+
+describe("detectHeaderRow", () => {
+  const HEADER = ["Device", "Completed", "Comment"];
+
+  test("skips a title row and blank leading rows", () => {
+    const rows = [[], ["Inventory 2024"], ["", "  "], ["Printed 2024-05-01", "", "Completed?"], HEADER, ["PC-01", false, ""]];
+    expect(detectHeaderRow(rows)).toBe(5);
+    expect(fromHeaderRow(rows, { headerRow: 5 })).toEqual([HEADER, ["PC-01", false, ""]]);
+  });
+
+  test("finds a header named only through the column mapping", () => {
+    const rows = [["Laptop refresh"], ["Hostname", "Done", "Notes"], ["PC-01", true, ""]];
+    expect(detectHeaderRow(rows)).toBe(1);
+    expect(detectHeaderRow(rows, { device: ["Hostname"], status: ["Done"], comment: ["Notes"] })).toBe(2);
+  });
+
+  test("takes the earliest row on a tie and the fuller row over it", () => {
+    expect(detectHeaderRow([["Device", "Owner"], ["Comment", "Room"], HEADER])).toBe(3);
+    expect(detectHeaderRow([["Device", "Owner"], ["Comment", "Room"]])).toBe(1);
+    expect(detectHeaderRow([["Owner"], ["Device", "Owner"], ["Comment", "Room"]])).toBe(2);
+  });
+
+  test("only looks at the first HEADER_SCAN_ROWS rows", () => {
+    const banner = Array.from({ length: HEADER_SCAN_ROWS }, (_, i) => [`Line ${i + 1}`]);
+    expect(detectHeaderRow([...banner.slice(1), HEADER])).toBe(HEADER_SCAN_ROWS);
+    expect(detectHeaderRow([...banner, HEADER])).toBe(1);
+    expect(detectHeaderRow(undefined)).toBe(1);
+  });
+
+  test("fromHeaderRow treats a missing or invalid headerRow as row 1", () => {
+    const rows = [HEADER, ["PC-01", false, ""]];
+    expect(fromHeaderRow(rows, {})).toEqual(rows);
+    expect(fromHeaderRow(rows, { headerRow: "0" })).toEqual(rows);
+    expect(fromHeaderRow(rows, { headerRow: 2.5 })).toEqual(rows);
+    expect(fromHeaderRow(rows, { headerRow: 3 })).toEqual([]);
+    expect(fromHeaderRow(undefined, { headerRow: 2 })).toEqual([]);
+  });
+});
+
+describe("notesForRow", () => {
+  const note = (fields) =>
+    noteToRow({ author: "alice", text: "", createdAt: "2024-05-01T09:00:00.000Z", ...fields });
+  const rows = [
+    NOTES_HEADER,
+    note({ id: "n3", sheetId: 0, key: "A-100", device: "PC-01", createdAt: "2024-05-03T09:00:00.000Z" }),
+    note({ id: "n1", sheetId: 0, key: "PC-01", device: "PC-01", createdAt: "2024-05-01T09:00:00.000Z" }),
+    note({ id: "other-tab", sheetId: 3, key: "A-100", device: "PC-01" }),
+    note({ id: "no-tab", sheetId: null, key: "A-100", device: "PC-01" }),
+    note({ id: "other-row", sheetId: 0, key: "A-200", device: "PC-01" }),
+    note({ id: "renamed", sheetId: 0, key: "PC-09", device: "PC-01-old" }),
+    ["", 0, "A-100", "PC-01", "bob", "2024-05-02T09:00:00.000Z", "no id"],
+  ];
+
+  test("matches the row's key on its own tab, oldest first", () => {
+    const notes = notesForRow(rows, 0, { key: "a-100 ", device: "PC-01" });
+    expect(notes.map((n) => n.id)).toEqual(["n1", "n3"]);
+    expect(notes[1]).toEqual({
+      id: "n3",
+      sheetId: 0,
+      key: "A-100",
+      device: "PC-01",
+      author: "alice",
+      createdAt: "2024-05-03T09:00:00.000Z",
+      text: "",
+    });
+  });
+
+  test("falls back to the Device only for notes keyed by their Device", () => {
+    // n1 was saved before the key column existed; other-row belongs to another key
+    expect(notesForRow(rows, 0, { key: "A-300", device: "pc-01" }).map((n) => n.id)).toEqual(["n1"]);
+    expect(notesForRow(rows, 0, { key: "PC-09", device: "PC-09" }).map((n) => n.id)).toEqual(["renamed"]);
+  });
+
+  test("keeps each tab's notes apart; a blank Tab is the sheet without an id", () => {
+    expect(notesForRow(rows, 3, { key: "A-100", device: "PC-01" }).map((n) => n.id)).toEqual(["other-tab"]);
+    expect(notesForRow(rows, null, { key: "A-100", device: "PC-01" }).map((n) => n.id)).toEqual(["no-tab"]);
+    expect(notesForRow(undefined, 0, { key: "A-100" })).toEqual([]);
+  });
+});
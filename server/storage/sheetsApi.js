@@ -0,0 +1,238 @@
+// server/storage/sheetsApi.js
+/**
+ * Every Google Sheets API call goes through callSheets(method, params):
+ *
+ * - Transient failures (429 / RATE_LIMIT_EXCEEDED quota errors, 5xx, dropped
+ *   connections) are retried with jittered exponential backoff, honouring
+ *   Retry-After when Google sends one. Only reads and writes that set cells to
+ *   fixed values (values.update / values.batchUpdate) retry all of them: a 5xx
+ *   or dropped connection may come after Google applied the call, and a second
+ *   append or addSheet would add another row or fail on the tab it made. Other
+ *   writes retry only quota errors, which Google refuses before applying.
+ * - Identical reads in flight at the same time share one request.
+ * - Failures come back as httpErrors with a `code` the UI can explain:
+ *     SHEETS_QUOTA        429  quota still exhausted after retrying (+ retryAfter seconds)
+ *     SHEETS_PERMISSION   403  the service account can't open the spreadsheet
+ *     SHEETS_NOT_FOUND    404  no such spreadsheet
+ *     SHEETS_UNAVAILABLE  503  Google kept failing or could not be reached
+ *   Quota and unavailable errors are `transient` (a stale copy may stand in).
+ *   Anything else (e.g. a 400 for an unparsable range) is rethrown as is.
+ *
+ * Auth:
+ *   Service Account with Sheets API. Share the spreadsheet with the SA email.
+ *
+ * Env:
+ *   GOOGLE_APPLICATION_CREDENTIALS   absolute path to SA JSON key
+ *      OR
+ *   GOOGLE_SA_CLIENT_EMAIL / GOOGLE_SA_PRIVATE_KEY
+ *   SHEETS_RETRY_ATTEMPTS   optional attempts per call, first included (default 5)
+ *   SHEETS_RETRY_BASE_MS    optional first backoff ceiling in ms, doubled per retry (default 500)
+ *   SHEETS_RETRY_MAX_MS     optional longest single wait in ms (default 8000)
+ *   SHEETS_API_ROOT_URL     optional base URL of a stand-in Sheets API, called without
+ *                           credentials (the contract tests' fake; never set in production)
+ */
+
+const { google } = require("googleapis");
+const { httpError } = require("./sheetUtils");
+
+function envInt(name, fallback, min) {
+  const parsed = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+const RETRY_ATTEMPTS = envInt("SHEETS_RETRY_ATTEMPTS", 5, 1);
+const RETRY_BASE_MS = envInt("SHEETS_RETRY_BASE_MS", 500, 0);
+const RETRY_MAX_MS = envInt("SHEETS_RETRY_MAX_MS", 8000, 0);
+
+// Reads are safe to share between callers; writes never are
+const READ_METHODS = new Set([
+  "spreadsheets.get",
+  "spreadsheets.values.get",
+  "spreadsheets.values.batchGet",
+]);
+
+// Writes that leave the same cells however often they run
+const IDEMPOTENT_WRITES = new Set(["spreadsheets.values.update", "spreadsheets.values.batchUpdate"]);
+
+const NETWORK_ERRORS = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+]);
+
+// ---------------- Google Auth ----------------
+
+let sheetsClient = null;
+
+/** Authenticated Google Sheets client (READ/WRITE scope) */
+async function getSheetsClient() {
+  if (sheetsClient) return sheetsClient;
+
+  // A fake Sheets service takes unauthenticated calls
+  const rootUrl = String(process.env.SHEETS_API_ROOT_URL || "").trim();
+  if (rootUrl) {
+    sheetsClient = google.sheets({ version: "v4", rootUrl: rootUrl.endsWith("/") ? rootUrl : `${rootUrl}/` });
+    return sheetsClient;
+  }
+
+  const SCOPES = ["https://www.googleapis.com/auth/spreadsheets"];
+
+  let auth;
+  if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+    auth = await google.auth.getClient({ scopes: SCOPES });
+  } else if (process.env.GOOGLE_SA_CLIENT_EMAIL && process.env.GOOGLE_SA_PRIVATE_KEY) {
+    const key = process.env.GOOGLE_SA_PRIVATE_KEY.replace(/\\n/g, "\n");
+    auth = new google.auth.JWT({
+      email: process.env.GOOGLE_SA_CLIENT_EMAIL,
+      key,
+      scopes: SCOPES,
+    });
+  } else {
+    throw new Error(
+      "Google credentials not found. Set GOOGLE_APPLICATION_CREDENTIALS or GOOGLE_SA_CLIENT_EMAIL and GOOGLE_SA_PRIVATE_KEY."
+    );
+  }
+
+  sheetsClient = google.sheets({ version: "v4", auth });
+  return sheetsClient;
+}
+
+// ---------------- Error classification ----------------
+
+function statusOf(err) {
+  const status = err?.response?.status ?? err?.status ?? err?.code;
+  const n = Number(status);
+  return Number.isInteger(n) ? n : null;
+}
+
+/** Google's reason strings: the error status, ErrorInfo reasons and legacy `errors[].reason`. */
+function reasonsOf(err) {
+  const body = err?.response?.data?.error || {};
+  return [
+    body.status,
+    ...(Array.isArray(body.details) ? body.details.map((d) => d?.reason) : []),
+    ...(Array.isArray(err?.errors) ? err.errors.map((e) => e?.reason) : []),
+  ].filter(Boolean);
+}
+
+/** Seconds from a Retry-After header (delta seconds or HTTP date), or null. */
+function retryAfterOf(err) {
+  const headers = err?.response?.headers || {};
+  const raw = typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"];
+  if (raw === undefined || raw === null || raw === "") return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, Math.ceil((at - Date.now()) / 1000));
+}
+
+/** "quota" | "transient" | "permission" | "notFound" | null (not ours to handle). */
+function classify(err) {
+  const status = statusOf(err);
+  const reasons = reasonsOf(err);
+  // Older endpoints report quota as 403 rateLimitExceeded
+  if (status === 429 || reasons.some((r) => /rate_?limit|quota|resource_exhausted/i.test(r))) return "quota";
+  if ([500, 502, 503, 504].includes(status) || NETWORK_ERRORS.has(err?.code)) return "transient";
+  if (status === 401 || status === 403) return "permission";
+  if (status === 404) return "notFound";
+  return null;
+}
+
+function serviceAccountLabel() {
+  return process.env.GOOGLE_SA_CLIENT_EMAIL || "the service account";
+}
+
+/** The error callers see once retrying is over. */
+function sheetsError(kind, err) {
+  let out;
+  if (kind === "quota") {
+    // Sheets quotas are per minute
+    const retryAfter = Math.max(1, retryAfterOf(err) ?? 60);
+    out = httpError(
+      429,
+      `Google Sheets is over its request quota. Try again in ${retryAfter} seconds.`,
+      { code: "SHEETS_QUOTA", retryAfter }
+    );
+    out.retryAfter = retryAfter;
+    out.transient = true;
+  } else if (kind === "transient") {
+    out = httpError(503, "Google Sheets is not responding. Try again shortly.", {
+      code: "SHEETS_UNAVAILABLE",
+    });
+    out.expose = true;
+    out.transient = true;
+  } else if (kind === "permission") {
+    // Never a 401: that would sign the caller out of this app
+    const message =
+      statusOf(err) === 401
+        ? "Google rejected the server's credentials. Check the service account key."
+        : `The server can't open this spreadsheet. Share it with ${serviceAccountLabel()}.`;
+    out = httpError(403, message, { code: "SHEETS_PERMISSION" });
+  } else {
+    out = httpError(404, "Spreadsheet not found. Check the link or ID.", { code: "SHEETS_NOT_FOUND" });
+  }
+  out.cause = err;
+  return out;
+}
+
+// ---------------- Calls ----------------
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Full jitter: a random wait below the doubled ceiling, but never before Retry-After. */
+function backoffMs(attempt, err) {
+  const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+  const jittered = Math.floor(Math.random() * ceiling);
+  const retryAfter = retryAfterOf(err);
+  return retryAfter === null ? jittered : Math.max(jittered, retryAfter * 1000);
+}
+
+async function callWithRetries(method, params) {
+  const sheets = await getSheetsClient();
+  const path = method.split(".");
+  const owner = path.slice(0, -1).reduce((obj, name) => obj[name], sheets);
+  const fn = path[path.length - 1];
+  const repeatable = READ_METHODS.has(method) || IDEMPOTENT_WRITES.has(method);
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await owner[fn](params);
+    } catch (err) {
+      const kind = classify(err);
+      if (!kind) throw err;
+      const retryable = kind === "quota" || (kind === "transient" && repeatable);
+      const wait = retryable ? backoffMs(attempt, err) : 0;
+      // A Retry-After past the longest wait is reported instead of slept through
+      if (!retryable || attempt + 1 >= RETRY_ATTEMPTS || wait > RETRY_MAX_MS) {
+        throw sheetsError(kind, err);
+      }
+      console.warn(
+        `[WARN] Sheets ${method} failed (${statusOf(err) ?? err?.code ?? "error"}); retry ${attempt + 1} in ${wait} ms`
+      );
+      await sleep(wait);
+    }
+  }
+}
+
+const inflight = new Map(); // method + params -> promise, reads only
+
+/**
+ * Call `spreadsheets.<...>` (e.g. "spreadsheets.values.get") with retries.
+ * Concurrent identical reads resolve to the same response object, so callers
+ * must not mutate it.
+ */
+function callSheets(method, params) {
+  if (!READ_METHODS.has(method)) return callWithRetries(method, params);
+
+  const key = `${method} ${JSON.stringify(params)}`;
+  if (inflight.has(key)) return inflight.get(key);
+  const promise = callWithRetries(method, params).finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return promise;
+}
+
+module.exports = { callSheets };
@@ -0,0 +1,64 @@
+// server/storage/sheetsApi.test.js
+process.env.SHEETS_API_ROOT_URL = "http://sheets.invalid/";
+process.env.SHEETS_RETRY_ATTEMPTS = "3";
+process.env.SHEETS_RETRY_BASE_MS = "0";
+
+// googleapis does not load under jest; the client is replaced by per-test handlers
+const handlers = {};
+const call = (name) => (params) => handlers[name](params);
+jest.mock("googleapis", () => ({
+  google: {
+    sheets: () => ({
+      spreadsheets: {
+        batchUpdate: call("batchUpdate"),
+        values: { update: call("update"), append: call("append") },
+      },
+    }),
+  },
+}));
+
+const { callSheets } = require("./sheetsApi");
+
+const httpFailure = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {} } });
+
+/** A handler that throws `errors` in turn, then succeeds; `.calls` counts attempts. */
+function failing(...errors) {
+  const handler = async () => {
+    handler.calls += 1;
+    if (errors.length) throw errors.shift();
+    return { data: {} };
+  };
+  handler.calls = 0;
+  return handler;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+test("values.update is retried after a 503 and a dropped connection", async () => {
+  handlers.update = failing(httpFailure(503), Object.assign(new Error("reset"), { code: "ECONNRESET" }));
+  await expect(callSheets("spreadsheets.values.update", {})).resolves.toEqual({ data: {} });
+  expect(handlers.update.calls).toBe(3);
+});
+
+test.each([
+  ["spreadsheets.values.append", "append"],
+  ["spreadsheets.batchUpdate", "batchUpdate"],
+])("%s is not repeated after a 503 that may have been applied", async (method, name) => {
+  handlers[name] = failing(httpFailure(503));
+  await expect(callSheets(method, {})).rejects.toMatchObject({ status: 503, payload: { code: "SHEETS_UNAVAILABLE" } });
+  expect(handlers[name].calls).toBe(1);
+});
+
+test.each([
+  ["spreadsheets.values.append", "append"],
+  ["spreadsheets.batchUpdate", "batchUpdate"],
+])("%s is retried after a 429, which Google never applied", async (method, name) => {
+  handlers[name] = failing(httpFailure(429));
+  await expect(callSheets(method, {})).resolves.toEqual({ data: {} });
+  expect(handlers[name].calls).toBe(2);
+});
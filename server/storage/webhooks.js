@@ -0,0 +1,225 @@
+// server/storage/webhooks.js
+/**
+ * Outbound webhook subscriptions and their delivery log.
+ *
+ * Subscriptions are one JSON file (secrets are needed to sign payloads, so
+ * they are stored as-is; the file is written owner-only):
+ *   { "webhooks": [ { id, projectId, url, events, secret, active, createdAt, updatedAt } ],
+ *     "milestones": { [projectId]: { tab, reached: [percent] } } }
+ *
+ * `milestones` remembers which progress milestones a project's linked tab
+ * has already announced, so each fires once (again only after progress
+ * drops back below it). Linking another tab starts over.
+ *
+ * Deliveries are appended to a JSONL log, one line per attempt:
+ *   { ts, deliveryId, webhookId, projectId, event, attempt, ok, status, error, durationMs, nextAttemptAt }
+ *
+ * Env:
+ *   WEBHOOKS_STORE     optional path of the subscriptions file (defaults to ./webhooks.json)
+ *   WEBHOOK_LOG_PATH   optional path of the delivery log (defaults to ./webhookDeliveries.jsonl)
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { httpError } = require("./sheetUtils");
+
+const STORE_PATH =
+  process.env.WEBHOOKS_STORE && process.env.WEBHOOKS_STORE.trim().length > 0
+    ? process.env.WEBHOOKS_STORE
+    : path.resolve(process.cwd(), "webhooks.json");
+
+const LOG_PATH =
+  process.env.WEBHOOK_LOG_PATH && process.env.WEBHOOK_LOG_PATH.trim().length > 0
+    ? process.env.WEBHOOK_LOG_PATH
+    : path.resolve(process.cwd(), "webhookDeliveries.jsonl");
+
+/** Events a subscription can ask for. */
+const WEBHOOK_EVENTS = ["device.completed", "device.uncompleted", "comment.changed", "milestone.reached"];
+
+const MAX_WEBHOOKS_PER_PROJECT = 20;
+const DEFAULT_LOG_LIMIT = 100;
+const MAX_LOG_LIMIT = 1000;
+
+function readStore() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(STORE_PATH, "utf8"));
+    return {
+      webhooks: Array.isArray(parsed?.webhooks) ? parsed.webhooks : [],
+      milestones: parsed?.milestones && typeof parsed.milestones === "object" ? parsed.milestones : {},
+    };
+  } catch {
+    return { webhooks: [], milestones: {} };
+  }
+}
+
+function writeStore(store) {
+  const tmp = `${STORE_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, STORE_PATH);
+}
+
+/** A subscription without its secret (only its first characters, to tell them apart). */
+function toPublic(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, secretPrefix: String(secret || "").slice(0, 6) };
+}
+
+function validUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || "").trim());
+  } catch {
+    throw httpError(400, "Webhook 'url' must be an absolute http(s) URL.");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw httpError(400, "Webhook 'url' must be an absolute http(s) URL.");
+  }
+  return url.toString();
+}
+
+function validEvents(events) {
+  const list = [...new Set((events || []).map((e) => String(e).trim()))];
+  const unknown = list.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown webhook event '${unknown[0]}'. Use any of: ${WEBHOOK_EVENTS.join(", ")}.`);
+  }
+  if (list.length === 0) throw httpError(400, "Subscribe to at least one event.");
+  return list;
+}
+
+function findWebhook(store, projectId, webhookId) {
+  const webhook = store.webhooks.find((w) => w.id === webhookId && w.projectId === projectId);
+  if (!webhook) throw httpError(404, "Webhook not found.");
+  return webhook;
+}
+
+// ---------------- Subscriptions ----------------
+
+function listWebhooks(projectId) {
+  return readStore()
+    .webhooks.filter((w) => w.projectId === projectId)
+    .map(toPublic);
+}
+
+/**
+ * Subscribe `url` to `events` for a project. Without a `secret` one is
+ * generated; it is returned here only: { webhook, secret }.
+ */
+function createWebhook(projectId, { url, events, secret }) {
+  const store = readStore();
+  if (store.webhooks.filter((w) => w.projectId === projectId).length >= MAX_WEBHOOKS_PER_PROJECT) {
+    throw httpError(400, `A project may have at most ${MAX_WEBHOOKS_PER_PROJECT} webhooks.`);
+  }
+  const now = new Date().toISOString();
+  const webhook = {
+    id: crypto.randomUUID(),
+    projectId,
+    url: validUrl(url),
+    events: validEvents(events),
+    secret: secret || `whsec_${crypto.randomBytes(24).toString("base64url")}`,
+    active: true,
+    createdAt: now,
+    updatedAt: now,
+  };
+  store.webhooks.push(webhook);
+  writeStore(store);
+  return { webhook: toPublic(webhook), secret: webhook.secret };
+}
+
+/** Change a subscription's url, events, secret or active flag. */
+function updateWebhook(projectId, webhookId, changes) {
+  const store = readStore();
+  const webhook = findWebhook(store, projectId, webhookId);
+  if (changes.url !== undefined) webhook.url = validUrl(changes.url);
+  if (changes.events !== undefined) webhook.events = validEvents(changes.events);
+  if (changes.secret !== undefined) webhook.secret = changes.secret;
+  if (changes.active !== undefined) webhook.active = !!changes.active;
+  webhook.updatedAt = new Date().toISOString();
+  writeStore(store);
+  return toPublic(webhook);
+}
+
+function deleteWebhook(projectId, webhookId) {
+  const store = readStore();
+  findWebhook(store, projectId, webhookId);
+  store.webhooks = store.webhooks.filter((w) => w.id !== webhookId);
+  writeStore(store);
+}
+
+/** Full subscription (with secret) for delivering to it, or a 404. */
+function getWebhook(projectId, webhookId) {
+  return findWebhook(readStore(), projectId, webhookId);
+}
+
+/** Active subscriptions of a project that want `event`, secrets included. */
+function subscribersFor(projectId, event) {
+  return readStore().webhooks.filter((w) => w.projectId === projectId && w.active && w.events.includes(event));
+}
+
+// ---------------- Milestones ----------------
+
+/** Milestones already announced for the project's tab (`tab` identifies it). */
+function reachedMilestones(projectId, tab) {
+  const state = readStore().milestones[projectId];
+  return state && state.tab === tab ? state.reached : [];
+}
+
+function setReachedMilestones(projectId, tab, reached) {
+  const store = readStore();
+  store.milestones[projectId] = { tab, reached };
+  writeStore(store);
+}
+
+// ---------------- Delivery log ----------------
+
+/** Append one attempt; a failed append is logged but never stops delivery. */
+function appendDelivery(entry) {
+  try {
+    fs.mkdirSync(path.dirname(LOG_PATH), { recursive: true });
+    fs.appendFileSync(LOG_PATH, JSON.stringify({ ts: new Date().toISOString(), ...entry }) + "\n", "utf8");
+  } catch (err) {
+    console.error(`[ERROR] Could not append to webhook log ${LOG_PATH}:`, err.message);
+  }
+}
+
+/** Attempts for a project (optionally one webhook), newest first. */
+function readDeliveries({ projectId, webhookId, limit = DEFAULT_LOG_LIMIT }) {
+  let raw;
+  try {
+    raw = fs.readFileSync(LOG_PATH, "utf8");
+  } catch {
+    return [];
+  }
+  const max = Math.min(Math.max(Number(limit) || DEFAULT_LOG_LIMIT, 1), MAX_LOG_LIMIT);
+  const out = [];
+  const lines = raw.split("\n");
+  for (let i = lines.length - 1; i >= 0 && out.length < max; i--) {
+    if (!lines[i].trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      continue;
+    }
+    if (entry.projectId !== projectId) continue;
+    if (webhookId && entry.webhookId !== webhookId) continue;
+    out.push(entry);
+  }
+  return out;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhook,
+  subscribersFor,
+  reachedMilestones,
+  setReachedMilestones,
+  appendDelivery,
+  readDeliveries,
+};
@@ -0,0 +1,147 @@
+// server/storage/writeQueue.js
+/**
+ * One write queue per spreadsheet.
+ *
+ * Writes to a spreadsheet run one batch at a time, in arrival order, so two
+ * requests can never interleave their "find the row, then write it" steps.
+ * The runner re-reads each target row right before writing and refuses to
+ * write if it no longer holds the expected Device / key (see
+ * googleSheets.provider.js), so a row inserted or moved meanwhile is caught.
+ *
+ * Jobs waiting at the head of the queue for the same tab are merged into one
+ * run (one values.batchUpdate) as long as they name different rows, compared
+ * by key / Device value, case-insensitively. A key and a Device can still
+ * name the same row, so the runner is told which job each write came from
+ * and checks a job's versions against the row as the earlier jobs in the run
+ * left it, exactly as if the jobs had run one after another.
+ *
+ * Row versions: GET /rows sends each row's version (rowVersion in
+ * sheetUtils.js) and a write may send back the one it was based on. If the
+ * row has changed since, the write fails with 409 and
+ * { conflict: { device, version, current } }: the row's current version and
+ * the current values of the cells the write would touch, so the client can
+ * merge or overwrite. Writes without a version are never refused.
+ *
+ * stats(spreadsheetId) reports the queue for monitoring:
+ *   { depth, pendingWrites, running, oldestWaitMs, processed, batches, merged, maxDepth }
+ *
+ * Env:
+ *   WRITE_QUEUE_MAX_MERGE   optional most writes merged into one run (default 500)
+ */
+
+const { refOf } = require("./sheetUtils");
+
+const parsedMax = Number.parseInt(process.env.WRITE_QUEUE_MAX_MERGE, 10);
+const MAX_MERGE = Number.isFinite(parsedMax) && parsedMax >= 1 ? parsedMax : 500;
+
+const queues = new Map(); // spreadsheetId -> { jobs, running, totals }
+
+function queueFor(spreadsheetId) {
+  if (!queues.has(spreadsheetId)) {
+    queues.set(spreadsheetId, {
+      jobs: [],
+      running: false,
+      totals: { processed: 0, batches: 0, merged: 0, maxDepth: 0 },
+    });
+  }
+  return queues.get(spreadsheetId);
+}
+
+/** Jobs merge only within one tab and layout (header row, column mapping). */
+function groupOf(target) {
+  return JSON.stringify([target.sheetId ?? target.sheetTitle ?? null, target.headerRow ?? 1, target.columns || {}]);
+}
+
+function rowsOf(writes) {
+  return writes.map((w) => {
+    const ref = refOf(w);
+    return String(ref.key ?? ref.device ?? "").trim().toLowerCase();
+  });
+}
+
+/** The head job plus the jobs right behind it that can share its run. */
+function takeRun(queue) {
+  const [head, ...rest] = queue.jobs;
+  const run = [head];
+  const rows = new Set(head.rows);
+  let size = head.writes.length;
+  for (const job of rest) {
+    if (job.group !== head.group) break;
+    if (size + job.writes.length > MAX_MERGE) break;
+    if (job.rows.some((r) => rows.has(r))) break;
+    run.push(job);
+    job.rows.forEach((r) => rows.add(r));
+    size += job.writes.length;
+  }
+  queue.jobs.splice(0, run.length);
+  return run;
+}
+
+async function drain(queue) {
+  if (queue.running) return;
+  queue.running = true;
+  try {
+    while (queue.jobs.length > 0) {
+      const run = takeRun(queue);
+      const head = run[0];
+      try {
+        const writes = run.flatMap((job) => job.writes);
+        const jobOf = run.flatMap((job, i) => job.writes.map(() => i));
+        const results = await head.runner(head.target, writes, jobOf);
+        let offset = 0;
+        run.forEach((job) => {
+          job.resolve(results.slice(offset, offset + job.writes.length));
+          offset += job.writes.length;
+        });
+      } catch (err) {
+        run.forEach((job) => job.reject(err));
+      }
+      queue.totals.processed += run.length;
+      queue.totals.batches += 1;
+      if (run.length > 1) queue.totals.merged += run.length;
+    }
+  } finally {
+    queue.running = false;
+  }
+}
+
+/**
+ * Queue `writes` for target's spreadsheet; resolves with runner's results
+ * for exactly these writes, in order. `runner(target, writes, jobOf)` must
+ * return one result per write; it may receive other jobs' writes appended,
+ * and jobOf[i] numbers the job writes[i] came from (0 for the first).
+ */
+function enqueue(target, writes, runner) {
+  const queue = queueFor(target.spreadsheetId);
+  return new Promise((resolve, reject) => {
+    queue.jobs.push({
+      target,
+      writes,
+      runner,
+      group: groupOf(target),
+      rows: rowsOf(writes),
+      enqueuedAt: Date.now(),
+      resolve,
+      reject,
+    });
+    queue.totals.maxDepth = Math.max(queue.totals.maxDepth, queue.jobs.length);
+    drain(queue);
+  });
+}
+
+/** Current depth and lifetime counters for one spreadsheet's queue. */
+function stats(spreadsheetId) {
+  const queue = queues.get(spreadsheetId);
+  if (!queue) {
+    return { depth: 0, pendingWrites: 0, running: false, oldestWaitMs: 0, processed: 0, batches: 0, merged: 0, maxDepth: 0 };
+  }
+  return {
+    depth: queue.jobs.length,
+    pendingWrites: queue.jobs.reduce((n, job) => n + job.writes.length, 0),
+    running: queue.running,
+    oldestWaitMs: queue.jobs.length ? Date.now() - queue.jobs[0].enqueuedAt : 0,
+    ...queue.totals,
+  };
+}
+
+module.exports = { enqueue, stats };
@@ -0,0 +1,79 @@
+// server/storage/writeQueue.test.js
+process.env.SHEETS_API_ROOT_URL = "http://sheets.invalid/";
+
+// googleapis does not load under jest; its calls go straight to the contract tests' fake
+const mockSheets = require("../contract/fakeSheets").createService();
+jest.mock("googleapis", () => require("../contract/fakeSheets").googleapisFor(mockSheets));
+
+const { enqueue, stats } = require("./writeQueue");
+const provider = require("./googleSheets.provider");
+const { rowVersion } = require("./sheetUtils");
+
+const HEADER = ["Device", "Asset Tag", "Completed", "Comment"];
+
+test("jobs for different rows of one tab share a run, each resolving with its own results", async () => {
+  const runs = [];
+  const runner = async (target, writes, jobOf) => {
+    runs.push({ devices: writes.map((w) => w.device), jobOf });
+    return writes.map((w) => w.device);
+  };
+  const target = { spreadsheetId: "queue-merge", sheetId: 0 };
+
+  const first = enqueue(target, [{ device: "PC-01" }], runner); // runs alone, holding the queue
+  const second = enqueue(target, [{ device: "PC-02" }, { device: "PC-03" }], runner);
+  const third = enqueue(target, [{ device: "PC-04" }], runner);
+  const fourth = enqueue(target, [{ device: "pc-02" }], runner); // same row as the second job
+
+  await expect(Promise.all([first, second, third, fourth])).resolves.toEqual([
+    ["PC-01"],
+    ["PC-02", "PC-03"],
+    ["PC-04"],
+    ["pc-02"],
+  ]);
+  expect(runs).toEqual([
+    { devices: ["PC-01"], jobOf: [0] },
+    { devices: ["PC-02", "PC-03", "PC-04"], jobOf: [0, 0, 1] },
+    { devices: ["pc-02"], jobOf: [0] },
+  ]);
+  expect(stats("queue-merge")).toMatchObject({ depth: 0, processed: 4, batches: 3, merged: 2 });
+});
+
+test("a job naming a row by Device sees an earlier job's write to it by key", async () => {
+  const spreadsheetId = "queue-key-device";
+  const original = ["PC-01", "A-1", false];
+  mockSheets.seed(spreadsheetId, {
+    sheets: [{ title: "Sheet1", rows: [HEADER, original, ["PC-02", "A-2", false]] }],
+  });
+  const target = { spreadsheetId, sheetId: 0 };
+  const version = rowVersion(original);
+
+  // The first batch holds the queue, so the next two wait and are merged into one run
+  const busy = provider.applyBatch(target, [{ device: "PC-02", op: "comment", comment: "first" }]);
+  const byKey = provider.applyBatch(target, [{ key: "A-1", op: "set", field: "status", value: true, version }]);
+  const byDevice = provider.applyBatch(target, [{ device: "PC-01", op: "comment", comment: "stale", version }]);
+
+  const [[done], [keyResult], [deviceResult]] = await Promise.all([busy, byKey, byDevice]);
+  expect(done).toMatchObject({ ok: true });
+  expect(keyResult).toMatchObject({ ok: true, previous: { Completed: false } });
+  expect(deviceResult).toMatchObject({ ok: false, error: { status: 409 } });
+  expect(deviceResult.error.payload.conflict.current).toEqual({ Comment: "" });
+  expect(stats(spreadsheetId)).toMatchObject({ batches: 2, merged: 2 });
+
+  expect(mockSheets.cell(spreadsheetId, "Sheet1", "C2")).toBe(true);
+  expect(mockSheets.cell(spreadsheetId, "Sheet1", "D2")).toBe("");
+});
+
+test("writes of one job all see the row as it was before that job", async () => {
+  const spreadsheetId = "queue-one-job";
+  const original = ["PC-01", "A-1", false];
+  mockSheets.seed(spreadsheetId, { sheets: [{ title: "Sheet1", rows: [HEADER, original] }] });
+  const version = rowVersion(original);
+
+  const results = await provider.applyBatch({ spreadsheetId, sheetId: 0 }, [
+    { key: "A-1", op: "set", field: "status", value: true, version },
+    { device: "PC-01", op: "comment", comment: "checked", version },
+  ]);
+  expect(results.map((r) => r.ok)).toEqual([true, true]);
+  expect(results[0].version).toBe(results[1].version);
+  expect(mockSheets.rows(spreadsheetId, "Sheet1")[1]).toEqual(["PC-01", "A-1", true, "checked"]);
+});
@@ -0,0 +1,44 @@
+// server/tools/createAdmin.js
+/**
+ * Create the first admin account, or make an existing account an admin:
+ *
+ *   ADMIN_PASSWORD='...' node server/tools/createAdmin.js alice
+ *
+ * Run it where the server runs (or with the same USERS_STORE) so it edits the
+ * same users file. The password is read from the environment to keep it out
+ * of the shell history; an existing account keeps its password.
+ *
+ * Env:
+ *   ADMIN_PASSWORD   password for a new account (at least 8 characters)
+ *   ADMIN_USERNAME   used when no username argument is given
+ *   USERS_STORE      optional path of the users file (defaults to ./users.json)
+ */
+
+require("dotenv").config();
+
+const { listUsers, createUser, setRole } = require("../auth/users");
+
+async function main() {
+  const username = String(process.argv[2] || process.env.ADMIN_USERNAME || "").trim();
+  if (!username) {
+    throw new Error("Usage: ADMIN_PASSWORD=... node server/tools/createAdmin.js <username>");
+  }
+
+  const existing = listUsers().find((u) => u.username.toLowerCase() === username.toLowerCase());
+  if (existing) {
+    if (existing.role !== "admin") setRole(existing.id, "admin");
+    console.log(`'${existing.username}' is an admin.`);
+    return;
+  }
+
+  if (!process.env.ADMIN_PASSWORD) {
+    throw new Error("Set ADMIN_PASSWORD to the new account's password.");
+  }
+  const user = await createUser({ username, password: process.env.ADMIN_PASSWORD, role: "admin" });
+  console.log(`Created admin '${user.username}'.`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,63 @@
+// server/tools/webhookReceiver.js
+/**
+ * Local webhook receiver for trying out subscriptions:
+ *
+ *   WEBHOOK_SECRET=whsec_... node server/tools/webhookReceiver.js
+ *
+ * then subscribe http://localhost:4000/ (POST /api/projects/:id/webhooks)
+ * and complete a device. Every delivery is printed with whether its
+ * signature checks out (and is older than 5 minutes, which a real receiver
+ * should refuse as a possible replay).
+ *
+ * Env:
+ *   WEBHOOK_SECRET          the subscription's secret (without it signatures aren't checked)
+ *   RECEIVER_PORT           optional port (default 4000)
+ *   RECEIVER_FAIL_STATUS    optional status to answer instead of 204, to watch retries (e.g. 503)
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+
+const PORT = Number(process.env.RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || "";
+const FAIL_STATUS = Number(process.env.RECEIVER_FAIL_STATUS) || null;
+const TOLERANCE_SECONDS = 5 * 60;
+
+/** "valid" | "stale" | "invalid" | "unchecked" for a X-Webhook-Signature header. */
+function verify(header, body) {
+  if (!SECRET) return "unchecked";
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((p) => p.split("="))
+  );
+  const expected = crypto.createHmac("sha256", SECRET).update(`${parts.t}.${body}`).digest("hex");
+  const given = Buffer.from(String(parts.v1 || ""));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) return "invalid";
+  return Math.abs(Date.now() / 1000 - Number(parts.t)) > TOLERANCE_SECONDS ? "stale" : "valid";
+}
+
+http
+  .createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const signature = verify(req.headers["x-webhook-signature"], body);
+      let payload = body;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        // print as received
+      }
+      console.log(
+        `[${new Date().toISOString()}] ${req.headers["x-webhook-event"] || req.method} ` +
+          `delivery=${req.headers["x-webhook-delivery"] || "-"} signature=${signature}`
+      );
+      console.log(typeof payload === "string" ? payload : JSON.stringify(payload, null, 2));
+
+      res.statusCode = signature === "invalid" ? 401 : FAIL_STATUS || 204;
+      res.end();
+    });
+  })
+  .listen(PORT, () => console.log(`Webhook receiver listening on http://localhost:${PORT}/`));
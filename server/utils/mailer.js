@@ -0,0 +1,106 @@
+// server/utils/mailer.js
+/**
+ * The server's outgoing email (the daily digest), sent with nodemailer.
+ *
+ *   await sendMail({ to: ["a@example.com"], subject, text, html })
+ *
+ * Sends one multipart/alternative message (text + HTML) over SMTP, with
+ * STARTTLS when the server offers it (or implicit TLS with SMTP_SECURE).
+ * With SMTP_USER set TLS is required, so credentials are never sent over an
+ * unencrypted connection. A local catcher (MailHog, Mailpit, smtp4dev on
+ * port 1025) works with just SMTP_HOST / SMTP_PORT.
+ *
+ * Failures are 502 httpErrors with code SMTP_FAILED; sending without
+ * SMTP_HOST is a 503 with code SMTP_NOT_CONFIGURED.
+ *
+ * Env:
+ *   SMTP_HOST                      mail server host (email is off without it)
+ *   SMTP_PORT                      optional port (default 465 with SMTP_SECURE, else 587)
+ *   SMTP_SECURE                    optional "true" for implicit TLS (port 465 style)
+ *   SMTP_USER / SMTP_PASS          optional credentials
+ *   SMTP_FROM                      optional sender, e.g. "Tracker <tracker@example.com>" (defaults to SMTP_USER)
+ *   SMTP_TLS_REJECT_UNAUTHORIZED   optional "false" to accept self-signed certificates
+ *   SMTP_TIMEOUT_MS                optional socket timeout in ms (default 15000)
+ */
+
+const nodemailer = require("nodemailer");
+const { httpError } = require("../storage/sheetUtils");
+
+const isOn = (value) => /^(1|true|yes)$/i.test(String(value ?? "").trim());
+
+function smtpConfig() {
+  const secure = isOn(process.env.SMTP_SECURE);
+  const port = Number.parseInt(process.env.SMTP_PORT, 10);
+  const timeout = Number.parseInt(process.env.SMTP_TIMEOUT_MS, 10);
+  return {
+    host: String(process.env.SMTP_HOST || "").trim(),
+    port: Number.isFinite(port) && port > 0 ? port : secure ? 465 : 587,
+    secure,
+    user: process.env.SMTP_USER || "",
+    pass: process.env.SMTP_PASS || "",
+    from: String(process.env.SMTP_FROM || process.env.SMTP_USER || "").trim(),
+    rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== "false",
+    timeout: Number.isFinite(timeout) && timeout > 0 ? timeout : 15000,
+  };
+}
+
+/** Whether SMTP_HOST and a sender are set. */
+function isMailConfigured() {
+  const config = smtpConfig();
+  return !!config.host && !!config.from;
+}
+
+function smtpError(message) {
+  const err = httpError(502, message, { code: "SMTP_FAILED" });
+  err.expose = true;
+  return err;
+}
+
+function transportFor(config) {
+  return nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    requireTLS: !config.secure && !!config.user,
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+    tls: { rejectUnauthorized: config.rejectUnauthorized },
+    connectionTimeout: config.timeout,
+    greetingTimeout: config.timeout,
+    socketTimeout: config.timeout,
+  });
+}
+
+/**
+ * Send one email to `to` (an address or a list). Resolves with
+ * { accepted: [addresses], reply } once the server accepted it for every
+ * recipient (`reply` is its answer to the message, which usually carries
+ * its queue ID).
+ */
+async function sendMail({ to, subject, text, html }) {
+  const config = smtpConfig();
+  if (!config.host || !config.from) {
+    const err = httpError(503, "Email is not configured. Set SMTP_HOST and SMTP_FROM.", {
+      code: "SMTP_NOT_CONFIGURED",
+    });
+    err.expose = true;
+    throw err;
+  }
+  const recipients = (Array.isArray(to) ? to : [to]).map((r) => String(r).trim()).filter(Boolean);
+  if (recipients.length === 0) throw httpError(400, "No email recipients.");
+
+  const transport = transportFor(config);
+  let info;
+  try {
+    info = await transport.sendMail({ from: config.from, to: recipients, subject, text, html });
+  } catch (err) {
+    throw smtpError(`Could not send email through ${config.host}: ${err.response || err.message}`);
+  } finally {
+    transport.close();
+  }
+  if (info.rejected?.length) {
+    throw smtpError(`The mail server refused ${info.rejected.join(", ")}: ${info.response || "no reason given"}`);
+  }
+  return { accepted: info.accepted ?? recipients, reply: info.response ?? "" };
+}
+
+module.exports = { sendMail, isMailConfigured };
@@ -0,0 +1,37 @@
+// server/utils/respond.js
+/**
+ * Response helpers shared by the API routers.
+ */
+
+const IS_PROD = process.env.NODE_ENV === "production";
+
+/**
+ * Standardized error response helper.
+ * In production, it hides internal error messages from clients.
+ */
+function errorResponse(res, status, genericMessage, err) {
+  const body = { ok: false, error: genericMessage };
+
+  if (!IS_PROD && err && err.message) {
+    body.details = err.message;
+  }
+
+  return res.status(status).json(body);
+}
+
+/**
+ * Errors thrown with a 4xx `status` (e.g. device not found), or marked
+ * `expose` (e.g. Google Sheets unavailable), are safe to show as-is, along
+ * with their `payload` (e.g. a 409's conflict details or a Sheets error
+ * `code`); anything else is treated as an internal failure. A `retryAfter`
+ * (seconds) is sent as Retry-After.
+ */
+function handleError(res, err, genericMessage) {
+  if (err && err.status >= 400 && (err.status < 500 || err.expose)) {
+    if (err.retryAfter) res.setHeader("Retry-After", String(err.retryAfter));
+    return res.status(err.status).json({ ok: false, error: err.message, ...err.payload });
+  }
+  return errorResponse(res, 500, genericMessage, err);
+}
+
+module.exports = { errorResponse, handleError };
@@ -0,0 +1,171 @@
+// server/utils/validate.js
+/**
+ * Declarative request validation for the API routers.
+ *
+ *   router.post("/comment", validate({ body: COMMENT_BODY }), handler)
+ *
+ * A schema maps field names to rules:
+ *   type             "string" | "integer" | "number" | "boolean" | "object" | "array"
+ *   required         the field must be present (null and "" count as missing)
+ *   requiredWithout  required unless the named sibling field is present
+ *   minLength / maxLength / pattern   for strings (checked after cleaning)
+ *   multiline        keep tabs and line breaks in a string
+ *   raw              keep a string exactly as sent (passwords)
+ *   oneOf            the allowed values
+ *   min / max        numeric bounds
+ *   items, minItems, maxItems         each array element's rules and the array's size
+ *   fields           schema of a nested object (unknown keys are dropped)
+ *   maxKeys          most keys of a free-form object
+ *   check(value)     extra test returning an error message, or nothing
+ *
+ * Strings also accept finite numbers (as text); every other type mismatch is
+ * an error. Strings are trimmed and stripped of control characters. Optional
+ * fields may be null, which counts as absent. Query strings arrive as text,
+ * so integer / number / boolean query fields accept their text forms.
+ *
+ * Invalid requests get 400 { ok: false, error, fields: { "path": message } }
+ * with `error` the first message. A valid body is replaced by its cleaned
+ * copy (unknown fields dropped); a valid query is left as is.
+ */
+
+const { stripControlChars } = require("../storage/sheetUtils");
+
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+function typeError(type) {
+  const names = {
+    string: "text",
+    integer: "a whole number",
+    number: "a number",
+    boolean: "true or false",
+    object: "an object",
+    array: "a list",
+  };
+  return `must be ${names[type] || type}`;
+}
+
+/** Coerce a query-string value to its rule's type, where that's unambiguous. */
+function fromQueryText(value, type) {
+  if (typeof value !== "string") return value;
+  if ((type === "integer" || type === "number") && value.trim() !== "" && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (type === "boolean" && /^(true|false)$/i.test(value.trim())) return value.trim().toLowerCase() === "true";
+  return value;
+}
+
+/** { value } when the value passes `rule`, else { error }; nested errors go to `errors`. */
+function checkValue(value, rule, path, errors, fromQuery) {
+  const input = fromQuery ? fromQueryText(value, rule.type) : value;
+  let out = input;
+
+  switch (rule.type) {
+    case "string": {
+      if (typeof input !== "string" && !(typeof input === "number" && Number.isFinite(input))) {
+        return { error: typeError("string") };
+      }
+      out = rule.raw ? String(input) : stripControlChars(input, { multiline: rule.multiline }).trim();
+      if (rule.minLength !== undefined && out.length < rule.minLength) {
+        return { error: `must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength !== undefined && out.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(out)) return { error: "has an invalid format" };
+      break;
+    }
+    case "integer":
+    case "number": {
+      const valid = typeof input === "number" && Number.isFinite(input);
+      if (!valid || (rule.type === "integer" && !Number.isInteger(input))) return { error: typeError(rule.type) };
+      if (rule.min !== undefined && input < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && input > rule.max) return { error: `must be at most ${rule.max}` };
+      break;
+    }
+    case "boolean":
+      if (typeof input !== "boolean") return { error: typeError("boolean") };
+      break;
+    case "object": {
+      if (typeof input !== "object" || Array.isArray(input)) return { error: typeError("object") };
+      if (rule.maxKeys !== undefined && Object.keys(input).length > rule.maxKeys) {
+        return { error: `must have at most ${rule.maxKeys} entries` };
+      }
+      if (rule.fields) out = checkFields(input, rule.fields, path, errors, false);
+      break;
+    }
+    case "array": {
+      if (!Array.isArray(input)) return { error: typeError("array") };
+      if (rule.minItems !== undefined && input.length < rule.minItems) {
+        return { error: rule.minItems === 1 ? "must not be empty" : `must have at least ${rule.minItems} entries` };
+      }
+      if (rule.maxItems !== undefined && input.length > rule.maxItems) {
+        return { error: `must have at most ${rule.maxItems} entries` };
+      }
+      if (rule.items) {
+        out = input.map((item, i) => {
+          const itemPath = `${path}[${i}]`;
+          if (isMissing(item)) {
+            errors[itemPath] = `'${itemPath}' is required.`;
+            return item;
+          }
+          const result = checkValue(item, rule.items, itemPath, errors, false);
+          if (result.error) errors[itemPath] = `'${itemPath}' ${result.error}.`;
+          return result.value;
+        });
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  if (rule.oneOf && !rule.oneOf.includes(out)) return { error: `must be one of: ${rule.oneOf.join(", ")}` };
+  const message = rule.check ? rule.check(out) : undefined;
+  if (message) return { error: message };
+  return { value: out };
+}
+
+/** The cleaned object for `schema`; problems are added to `errors` by path. */
+function checkFields(input, schema, prefix, errors, fromQuery) {
+  const source = input && typeof input === "object" ? input : {};
+  const out = {};
+  Object.entries(schema).forEach(([name, rule]) => {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const value = source[name];
+    const cleaned = typeof value === "string" && !rule.raw ? stripControlChars(value).trim() : value;
+    if (isMissing(cleaned)) {
+      const required = rule.required || (rule.requiredWithout && isMissing(source[rule.requiredWithout]));
+      if (required) {
+        errors[path] = rule.requiredWithout
+          ? `'${path}' (or '${rule.requiredWithout}') is required.`
+          : `'${path}' is required.`;
+      }
+      return;
+    }
+    const result = checkValue(value, rule, path, errors, fromQuery);
+    if (result.error) errors[path] = `'${path}' ${result.error}.`;
+    else out[name] = result.value;
+  });
+  return out;
+}
+
+/**
+ * Middleware checking req.body / req.query against { body?, query? }
+ * schemas; answers 400 with field-level messages when anything is off.
+ */
+function validate({ body, query }) {
+  return (req, res, next) => {
+    const errors = {};
+    const cleanBody = body ? checkFields(req.body, body, "", errors, false) : null;
+    if (query) checkFields(req.query, query, "", errors, true);
+
+    const messages = Object.values(errors);
+    if (messages.length > 0) {
+      return res.status(400).json({ ok: false, error: messages[0], fields: errors });
+    }
+    if (cleanBody) req.body = cleanBody;
+    return next();
+  };
+}
+
+module.exports = { validate };
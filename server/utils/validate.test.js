@@ -0,0 +1,165 @@
+// server/utils/validate.test.js
+const { validate } = require("./validate");
+
+/** Run the middleware on { body, query }: { status, json } for a 400, else { req }. */
+function run(schemas, { body, query = {} } = {}) {
+  const req = { body, query };
+  let answer = null;
+  const res = {
+    status(code) {
+      answer = { status: code };
+      return this;
+    },
+    json(payload) {
+      answer.json = payload;
+      return this;
+    },
+  };
+  let passed = false;
+  validate(schemas)(req, res, () => {
+    passed = true;
+  });
+  return passed ? { req } : answer;
+}
+
+const COMMENT = {
+  body: {
+    device: { type: "string", required: true, maxLength: 20 },
+    comment: { type: "string", maxLength: 100, multiline: true },
+  },
+};
+
+test("a valid body is replaced by its cleaned copy", () => {
+  const { req } = run(COMMENT, {
+    body: { device: "  PC-01\u0007 ", comment: "line one\nline two\t", extra: "dropped" },
+  });
+  expect(req.body).toEqual({ device: "PC-01", comment: "line one\nline two" });
+});
+
+test("strings accept finite numbers as text, nothing else", () => {
+  expect(run(COMMENT, { body: { device: 42 } }).req.body).toEqual({ device: "42" });
+  expect(run(COMMENT, { body: { device: true } })).toEqual({
+    status: 400,
+    json: { ok: false, error: "'device' must be text.", fields: { device: "'device' must be text." } },
+  });
+});
+
+test("missing, null and blank required fields are reported, optional ones are dropped", () => {
+  const missing = run(COMMENT, { body: { comment: null } });
+  expect(missing.status).toBe(400);
+  expect(missing.json.fields).toEqual({ device: "'device' is required." });
+
+  expect(run(COMMENT, { body: { device: " \u0000 " } }).json.fields).toEqual({ device: "'device' is required." });
+  expect(run(COMMENT, { body: { device: "PC-01", comment: null } }).req.body).toEqual({ device: "PC-01" });
+});
+
+test("every failing field is listed, the first as the error", () => {
+  const { status, json } = run(COMMENT, { body: { device: "x".repeat(21), comment: {} } });
+  expect(status).toBe(400);
+  expect(json.error).toBe("'device' must be at most 20 characters.");
+  expect(json.fields).toEqual({
+    device: "'device' must be at most 20 characters.",
+    comment: "'comment' must be text.",
+  });
+});
+
+test("requiredWithout accepts either of two fields", () => {
+  const schema = {
+    body: {
+      key: { type: "string", requiredWithout: "device" },
+      device: { type: "string", requiredWithout: "key" },
+    },
+  };
+  expect(run(schema, { body: { key: "A-1" } }).req.body).toEqual({ key: "A-1" });
+  expect(run(schema, { body: { device: "PC-01" } }).req.body).toEqual({ device: "PC-01" });
+  expect(run(schema, { body: {} }).json.fields).toEqual({
+    key: "'key' (or 'device') is required.",
+    device: "'device' (or 'key') is required.",
+  });
+});
+
+test("raw strings are kept exactly as sent", () => {
+  const schema = { body: { password: { type: "string", required: true, raw: true, minLength: 8 } } };
+  expect(run(schema, { body: { password: " secret\tpass " } }).req.body).toEqual({ password: " secret\tpass " });
+  expect(run(schema, { body: { password: "short" } }).json.error).toBe("'password' must be at least 8 characters.");
+});
+
+test("numbers, booleans, oneOf, pattern and check", () => {
+  const schema = {
+    body: {
+      count: { type: "integer", min: 1, max: 10 },
+      ratio: { type: "number" },
+      done: { type: "boolean" },
+      format: { type: "string", oneOf: ["html", "text"] },
+      code: { type: "string", pattern: /^[A-Z]{3}$/ },
+      even: { type: "integer", check: (v) => (v % 2 === 0 ? undefined : "must be even") },
+    },
+  };
+  const body = { count: 3, ratio: 0.5, done: false, format: "text", code: "ABC", even: 4 };
+  expect(run(schema, { body }).req.body).toEqual(body);
+
+  const { json } = run(schema, {
+    body: { count: 1.5, ratio: Infinity, done: "true", format: "pdf", code: "abc", even: 3 },
+  });
+  expect(json.fields).toEqual({
+    count: "'count' must be a whole number.",
+    ratio: "'ratio' must be a number.",
+    done: "'done' must be true or false.",
+    format: "'format' must be one of: html, text.",
+    code: "'code' has an invalid format.",
+    even: "'even' must be even.",
+  });
+  expect(run(schema, { body: { count: 11 } }).json.error).toBe("'count' must be at most 10.");
+});
+
+test("arrays check their size and each item by path", () => {
+  const schema = {
+    body: { to: { type: "array", required: true, minItems: 1, maxItems: 2, items: { type: "string", maxLength: 5 } } },
+  };
+  expect(run(schema, { body: { to: [" a ", "b"] } }).req.body).toEqual({ to: ["a", "b"] });
+  expect(run(schema, { body: { to: [] } }).json.error).toBe("'to' must not be empty.");
+  expect(run(schema, { body: { to: ["a", "b", "c"] } }).json.error).toBe("'to' must have at most 2 entries.");
+  expect(run(schema, { body: { to: ["toolong", null] } }).json.fields).toEqual({
+    "to[0]": "'to[0]' must be at most 5 characters.",
+    "to[1]": "'to[1]' is required.",
+  });
+});
+
+test("nested objects drop unknown keys and report errors by dotted path", () => {
+  const schema = {
+    body: {
+      columns: { type: "object", fields: { device: { type: "string" }, status: { type: "string" } } },
+      meta: { type: "object", maxKeys: 2 },
+    },
+  };
+  expect(run(schema, { body: { columns: { device: " Name ", other: "x" } } }).req.body).toEqual({
+    columns: { device: "Name" },
+  });
+  expect(run(schema, { body: { columns: { status: [] } } }).json.fields).toEqual({
+    "columns.status": "'columns.status' must be text.",
+  });
+  expect(run(schema, { body: { columns: [] } }).json.error).toBe("'columns' must be an object.");
+  expect(run(schema, { body: { meta: { a: 1, b: 2, c: 3 } } }).json.error).toBe("'meta' must have at most 2 entries.");
+});
+
+test("query fields accept text forms and the query is left as sent", () => {
+  const schema = {
+    query: {
+      limit: { type: "integer", min: 1 },
+      stale: { type: "boolean" },
+      format: { type: "string", oneOf: ["html", "text"] },
+    },
+  };
+  const query = { limit: "25", stale: "TRUE", format: "html" };
+  expect(run(schema, { query }).req.query).toEqual({ limit: "25", stale: "TRUE", format: "html" });
+  expect(run(schema, { query: { limit: "0" } }).json.error).toBe("'limit' must be at least 1.");
+  expect(run(schema, { query: { limit: "ten", stale: "yes" } }).json.fields).toEqual({
+    limit: "'limit' must be a whole number.",
+    stale: "'stale' must be true or false.",
+  });
+});
+
+test("a body of the wrong type counts as empty", () => {
+  expect(run(COMMENT, { body: "device=PC-01" }).json.fields).toEqual({ device: "'device' is required." });
+  expect(run({ query: { format: { type: "string" } } }, { body: "anything" }).req.body).toBe("anything");
+});
@@ -1,4 +1,6 @@
 import 'bootstrap/dist/css/bootstrap.min.css';
+import { useEffect } from "react";
+import { useDispatch } from "react-redux";
 
 // Use BrowserRouter from react-router-dom for web apps
 import { BrowserRouter, Navigate, Route, Routes } from "react-router-dom";
@@ -10,11 +12,17 @@ import ComputerDetails from '../ComputerDetails/ComputerDetails';
 import Total from '../Total/Total';
 import Pending from '../Pending/Pending';
 import Completed from '../Completed/Completed';
+import LoginPage from '../LoginPage/LoginPage';
+import RegisterPage from '../RegisterPage/RegisterPage';
+import ProtectedRoute from '../ProtectedRoute/ProtectedRoute';
 
 export default function App() {
-  // Example: replace this with your real auth/user state (context, redux, etc.)
-  // For now it's a simple placeholder so the example routes render.
-  const user = { id: null }; // or { id: "abc" } to simulate logged-in
+  const dispatch = useDispatch();
+
+  // Ask the server whether the session cookie still belongs to someone
+  useEffect(() => {
+    dispatch({ type: 'FETCH_USER' });
+  }, [dispatch]);
 
   return (
     // BrowserRouter provides the HTML5 history-based routing
@@ -23,16 +31,20 @@ export default function App() {
         {/* redirect root to /home */}
         <Route path="/" element={<Navigate to="/home" replace />} />
 
+        {/* public: sign in / create an account */}
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/registration" element={<RegisterPage />} />
+
         {/* home route */}
-        <Route path="/home" element={<Home />} />
+        <Route path="/home" element={<ProtectedRoute><Home /></ProtectedRoute>} />
 
-        <Route path="/computers" element={<ComputerDetails />} />
+        <Route path="/computers" element={<ProtectedRoute><ComputerDetails /></ProtectedRoute>} />
 
-        <Route path="/total" element={<Total />} />
+        <Route path="/total" element={<ProtectedRoute><Total /></ProtectedRoute>} />
 
-        <Route path="/pending" element={<Pending />} />
+        <Route path="/pending" element={<ProtectedRoute><Pending /></ProtectedRoute>} />
 
-        <Route path="/completed" element={<Completed />} />
+        <Route path="/completed" element={<ProtectedRoute><Completed /></ProtectedRoute>} />
 
         {/* optional: a catch-all 404 route */}
         <Route path="*" element={<div>404 — Not Found</div>} />
@@ -0,0 +1,121 @@
+// BulkActionBar.jsx
+import { Alert, Button, Card, Form, InputGroup } from "react-bootstrap";
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { SHEETS } from "../../redux/sagas/googleSheets.saga"; // adjust path if needed
+
+/**
+ * Toolbar for the multi-select mode of a card grid.
+ * `selection` is the object returned by useDeviceSelection.
+ */
+function BulkActionBar({ selection, disabled }) {
+  const dispatch = useDispatch();
+
+  const batchDevices = useSelector((s) => s.sheets?.batchDevices);
+  const batchResult  = useSelector((s) => s.sheets?.batchResult);
+  const batchError   = useSelector((s) => s.sheets?.batchError);
+
+  const [commentDraft, setCommentDraft] = useState("");
+
+  const isBusy = Array.isArray(batchDevices) && batchDevices.length > 0;
+  const { selecting, setSelecting, selected, selectAll, clear, count } = selection;
+
+  const run = (op, extra = {}) => {
+    if (count === 0) return;
+    dispatch({
+      type: SHEETS.BATCH.REQUEST,
+      payload: { operations: selected.map((key) => ({ key, op, ...extra })) },
+    });
+    clear();
+  };
+
+  const failures = (batchResult?.results || []).filter((r) => !r.ok);
+
+  if (!selecting) {
+    return (
+      <div className="mb-3">
+        <Button variant="outline-primary" onClick={() => setSelecting(true)} disabled={disabled}>
+          Select multiple
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <Card className="link-card mb-3">
+      <Card.Body>
+        <div className="d-flex flex-wrap gap-2 align-items-center mb-2">
+          <strong className="me-2">{count} selected</strong>
+          <Button size="sm" variant="outline-secondary" onClick={selectAll}>
+            Select all shown
+          </Button>
+          <Button size="sm" variant="outline-secondary" onClick={clear} disabled={count === 0}>
+            Clear
+          </Button>
+          <Button size="sm" variant="outline-secondary" onClick={() => setSelecting(false)}>
+            Done
+          </Button>
+        </div>
+
+        <div className="d-flex flex-wrap gap-2 mb-2">
+          <Button
+            variant="success"
+            onClick={() => run("complete")}
+            disabled={disabled || isBusy || count === 0}
+          >
+            Complete selected
+          </Button>
+          <Button
+            variant="outline-warning"
+            onClick={() => run("incomplete")}
+            disabled={disabled || isBusy || count === 0}
+          >
+            Mark selected pending
+          </Button>
+        </div>
+
+        <InputGroup>
+          <Form.Control
+            type="text"
+            placeholder="Comment for all selected…"
+            value={commentDraft}
+            onChange={(e) => setCommentDraft(e.target.value)}
+            aria-label="Comment for selected devices"
+          />
+          <Button
+            variant="primary"
+            onClick={() => run("comment", { comment: commentDraft })}
+            disabled={disabled || isBusy || count === 0}
+          >
+            Apply comment to selected
+          </Button>
+        </InputGroup>
+
+        {isBusy && <div className="muted-text mt-2">Updating {batchDevices.length} devices…</div>}
+
+        {batchError && (
+          <Alert variant="danger" className="mt-2 mb-0">
+            <strong>Bulk update failed:</strong> {batchError.message || "Unknown error"}
+          </Alert>
+        )}
+
+        {batchResult && (
+          <Alert variant={failures.length ? "warning" : "success"} className="mt-2 mb-0">
+            Updated {batchResult.succeeded} device{batchResult.succeeded === 1 ? "" : "s"}.
+            {failures.length > 0 && (
+              <ul className="mb-0 mt-1">
+                {failures.map((f, i) => (
+                  <li key={`${f.key || f.device}-${i}`}>
+                    {f.device || f.key || "(blank)"}: {f.error}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Alert>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
+
+export default BulkActionBar;
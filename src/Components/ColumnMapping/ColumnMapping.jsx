@@ -0,0 +1,168 @@
+// ColumnMapping.jsx
+import { Alert, Button, Card, Col, Form, Row } from "react-bootstrap";
+import { useEffect, useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { SHEETS } from "../../redux/sagas/googleSheets.saga"; // adjust path if needed
+import { COLUMN_LABELS } from "../../utils/columns";
+import { CELL_TYPE_LABELS } from "../../utils/cellTypes";
+import useColumns from "../../hooks/useColumns";
+
+const toText = (names) => (Array.isArray(names) ? names.join(", ") : "");
+const toNames = (text) =>
+  String(text || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/**
+ * Admin editor for the linked tab's column mapping. Each logical field takes
+ * comma-separated header names (aliases), tried before the built-in defaults;
+ * a blank field uses the defaults only. Each header of the tab may also be
+ * given a type (e.g. a date column the server would read as plain numbers);
+ * "Automatic" leaves it to the server.
+ */
+function ColumnMapping() {
+  const dispatch = useDispatch();
+  const { columns } = useColumns();
+
+  const projects = useSelector((s) => s.sheets?.projects);
+  const selectedProjectId = useSelector((s) => s.sheets?.selectedProjectId);
+  const isSavingColumns = useSelector((s) => s.sheets?.isSavingColumns);
+  const columnsError = useSelector((s) => s.sheets?.columnsError);
+  const rows = useSelector((s) => s.sheets?.rows);
+  const types = useSelector((s) => s.sheets?.types); // as the server reads each column now
+
+  const [open, setOpen] = useState(false);
+  const [drafts, setDrafts] = useState({});
+  const [typeDrafts, setTypeDrafts] = useState({});
+
+  // The saved mapping and declared types live on the project
+  const project = useMemo(
+    () => (projects || []).find((p) => p.id === selectedProjectId) || null,
+    [projects, selectedProjectId]
+  );
+  const mapping = useMemo(() => project?.columns || {}, [project]);
+  const declaredTypes = useMemo(() => project?.types || {}, [project]);
+
+  useEffect(() => {
+    setDrafts(Object.fromEntries(Object.keys(COLUMN_LABELS).map((f) => [f, toText(mapping[f])])));
+  }, [mapping]);
+
+  useEffect(() => {
+    setTypeDrafts({ ...declaredTypes });
+  }, [declaredTypes]);
+
+  const headers = useMemo(() => {
+    const header = Array.isArray(rows?.[0]) ? rows[0] : [];
+    return [...new Set(header.map((h) => String(h ?? "").trim()).filter(Boolean))];
+  }, [rows]);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const next = {};
+    Object.keys(COLUMN_LABELS).forEach((field) => {
+      const names = toNames(drafts[field]);
+      if (names.length > 0) next[field] = names;
+    });
+    // Declarations for headers the tab no longer has are kept as they were
+    const nextTypes = Object.fromEntries(Object.entries(typeDrafts).filter(([, type]) => type));
+    dispatch({ type: SHEETS.COLUMNS_SAVE.REQUEST, payload: { columns: next, types: nextTypes } });
+  };
+
+  return (
+    <Row className="mb-3">
+      <Col xs={12}>
+        <Card>
+          <Card.Body>
+            <div className="d-flex justify-content-between align-items-center">
+              <Card.Title className="mb-0">Column mapping</Card.Title>
+              <Button
+                variant="outline-secondary"
+                size="sm"
+                onClick={() => setOpen((v) => !v)}
+                aria-expanded={open}
+              >
+                {open ? "Hide" : "Edit"}
+              </Button>
+            </div>
+
+            {open && (
+              <Form onSubmit={handleSave} className="mt-3">
+                <Card.Text className="muted-text">
+                  Header names for each field, separated by commas. Leave a
+                  field blank to use the default headers.
+                </Card.Text>
+
+                {Object.entries(COLUMN_LABELS).map(([field, label]) => (
+                  <Form.Group as={Row} className="mb-2" controlId={`column-${field}`} key={field}>
+                    <Form.Label column sm={4}>
+                      {label}
+                    </Form.Label>
+                    <Col sm={8}>
+                      <Form.Control
+                        type="text"
+                        value={drafts[field] || ""}
+                        onChange={(e) => setDrafts((d) => ({ ...d, [field]: e.target.value }))}
+                        autoComplete="off"
+                      />
+                      <Form.Text className={columns[field] ? "text-muted" : "text-warning"}>
+                        {columns[field] ? `Uses "${columns[field]}"` : "Not found on this tab"}
+                      </Form.Text>
+                    </Col>
+                  </Form.Group>
+                ))}
+
+                {headers.length > 0 && (
+                  <>
+                    <Card.Title as="h6" className="mt-3">Column types</Card.Title>
+                    <Card.Text className="muted-text">
+                      How each column's cells are read. Automatic uses the
+                      field's type, else the values and the sheet's number format.
+                    </Card.Text>
+
+                    {headers.map((header) => (
+                      <Form.Group as={Row} className="mb-2" controlId={`type-${header}`} key={header}>
+                        <Form.Label column sm={4}>
+                          {header}
+                        </Form.Label>
+                        <Col sm={8}>
+                          <Form.Select
+                            value={typeDrafts[header] || ""}
+                            onChange={(e) => setTypeDrafts((d) => ({ ...d, [header]: e.target.value }))}
+                          >
+                            <option value="">
+                              {!declaredTypes[header] && types?.[header]
+                                ? `Automatic (${CELL_TYPE_LABELS[types[header]] || types[header]})`
+                                : "Automatic"}
+                            </option>
+                            {Object.entries(CELL_TYPE_LABELS).map(([type, label]) => (
+                              <option value={type} key={type}>
+                                {label}
+                              </option>
+                            ))}
+                          </Form.Select>
+                        </Col>
+                      </Form.Group>
+                    ))}
+                  </>
+                )}
+
+                {columnsError && (
+                  <Alert variant="danger" className="mb-2">
+                    {columnsError.message || "Unknown error"}
+                  </Alert>
+                )}
+
+                <Button type="submit" variant="primary" disabled={isSavingColumns}>
+                  {isSavingColumns ? "Saving…" : "Save mapping"}
+                </Button>
+              </Form>
+            )}
+          </Card.Body>
+        </Card>
+      </Col>
+    </Row>
+  );
+}
+
+export default ColumnMapping;
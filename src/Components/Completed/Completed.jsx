@@ -16,6 +16,9 @@ import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import { SHEETS } from "../../redux/sagas/googleSheets.saga"; // adjust path if needed
 import useSheetSearch from "../../hooks/useSheetSearch";
+import useRowKeys from "../../hooks/useRowKeys";
+import useColumns from "../../hooks/useColumns";
+import { isTrue, compareCells, formatCell } from "../../utils/cellTypes";
 import "../Home/Home.css"; // reuse existing styles
 
 function Completed() {
@@ -27,6 +30,8 @@ function Completed() {
   const rows          = useSelector((s) => s.sheets?.rows);
   const isLoading     = useSelector((s) => s.sheets?.isLoading);
   const rowsError     = useSelector((s) => s.sheets?.rowsError);
+  const { keyColumn, keyOf, isDuplicate } = useRowKeys(); // cards are addressed by row key
+  const { get, has, typeOf } = useColumns(); // logical fields -> this tab's headers
 
   // Fetch rows if we have a linked sheet but no data yet
   useEffect(() => {
@@ -38,30 +43,31 @@ function Completed() {
   // ---- Use the reusable hook for transformation + filtering + search ----
   const { query, setQuery, filtered, normalizedQuery } = useSheetSearch(rows);
 
-  const isTrue = (v) => (typeof v === "boolean" ? v : String(v ?? "").trim().toLowerCase() === "true");
-
-  // Only show completed rows (apply on top of the hook's search result)
+  // Only show completed rows (apply on top of the hook's search result), most recent first
   const completedOnly = useMemo(
-    () => filtered.filter((it) => isTrue(it["Completed"])),
-    [filtered]
+    () =>
+      filtered
+        .filter((it) => isTrue(get(it, "status")))
+        .sort((a, b) => compareCells(get(a, "completedAt"), get(b, "completedAt"), typeOf("completedAt"), -1)),
+    [filtered, get, typeOf]
   );
 
   const completedCount = completedOnly.length;
 
   const handleSearchChange = (e) => setQuery(e.target.value);
 
-  // Navigate to /computers?id={Device}
-  const goToDevice = (device) => {
-    const d = String(device || "").trim();
-    if (!d) return;
-    navigate(`/computers?id=${encodeURIComponent(d)}`);
+  // Navigate to /computers?id={row key}
+  const goToDevice = (key) => {
+    const k = String(key || "").trim();
+    if (!k) return;
+    navigate(`/computers?id=${encodeURIComponent(k)}`);
   };
 
   // Keyboard support for cards
-  const onCardKey = (e, device) => {
+  const onCardKey = (e, key) => {
     if (e.key === "Enter" || e.key === " ") {
       e.preventDefault();
-      goToDevice(device);
+      goToDevice(key);
     }
   };
 
@@ -139,15 +145,16 @@ function Completed() {
       {!isLoading && !rowsError && (
         <Row className="cards-row">
           {completedOnly.map((obj, idx) => {
-            const device = obj["Device"] || "";
-            const isClickable = device.trim().length > 0;
+            const device = get(obj, "device") || "";
+            const rowKey = keyOf(obj);
+            const isClickable = rowKey.length > 0;
 
             return (
               <Col key={idx} xs={12} sm={12} md={6} lg={4} className="mb-3">
                 <Card
                   className="device-card"
-                  onClick={isClickable ? () => goToDevice(device) : undefined}
-                  onKeyDown={isClickable ? (e) => onCardKey(e, device) : undefined}
+                  onClick={isClickable ? () => goToDevice(rowKey) : undefined}
+                  onKeyDown={isClickable ? (e) => onCardKey(e, rowKey) : undefined}
                   role={isClickable ? "button" : undefined}
                   tabIndex={isClickable ? 0 : undefined}
                   style={{
@@ -160,39 +167,62 @@ function Completed() {
                   <Card.Body>
                     <Card.Title className="device-title mb-0">
                       {device || "Device"}
+                      {isDuplicate(obj) && (
+                        <Badge
+                          bg="danger"
+                          className="ms-2"
+                          title={`Several rows share this ${keyColumn}; fix the sheet before editing them.`}
+                        >
+                          Duplicate
+                        </Badge>
+                      )}
                     </Card.Title>
 
                     <div className="kv">
                       <span className="k">IP Address</span>
-                      <span className="v">{obj["IP Address"] || "-"}</span>
+                      <span className="v">{get(obj, "ip") || "-"}</span>
                     </div>
 
                     <div className="kv">
                       <span className="k">Equipment Type</span>
-                      <span className="v">{obj["Equipment Type"] || "-"}</span>
+                      <span className="v">{get(obj, "type") || "-"}</span>
                     </div>
 
                     <div className="kv">
                       <span className="k">Mfr</span>
-                      <span className="v">{obj["Mfr"] || "-"}</span>
+                      <span className="v">{get(obj, "manufacturer") || "-"}</span>
                     </div>
 
                     <div className="kv">
                       <span className="k">Model Name</span>
                       <span className="v">
-                        {obj["*Model Name"] || obj["Model Name"] || "-"}
+                        {get(obj, "model") || "-"}
                       </span>
                     </div>
 
                     <div className="kv">
                       <span className="k">Comment</span>
-                      <span className="v">{obj["Comment"] || "-"}</span>
+                      <span className="v">{get(obj, "comment") || "-"}</span>
                     </div>
 
                     <div className="kv">
                       <span className="k">Completed</span>
                       <span className="v">true</span>
                     </div>
+
+                    {has("completedAt") && (
+                      <div className="kv">
+                        <span className="k">Completed At</span>
+                        <span className="v">{formatCell(get(obj, "completedAt"), typeOf("completedAt")) || "-"}</span>
+                      </div>
+                    )}
+
+                    {has("completedBy") && (
+                      <div className="kv">
+                        <span className="k">Completed By</span>
+                        <span className="v">{get(obj, "completedBy") || "-"}</span>
+                      </div>
+                    )}
                   </Card.Body>
                 </Card>
               </Col>
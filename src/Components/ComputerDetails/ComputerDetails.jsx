@@ -13,6 +13,14 @@ import { useEffect, useMemo, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useLocation, useNavigate } from "react-router-dom";
 import { SHEETS } from "../../redux/sagas/googleSheets.saga"; // adjust path if needed
+import DeviceHistory from "../DeviceHistory/DeviceHistory";
+import DeviceNotes from "../DeviceNotes/DeviceNotes";
+import useRole from "../../hooks/useRole";
+import useBackend from "../../hooks/useBackend";
+import useRowKeys from "../../hooks/useRowKeys";
+import useColumns from "../../hooks/useColumns";
+import { isTrue, formatCell } from "../../utils/cellTypes";
+import { normalizeKey } from "../../utils/rowKeys";
 import "../Home/Home.css";
 
 function ComputerDetails() {
@@ -20,7 +28,7 @@ function ComputerDetails() {
   const navigate = useNavigate();
   const location = useLocation();
 
-  // --- read device from query string: /computers?id={Device}
+  // --- read the row key from query string: /computers?id={row key}
   const params = new URLSearchParams(location.search || "");
   const deviceFromQuery = decodeURIComponent(params.get("id") || "").trim();
 
@@ -29,8 +37,15 @@ function ComputerDetails() {
   const rows                = useSelector((s) => s.sheets?.rows);
   const isLoading           = useSelector((s) => s.sheets?.isLoading);
   const rowsError           = useSelector((s) => s.sheets?.rowsError);
+  const isStale             = useSelector((s) => s.sheets?.isStale);   // read-only fallback copy
+  const { canEdit } = useRole(); // viewers are read-only
+  const { basic } = useBackend(); // googleSheets.php keeps no notes or history
+  const { keyColumn, keyOf, isDuplicate } = useRowKeys();
+  const { get, has, typeOf } = useColumns(); // logical fields -> this tab's headers
   const updatingDevice      = useSelector((s) => s.sheets?.updatingDevice);
   const updatingCommentFor  = useSelector((s) => s.sheets?.updatingCommentFor);
+  const toggleError         = useSelector((s) => s.sheets?.toggleError);
+  const commentConflict     = useSelector((s) => s.sheets?.commentConflict);
 
   // If we have a linked sheet but no rows yet, fetch them
   useEffect(() => {
@@ -53,49 +68,69 @@ function ComputerDetails() {
 
   const displayItems = useMemo(() => items.filter(isNonEmptyRow), [items]);
 
-  // Find the device (case-insensitive, trimmed)
-  const deviceKey = deviceFromQuery.toLowerCase();
-  const record = useMemo(() => {
-    if (!deviceKey) return null;
-    return (
-      displayItems.find(
-        (it) => String(it?.Device || "").trim().toLowerCase() === deviceKey
-      ) || null
-    );
-  }, [displayItems, deviceKey]);
+  // Find the row by key (case-insensitive, trimmed); older links may carry a Device name
+  const queryKey = normalizeKey(deviceFromQuery);
+  const matches = useMemo(() => {
+    if (!queryKey) return [];
+    const byKey = displayItems.filter((it) => normalizeKey(keyOf(it)) === queryKey);
+    if (byKey.length > 0) return byKey;
+    return displayItems.filter((it) => normalizeKey(get(it, "device")) === queryKey);
+  }, [displayItems, queryKey, keyOf, get]);
+  const record = matches[0] || null;
 
-  const isTrue = (v) => (typeof v === "boolean" ? v : String(v ?? "").trim().toLowerCase() === "true");
-  const completed = isTrue(record?.Completed);
+  // Several rows share this key: the server refuses writes to it, so don't offer them
+  const duplicate = matches.length > 1 || (record ? isDuplicate(record) : false);
+  const rowKey = record ? keyOf(record) : "";
+  const rowRef = { key: rowKey, device: String(get(record, "device") || "").trim() };
+  const isThisRow = (key) => !!key && normalizeKey(key) === normalizeKey(rowKey);
+
+  const completed = isTrue(get(record, "status"));
 
   // --- Comment editing ---
-  const [commentDraft, setCommentDraft] = useState(record?.Comment || "");
+  const [commentDraft, setCommentDraft] = useState(get(record, "comment") || "");
+  const currentComment = get(record, "comment");
   useEffect(() => {
-    setCommentDraft(record?.Comment || "");
-  }, [record]);
+    setCommentDraft(currentComment || "");
+  }, [currentComment]);
 
   const saveComment = () => {
-    const d = String(record?.Device || "").trim();
-    if (!d) return;
-    dispatch({ type: SHEETS.COMMENT_UPDATE.REQUEST, payload: { device: d, comment: commentDraft } });
+    if (!rowKey) return;
+    dispatch({ type: SHEETS.COMMENT_UPDATE.REQUEST, payload: { ...rowRef, comment: commentDraft } });
+  };
+
+  // --- Save conflict: someone else changed this row since we loaded it ---
+  const conflict = commentConflict && isThisRow(commentConflict.key) ? commentConflict : null;
+
+  const keepTheirs = () => {
+    setCommentDraft(conflict.theirs);
+    dispatch({ type: SHEETS.COMMENT_CONFLICT_CLEAR });
+  };
+  const mergeComments = () => {
+    setCommentDraft([conflict.theirs, conflict.mine].filter((t) => t.trim() !== "").join("\n"));
+    dispatch({ type: SHEETS.COMMENT_CONFLICT_CLEAR });
+  };
+  const overwriteWithMine = () => {
+    if (!rowKey) return;
+    dispatch({
+      type: SHEETS.COMMENT_UPDATE.REQUEST,
+      payload: { ...rowRef, comment: conflict.mine, version: conflict.version },
+    });
   };
 
   // --- Complete / Incomplete toggles ---
   const toggleComplete = () => {
-    const d = String(record?.Device || "").trim();
-    if (!d) return;
+    if (!rowKey) return;
     if (completed) {
-      dispatch({ type: SHEETS.INCOMPLETE.REQUEST, payload: { device: d } });
+      dispatch({ type: SHEETS.INCOMPLETE.REQUEST, payload: rowRef });
     } else {
-      dispatch({ type: SHEETS.COMPLETE.REQUEST, payload: { device: d } });
+      dispatch({ type: SHEETS.COMPLETE.REQUEST, payload: rowRef });
     }
   };
 
   const goBack = () => navigate("/home");
 
-  const isUpdatingThisDevice =
-    updatingDevice && String(updatingDevice).trim().toLowerCase() === deviceKey;
-  const isSavingThisComment =
-    updatingCommentFor && String(updatingCommentFor).trim().toLowerCase() === deviceKey;
+  const isUpdatingThisDevice = isThisRow(updatingDevice);
+  const isSavingThisComment = isThisRow(updatingCommentFor);
 
   return (
     <Container fluid className="home-container">
@@ -123,7 +158,7 @@ function ComputerDetails() {
             className="w-100"
             onClick={toggleComplete}
             aria-label={completed ? "Mark Pending" : "Mark Complete"}
-            disabled={isUpdatingThisDevice}
+            disabled={isUpdatingThisDevice || isStale || !canEdit || duplicate}
           >
             {isUpdatingThisDevice ? "Updating…" : completed ? "Mark Pending" : "Complete"}
           </Button>
@@ -162,28 +197,28 @@ function ComputerDetails() {
               }}>
                 <Card.Body>
                   <Card.Title className="device-title">
-                    {record["Device"] || "Device"}
+                    {get(record, "device") || "Device"}
                   </Card.Title>
 
                   <div className="kv">
                     <span className="k">IP Address</span>
-                    <span className="v">{record["IP Address"] || "-"}</span>
+                    <span className="v">{get(record, "ip") || "-"}</span>
                   </div>
 
                   <div className="kv">
                     <span className="k">Equipment Type</span>
-                    <span className="v">{record["Equipment Type"] || "-"}</span>
+                    <span className="v">{get(record, "type") || "-"}</span>
                   </div>
 
                   <div className="kv">
                     <span className="k">Mfr</span>
-                    <span className="v">{record["Mfr"] || "-"}</span>
+                    <span className="v">{get(record, "manufacturer") || "-"}</span>
                   </div>
 
                   <div className="kv">
                     <span className="k">Model Name</span>
                     <span className="v">
-                      {record["*Model Name"] || record["Model Name"] || "-"}
+                      {get(record, "model") || "-"}
                     </span>
                   </div>
 
@@ -192,29 +227,99 @@ function ComputerDetails() {
                     <span className="v">{completed ? "true" : "false"}</span>
                   </div>
 
-                  {/* Comment editor */}
+                  {has("completedAt") && (
+                    <div className="kv">
+                      <span className="k">Completed At</span>
+                      <span className="v">{formatCell(get(record, "completedAt"), typeOf("completedAt")) || "-"}</span>
+                    </div>
+                  )}
+
+                  {has("completedBy") && (
+                    <div className="kv">
+                      <span className="k">Completed By</span>
+                      <span className="v">{get(record, "completedBy") || "-"}</span>
+                    </div>
+                  )}
+
+                  {duplicate && (
+                    <Alert variant="danger" className="mt-3 mb-0">
+                      <strong>Duplicate row:</strong> {matches.length > 1 ? matches.length : "Several"} rows
+                      share the {keyColumn} "{rowKey}", so changes to it are refused. Give each
+                      row its own {keyColumn === "Device" ? "Device name (or add an Asset Tag column)" : keyColumn} in
+                      the sheet, then refresh.
+                    </Alert>
+                  )}
+
+                  {toggleError && (
+                    <Alert variant="warning" className="mt-3 mb-0">
+                      {toggleError.message || "Failed to update this device."}
+                    </Alert>
+                  )}
+
+                  {/* Both versions after a save conflict */}
+                  {conflict && (
+                    <Alert variant="warning" className="mt-3 comment-conflict">
+                      <strong>This comment was changed while you were editing.</strong>
+                      <div className="comment-conflict-versions">
+                        <div>
+                          <div className="comment-conflict-label">Current</div>
+                          <pre>{conflict.theirs || "(empty)"}</pre>
+                        </div>
+                        <div>
+                          <div className="comment-conflict-label">Yours</div>
+                          <pre>{conflict.mine || "(empty)"}</pre>
+                        </div>
+                      </div>
+                      <div className="d-flex flex-wrap gap-2 justify-content-end">
+                        <Button size="sm" variant="outline-secondary" onClick={keepTheirs}>
+                          Keep current
+                        </Button>
+                        <Button size="sm" variant="outline-primary" onClick={mergeComments}>
+                          Merge into editor
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="danger"
+                          onClick={overwriteWithMine}
+                          disabled={isSavingThisComment || isStale || !canEdit || duplicate}
+                        >
+                          Overwrite with mine
+                        </Button>
+                      </div>
+                    </Alert>
+                  )}
+
+                  {/* Comment editor (a new note below also replaces the Comment cell) */}
                   <Form className="mt-3">
                     <Form.Group controlId="commentField">
                       <Form.Label>Comment</Form.Label>
                       <Form.Control
                         as="textarea"
                         rows={3}
+                        maxLength={2000}
                         value={commentDraft}
                         onChange={(e) => setCommentDraft(e.target.value)}
-                        placeholder="Add a note…"
+                        placeholder="Add a comment…"
                       />
                     </Form.Group>
                     <div className="d-flex justify-content-end mt-2">
                       <Button
                         variant="primary"
                         onClick={saveComment}
-                        disabled={isSavingThisComment}
+                        disabled={isSavingThisComment || isStale || !canEdit || duplicate}
                         aria-label="Save Comment"
                       >
                         {isSavingThisComment ? "Saving…" : "Save Comment"}
                       </Button>
                     </div>
                   </Form>
+
+                  {/* Notes thread; the newest one is also the Comment cell */}
+                  {!basic && (
+                    <DeviceNotes rowKey={rowKey} device={rowRef.device} disabled={isStale || !canEdit || duplicate} />
+                  )}
+
+                  {!basic && <DeviceHistory rowKey={rowKey} device={rowRef.device} />}
                 </Card.Body>
               </Card>
             ) : (
@@ -222,7 +327,7 @@ function ComputerDetails() {
                 <Card.Body>
                   {deviceFromQuery
                     ? `No computer found with name "${deviceFromQuery}".`
-                    : "No device id provided in the URL (use /computers?id={Device})."}
+                    : "No device id provided in the URL (use /computers?id={Asset Tag or Device})."}
                 </Card.Body>
               </Card>
             )}
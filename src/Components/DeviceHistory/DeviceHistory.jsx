@@ -0,0 +1,84 @@
+// DeviceHistory.jsx
+import { Alert, Spinner } from "react-bootstrap";
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { SHEETS } from "../../redux/sagas/googleSheets.saga"; // adjust path if needed
+import { formatSheetDateTime } from "../../utils/sheetDates";
+import useColumns from "../../hooks/useColumns";
+
+// `field` is the header an entry recorded; compare with this tab's mapped columns
+const formatValue = (columns, field, value) => {
+  if (value === null || value === undefined || value === "") return "(empty)";
+  if (field === columns.status) {
+    const done = typeof value === "boolean" ? value : String(value).trim().toLowerCase() === "true";
+    return done ? "complete" : "pending";
+  }
+  if (field === columns.completedAt) return formatSheetDateTime(value);
+  return `"${value}"`;
+};
+
+const formatTime = (ts) => {
+  const date = new Date(ts);
+  return Number.isNaN(date.getTime()) ? String(ts || "") : date.toLocaleString();
+};
+
+/**
+ * Change timeline for one row, newest first (from GET /history).
+ * `rowKey` picks the row; `device` also finds entries recorded before row keys.
+ */
+function DeviceHistory({ rowKey, device }) {
+  const dispatch = useDispatch();
+  const { columns } = useColumns();
+
+  const history          = useSelector((s) => s.sheets?.history);
+  const historyKey       = useSelector((s) => s.sheets?.historyKey);
+  const isLoadingHistory = useSelector((s) => s.sheets?.isLoadingHistory);
+  const historyError     = useSelector((s) => s.sheets?.historyError);
+
+  useEffect(() => {
+    if (rowKey) dispatch({ type: SHEETS.HISTORY.REQUEST, payload: { key: rowKey, device } });
+  }, [dispatch, rowKey, device]);
+
+  const entries = historyKey === rowKey && Array.isArray(history) ? history : [];
+
+  return (
+    <div className="history mt-4">
+      <h6 className="history-title">Change history</h6>
+
+      {isLoadingHistory && entries.length === 0 && (
+        <div className="loading-wrap">
+          <Spinner animation="border" size="sm" role="status" />
+          <span className="loading-text">Loading history…</span>
+        </div>
+      )}
+
+      {historyError && (
+        <Alert variant="danger" className="py-2">
+          {historyError.message || "Failed to load history."}
+        </Alert>
+      )}
+
+      {!isLoadingHistory && !historyError && entries.length === 0 && (
+        <div className="muted-text">No changes recorded yet.</div>
+      )}
+
+      {entries.length > 0 && (
+        <ul className="history-list">
+          {entries.map((e, i) => (
+            <li key={`${e.ts}-${e.field}-${i}`} className="history-item">
+              <div className="history-meta">
+                {formatTime(e.ts)} · {e.actor || "unknown"}
+              </div>
+              <div>
+                <strong>{e.field}</strong>: {formatValue(columns, e.field, e.oldValue)} →{" "}
+                {formatValue(columns, e.field, e.newValue)}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DeviceHistory;
@@ -0,0 +1,119 @@
+// DeviceNotes.jsx
+import { Alert, Button, Form, Spinner } from "react-bootstrap";
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { SHEETS } from "../../redux/sagas/googleSheets.saga"; // adjust path if needed
+import { normalizeKey } from "../../utils/rowKeys";
+
+const formatTime = (ts) => {
+  const date = new Date(ts);
+  return Number.isNaN(date.getTime()) ? String(ts || "") : date.toLocaleString();
+};
+
+/**
+ * Notes thread for one row, oldest first (from GET /notes), with a box to
+ * add one. Notes are never edited; the newest also shows in the Comment column.
+ * `disabled` turns off adding (read-only copy, viewer, duplicated key).
+ */
+function DeviceNotes({ rowKey, device, disabled }) {
+  const dispatch = useDispatch();
+  const [draft, setDraft] = useState("");
+
+  const notes          = useSelector((s) => s.sheets?.notes);
+  const notesKey       = useSelector((s) => s.sheets?.notesKey);
+  const isLoadingNotes = useSelector((s) => s.sheets?.isLoadingNotes);
+  const notesError     = useSelector((s) => s.sheets?.notesError);
+  const addingNoteFor  = useSelector((s) => s.sheets?.addingNoteFor);
+  const noteError      = useSelector((s) => s.sheets?.noteError);
+
+  useEffect(() => {
+    if (rowKey) dispatch({ type: SHEETS.NOTES.REQUEST, payload: { key: rowKey, device } });
+  }, [dispatch, rowKey, device]);
+
+  const thread = notesKey === rowKey && Array.isArray(notes) ? notes : [];
+  const isAdding = !!addingNoteFor && normalizeKey(addingNoteFor) === normalizeKey(rowKey);
+
+  // Clear the box once the note is saved; a failed one stays for another try
+  const [sentCount, setSentCount] = useState(null);
+  useEffect(() => {
+    if (sentCount !== null && !isAdding) {
+      if (!noteError || thread.length > sentCount) setDraft("");
+      setSentCount(null);
+    }
+  }, [isAdding, sentCount, noteError, thread.length]);
+
+  const addNote = () => {
+    if (!rowKey || !draft.trim()) return;
+    setSentCount(thread.length);
+    dispatch({ type: SHEETS.NOTE_ADD.REQUEST, payload: { key: rowKey, device, text: draft } });
+  };
+
+  return (
+    <div className="notes mt-3">
+      <h6 className="notes-title">Notes</h6>
+
+      {isLoadingNotes && thread.length === 0 && (
+        <div className="loading-wrap">
+          <Spinner animation="border" size="sm" role="status" />
+          <span className="loading-text">Loading notes…</span>
+        </div>
+      )}
+
+      {notesError && (
+        <Alert variant="danger" className="py-2">
+          {notesError.message || "Failed to load notes."}
+        </Alert>
+      )}
+
+      {!isLoadingNotes && !notesError && thread.length === 0 && (
+        <div className="muted-text mb-2">No notes yet.</div>
+      )}
+
+      {thread.length > 0 && (
+        <ul className="notes-list">
+          {thread.map((n) => (
+            <li key={n.id} className="note-item">
+              <div className="note-meta">
+                {n.author || "unknown"} · {formatTime(n.createdAt)}
+              </div>
+              <div className="note-text">{n.text}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {noteError && (
+        <Alert variant="warning" className="py-2">
+          {noteError.message || "Failed to add note."}
+        </Alert>
+      )}
+
+      <Form onSubmit={(e) => { e.preventDefault(); addNote(); }}>
+        <Form.Group controlId="noteField">
+          <Form.Label className="visually-hidden">New note</Form.Label>
+          <Form.Control
+            as="textarea"
+            rows={3}
+            maxLength={2000}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Add a note…"
+            disabled={disabled}
+          />
+        </Form.Group>
+        <div className="d-flex justify-content-end mt-2">
+          <Button
+            type="submit"
+            variant="primary"
+            disabled={disabled || isAdding || !draft.trim()}
+            aria-label="Add Note"
+          >
+            {isAdding ? "Saving…" : "Add Note"}
+          </Button>
+        </div>
+      </Form>
+    </div>
+  );
+}
+
+export default DeviceNotes;
@@ -9,11 +9,22 @@ import {
   Alert,
   Button,
   Form,
+  Badge,
 } from "react-bootstrap";
 import { useEffect, useMemo, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import { SHEETS } from "../../redux/sagas/googleSheets.saga"; // adjust path if needed
+import ProjectSwitcher from "../ProjectSwitcher/ProjectSwitcher";
+import TechnicianName from "../TechnicianName/TechnicianName";
+import ColumnMapping from "../ColumnMapping/ColumnMapping";
+import SheetHealth from "../SheetHealth/SheetHealth";
+import UserMenu from "../UserMenu/UserMenu";
+import useRole from "../../hooks/useRole";
+import useBackend from "../../hooks/useBackend";
+import useRowKeys from "../../hooks/useRowKeys";
+import useColumns from "../../hooks/useColumns";
+import { isTrue } from "../../utils/cellTypes";
 import "./Home.css";
 
 function Home() {
@@ -21,22 +32,54 @@ function Home() {
   const navigate = useNavigate();
 
   // ---- Stable selectors ----
+  const selectedProjectId = useSelector((s) => s.sheets?.selectedProjectId);
   const spreadsheetId = useSelector((s) => s.sheets?.spreadsheetId);
   const spreadsheetTitle = useSelector((s) => s.sheets?.spreadsheetTitle);
+  const sheetTitle = useSelector((s) => s.sheets?.sheetTitle);
   const rows = useSelector((s) => s.sheets?.rows);
   const isLoading = useSelector((s) => s.sheets?.isLoading);
   const rowsError = useSelector((s) => s.sheets?.rowsError);
+  const isStale = useSelector((s) => s.sheets?.isStale);
+  const fetchedAt = useSelector((s) => s.sheets?.fetchedAt);
+  const liveConnected = useSelector((s) => s.sheets?.liveConnected);
   const isLinking = useSelector((s) => s.sheets?.isLinking);
   const linkError = useSelector((s) => s.sheets?.linkError);
+  const tabs = useSelector((s) => s.sheets?.tabs);
+  const tabsSpreadsheetId = useSelector((s) => s.sheets?.tabsSpreadsheetId);
+  const isLoadingTabs = useSelector((s) => s.sheets?.isLoadingTabs);
+  const tabsError = useSelector((s) => s.sheets?.tabsError);
+
+  const { canEdit, isAdmin } = useRole();
+  const { basic } = useBackend(); // googleSheets.php: no projects, tabs, checks or live updates
+  const { keyColumn, keyOf, isDuplicate } = useRowKeys(); // cards are addressed by row key
+  const { get, has } = useColumns(); // logical fields -> this tab's headers
+  const duplicateKeys = useSelector((s) => s.sheets?.duplicateKeys);
 
   const [sheetInput, setSheetInput] = useState("");
+  const [selectedTabId, setSelectedTabId] = useState("");
+
+  // Default the picker to the first tab whenever a new tab list arrives
+  useEffect(() => {
+    if (Array.isArray(tabs) && tabs.length > 0) {
+      setSelectedTabId(String(tabs[0].sheetId));
+    } else {
+      setSelectedTabId("");
+    }
+  }, [tabs]);
+
+  // Fetch rows once a sheet is linked (and again when switching projects)
+  useEffect(() => {
+    if (spreadsheetId && !basic) {
+      dispatch({ type: SHEETS.ROWS.REQUEST });
+    }
+  }, [dispatch, spreadsheetId, selectedProjectId, basic]);
 
-  // Fetch rows once a sheet is linked
+  // The PHP backend has no project list: its rows name the linked sheet (400 = none yet)
   useEffect(() => {
-    if (spreadsheetId) {
+    if (basic) {
       dispatch({ type: SHEETS.ROWS.REQUEST });
     }
-  }, [dispatch, spreadsheetId]);
+  }, [dispatch, basic]);
 
   // Convert raw rows -> object array
   const items = useMemo(() => {
@@ -55,21 +98,14 @@ function Home() {
   // Filter out empty rows
   const displayItems = useMemo(() => items.filter(isNonEmptyRow), [items]);
 
-  // Treat Completed as boolean true or string "true"
-  const isTrue = (v) => {
-    if (typeof v === "boolean") return v;
-    const s = String(v ?? "").trim().toLowerCase();
-    return s === "true";
-  };
-
   // ---- Counters ----
   const completedCount = useMemo(
-    () => displayItems.filter((it) => isTrue(it["Completed"])).length,
-    [displayItems]
+    () => displayItems.filter((it) => isTrue(get(it, "status"))).length,
+    [displayItems, get]
   );
   const pendingCount = useMemo(
-    () => displayItems.filter((it) => !isTrue(it["Completed"])).length,
-    [displayItems]
+    () => displayItems.filter((it) => !isTrue(get(it, "status"))).length,
+    [displayItems, get]
   );
   const totalCount = displayItems.length;
 
@@ -79,44 +115,80 @@ function Home() {
     return Math.round((completedCount / totalCount) * 100);
   }, [completedCount, totalCount]);
 
-  const handleLinkSubmit = (e) => {
+  // Step 1: validate the ID by listing its tabs (the PHP backend links its first tab straight away)
+  const handleFindTabs = (e) => {
     e.preventDefault();
     const val = (sheetInput || "").trim();
     if (!val) return;
-    dispatch({ type: SHEETS.LINK.REQUEST, payload: { spreadsheetId: val } });
+    if (basic) {
+      dispatch({ type: SHEETS.LINK.REQUEST, payload: { spreadsheetId: val } });
+      return;
+    }
+    dispatch({ type: SHEETS.TABS.REQUEST, payload: { spreadsheetId: val } });
   };
 
-  const showLinkCard = !spreadsheetId;
+  // Step 2: link the chosen tab
+  const hasTabs = Array.isArray(tabs) && tabs.length > 0 && !!tabsSpreadsheetId;
+  const handleLinkTab = () => {
+    const tab = (tabs || []).find((t) => String(t.sheetId) === selectedTabId);
+    if (!tabsSpreadsheetId || !tab) return;
+    dispatch({
+      type: SHEETS.LINK.REQUEST,
+      payload: {
+        spreadsheetId: tabsSpreadsheetId,
+        sheetId: tab.sheetId,
+        sheetTitle: tab.title,
+      },
+    });
+  };
+
+  // Only admins may link; everyone else waits for one to do it
+  const showLinkCard = !spreadsheetId && isAdmin;
+  const showNotLinked = !spreadsheetId && !isAdmin;
 
   // --- Navigation handlers for the three buttons ---
   const goCompleted = () => navigate("/completed");
   const goPending = () => navigate("/pending");
   const goTotal = () => navigate("/total");
 
-  // Navigate to /computers?id={Device}
-  const goToDevice = (device) => {
-    const d = String(device || "").trim();
-    if (!d) return;
-    navigate(`/computers?id=${encodeURIComponent(d)}`);
+  // Navigate to /computers?id={row key}
+  const goToDevice = (key) => {
+    const k = String(key || "").trim();
+    if (!k) return;
+    navigate(`/computers?id=${encodeURIComponent(k)}`);
   };
 
   // Keyboard support for cards
-  const onCardKey = (e, device) => {
+  const onCardKey = (e, key) => {
     if (e.key === "Enter" || e.key === " ") {
       e.preventDefault();
-      goToDevice(device);
+      goToDevice(key);
     }
   };
 
   return (
     <Container fluid className="home-container">
+      <UserMenu />
       <Row>
         <Col>
           <h1 className="page-title">Computer Cleaning</h1>
         </Col>
       </Row>
 
-      {showLinkCard ? (
+      {!basic && <ProjectSwitcher />}
+      {canEdit && <TechnicianName />}
+
+      {showNotLinked ? (
+        <Row>
+          <Col xs={12}>
+            <Card className="empty-card">
+              <Card.Body>
+                No spreadsheet is linked to this project yet. Ask an admin to link one.
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      ) : showLinkCard ? (
         <Row>
           <Col xs={12}>
             <Card className="link-card">
@@ -136,7 +208,14 @@ function Home() {
                   </Alert>
                 )}
 
-                <Form onSubmit={handleLinkSubmit} className="link-form">
+                {tabsError && (
+                  <Alert variant="danger" className="mb-3">
+                    <strong>Could not open sheet:</strong>{" "}
+                    {tabsError.message || "Unknown error"}
+                  </Alert>
+                )}
+
+                <Form onSubmit={handleFindTabs} className="link-form">
                   <Form.Group controlId="sheetInput">
                     <Form.Label className="form-label">
                       Google Sheet (ID or full URL)
@@ -153,13 +232,44 @@ function Home() {
                   <div className="form-actions">
                     <Button
                       type="submit"
-                      variant="primary"
-                      disabled={isLinking}
+                      variant={hasTabs ? "outline-primary" : "primary"}
+                      disabled={isLoadingTabs || isLinking}
                     >
-                      {isLinking ? "Linking…" : "Link Sheet"}
+                      {basic
+                        ? isLinking ? "Linking…" : "Link Sheet"
+                        : isLoadingTabs ? "Checking…" : "Find Tabs"}
                     </Button>
                   </div>
                 </Form>
+
+                {hasTabs && (
+                  <Form className="link-form mt-3" onSubmit={(e) => e.preventDefault()}>
+                    <Form.Group controlId="tabSelect">
+                      <Form.Label className="form-label">Tab to track</Form.Label>
+                      <Form.Select
+                        value={selectedTabId}
+                        onChange={(e) => setSelectedTabId(e.target.value)}
+                        aria-label="Tab to track"
+                      >
+                        {tabs.map((t) => (
+                          <option key={t.sheetId} value={String(t.sheetId)}>
+                            {t.title} ({t.rowCount} {t.rowCount === 1 ? "row" : "rows"})
+                          </option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                    <div className="form-actions">
+                      <Button
+                        type="button"
+                        variant="primary"
+                        onClick={handleLinkTab}
+                        disabled={isLinking || !selectedTabId}
+                      >
+                        {isLinking ? "Linking…" : "Link Sheet"}
+                      </Button>
+                    </div>
+                  </Form>
+                )}
               </Card.Body>
             </Card>
           </Col>
@@ -177,12 +287,20 @@ function Home() {
                         <span className="sheet-title">
                           {" "}
                           · {spreadsheetTitle}
+                          {sheetTitle ? ` / ${sheetTitle}` : ""}
                         </span>
                       ) : null}
                     </div>
                     <span className="progress-value">{progress}%</span>
                   </div>
                   <ProgressBar now={progress} label={`${progress}%`} />
+                  {!basic && (
+                    <div className="muted-text mt-2">
+                      {liveConnected
+                        ? "● Live – other technicians' changes appear automatically"
+                        : "○ Live updates paused – reconnecting…"}
+                    </div>
+                  )}
                 </Card.Body>
               </Card>
             </Col>
@@ -228,6 +346,12 @@ function Home() {
             </Col>
           </Row>
 
+          {/* Which headers hold which fields (admin) */}
+          {isAdmin && !basic && <ColumnMapping />}
+
+          {/* Data-quality findings (fixes for admins) */}
+          {!basic && <SheetHealth />}
+
           {isLoading && (
             <Row className="mb-3">
               <Col xs={12}>
@@ -239,6 +363,32 @@ function Home() {
             </Row>
           )}
 
+          {isStale && (
+            <Row className="mb-3">
+              <Col xs={12}>
+                <Alert variant="warning" className="mb-0">
+                  <strong>Read-only:</strong> Google Sheets is unreachable, so
+                  this is the last saved copy
+                  {fetchedAt ? ` from ${new Date(fetchedAt).toLocaleString()}` : ""}.
+                  Changes are disabled until the connection is back.
+                </Alert>
+              </Col>
+            </Row>
+          )}
+
+          {Array.isArray(duplicateKeys) && duplicateKeys.length > 0 && (
+            <Row className="mb-3">
+              <Col xs={12}>
+                <Alert variant="warning" className="mb-0">
+                  <strong>Duplicate rows:</strong> several rows share the{" "}
+                  {keyColumn} {duplicateKeys.map((k) => `"${k}"`).join(", ")}.
+                  Changes to those rows are refused until the sheet gives each
+                  row its own {has("key") ? keyColumn : `${keyColumn} name (or an Asset Tag column)`}.
+                </Alert>
+              </Col>
+            </Row>
+          )}
+
           {rowsError && (
             <Row className="mb-3">
               <Col xs={12}>
@@ -253,16 +403,17 @@ function Home() {
           {/* Cards below progress bar, in their own Row */}
           <Row className="cards-row">
             {displayItems.map((obj, idx) => {
-              const device = obj["Device"] || "";
-              const isClickable = device.trim().length > 0;
-              const completed = isTrue(obj["Completed"]);
+              const device = get(obj, "device") || "";
+              const rowKey = keyOf(obj);
+              const isClickable = rowKey.length > 0;
+              const completed = isTrue(get(obj, "status"));
 
               return (
                 <Col key={idx} xs={12} sm={12} md={6} lg={4} className="mb-3">
                   <Card
                     className="device-card"
-                    onClick={isClickable ? () => goToDevice(device) : undefined}
-                    onKeyDown={isClickable ? (e) => onCardKey(e, device) : undefined}
+                    onClick={isClickable ? () => goToDevice(rowKey) : undefined}
+                    onKeyDown={isClickable ? (e) => onCardKey(e, rowKey) : undefined}
                     role={isClickable ? "button" : undefined}
                     tabIndex={isClickable ? 0 : undefined}
                     style={{
@@ -277,33 +428,42 @@ function Home() {
                     <Card.Body>
                       <Card.Title className="device-title">
                         {device || "Device"}
+                        {isDuplicate(obj) && (
+                          <Badge
+                            bg="danger"
+                            className="ms-2"
+                            title={`Several rows share this ${keyColumn}; fix the sheet before editing them.`}
+                          >
+                            Duplicate
+                          </Badge>
+                        )}
                       </Card.Title>
 
                       <div className="kv">
                         <span className="k">IP Address</span>
-                        <span className="v">{obj["IP Address"] || "-"}</span>
+                        <span className="v">{get(obj, "ip") || "-"}</span>
                       </div>
 
                       <div className="kv">
                         <span className="k">Equipment Type</span>
-                        <span className="v">{obj["Equipment Type"] || "-"}</span>
+                        <span className="v">{get(obj, "type") || "-"}</span>
                       </div>
 
                       <div className="kv">
                         <span className="k">Mfr</span>
-                        <span className="v">{obj["Mfr"] || "-"}</span>
+                        <span className="v">{get(obj, "manufacturer") || "-"}</span>
                       </div>
 
                       <div className="kv">
                         <span className="k">Model Name</span>
                         <span className="v">
-                          {obj["*Model Name"] || obj["Model Name"] || "-"}
+                          {get(obj, "model") || "-"}
                         </span>
                       </div>
 
                       <div className="kv">
                         <span className="k">Comment</span>
-                        <span className="v">{obj["Comment"] || "-"}</span>
+                        <span className="v">{get(obj, "comment") || "-"}</span>
                       </div>
 
                       <div className="kv">
@@ -319,7 +479,7 @@ function Home() {
             {!isLoading && !rowsError && displayItems.length === 0 && (
               <Col xs={12}>
                 <Card className="empty-card">
-                  <Card.Body>No rows found in the first sheet tab.</Card.Body>
+                  <Card.Body>No rows found in the linked sheet tab.</Card.Body>
                 </Card>
               </Col>
             )}
@@ -0,0 +1,88 @@
+// LoginPage.jsx
+import { Alert, Button, Card, Col, Container, Form, Row } from "react-bootstrap";
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, Navigate, useLocation } from "react-router-dom";
+import "../Home/Home.css";
+
+function LoginPage() {
+  const dispatch = useDispatch();
+  const location = useLocation();
+
+  const user = useSelector((s) => s.user);
+  const errors = useSelector((s) => s.errors);
+
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+
+  // Already signed in (or nothing to sign in to): go where the user was headed
+  if (user?.id || user?.accounts === false) {
+    return <Navigate to={location.state?.from?.pathname || "/home"} replace />;
+  }
+
+  const login = (e) => {
+    e.preventDefault();
+    if (username && password) {
+      dispatch({ type: "LOGIN", payload: { username, password } });
+    } else {
+      dispatch({ type: "LOGIN_INPUT_ERROR" });
+    }
+  };
+
+  return (
+    <Container fluid className="home-container">
+      <Row>
+        <Col>
+          <h1 className="page-title">Computer Cleaning</h1>
+        </Col>
+      </Row>
+      <Row>
+        <Col xs={12} md={{ span: 6, offset: 3 }}>
+          <Card className="link-card">
+            <Card.Body>
+              <Card.Title className="mb-3">Sign in</Card.Title>
+
+              {errors?.loginMessage && (
+                <Alert variant="danger" role="alert">
+                  {errors.loginMessage}
+                </Alert>
+              )}
+
+              <Form onSubmit={login} className="link-form">
+                <Form.Group controlId="loginUsername" className="mb-2">
+                  <Form.Label className="form-label">Username</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    autoComplete="username"
+                  />
+                </Form.Group>
+                <Form.Group controlId="loginPassword">
+                  <Form.Label className="form-label">Password</Form.Label>
+                  <Form.Control
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="current-password"
+                  />
+                </Form.Group>
+                <div className="form-actions">
+                  <Button type="submit" variant="primary">
+                    Log In
+                  </Button>
+                </div>
+              </Form>
+
+              <div className="muted-text mt-3">
+                No account yet? <Link to="/registration">Register</Link>
+              </div>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default LoginPage;
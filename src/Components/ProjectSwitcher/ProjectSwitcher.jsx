@@ -0,0 +1,111 @@
+// ProjectSwitcher.jsx
+import { Alert, Button, Col, Form, InputGroup, Row } from "react-bootstrap";
+import { useEffect, useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { SHEETS } from "../../redux/sagas/googleSheets.saga"; // adjust path if needed
+import { DEFAULT_PROJECT_ID } from "../../redux/selectedProject";
+import useRole from "../../hooks/useRole";
+
+function ProjectSwitcher() {
+  const dispatch = useDispatch();
+
+  const projects = useSelector((s) => s.sheets?.projects);
+  const selectedProjectId = useSelector((s) => s.sheets?.selectedProjectId);
+  const projectsError = useSelector((s) => s.sheets?.projectsError);
+  const isCreatingProject = useSelector((s) => s.sheets?.isCreatingProject);
+  const projectCreateError = useSelector((s) => s.sheets?.projectCreateError);
+
+  const { isAdmin } = useRole();
+
+  const [showCreate, setShowCreate] = useState(false);
+  const [nameInput, setNameInput] = useState("");
+
+  // Load the project list once
+  useEffect(() => {
+    dispatch({ type: SHEETS.PROJECTS.REQUEST });
+  }, [dispatch]);
+
+  // The default project only exists on the server after its first link,
+  // so always offer it (and whatever is currently selected).
+  const options = useMemo(() => {
+    const list = Array.isArray(projects) ? [...projects] : [];
+    if (!list.some((p) => p.id === DEFAULT_PROJECT_ID)) {
+      list.unshift({ id: DEFAULT_PROJECT_ID, name: "Default" });
+    }
+    if (selectedProjectId && !list.some((p) => p.id === selectedProjectId)) {
+      list.push({ id: selectedProjectId, name: selectedProjectId });
+    }
+    return list;
+  }, [projects, selectedProjectId]);
+
+  const handleSelect = (e) => {
+    dispatch({ type: SHEETS.PROJECT_SELECT, payload: { projectId: e.target.value } });
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = nameInput.trim();
+    if (!name) return;
+    dispatch({ type: SHEETS.PROJECT_CREATE.REQUEST, payload: { name } });
+    setNameInput("");
+    setShowCreate(false);
+  };
+
+  return (
+    <Row className="mb-3">
+      <Col xs={12}>
+        <InputGroup>
+          <InputGroup.Text>Project</InputGroup.Text>
+          <Form.Select
+            value={selectedProjectId || DEFAULT_PROJECT_ID}
+            onChange={handleSelect}
+            aria-label="Select project"
+          >
+            {options.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name || p.id}
+                {p.sheetTitle ? ` — ${p.sheetTitle}` : ""}
+              </option>
+            ))}
+          </Form.Select>
+          {isAdmin && (
+            <Button
+              variant="outline-secondary"
+              onClick={() => setShowCreate((v) => !v)}
+              aria-expanded={showCreate}
+              aria-label="New project"
+            >
+              {showCreate ? "Cancel" : "New"}
+            </Button>
+          )}
+        </InputGroup>
+
+        {isAdmin && showCreate && (
+          <Form onSubmit={handleCreate} className="mt-2">
+            <InputGroup>
+              <Form.Control
+                type="text"
+                placeholder="Project name (e.g. North Campus)"
+                value={nameInput}
+                onChange={(e) => setNameInput(e.target.value)}
+                autoComplete="off"
+                aria-label="New project name"
+              />
+              <Button type="submit" variant="primary" disabled={isCreatingProject}>
+                {isCreatingProject ? "Creating…" : "Create"}
+              </Button>
+            </InputGroup>
+          </Form>
+        )}
+
+        {(projectsError || projectCreateError) && (
+          <Alert variant="danger" className="mt-2 mb-0">
+            {(projectCreateError || projectsError).message || "Unknown error"}
+          </Alert>
+        )}
+      </Col>
+    </Row>
+  );
+}
+
+export default ProjectSwitcher;
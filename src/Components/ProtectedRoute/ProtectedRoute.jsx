@@ -0,0 +1,31 @@
+// ProtectedRoute.jsx
+import { Spinner } from "react-bootstrap";
+import { useSelector } from "react-redux";
+import { Navigate, useLocation } from "react-router-dom";
+
+/**
+ * Renders its children only for a signed-in user; everyone else is sent to
+ * /login (and brought back afterwards). A server without accounts lets everyone in.
+ */
+function ProtectedRoute({ children }) {
+  const user = useSelector((s) => s.user);
+  const location = useLocation();
+
+  // Still asking the server whether the session cookie is valid
+  if (!user?.checked) {
+    return (
+      <div className="loading-wrap p-3">
+        <Spinner animation="border" role="status" />
+        <span className="loading-text">Checking sign-in…</span>
+      </div>
+    );
+  }
+
+  if (!user.id && user.accounts !== false) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return children;
+}
+
+export default ProtectedRoute;
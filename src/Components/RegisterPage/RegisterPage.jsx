@@ -0,0 +1,88 @@
+// RegisterPage.jsx
+import { Alert, Button, Card, Col, Container, Form, Row } from "react-bootstrap";
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, Navigate } from "react-router-dom";
+import "../Home/Home.css";
+
+function RegisterPage() {
+  const dispatch = useDispatch();
+
+  const user = useSelector((s) => s.user);
+  const errors = useSelector((s) => s.errors);
+
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+
+  if (user?.id || user?.accounts === false) return <Navigate to="/home" replace />;
+
+  const registerUser = (e) => {
+    e.preventDefault();
+    if (username && password) {
+      dispatch({ type: "REGISTER", payload: { username, password } });
+    } else {
+      dispatch({ type: "REGISTRATION_INPUT_ERROR" });
+    }
+  };
+
+  return (
+    <Container fluid className="home-container">
+      <Row>
+        <Col>
+          <h1 className="page-title">Computer Cleaning</h1>
+        </Col>
+      </Row>
+      <Row>
+        <Col xs={12} md={{ span: 6, offset: 3 }}>
+          <Card className="link-card">
+            <Card.Body>
+              <Card.Title className="mb-2">Create an account</Card.Title>
+              <Card.Text className="muted-text">
+                New accounts can view progress. Ask an admin to make you a
+                technician so you can mark devices complete.
+              </Card.Text>
+
+              {errors?.registrationMessage && (
+                <Alert variant="danger" role="alert">
+                  {errors.registrationMessage}
+                </Alert>
+              )}
+
+              <Form onSubmit={registerUser} className="link-form">
+                <Form.Group controlId="registerUsername" className="mb-2">
+                  <Form.Label className="form-label">Username</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    autoComplete="username"
+                  />
+                </Form.Group>
+                <Form.Group controlId="registerPassword">
+                  <Form.Label className="form-label">Password (8+ characters)</Form.Label>
+                  <Form.Control
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="new-password"
+                  />
+                </Form.Group>
+                <div className="form-actions">
+                  <Button type="submit" variant="primary">
+                    Register
+                  </Button>
+                </div>
+              </Form>
+
+              <div className="muted-text mt-3">
+                Already registered? <Link to="/login">Log in</Link>
+              </div>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+export default RegisterPage;
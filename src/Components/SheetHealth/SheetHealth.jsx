@@ -0,0 +1,184 @@
+// SheetHealth.jsx
+import { Alert, Badge, Button, Card, Col, ListGroup, Row, Spinner, Table } from "react-bootstrap";
+import { useEffect, useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { SHEETS } from "../../redux/sagas/googleSheets.saga"; // adjust path if needed
+import useRole from "../../hooks/useRole";
+
+const SEVERITY_BADGES = {
+  error: { bg: "danger", label: "Error" },
+  warning: { bg: "warning", text: "dark", label: "Warning" },
+  info: { bg: "info", text: "dark", label: "Info" },
+};
+
+// Long reports are cut to this many findings until expanded
+const COLLAPSED_FINDINGS = 10;
+
+const shown = (value) => (value === null || value === undefined || value === "" ? "(blank)" : `"${value}"`);
+
+/**
+ * "Sheet health" panel: data-quality findings for the linked tab (GET /lint)
+ * with their sheet row numbers. Admins can preview the safe fixes (a dry run)
+ * and then apply them.
+ */
+function SheetHealth() {
+  const dispatch = useDispatch();
+  const { isAdmin } = useRole();
+
+  const lint = useSelector((s) => s.sheets?.lint);
+  const isLinting = useSelector((s) => s.sheets?.isLinting);
+  const lintError = useSelector((s) => s.sheets?.lintError);
+  const lintPreview = useSelector((s) => s.sheets?.lintPreview);
+  const isFixing = useSelector((s) => s.sheets?.isFixing);
+  const fixResult = useSelector((s) => s.sheets?.fixResult);
+  const fixError = useSelector((s) => s.sheets?.fixError);
+
+  const [expanded, setExpanded] = useState(false);
+
+  // Check once per sheet; the button re-checks
+  useEffect(() => {
+    if (!lint) dispatch({ type: SHEETS.LINT.REQUEST });
+  }, [dispatch, lint]);
+
+  const findings = lint?.findings || [];
+  const fixIds = useMemo(() => findings.filter((f) => f.fix).map((f) => f.id), [findings]);
+  const visible = expanded ? findings : findings.slice(0, COLLAPSED_FINDINGS);
+
+  const check = () => dispatch({ type: SHEETS.LINT.REQUEST });
+  const preview = () => dispatch({ type: SHEETS.LINT_FIX.REQUEST, payload: { ids: fixIds, dryRun: true } });
+  const apply = () =>
+    dispatch({ type: SHEETS.LINT_FIX.REQUEST, payload: { ids: lintPreview.changes.map((c) => c.id) } });
+  const cancel = () => dispatch({ type: SHEETS.LINT_PREVIEW_CLEAR });
+
+  return (
+    <Row className="mb-3">
+      <Col xs={12}>
+        <Card>
+          <Card.Body>
+            <div className="d-flex justify-content-between align-items-center">
+              <Card.Title className="mb-0">Sheet health</Card.Title>
+              <Button variant="outline-secondary" size="sm" onClick={check} disabled={isLinting}>
+                {isLinting ? "Checking…" : "Check again"}
+              </Button>
+            </div>
+
+            {isLinting && !lint && (
+              <div className="loading-wrap mt-2">
+                <Spinner animation="border" size="sm" role="status" />
+                <span className="loading-text">Checking the sheet…</span>
+              </div>
+            )}
+
+            {lintError && (
+              <Alert variant="danger" className="mt-2 mb-0">
+                {lintError.message || "Unknown error"}
+              </Alert>
+            )}
+
+            {lint && (
+              <div className="muted-text mt-2">
+                {lint.checkedRows} rows checked ·{" "}
+                {findings.length === 0
+                  ? "no problems found"
+                  : Object.entries(SEVERITY_BADGES)
+                      .filter(([severity]) => lint.counts?.[severity])
+                      .map(([severity, b]) => `${lint.counts[severity]} ${b.label.toLowerCase()}`)
+                      .join(", ")}
+              </div>
+            )}
+
+            {visible.length > 0 && (
+              <ListGroup variant="flush" className="mt-2">
+                {visible.map((f) => {
+                  const badge = SEVERITY_BADGES[f.severity] || SEVERITY_BADGES.info;
+                  return (
+                    <ListGroup.Item key={f.id} className="px-0">
+                      <Badge bg={badge.bg} text={badge.text} className="me-2">
+                        {badge.label}
+                      </Badge>
+                      <strong>Row {f.row}</strong> {f.message}
+                      {f.fix && <span className="muted-text"> (fixable)</span>}
+                    </ListGroup.Item>
+                  );
+                })}
+              </ListGroup>
+            )}
+
+            {findings.length > COLLAPSED_FINDINGS && (
+              <Button variant="link" size="sm" className="px-0" onClick={() => setExpanded((v) => !v)}>
+                {expanded ? "Show fewer" : `Show all ${findings.length}`}
+              </Button>
+            )}
+
+            {fixResult && (
+              <Alert variant={fixResult.failed > 0 ? "warning" : "success"} className="mt-2 mb-0">
+                Fixed {fixResult.succeeded} cell{fixResult.succeeded === 1 ? "" : "s"}
+                {fixResult.failed > 0 ? `; ${fixResult.failed} failed (the row changed meanwhile)` : ""}
+                {fixResult.skipped?.length > 0 ? `; ${fixResult.skipped.length} no longer applied` : ""}.
+              </Alert>
+            )}
+
+            {fixError && (
+              <Alert variant="danger" className="mt-2 mb-0">
+                {fixError.message || "Unknown error"}
+              </Alert>
+            )}
+
+            {isAdmin && fixIds.length > 0 && !lintPreview && (
+              <Button variant="primary" size="sm" className="mt-2" onClick={preview} disabled={isFixing}>
+                {isFixing ? "Preparing…" : `Preview ${fixIds.length} fix${fixIds.length === 1 ? "" : "es"}`}
+              </Button>
+            )}
+
+            {isAdmin && lintPreview && (
+              <div className="mt-3">
+                <div className="mb-2">
+                  <strong>These cells will be changed:</strong>
+                </div>
+                {lintPreview.changes.length === 0 ? (
+                  <div className="muted-text mb-2">Nothing left to fix; the sheet changed since it was checked.</div>
+                ) : (
+                  <Table size="sm" responsive className="mb-2">
+                    <thead>
+                      <tr>
+                        <th>Row</th>
+                        <th>Column</th>
+                        <th>Now</th>
+                        <th>Becomes</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {lintPreview.changes.map((c) => (
+                        <tr key={c.id}>
+                          <td>{c.row}</td>
+                          <td>{c.column}</td>
+                          <td>{shown(c.from)}</td>
+                          <td>{shown(c.to)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                )}
+                <div className="d-flex gap-2">
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    onClick={apply}
+                    disabled={isFixing || lintPreview.changes.length === 0}
+                  >
+                    {isFixing ? "Applying…" : `Apply ${lintPreview.changes.length}`}
+                  </Button>
+                  <Button variant="outline-secondary" size="sm" onClick={cancel} disabled={isFixing}>
+                    Cancel
+                  </Button>
+                </div>
+              </div>
+            )}
+          </Card.Body>
+        </Card>
+      </Col>
+    </Row>
+  );
+}
+
+export default SheetHealth;
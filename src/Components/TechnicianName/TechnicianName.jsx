@@ -0,0 +1,39 @@
+// TechnicianName.jsx
+import { Col, Form, InputGroup, Row } from "react-bootstrap";
+import { useDispatch, useSelector } from "react-redux";
+import { SHEETS } from "../../redux/sagas/googleSheets.saga"; // adjust path if needed
+
+/**
+ * Name written into the sheet's "Completed By" column when this browser
+ * completes a device (the server falls back to the signed-in username).
+ * Useful when a crew shares one account. Remembered across reloads.
+ */
+function TechnicianName() {
+  const dispatch = useDispatch();
+  const technicianName = useSelector((s) => s.sheets?.technicianName);
+
+  const handleChange = (e) => {
+    dispatch({ type: SHEETS.TECHNICIAN_SET, payload: { name: e.target.value } });
+  };
+
+  return (
+    <Row className="mb-3">
+      <Col xs={12}>
+        <InputGroup>
+          <InputGroup.Text>Technician</InputGroup.Text>
+          <Form.Control
+            type="text"
+            placeholder="Recorded as Completed By (defaults to your username)"
+            value={technicianName || ""}
+            onChange={handleChange}
+            maxLength={100}
+            autoComplete="name"
+            aria-label="Technician name"
+          />
+        </InputGroup>
+      </Col>
+    </Row>
+  );
+}
+
+export default TechnicianName;
@@ -9,12 +9,20 @@ import {
   Form,
   Button,
   InputGroup,
+  Badge,
 } from "react-bootstrap";
-import { useEffect } from "react";
+import { useEffect, useMemo } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import { SHEETS } from "../../redux/sagas/googleSheets.saga"; // adjust path if needed
 import useSheetSearch from "../../hooks/useSheetSearch";
+import useDeviceSelection from "../../hooks/useDeviceSelection";
+import useRowKeys from "../../hooks/useRowKeys";
+import useColumns from "../../hooks/useColumns";
+import { isTrue, formatCell } from "../../utils/cellTypes";
+import BulkActionBar from "../BulkActionBar/BulkActionBar";
+import useRole from "../../hooks/useRole";
+import useBackend from "../../hooks/useBackend";
 import "../Home/Home.css"; // reuse existing styles
 
 function Total() {
@@ -26,7 +34,12 @@ function Total() {
   const rows           = useSelector((s) => s.sheets?.rows);
   const isLoading      = useSelector((s) => s.sheets?.isLoading);
   const rowsError      = useSelector((s) => s.sheets?.rowsError);
+  const isStale        = useSelector((s) => s.sheets?.isStale);        // read-only fallback copy
+  const { canEdit } = useRole(); // viewers are read-only
+  const { basic } = useBackend(); // googleSheets.php has no batch route
   const updatingDevice = useSelector((s) => s.sheets?.updatingDevice); // for disabling while updating
+  const { keyColumn, keyOf, isDuplicate } = useRowKeys(); // cards are addressed by row key
+  const { get, has, typeOf } = useColumns(); // logical fields -> this tab's headers
 
   // Fetch rows if we have a linked sheet but no data yet
   useEffect(() => {
@@ -40,29 +53,42 @@ function Total() {
 
   const handleSearchChange = (e) => setQuery(e.target.value);
 
-  const isTrue = (v) => (typeof v === "boolean" ? v : String(v ?? "").trim().toLowerCase() === "true");
+  // ---- Multi-select for bulk actions (limited to the cards on screen) ----
+  // Duplicated keys can't be written, so they can't be selected either
+  const visibleDevices = useMemo(
+    () => filtered.filter((it) => !isDuplicate(it)).map(keyOf).filter(Boolean),
+    [filtered, keyOf, isDuplicate]
+  );
+  const selection = useDeviceSelection(visibleDevices);
+
   const ciEq = (a, b) =>
     String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
 
   // Dispatch saga to mark as completed
-  const markCompleted = (device) => {
-    const d = String(device || "").trim();
-    if (!d) return;
-    dispatch({ type: SHEETS.COMPLETE.REQUEST, payload: { device: d } });
+  const markCompleted = (obj) => {
+    const key = keyOf(obj);
+    if (!key) return;
+    dispatch({ type: SHEETS.COMPLETE.REQUEST, payload: { key, device: get(obj, "device") } });
+  };
+
+  // Navigate to /computers?id={row key}
+  const goToDevice = (key) => {
+    const k = String(key || "").trim();
+    if (!k) return;
+    navigate(`/computers?id=${encodeURIComponent(k)}`);
   };
 
-  // Navigate to /computers?id={Device}
-  const goToDevice = (device) => {
-    const d = String(device || "").trim();
-    if (!d) return;
-    navigate(`/computers?id=${encodeURIComponent(d)}`);
+  // In select mode a card press toggles selection instead of navigating
+  const openOrToggle = (key, duplicate) => {
+    if (!selection.selecting) goToDevice(key);
+    else if (!duplicate) selection.toggle(key);
   };
 
   // Keyboard support for cards
-  const onCardKey = (e, device) => {
+  const onCardKey = (e, key, duplicate) => {
     if (e.key === "Enter" || e.key === " ") {
       e.preventDefault();
-      goToDevice(device);
+      openOrToggle(key, duplicate);
     }
   };
 
@@ -108,6 +134,15 @@ function Total() {
         </Col>
       </Row>
 
+      {/* Bulk actions */}
+      {!isLoading && !rowsError && canEdit && !basic && (
+        <Row>
+          <Col xs={12}>
+            <BulkActionBar selection={selection} disabled={isStale} />
+          </Col>
+        </Row>
+      )}
+
       {/* Loading / error */}
       {isLoading && (
         <Row className="mb-3">
@@ -134,17 +169,20 @@ function Total() {
       {!isLoading && !rowsError && (
         <Row className="cards-row">
           {filtered.map((obj, idx) => {
-            const device = obj["Device"] || "";
-            const completed = isTrue(obj["Completed"]);
-            const isUpdatingThis = updatingDevice && ciEq(updatingDevice, device);
-            const isClickable = device.trim().length > 0;
+            const device = get(obj, "device") || "";
+            const rowKey = keyOf(obj);
+            const duplicate = isDuplicate(obj);
+            const completed = isTrue(get(obj, "status"));
+            const isUpdatingThis = updatingDevice && ciEq(updatingDevice, rowKey);
+            const isClickable = rowKey.length > 0;
+            const isSelectedThis = selection.isSelected(rowKey);
 
             return (
               <Col key={idx} xs={12} sm={12} md={6} lg={4} className="mb-3">
                 <Card
-                  className="device-card"
-                  onClick={isClickable ? () => goToDevice(device) : undefined}
-                  onKeyDown={isClickable ? (e) => onCardKey(e, device) : undefined}
+                  className={`device-card${isSelectedThis ? " is-selected" : ""}`}
+                  onClick={isClickable ? () => openOrToggle(rowKey, duplicate) : undefined}
+                  onKeyDown={isClickable ? (e) => onCardKey(e, rowKey, duplicate) : undefined}
                   role={isClickable ? "button" : undefined}
                   tabIndex={isClickable ? 0 : undefined}
                   style={{
@@ -152,25 +190,51 @@ function Total() {
                     backgroundColor: completed ? "rgba(40, 167, 69, 0.10)" : undefined,
                     borderColor: completed ? "rgba(40, 167, 69, 0.35)" : undefined,
                   }}
-                  aria-label={isClickable ? `Open details for ${device}` : undefined}
+                  aria-label={
+                    isClickable
+                      ? selection.selecting
+                        ? `Select ${device}`
+                        : `Open details for ${device}`
+                      : undefined
+                  }
+                  aria-pressed={selection.selecting ? isSelectedThis : undefined}
                 >
                   <Card.Body>
                     <div className="d-flex justify-content-between align-items-start">
                       <Card.Title className="device-title mb-0">
+                        {selection.selecting && isClickable && !duplicate && (
+                          <Form.Check
+                            type="checkbox"
+                            inline
+                            checked={isSelectedThis}
+                            readOnly
+                            tabIndex={-1}
+                            aria-hidden="true"
+                          />
+                        )}
                         {device || "Device"}
+                        {duplicate && (
+                          <Badge
+                            bg="danger"
+                            className="ms-2"
+                            title={`Several rows share this ${keyColumn}; fix the sheet before editing them.`}
+                          >
+                            Duplicate
+                          </Badge>
+                        )}
                       </Card.Title>
 
                       {/* Show Complete button only when NOT completed */}
-                      {!completed && (
+                      {!completed && !selection.selecting && (
                         <Button
                           variant="success"
                           size="sm"
                           onClick={(e) => {
                             e.stopPropagation();
-                            markCompleted(device);
+                            markCompleted(obj);
                           }}
                           aria-label={`Mark ${device || "device"} as complete`}
-                          disabled={isUpdatingThis}
+                          disabled={isUpdatingThis || isStale || !canEdit || duplicate}
                         >
                           {isUpdatingThis ? "Updating…" : "Complete"}
                         </Button>
@@ -179,35 +243,49 @@ function Total() {
 
                     <div className="kv">
                       <span className="k">IP Address</span>
-                      <span className="v">{obj["IP Address"] || "-"}</span>
+                      <span className="v">{get(obj, "ip") || "-"}</span>
                     </div>
 
                     <div className="kv">
                       <span className="k">Equipment Type</span>
-                      <span className="v">{obj["Equipment Type"] || "-"}</span>
+                      <span className="v">{get(obj, "type") || "-"}</span>
                     </div>
 
                     <div className="kv">
                       <span className="k">Mfr</span>
-                      <span className="v">{obj["Mfr"] || "-"}</span>
+                      <span className="v">{get(obj, "manufacturer") || "-"}</span>
                     </div>
 
                     <div className="kv">
                       <span className="k">Model Name</span>
                       <span className="v">
-                        {obj["*Model Name"] || obj["Model Name"] || "-"}
+                        {get(obj, "model") || "-"}
                       </span>
                     </div>
 
                     <div className="kv">
                       <span className="k">Comment</span>
-                      <span className="v">{obj["Comment"] || "-"}</span>
+                      <span className="v">{get(obj, "comment") || "-"}</span>
                     </div>
 
                     <div className="kv">
                       <span className="k">Completed</span>
                       <span className="v">{completed ? "true" : "false"}</span>
                     </div>
+
+                    {has("completedAt") && (
+                      <div className="kv">
+                        <span className="k">Completed At</span>
+                        <span className="v">{formatCell(get(obj, "completedAt"), typeOf("completedAt")) || "-"}</span>
+                      </div>
+                    )}
+
+                    {has("completedBy") && (
+                      <div className="kv">
+                        <span className="k">Completed By</span>
+                        <span className="v">{get(obj, "completedBy") || "-"}</span>
+                      </div>
+                    )}
                   </Card.Body>
                 </Card>
               </Col>
@@ -0,0 +1,27 @@
+// UserMenu.jsx
+import { Badge, Button } from "react-bootstrap";
+import { useDispatch, useSelector } from "react-redux";
+
+/** "Signed in as …" with the user's role and a log out button. */
+function UserMenu() {
+  const dispatch = useDispatch();
+  const user = useSelector((s) => s.user);
+
+  if (!user?.id) return null;
+
+  return (
+    <div className="d-flex justify-content-end align-items-center gap-2 mb-2">
+      <span className="muted-text">
+        Signed in as <strong>{user.username}</strong>
+      </span>
+      <Badge bg={user.role === "admin" ? "dark" : user.role === "technician" ? "primary" : "secondary"}>
+        {user.role}
+      </Badge>
+      <Button size="sm" variant="outline-secondary" onClick={() => dispatch({ type: "LOGOUT" })}>
+        Log out
+      </Button>
+    </div>
+  );
+}
+
+export default UserMenu;
@@ -0,0 +1,14 @@
+// src/hooks/useBackend.js
+import { useSelector } from "react-redux";
+import { selectIsBasicBackend } from "../redux/backend";
+
+/**
+ * useBackend
+ * - basic: the server is googleSheets.php, which only links a sheet, reads
+ *   rows and marks them complete / incomplete. Projects, column mapping,
+ *   bulk actions, history, notes, data-quality checks and live updates are
+ *   Node-only, so pages hide them.
+ */
+export default function useBackend() {
+  return { basic: useSelector(selectIsBasicBackend) };
+}
@@ -0,0 +1,27 @@
+// src/hooks/useColumns.js
+import { useCallback } from "react";
+import { useSelector } from "react-redux";
+import { DEFAULT_COLUMNS, fieldOf } from "../utils/columns";
+
+/**
+ * useColumns
+ * - columns: { field: header name | null } for the linked tab
+ * - get(record, field): a card's value for a logical field ("" when unmapped)
+ * - has(field): whether the tab has a column for the field
+ * - typeOf(field): the field's cell type on this tab (see utils/cellTypes)
+ *
+ * Returns:
+ *   { columns, types, get, has, typeOf }
+ */
+const NO_TYPES = {};
+
+export default function useColumns() {
+  const columns = useSelector((s) => s.sheets?.columns) || DEFAULT_COLUMNS;
+  const types = useSelector((s) => s.sheets?.types) || NO_TYPES;
+
+  const get = useCallback((record, field) => fieldOf(record, columns, field), [columns]);
+  const has = useCallback((field) => !!columns[field], [columns]);
+  const typeOf = useCallback((field) => types[columns[field]] || "string", [columns, types]);
+
+  return { columns, types, get, has, typeOf };
+}
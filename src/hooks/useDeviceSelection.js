@@ -0,0 +1,61 @@
+// src/hooks/useDeviceSelection.js
+import { useCallback, useMemo, useState } from "react";
+
+/**
+ * useDeviceSelection
+ * - Tracks a multi-select mode and the set of selected row keys
+ * - Keys are compared case-insensitively (like the sheet lookups)
+ * - `visibleDevices` limits "select all" to what the grid currently shows
+ *
+ * Returns:
+ *   { selecting, setSelecting, selected, isSelected, toggle, selectAll, clear, count }
+ */
+export default function useDeviceSelection(visibleDevices) {
+  const [selecting, setSelectingState] = useState(false);
+  const [selectedMap, setSelectedMap] = useState(() => new Map()); // lower -> original
+
+  const keyOf = (device) => String(device ?? "").trim().toLowerCase();
+
+  const isSelected = useCallback((device) => selectedMap.has(keyOf(device)), [selectedMap]);
+
+  const toggle = useCallback((device) => {
+    const key = keyOf(device);
+    if (!key) return;
+    setSelectedMap((prev) => {
+      const next = new Map(prev);
+      if (next.has(key)) next.delete(key);
+      else next.set(key, String(device).trim());
+      return next;
+    });
+  }, []);
+
+  const selectAll = useCallback(() => {
+    const next = new Map();
+    (visibleDevices || []).forEach((d) => {
+      const key = keyOf(d);
+      if (key) next.set(key, String(d).trim());
+    });
+    setSelectedMap(next);
+  }, [visibleDevices]);
+
+  const clear = useCallback(() => setSelectedMap(new Map()), []);
+
+  // Leaving select mode always drops the selection
+  const setSelecting = useCallback((on) => {
+    setSelectingState(!!on);
+    if (!on) setSelectedMap(new Map());
+  }, []);
+
+  const selected = useMemo(() => [...selectedMap.values()], [selectedMap]);
+
+  return {
+    selecting,
+    setSelecting,
+    selected,
+    isSelected,
+    toggle,
+    selectAll,
+    clear,
+    count: selected.length,
+  };
+}
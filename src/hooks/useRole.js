@@ -0,0 +1,23 @@
+// src/hooks/useRole.js
+import { useSelector } from "react-redux";
+
+// Mirrors server/auth/roles.js: each role includes the ones before it
+const ROLES = ["viewer", "technician", "admin"];
+
+/**
+ * useRole
+ * - Reads the signed-in user's role from state.user
+ * - canEdit: technician or admin (complete / comment / bulk actions)
+ * - isAdmin: link sheets, manage projects
+ *
+ * The server enforces the same rules; this only hides what would be refused.
+ */
+export default function useRole() {
+  const role = useSelector((s) => s.user?.role) || null;
+  const rank = ROLES.indexOf(role);
+  return {
+    role,
+    canEdit: rank >= ROLES.indexOf("technician"),
+    isAdmin: rank >= ROLES.indexOf("admin"),
+  };
+}
@@ -0,0 +1,31 @@
+// src/hooks/useRowKeys.js
+import { useCallback, useMemo } from "react";
+import { useSelector } from "react-redux";
+import { normalizeKey, recordKeyOf } from "../utils/rowKeys";
+import useColumns from "./useColumns";
+
+/**
+ * useRowKeys
+ * - keyOf(record): the key writes and links use for a card's row
+ * - isDuplicate(record): the key is shared by several rows, so the server
+ *   would refuse a write to it (the sheet needs fixing first)
+ *
+ * Returns:
+ *   { keyColumn, keyOf, isDuplicate }
+ */
+export default function useRowKeys() {
+  const { columns } = useColumns();
+  const keyColumn = useSelector((s) => s.sheets?.keyColumn) || columns.device || "Device";
+  const duplicateKeys = useSelector((s) => s.sheets?.duplicateKeys);
+
+  const duplicates = useMemo(() => new Set((duplicateKeys || []).map(normalizeKey)), [duplicateKeys]);
+
+  const keyOf = useCallback((record) => recordKeyOf(record, columns), [columns]);
+
+  const isDuplicate = useCallback(
+    (record) => duplicates.has(normalizeKey(keyOf(record))),
+    [duplicates, keyOf]
+  );
+
+  return { keyColumn, keyOf, isDuplicate };
+}
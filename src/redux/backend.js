@@ -0,0 +1,23 @@
+// redux/backend.js
+// Which server the client is talking to.
+//
+// The Node server has accounts, projects and the newer routes. googleSheets.php
+// (the PHP backend) only has /api/googleSheets/{link,rows,complete,incomplete,comment},
+// no login and an optional shared X-API-Key. It marks every response with
+// `X-Backend: php`, which is how the client tells the two apart when GET
+// /api/auth/me fails there (see user.saga.js).
+
+// Routes of the PHP backend; the Node server serves them too (default project)
+export const BASIC_API_BASE = "/api/googleSheets";
+
+// The PHP backend's shared key (VITE_API_KEY), sent only once that backend identified itself
+export const basicApiHeaders = (state) =>
+  state.user?.backend === "php" && import.meta.env.VITE_API_KEY
+    ? { "x-api-key": import.meta.env.VITE_API_KEY }
+    : {};
+
+/** Whether a failed response came from the PHP backend. */
+export const isBasicBackendResponse = (response) => response?.headers?.["x-backend"] === "php";
+
+/** True once the server turned out to be the PHP backend (no accounts). */
+export const selectIsBasicBackend = (state) => state.user?.accounts === false;
@@ -1,5 +1,6 @@
 import { combineReducers } from "redux";
 import errors from "./errors.reducer";
+import user from "./user.reducer";
 import googleSheetsReducer from "./googleSheets.reducer";
 
 // rootReducer is the primary reducer for our entire project
@@ -10,6 +11,7 @@ import googleSheetsReducer from "./googleSheets.reducer";
 // This is what we get when we use 'state' inside of 'mapStateToProps'
 const rootReducer = combineReducers({
   errors, // contains registrationMessage and loginMessage
+  user, // the signed-in user: id, username, role
   sheets: googleSheetsReducer,
 });
 
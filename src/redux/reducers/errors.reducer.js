@@ -26,7 +26,8 @@ const registrationMessage = (state = '', action) => {
     case 'REGISTRATION_INPUT_ERROR':
       return 'Choose a username and password!';
     case 'REGISTRATION_FAILED':
-      return "Oops! That didn't work. The username might already be taken. Try again!";
+      // the server explains what was wrong (taken name, short password, ...)
+      return action.payload || "Oops! That didn't work. The username might already be taken. Try again!";
     default:
       return state;
   }
@@ -1,10 +1,29 @@
 // redux/reducers/googleSheets.reducer.js
+import { loadSelectedProjectId } from "../selectedProject";
+import { loadTechnicianName } from "../technician";
+import { normalizeKey, rowKeyAt } from "../../utils/rowKeys";
+import { DEFAULT_COLUMNS } from "../../utils/columns";
 
 const TYPES = {
+  PROJECTS_REQUEST: "GOOGLE_SHEETS/PROJECTS_REQUEST",
+  PROJECTS_SUCCESS: "GOOGLE_SHEETS/PROJECTS_SUCCESS",
+  PROJECTS_FAILURE: "GOOGLE_SHEETS/PROJECTS_FAILURE",
+
+  PROJECT_CREATE_REQUEST: "GOOGLE_SHEETS/PROJECT_CREATE_REQUEST",
+  PROJECT_CREATE_SUCCESS: "GOOGLE_SHEETS/PROJECT_CREATE_SUCCESS",
+  PROJECT_CREATE_FAILURE: "GOOGLE_SHEETS/PROJECT_CREATE_FAILURE",
+
+  PROJECT_SELECT: "GOOGLE_SHEETS/PROJECT_SELECT",
+  TECHNICIAN_SET: "GOOGLE_SHEETS/TECHNICIAN_SET",
+
   LINK_REQUEST: "GOOGLE_SHEETS/LINK_REQUEST",
   LINK_SUCCESS: "GOOGLE_SHEETS/LINK_SUCCESS",
   LINK_FAILURE: "GOOGLE_SHEETS/LINK_FAILURE",
 
+  TABS_REQUEST: "GOOGLE_SHEETS/TABS_REQUEST",
+  TABS_SUCCESS: "GOOGLE_SHEETS/TABS_SUCCESS",
+  TABS_FAILURE: "GOOGLE_SHEETS/TABS_FAILURE",
+
   ROWS_REQUEST: "GOOGLE_SHEETS/ROWS_REQUEST",
   ROWS_SUCCESS: "GOOGLE_SHEETS/ROWS_SUCCESS",
   ROWS_FAILURE: "GOOGLE_SHEETS/ROWS_FAILURE",
@@ -20,63 +39,328 @@ const TYPES = {
   COMMENT_UPDATE_REQUEST: "GOOGLE_SHEETS/COMMENT_UPDATE_REQUEST",
   COMMENT_UPDATE_SUCCESS: "GOOGLE_SHEETS/COMMENT_UPDATE_SUCCESS",
   COMMENT_UPDATE_FAILURE: "GOOGLE_SHEETS/COMMENT_UPDATE_FAILURE",
+  COMMENT_CONFLICT_CLEAR: "GOOGLE_SHEETS/COMMENT_CONFLICT_CLEAR",
+
+  COLUMNS_SAVE_REQUEST: "GOOGLE_SHEETS/COLUMNS_SAVE_REQUEST",
+  COLUMNS_SAVE_SUCCESS: "GOOGLE_SHEETS/COLUMNS_SAVE_SUCCESS",
+  COLUMNS_SAVE_FAILURE: "GOOGLE_SHEETS/COLUMNS_SAVE_FAILURE",
+
+  BATCH_REQUEST: "GOOGLE_SHEETS/BATCH_REQUEST",
+  BATCH_SUCCESS: "GOOGLE_SHEETS/BATCH_SUCCESS",
+  BATCH_FAILURE: "GOOGLE_SHEETS/BATCH_FAILURE",
+
+  HISTORY_REQUEST: "GOOGLE_SHEETS/HISTORY_REQUEST",
+  HISTORY_SUCCESS: "GOOGLE_SHEETS/HISTORY_SUCCESS",
+  HISTORY_FAILURE: "GOOGLE_SHEETS/HISTORY_FAILURE",
+
+  NOTES_REQUEST: "GOOGLE_SHEETS/NOTES_REQUEST",
+  NOTES_SUCCESS: "GOOGLE_SHEETS/NOTES_SUCCESS",
+  NOTES_FAILURE: "GOOGLE_SHEETS/NOTES_FAILURE",
+  NOTE_ADD_REQUEST: "GOOGLE_SHEETS/NOTE_ADD_REQUEST",
+  NOTE_ADD_SUCCESS: "GOOGLE_SHEETS/NOTE_ADD_SUCCESS",
+  NOTE_ADD_FAILURE: "GOOGLE_SHEETS/NOTE_ADD_FAILURE",
+
+  LINT_REQUEST: "GOOGLE_SHEETS/LINT_REQUEST",
+  LINT_SUCCESS: "GOOGLE_SHEETS/LINT_SUCCESS",
+  LINT_FAILURE: "GOOGLE_SHEETS/LINT_FAILURE",
+  LINT_FIX_REQUEST: "GOOGLE_SHEETS/LINT_FIX_REQUEST",
+  LINT_FIX_SUCCESS: "GOOGLE_SHEETS/LINT_FIX_SUCCESS",
+  LINT_FIX_FAILURE: "GOOGLE_SHEETS/LINT_FIX_FAILURE",
+  LINT_PREVIEW_CLEAR: "GOOGLE_SHEETS/LINT_PREVIEW_CLEAR",
+
+  LIVE_STATUS: "GOOGLE_SHEETS/LIVE_STATUS",
+  LIVE_CHANGE: "GOOGLE_SHEETS/LIVE_CHANGE",
+  LIVE_NOTE: "GOOGLE_SHEETS/LIVE_NOTE",
 
   CLEAR_ROWS: "GOOGLE_SHEETS/CLEAR_ROWS",
   RESET: "GOOGLE_SHEETS/RESET",
 };
 
-const initialState = {
+// Everything tied to the selected project's sheet; cleared on project switch
+const sheetState = {
   rows: [],
+  rowVersions: {},             // row key (lowercase) -> server version of its row, sent back on writes
+  columns: DEFAULT_COLUMNS,     // logical field -> header name on the linked tab (from GET /rows)
+  types: {},                   // header -> cell type ("boolean", "date", ...; see utils/cellTypes)
+  keyColumn: "Device",         // column rows are keyed by ("Asset Tag" when the sheet has one)
+  duplicateKeys: [],           // keys shared by several rows; writes to them are refused
   spreadsheetId: null,
   spreadsheetTitle: null,
+  sheetId: null,
   sheetTitle: null,
 
   isLinking: false,
   linkError: null,
 
+  tabs: [],                    // tab picker options for tabsSpreadsheetId
+  tabsSpreadsheetId: null,
+  isLoadingTabs: false,
+  tabsError: null,
+
   isLoading: false,
   rowsError: null,
+  isStale: false,              // server served its last good copy (read-only)
+  fetchedAt: null,             // when the server last read the sheet
+  liveConnected: false,        // subscribed to the server's change stream
 
-  updatingDevice: null,        // for complete/incomplete buttons
+  updatingDevice: null,        // row key, for complete/incomplete buttons
   toggleError: null,
 
-  updatingCommentFor: null,    // for comment editing
+  updatingCommentFor: null,    // row key, for comment editing
   commentError: null,
+  commentConflict: null,       // { key, mine, theirs, version } after a 409 on save
+
+  isSavingColumns: false,      // column mapping editor
+  columnsError: null,
+
+  batchDevices: [],            // row keys in the in-flight bulk operation
+  batchResult: null,           // { succeeded, failed, results } of the last bulk operation
+  batchError: null,
+
+  historyKey: null,            // row key whose change timeline is loaded
+  historyDevice: null,         // its Device name (older audit entries only carry that)
+  history: [],                 // audit entries, newest first
+  isLoadingHistory: false,
+  historyError: null,
+
+  notesKey: null,              // row key whose notes thread is loaded
+  notes: [],                   // { id, author, createdAt, text }, oldest first
+  isLoadingNotes: false,
+  notesError: null,
+  addingNoteFor: null,         // row key with a note being saved
+  noteError: null,
+
+  lint: null,                  // { findings, counts, checkedRows } from GET /lint
+  isLinting: false,
+  lintError: null,
+  lintPreview: null,           // { changes, skipped } of a dry-run fix, awaiting confirmation
+  isFixing: false,
+  fixResult: null,             // { succeeded, failed, skipped } of the last applied fix
+  fixError: null,
 
   updatedAt: null,
 };
 
+const initialState = {
+  ...sheetState,
+
+  projects: [],
+  selectedProjectId: loadSelectedProjectId(),
+  isLoadingProjects: false,
+  projectsError: null,
+  isCreatingProject: false,
+  projectCreateError: null,
+
+  technicianName: loadTechnicianName(), // stamped into "Completed By"
+};
+
+/**
+ * Optimistically apply [{ key, colName, value }] to the raw rows.
+ * Keys match case-insensitively; unknown columns are skipped.
+ */
+function setRowCells(rows, updates, columns) {
+  if (!Array.isArray(rows) || rows.length === 0 || updates.length === 0) return rows;
+  const header = rows[0] || [];
+  const colOf = (name) =>
+    name ? header.findIndex((h) => String(h || "").trim().toLowerCase() === name.toLowerCase()) : -1;
+  if (colOf(columns.device) === -1) return rows;
+
+  const byKey = new Map();
+  updates.forEach(({ key, colName, value }) => {
+    const colIdx = colOf(colName);
+    if (colIdx === -1) return;
+    const k = normalizeKey(key);
+    byKey.set(k, [...(byKey.get(k) || []), [colIdx, value]]);
+  });
+  if (byKey.size === 0) return rows;
+
+  return rows.map((row, ri) => {
+    if (ri === 0) return row;
+    const cells = byKey.get(normalizeKey(rowKeyAt(row, header, columns)));
+    if (!cells) return row;
+    const next = row.slice();
+    cells.forEach(([colIdx, value]) => {
+      next[colIdx] = value;
+    });
+    return next;
+  });
+}
+
+/** Cell updates the server confirmed: { [colName]: value } for one row. */
+function updatesFromCells(key, cells) {
+  return Object.entries(cells || {}).map(([colName, value]) => ({ key, colName, value }));
+}
+
+/**
+ * Cell updates an operation implies (mirrors the server's batch ops), by the
+ * tab's mapped columns. The completion stamp is only known once the server answers.
+ */
+function updatesForOperation({ key, op, comment }, columns) {
+  const cell = (field, value) => (columns[field] ? [{ key, colName: columns[field], value }] : []);
+  if (op === "complete") return cell("status", true);
+  if (op === "incomplete") {
+    return [...cell("status", false), ...cell("completedAt", null), ...cell("completedBy", null)];
+  }
+  if (op === "comment") return cell("comment", String(comment ?? ""));
+  return [];
+}
+
+/** key -> version from GET /rows (`versions` is aligned with `rows`; duplicate keys are skipped). */
+function versionsFromRows(rows, versions, columns) {
+  const header = rows[0] || [];
+  const byKey = {};
+  const seen = new Set();
+  rows.forEach((row, i) => {
+    const key = normalizeKey(rowKeyAt(row, header, columns));
+    if (i === 0 || !key) return;
+    if (seen.has(key)) delete byKey[key];
+    else if (versions[i]) byKey[key] = versions[i];
+    seen.add(key);
+  });
+  return byKey;
+}
+
+/** Record the new row versions from [{ key, version }] (entries without one are skipped). */
+function withVersions(rowVersions, updates) {
+  const next = { ...rowVersions };
+  let changed = false;
+  updates.forEach(({ key, version }) => {
+    if (!key || !version) return;
+    next[normalizeKey(key)] = version;
+    changed = true;
+  });
+  return changed ? next : rowVersions;
+}
+
+/** Append a note to the thread unless it is already there (our own note also arrives live). */
+function withNote(notes, note) {
+  if (!note?.id || notes.some((n) => n.id === note.id)) return notes;
+  return [...notes, note];
+}
+
+/** Sheet fields known from the project list (lets Home skip the link card). */
+function sheetFieldsFromProject(project) {
+  return {
+    spreadsheetId: project?.spreadsheetId || null,
+    sheetId: project?.sheetId ?? null,
+    sheetTitle: project?.sheetTitle || null,
+  };
+}
+
 export default function googleSheetsReducer(state = initialState, action) {
   switch (action.type) {
+    // ----- Projects -----
+    case TYPES.PROJECTS_REQUEST:
+      return { ...state, isLoadingProjects: true, projectsError: null };
+    case TYPES.PROJECTS_SUCCESS: {
+      const projects = Array.isArray(action.payload?.projects) ? action.payload.projects : [];
+      const selected = projects.find((p) => p.id === state.selectedProjectId);
+      return {
+        ...state,
+        isLoadingProjects: false,
+        projectsError: null,
+        projects,
+        ...(selected && !state.spreadsheetId ? sheetFieldsFromProject(selected) : {}),
+      };
+    }
+    case TYPES.PROJECTS_FAILURE:
+      return { ...state, isLoadingProjects: false, projectsError: action.payload || { message: "Failed to load projects." } };
+
+    case TYPES.PROJECT_CREATE_REQUEST:
+      return { ...state, isCreatingProject: true, projectCreateError: null };
+    case TYPES.PROJECT_CREATE_SUCCESS: {
+      const project = action.payload?.project;
+      return {
+        ...state,
+        isCreatingProject: false,
+        projectCreateError: null,
+        projects: project ? [...state.projects.filter((p) => p.id !== project.id), project] : state.projects,
+      };
+    }
+    case TYPES.PROJECT_CREATE_FAILURE:
+      return { ...state, isCreatingProject: false, projectCreateError: action.payload || { message: "Failed to create project." } };
+
+    case TYPES.PROJECT_SELECT: {
+      const projectId = action.payload?.projectId;
+      if (!projectId || projectId === state.selectedProjectId) return state;
+      const project = state.projects.find((p) => p.id === projectId);
+      return {
+        ...state,
+        ...sheetState,
+        selectedProjectId: projectId,
+        ...sheetFieldsFromProject(project),
+      };
+    }
+
+    case TYPES.TECHNICIAN_SET:
+      return { ...state, technicianName: String(action.payload?.name ?? "") };
+
     // ----- Link flow -----
     case TYPES.LINK_REQUEST:
       return { ...state, isLinking: true, linkError: null };
     case TYPES.LINK_SUCCESS: {
-      const { spreadsheetId, spreadsheetTitle } = action.payload || {};
+      const { spreadsheetId, spreadsheetTitle, sheetId, sheetTitle } = action.payload || {};
       return {
         ...state,
         isLinking: false,
         linkError: null,
         spreadsheetId: spreadsheetId ?? state.spreadsheetId,
         spreadsheetTitle: spreadsheetTitle ?? state.spreadsheetTitle,
+        sheetId: sheetId ?? state.sheetId,
+        sheetTitle: sheetTitle ?? state.sheetTitle,
+        tabs: [],
+        tabsSpreadsheetId: null,
+        lint: null,
+        lintPreview: null,
+        fixResult: null,
       };
     }
     case TYPES.LINK_FAILURE:
       return { ...state, isLinking: false, linkError: action.payload || { message: "Failed to link spreadsheet." } };
 
+    // ----- Tabs (picker) flow -----
+    case TYPES.TABS_REQUEST:
+      return { ...state, isLoadingTabs: true, tabsError: null, tabs: [], tabsSpreadsheetId: null };
+    case TYPES.TABS_SUCCESS: {
+      const { spreadsheetId, tabs = [] } = action.payload || {};
+      return {
+        ...state,
+        isLoadingTabs: false,
+        tabsError: null,
+        tabs: Array.isArray(tabs) ? tabs : [],
+        tabsSpreadsheetId: spreadsheetId || null,
+      };
+    }
+    case TYPES.TABS_FAILURE:
+      return { ...state, isLoadingTabs: false, tabsError: action.payload || { message: "Failed to list tabs." } };
+
     // ----- Rows flow -----
     case TYPES.ROWS_REQUEST:
       return { ...state, isLoading: true, rowsError: null };
     case TYPES.ROWS_SUCCESS: {
-      const { spreadsheetId, spreadsheetTitle, sheetTitle, rows = [] } = action.payload || {};
+      const {
+        spreadsheetId, spreadsheetTitle, sheetId, sheetTitle,
+        rows = [], versions = [], columns, types, keyColumn, duplicates = [], stale, fetchedAt,
+      } = action.payload || {};
+      const nextRows = Array.isArray(rows) ? rows : [];
+      // Fields the tab lacks come back as null, so they override the defaults
+      const nextColumns = columns && typeof columns === "object" ? { ...DEFAULT_COLUMNS, ...columns } : DEFAULT_COLUMNS;
       return {
         ...state,
         isLoading: false,
         rowsError: null,
         spreadsheetId: spreadsheetId ?? state.spreadsheetId,
         spreadsheetTitle: spreadsheetTitle ?? state.spreadsheetTitle,
+        sheetId: sheetId ?? state.sheetId,
         sheetTitle: sheetTitle ?? state.sheetTitle,
-        rows: Array.isArray(rows) ? rows : [],
+        rows: nextRows,
+        rowVersions: versionsFromRows(nextRows, Array.isArray(versions) ? versions : [], nextColumns),
+        columns: nextColumns,
+        types: types && typeof types === "object" ? types : {},
+        keyColumn: keyColumn || nextColumns.device || "Device",
+        duplicateKeys: Array.isArray(duplicates) ? duplicates : [],
+        isStale: !!stale,
+        fetchedAt: fetchedAt || null,
         updatedAt: new Date().toISOString(),
       };
     }
@@ -85,94 +369,230 @@ export default function googleSheetsReducer(state = initialState, action) {
 
     // ----- COMPLETE (optimistic true) -----
     case TYPES.COMPLETE_REQUEST: {
-      const device = String(action?.payload?.device || "").trim();
-      if (!device || !Array.isArray(state.rows) || state.rows.length === 0) {
-        return { ...state, updatingDevice: device || null, toggleError: null };
-      }
-      const header = state.rows[0] || [];
-      const deviceIdx = header.findIndex((h) => String(h || "").trim().toLowerCase() === "device");
-      const completedIdx = header.findIndex((h) => String(h || "").trim().toLowerCase() === "completed");
-      if (deviceIdx === -1 || completedIdx === -1) {
-        return { ...state, updatingDevice: device, toggleError: null };
+      const key = String(action?.payload?.key || action?.payload?.device || "").trim();
+      if (!key) {
+        return { ...state, updatingDevice: null, toggleError: null };
       }
-      const newRows = state.rows.map((row, ri) => {
-        if (ri === 0) return row;
-        const matches =
-          String(row?.[deviceIdx] ?? "").trim().toLowerCase() === device.toLowerCase();
-        if (!matches) return row;
-        const next = row.slice();
-        next[completedIdx] = true;
-        return next;
-      });
-      return { ...state, updatingDevice: device, toggleError: null, rows: newRows };
-    }
-    case TYPES.COMPLETE_SUCCESS:
-      return { ...state, updatingDevice: null, toggleError: null };
+      const updates = updatesForOperation({ key, op: "complete" }, state.columns);
+      const rows = setRowCells(state.rows, updates, state.columns);
+      return { ...state, updatingDevice: key, toggleError: null, rows };
+    }
+    case TYPES.COMPLETE_SUCCESS: {
+      const { key, cells, version } = action.payload || {};
+      const rows = setRowCells(state.rows, updatesFromCells(key, cells), state.columns);
+      const rowVersions = withVersions(state.rowVersions, [{ key, version }]);
+      return { ...state, updatingDevice: null, toggleError: null, rows, rowVersions };
+    }
     case TYPES.COMPLETE_FAILURE:
       return { ...state, updatingDevice: null, toggleError: action.payload || { message: "Failed to mark complete." } };
 
     // ----- INCOMPLETE (optimistic false) -----
     case TYPES.INCOMPLETE_REQUEST: {
-      const device = String(action?.payload?.device || "").trim();
-      if (!device || !Array.isArray(state.rows) || state.rows.length === 0) {
-        return { ...state, updatingDevice: device || null, toggleError: null };
-      }
-      const header = state.rows[0] || [];
-      const deviceIdx = header.findIndex((h) => String(h || "").trim().toLowerCase() === "device");
-      const completedIdx = header.findIndex((h) => String(h || "").trim().toLowerCase() === "completed");
-      if (deviceIdx === -1 || completedIdx === -1) {
-        return { ...state, updatingDevice: device, toggleError: null };
+      const key = String(action?.payload?.key || action?.payload?.device || "").trim();
+      if (!key) {
+        return { ...state, updatingDevice: null, toggleError: null };
       }
-      const newRows = state.rows.map((row, ri) => {
-        if (ri === 0) return row;
-        const matches =
-          String(row?.[deviceIdx] ?? "").trim().toLowerCase() === device.toLowerCase();
-        if (!matches) return row;
-        const next = row.slice();
-        next[completedIdx] = false;
-        return next;
-      });
-      return { ...state, updatingDevice: device, toggleError: null, rows: newRows };
-    }
-    case TYPES.INCOMPLETE_SUCCESS:
-      return { ...state, updatingDevice: null, toggleError: null };
+      const updates = updatesForOperation({ key, op: "incomplete" }, state.columns);
+      const rows = setRowCells(state.rows, updates, state.columns);
+      return { ...state, updatingDevice: key, toggleError: null, rows };
+    }
+    case TYPES.INCOMPLETE_SUCCESS: {
+      const { key, cells, version } = action.payload || {};
+      const rows = setRowCells(state.rows, updatesFromCells(key, cells), state.columns);
+      const rowVersions = withVersions(state.rowVersions, [{ key, version }]);
+      return { ...state, updatingDevice: null, toggleError: null, rows, rowVersions };
+    }
     case TYPES.INCOMPLETE_FAILURE:
       return { ...state, updatingDevice: null, toggleError: action.payload || { message: "Failed to mark incomplete." } };
 
     // ----- COMMENT UPDATE (optimistic) -----
     case TYPES.COMMENT_UPDATE_REQUEST: {
-      const device  = String(action?.payload?.device || "").trim();
+      const key = String(action?.payload?.key || action?.payload?.device || "").trim();
       const comment = String(action?.payload?.comment ?? "");
-      if (!device || !Array.isArray(state.rows) || state.rows.length === 0) {
-        return { ...state, updatingCommentFor: device || null, commentError: null };
+      if (!key) {
+        return { ...state, updatingCommentFor: null, commentError: null, commentConflict: null };
       }
-      const header = state.rows[0] || [];
-      const deviceIdx = header.findIndex((h) => String(h || "").trim().toLowerCase() === "device");
-      const commentIdx = header.findIndex((h) => String(h || "").trim().toLowerCase() === "comment");
-      if (deviceIdx === -1 || commentIdx === -1) {
-        return { ...state, updatingCommentFor: device, commentError: null };
-      }
-      const newRows = state.rows.map((row, ri) => {
-        if (ri === 0) return row;
-        const matches =
-          String(row?.[deviceIdx] ?? "").trim().toLowerCase() === device.toLowerCase();
-        if (!matches) return row;
-        const next = row.slice();
-        next[commentIdx] = comment;
-        return next;
-      });
-      return { ...state, updatingCommentFor: device, commentError: null, rows: newRows };
-    }
-    case TYPES.COMMENT_UPDATE_SUCCESS:
-      return { ...state, updatingCommentFor: null, commentError: null };
-    case TYPES.COMMENT_UPDATE_FAILURE:
-      return { ...state, updatingCommentFor: null, commentError: action.payload || { message: "Failed to update comment." } };
+      const updates = updatesForOperation({ key, op: "comment", comment }, state.columns);
+      const rows = setRowCells(state.rows, updates, state.columns);
+      return { ...state, updatingCommentFor: key, commentError: null, commentConflict: null, rows };
+    }
+    case TYPES.COMMENT_UPDATE_SUCCESS: {
+      const { key, version } = action.payload || {};
+      const rowVersions = withVersions(state.rowVersions, [{ key, version }]);
+      return { ...state, updatingCommentFor: null, commentError: null, rowVersions };
+    }
+    case TYPES.COMMENT_UPDATE_FAILURE: {
+      // Someone else changed the row: keep both texts so the user can merge or overwrite
+      // (a 409 for a duplicated key carries `duplicate` instead and is just an error)
+      const conflict = action.payload?.status === 409 ? action.payload?.data?.conflict : null;
+      return {
+        ...state,
+        updatingCommentFor: null,
+        commentError: action.payload || { message: "Failed to update comment." },
+        commentConflict: conflict
+          ? {
+              key: action.meta?.key || null,
+              mine: String(action.meta?.comment ?? ""),
+              theirs: String(conflict.current?.[state.columns.comment] ?? ""),
+              version: conflict.version || null,
+            }
+          : null,
+      };
+    }
+    case TYPES.COMMENT_CONFLICT_CLEAR:
+      return { ...state, commentError: null, commentConflict: null };
+
+    // ----- Column mapping (admin) -----
+    case TYPES.COLUMNS_SAVE_REQUEST:
+      return { ...state, isSavingColumns: true, columnsError: null };
+    case TYPES.COLUMNS_SAVE_SUCCESS:
+      // Findings were for the old mapping; the health panel re-checks
+      return { ...state, isSavingColumns: false, columnsError: null, lint: null, lintPreview: null, fixResult: null };
+    case TYPES.COLUMNS_SAVE_FAILURE:
+      return { ...state, isSavingColumns: false, columnsError: action.payload || { message: "Failed to save column mapping." } };
+
+    // ----- BATCH (optimistic, many rows) -----
+    case TYPES.BATCH_REQUEST: {
+      const operations = Array.isArray(action?.payload?.operations) ? action.payload.operations : [];
+      const updates = operations.flatMap((o) => updatesForOperation(o, state.columns));
+      const rows = setRowCells(state.rows, updates, state.columns);
+      return {
+        ...state,
+        rows,
+        batchDevices: operations.map((o) => o.key),
+        batchResult: null,
+        batchError: null,
+      };
+    }
+    case TYPES.BATCH_SUCCESS: {
+      const results = Array.isArray(action.payload?.results) ? action.payload.results : [];
+      const succeeded = results.filter((r) => r.ok);
+      const rows = setRowCells(
+        state.rows,
+        succeeded.flatMap((r) => updatesFromCells(r.key, r.cells)),
+        state.columns
+      );
+      const rowVersions = withVersions(state.rowVersions, succeeded);
+      return { ...state, rows, rowVersions, batchDevices: [], batchResult: action.payload || null, batchError: null };
+    }
+    case TYPES.BATCH_FAILURE:
+      return { ...state, batchDevices: [], batchError: action.payload || { message: "Failed to apply bulk update." } };
+
+    // ----- History (audit timeline) -----
+    case TYPES.HISTORY_REQUEST: {
+      const key = String(action?.payload?.key || action?.payload?.device || "").trim() || null;
+      const sameRow = key === state.historyKey;
+      return {
+        ...state,
+        historyKey: key,
+        historyDevice: String(action?.payload?.device || "").trim() || null,
+        history: sameRow ? state.history : [],
+        isLoadingHistory: true,
+        historyError: null,
+      };
+    }
+    case TYPES.HISTORY_SUCCESS:
+      if (action.payload?.key !== state.historyKey) return state;
+      return {
+        ...state,
+        isLoadingHistory: false,
+        historyError: null,
+        history: Array.isArray(action.payload?.entries) ? action.payload.entries : [],
+      };
+    case TYPES.HISTORY_FAILURE:
+      return { ...state, isLoadingHistory: false, historyError: action.payload || { message: "Failed to load history." } };
+
+    // ----- Notes (per-row thread; the newest is copied into Comment) -----
+    case TYPES.NOTES_REQUEST: {
+      const key = String(action?.payload?.key || action?.payload?.device || "").trim() || null;
+      return {
+        ...state,
+        notesKey: key,
+        notes: key === state.notesKey ? state.notes : [],
+        isLoadingNotes: true,
+        notesError: null,
+        noteError: null,
+      };
+    }
+    case TYPES.NOTES_SUCCESS:
+      if (action.payload?.key !== state.notesKey) return state;
+      return {
+        ...state,
+        isLoadingNotes: false,
+        notesError: null,
+        notes: Array.isArray(action.payload?.notes) ? action.payload.notes : [],
+      };
+    case TYPES.NOTES_FAILURE:
+      return { ...state, isLoadingNotes: false, notesError: action.payload || { message: "Failed to load notes." } };
+
+    case TYPES.NOTE_ADD_REQUEST: {
+      const key = String(action?.payload?.key || action?.payload?.device || "").trim() || null;
+      return { ...state, addingNoteFor: key, noteError: null };
+    }
+    case TYPES.NOTE_ADD_SUCCESS: {
+      const { key, note, cells, version, commentError } = action.payload || {};
+      const rows = setRowCells(state.rows, updatesFromCells(key, cells), state.columns);
+      const rowVersions = withVersions(state.rowVersions, [{ key, version }]);
+      return {
+        ...state,
+        rows,
+        rowVersions,
+        notes: key === state.notesKey ? withNote(state.notes, note) : state.notes,
+        addingNoteFor: null,
+        // The note stands even when copying it into Comment failed
+        noteError: commentError ? { message: `Note saved, but the Comment column was not updated: ${commentError}` } : null,
+      };
+    }
+    case TYPES.NOTE_ADD_FAILURE:
+      return { ...state, addingNoteFor: null, noteError: action.payload || { message: "Failed to add note." } };
+
+    // ----- Sheet health (lint + fixes) -----
+    case TYPES.LINT_REQUEST:
+      return { ...state, isLinting: true, lintError: null };
+    case TYPES.LINT_SUCCESS:
+      return { ...state, isLinting: false, lintError: null, lint: action.payload || null };
+    case TYPES.LINT_FAILURE:
+      return { ...state, isLinting: false, lintError: action.payload || { message: "Failed to check the sheet." } };
+
+    case TYPES.LINT_FIX_REQUEST:
+      return { ...state, isFixing: true, fixError: null, fixResult: null };
+    case TYPES.LINT_FIX_SUCCESS: {
+      const { dryRun, changes = [], skipped = [], succeeded = 0, failed = 0 } = action.payload || {};
+      return dryRun
+        ? { ...state, isFixing: false, lintPreview: { changes, skipped } }
+        : { ...state, isFixing: false, lintPreview: null, fixResult: { succeeded, failed, skipped } };
+    }
+    case TYPES.LINT_FIX_FAILURE:
+      return { ...state, isFixing: false, fixError: action.payload || { message: "Failed to apply fixes." } };
+    case TYPES.LINT_PREVIEW_CLEAR:
+      return { ...state, lintPreview: null, fixError: null };
+
+    // ----- Live updates (other clients' changes) -----
+    case TYPES.LIVE_STATUS:
+      return { ...state, liveConnected: !!action.payload?.connected };
+    case TYPES.LIVE_CHANGE: {
+      const changes = Array.isArray(action.payload?.changes) ? action.payload.changes : [];
+      const rows = setRowCells(
+        state.rows,
+        changes.flatMap((c) => updatesFromCells(c.key, c.cells)),
+        state.columns
+      );
+      const rowVersions = withVersions(state.rowVersions, changes);
+      if (rows === state.rows && rowVersions === state.rowVersions) return state;
+      return { ...state, rows, rowVersions, updatedAt: new Date().toISOString() };
+    }
+    case TYPES.LIVE_NOTE: {
+      const note = action.payload?.note;
+      if (!note || !state.notesKey || normalizeKey(note.key) !== normalizeKey(state.notesKey)) return state;
+      const notes = withNote(state.notes, note);
+      return notes === state.notes ? state : { ...state, notes };
+    }
 
     // ----- Utilities -----
     case TYPES.CLEAR_ROWS:
-      return { ...state, rows: [], updatedAt: null };
+      return { ...state, rows: [], rowVersions: {}, updatedAt: null };
     case TYPES.RESET:
-      return initialState;
+      return { ...state, ...sheetState };
 
     default:
       return state;
@@ -180,23 +600,50 @@ export default function googleSheetsReducer(state = initialState, action) {
 }
 
 /* Selectors */
+export const selectProjects = (state) => state.sheets?.projects || [];
+export const selectSelectedProjectId = (state) => state.sheets?.selectedProjectId || null;
 export const selectSheetRows = (state) => state.sheets?.rows || [];
+export const selectHistory = (state) => state.sheets?.history || [];
+export const selectNotes = (state) => state.sheets?.notes || [];
 export const selectSheetMeta = (state) => ({
   spreadsheetId: state.sheets?.spreadsheetId || null,
   spreadsheetTitle: state.sheets?.spreadsheetTitle || null,
+  sheetId: state.sheets?.sheetId ?? null,
   sheetTitle: state.sheets?.sheetTitle || null,
+  columns: state.sheets?.columns || DEFAULT_COLUMNS,
+  types: state.sheets?.types || {},
+  keyColumn: state.sheets?.keyColumn || "Device",
+  duplicateKeys: state.sheets?.duplicateKeys || [],
 });
 export const selectSheetStatus = (state) => ({
   isLinking: !!state.sheets?.isLinking,
   isLoading: !!state.sheets?.isLoading,
   linkError: state.sheets?.linkError || null,
   rowsError: state.sheets?.rowsError || null,
+  isStale: !!state.sheets?.isStale,
+  fetchedAt: state.sheets?.fetchedAt || null,
+  liveConnected: !!state.sheets?.liveConnected,
+  isLoadingTabs: !!state.sheets?.isLoadingTabs,
+  tabsError: state.sheets?.tabsError || null,
 
   updatingDevice: state.sheets?.updatingDevice || null,
   toggleError: state.sheets?.toggleError || null,
 
   updatingCommentFor: state.sheets?.updatingCommentFor || null,
   commentError: state.sheets?.commentError || null,
+  commentConflict: state.sheets?.commentConflict || null,
+
+  batchDevices: state.sheets?.batchDevices || [],
+  batchResult: state.sheets?.batchResult || null,
+  batchError: state.sheets?.batchError || null,
+
+  isLoadingHistory: !!state.sheets?.isLoadingHistory,
+  historyError: state.sheets?.historyError || null,
+
+  isLoadingNotes: !!state.sheets?.isLoadingNotes,
+  notesError: state.sheets?.notesError || null,
+  addingNoteFor: state.sheets?.addingNoteFor || null,
+  noteError: state.sheets?.noteError || null,
 
   updatedAt: state.sheets?.updatedAt || null,
 });
\ No newline at end of file
@@ -0,0 +1,23 @@
+// redux/reducers/user.reducer.js
+
+// The signed-in user ({ id, username, role }).
+// `checked` turns true once the server has answered FETCH_USER, so routes
+// can wait instead of flashing the login page on reload.
+// `accounts` is false on a server without logins, and `backend` is "php" once
+// that server turned out to be googleSheets.php (see redux/backend.js).
+const initialState = { id: null, username: null, role: null, accounts: true, backend: null, checked: false };
+
+const userReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case 'SET_USER':
+      return { ...initialState, ...action.payload, checked: true };
+    case 'UNSET_USER':
+      return { ...initialState, checked: true };
+    default:
+      return state;
+  }
+};
+
+// user will be on the redux state at:
+// state.user
+export default userReducer;
@@ -1,5 +1,9 @@
 import { all } from "redux-saga/effects";
 import googleSheetsSaga from "./googleSheets.saga";
+import loginSaga from "./login.saga";
+import registrationSaga from "./registration.saga";
+import userSaga from "./user.saga";
+import liveUpdatesSaga from "./liveUpdates.saga";
 
 // rootSaga is the primary saga.
 // It bundles up all of the other sagas so our project can use them.
@@ -10,6 +14,10 @@ import googleSheetsSaga from "./googleSheets.saga";
 // and login triggers setting the user
 export default function* rootSaga() {
   yield all([
+    loginSaga(),
+    registrationSaga(),
+    userSaga(),
     googleSheetsSaga(),
+    liveUpdatesSaga(),
   ]);
 }
@@ -1,13 +1,33 @@
 // redux/sagas/googleSheets.saga.js
 import axios from "axios";
-import { all, call, put, takeLatest, select, delay } from "redux-saga/effects";
+import { all, call, put, takeLatest, takeEvery, select, delay } from "redux-saga/effects";
+import { DEFAULT_PROJECT_ID, saveSelectedProjectId } from "../selectedProject";
+import { saveTechnicianName } from "../technician";
+import { BASIC_API_BASE, basicApiHeaders, selectIsBasicBackend } from "../backend";
 
 export const SHEETS = {
+  PROJECTS: {
+    REQUEST: "GOOGLE_SHEETS/PROJECTS_REQUEST",
+    SUCCESS: "GOOGLE_SHEETS/PROJECTS_SUCCESS",
+    FAILURE: "GOOGLE_SHEETS/PROJECTS_FAILURE",
+  },
+  PROJECT_CREATE: {
+    REQUEST: "GOOGLE_SHEETS/PROJECT_CREATE_REQUEST",
+    SUCCESS: "GOOGLE_SHEETS/PROJECT_CREATE_SUCCESS",
+    FAILURE: "GOOGLE_SHEETS/PROJECT_CREATE_FAILURE",
+  },
+  PROJECT_SELECT: "GOOGLE_SHEETS/PROJECT_SELECT",
+  TECHNICIAN_SET: "GOOGLE_SHEETS/TECHNICIAN_SET",
   LINK: {
     REQUEST: "GOOGLE_SHEETS/LINK_REQUEST",
     SUCCESS: "GOOGLE_SHEETS/LINK_SUCCESS",
     FAILURE: "GOOGLE_SHEETS/LINK_FAILURE",
   },
+  TABS: {
+    REQUEST: "GOOGLE_SHEETS/TABS_REQUEST",
+    SUCCESS: "GOOGLE_SHEETS/TABS_SUCCESS",
+    FAILURE: "GOOGLE_SHEETS/TABS_FAILURE",
+  },
   ROWS: {
     REQUEST: "GOOGLE_SHEETS/ROWS_REQUEST",
     SUCCESS: "GOOGLE_SHEETS/ROWS_SUCCESS",
@@ -28,20 +48,78 @@ export const SHEETS = {
     SUCCESS: "GOOGLE_SHEETS/COMMENT_UPDATE_SUCCESS",
     FAILURE: "GOOGLE_SHEETS/COMMENT_UPDATE_FAILURE",
   },
+  COMMENT_CONFLICT_CLEAR: "GOOGLE_SHEETS/COMMENT_CONFLICT_CLEAR",
+  NOTES: {
+    REQUEST: "GOOGLE_SHEETS/NOTES_REQUEST",   // payload: { key, device }
+    SUCCESS: "GOOGLE_SHEETS/NOTES_SUCCESS",
+    FAILURE: "GOOGLE_SHEETS/NOTES_FAILURE",
+  },
+  NOTE_ADD: {
+    REQUEST: "GOOGLE_SHEETS/NOTE_ADD_REQUEST", // payload: { key, device, text }
+    SUCCESS: "GOOGLE_SHEETS/NOTE_ADD_SUCCESS",
+    FAILURE: "GOOGLE_SHEETS/NOTE_ADD_FAILURE",
+  },
+  COLUMNS_SAVE: {
+    REQUEST: "GOOGLE_SHEETS/COLUMNS_SAVE_REQUEST",
+    SUCCESS: "GOOGLE_SHEETS/COLUMNS_SAVE_SUCCESS",
+    FAILURE: "GOOGLE_SHEETS/COLUMNS_SAVE_FAILURE",
+  },
+  BATCH: {
+    REQUEST: "GOOGLE_SHEETS/BATCH_REQUEST",
+    SUCCESS: "GOOGLE_SHEETS/BATCH_SUCCESS",
+    FAILURE: "GOOGLE_SHEETS/BATCH_FAILURE",
+  },
+  HISTORY: {
+    REQUEST: "GOOGLE_SHEETS/HISTORY_REQUEST",
+    SUCCESS: "GOOGLE_SHEETS/HISTORY_SUCCESS",
+    FAILURE: "GOOGLE_SHEETS/HISTORY_FAILURE",
+  },
+  LINT: {
+    REQUEST: "GOOGLE_SHEETS/LINT_REQUEST",
+    SUCCESS: "GOOGLE_SHEETS/LINT_SUCCESS",
+    FAILURE: "GOOGLE_SHEETS/LINT_FAILURE",
+  },
+  LINT_FIX: {
+    REQUEST: "GOOGLE_SHEETS/LINT_FIX_REQUEST",   // payload: { ids, dryRun? }
+    SUCCESS: "GOOGLE_SHEETS/LINT_FIX_SUCCESS",
+    FAILURE: "GOOGLE_SHEETS/LINT_FIX_FAILURE",
+  },
+  LINT_PREVIEW_CLEAR: "GOOGLE_SHEETS/LINT_PREVIEW_CLEAR",
+  LIVE: {
+    STATUS: "GOOGLE_SHEETS/LIVE_STATUS",   // payload: { connected }
+    CHANGE: "GOOGLE_SHEETS/LIVE_CHANGE",   // payload: { changes: [{ device, key, cells, version }] }
+    NOTE: "GOOGLE_SHEETS/LIVE_NOTE",       // payload: { note }
+  },
 };
 
 // Axios instance
 // - Uses same-origin relative URLs (/api/...) so it works in dev (via Vite proxy) and prod (GoDaddy)
-// - Sends x-api-key on every request (matches your Node middleware behavior)
+// - Authenticated by the session cookie set at login (no secrets in the bundle)
 const api = axios.create({
   baseURL: "",
   headers: {
     "Content-Type": "application/json",
-    "x-api-key": import.meta.env.VITE_API_KEY || "",
   },
 });
 
 const selectSpreadsheetId = (state) => state.sheets?.pendingSpreadsheetId || null;
+export const selectProjectId = (state) => state.sheets?.selectedProjectId || DEFAULT_PROJECT_ID;
+const selectTechnicianName = (state) => String(state.sheets?.technicianName || "").trim();
+const selectHistoryKey = (state) => state.sheets?.historyKey || null;
+const selectHistoryDevice = (state) => state.sheets?.historyDevice || "";
+// Version of the row this client last saw; the server refuses writes based on an older one
+const selectRowVersion = (state, key) =>
+  state.sheets?.rowVersions?.[String(key || "").trim().toLowerCase()] || undefined;
+
+// Every sheet route is scoped to a project: /api/projects/:projectId/...
+export const projectBase = (projectId) => `/api/projects/${encodeURIComponent(projectId)}`;
+
+// Where sheet requests go: the selected project, or the PHP backend's own
+// routes (with its key) when the server has no accounts (see redux/backend.js)
+const selectTarget = (state) =>
+  selectIsBasicBackend(state)
+    ? { base: BASIC_API_BASE, headers: basicApiHeaders(state) }
+    : { base: projectBase(selectProjectId(state)), headers: {} };
 
 function normalizeError(err) {
   const status = err?.response?.status || null;
@@ -51,29 +129,130 @@ function normalizeError(err) {
     data?.error ||
     err?.message ||
     "Unknown error contacting Google Sheets service";
-  return { status, data, message };
+  // 429: seconds until the caller's rate-limit budget (or the Sheets quota) resets
+  const retryAfter =
+    status === 429 ? Number(data?.retryAfter ?? err?.response?.headers?.["retry-after"]) || null : null;
+  // Google Sheets failures: SHEETS_QUOTA, SHEETS_PERMISSION, SHEETS_NOT_FOUND, SHEETS_UNAVAILABLE
+  const code = data?.code || null;
+  return { status, data, message, retryAfter, code };
 }
 
 // --- API calls ---
 // NOTE: Using POST for update-type operations to avoid GoDaddy/WAF issues with PUT.
-// Your PHP router should accept POST for these routes (or both POST + PUT).
-function postLinkSheet(spreadsheetId) {
-  return api.post("/api/googleSheets/link", { spreadsheetId });
+// Both backends accept POST and PUT for every write (see server/contract for the tests).
+function getProjects() {
+  return api.get("/api/projects");
+}
+function postProject(name) {
+  return api.post("/api/projects", { name });
+}
+function postLinkSheet(target, spreadsheetId, sheetId, sheetTitle) {
+  return api.post(`${target.base}/link`, { spreadsheetId, sheetId, sheetTitle }, { headers: target.headers });
+}
+function getTabs(target, spreadsheetId) {
+  return api.get(`${target.base}/tabs`, { params: { spreadsheetId }, headers: target.headers });
+}
+function getRows(target) {
+  return api.get(`${target.base}/rows`, { headers: target.headers });
+}
+function postColumns(target, columns, types) {
+  return api.post(`${target.base}/columns`, { columns, types }, { headers: target.headers });
 }
-function getRows() {
-  return api.get("/api/googleSheets/rows");
+// Rows are named by { key, device }: the server matches `key` (the row key) and
+// refuses it with 409 when several rows share it
+function setComplete(target, row, completedBy, version) {
+  return api.post(`${target.base}/complete`, { ...row, completedBy, version }, { headers: target.headers });
 }
-function setComplete(device) {
-  return api.post("/api/googleSheets/complete", { device });
+function setIncomplete(target, row, version) {
+  return api.post(`${target.base}/incomplete`, { ...row, version }, { headers: target.headers });
 }
-function setIncomplete(device) {
-  return api.post("/api/googleSheets/incomplete", { device });
+function updateComment(target, row, comment, version) {
+  return api.post(`${target.base}/comment`, { ...row, comment, version }, { headers: target.headers });
 }
-function updateComment(device, comment) {
-  return api.post("/api/googleSheets/comment", { device, comment });
+function postBatch(target, operations, completedBy) {
+  return api.post(`${target.base}/batch`, { operations, completedBy }, { headers: target.headers });
+}
+function getHistory(target, { key, device }) {
+  return api.get(`${target.base}/history`, { params: { key, device }, headers: target.headers });
+}
+function getNotes(target, { key, device }) {
+  return api.get(`${target.base}/notes`, { params: { key, device }, headers: target.headers });
+}
+function postNote(target, row, text, author) {
+  return api.post(`${target.base}/notes`, { ...row, text, author }, { headers: target.headers });
+}
+function getLint(target) {
+  return api.get(`${target.base}/lint`, { headers: target.headers });
+}
+function postLintFix(target, ids, dryRun) {
+  return api.post(`${target.base}/lint/fix`, { ids, dryRun }, { headers: target.headers });
+}
+
+/** { key, device } from an action payload; the key falls back to the device name. */
+function rowOf(payload) {
+  const device = String(payload?.device || "").trim();
+  const key = String(payload?.key || "").trim() || device;
+  return { key, device };
+}
+
+// Reload the open timeline after a write that touched its row
+function* refreshHistoryFor(keys) {
+  const shown = yield select(selectHistoryKey);
+  if (!shown) return;
+  const key = shown.trim().toLowerCase();
+  if (keys.some((k) => String(k || "").trim().toLowerCase() === key)) {
+    const device = yield select(selectHistoryDevice);
+    yield put({ type: SHEETS.HISTORY.REQUEST, payload: { key: shown, device } });
+  }
 }
 
 // --- Workers ---
+function* fetchProjectsWorker() {
+  try {
+    const { data } = yield call(getProjects);
+    if (!data?.ok) throw new Error(data?.error || "Failed to load projects.");
+
+    yield put({
+      type: SHEETS.PROJECTS.SUCCESS,
+      payload: { projects: Array.isArray(data.projects) ? data.projects : [] },
+    });
+  } catch (err) {
+    yield put({
+      type: SHEETS.PROJECTS.FAILURE,
+      error: true,
+      payload: normalizeError(err),
+    });
+  }
+}
+
+function* createProjectWorker(action) {
+  try {
+    const name = String(action?.payload?.name || "").trim();
+    if (!name) throw new Error("Project name is required.");
+
+    const { data } = yield call(postProject, name);
+    if (!data?.ok) throw new Error(data?.error || "Failed to create project.");
+
+    yield put({ type: SHEETS.PROJECT_CREATE.SUCCESS, payload: { project: data.project } });
+    yield put({ type: SHEETS.PROJECT_SELECT, payload: { projectId: data.project.id } });
+  } catch (err) {
+    yield put({
+      type: SHEETS.PROJECT_CREATE.FAILURE,
+      error: true,
+      payload: normalizeError(err),
+    });
+  }
+}
+
+function* selectProjectWorker(action) {
+  const projectId = action?.payload?.projectId;
+  if (projectId) yield call(saveSelectedProjectId, projectId);
+}
+
+function* setTechnicianWorker(action) {
+  yield call(saveTechnicianName, String(action?.payload?.name ?? "").trim());
+}
+
 function* linkSheetWorker(action) {
   try {
     const idFromAction = action?.payload?.spreadsheetId;
@@ -81,7 +260,11 @@ function* linkSheetWorker(action) {
     const spreadsheetId = (idFromAction || fallbackId || "").trim();
     if (!spreadsheetId) throw new Error("No spreadsheetId provided.");
 
-    const { data } = yield call(postLinkSheet, spreadsheetId);
+    const sheetId = action?.payload?.sheetId ?? null;
+    const sheetTitle = action?.payload?.sheetTitle ?? null;
+    const target = yield select(selectTarget);
+
+    const { data } = yield call(postLinkSheet, target, spreadsheetId, sheetId, sheetTitle);
     if (!data?.ok) throw new Error(data?.error || "Failed to link spreadsheet.");
 
     yield put({
@@ -89,11 +272,15 @@ function* linkSheetWorker(action) {
       payload: {
         spreadsheetId: data.spreadsheetId,
         spreadsheetTitle: data.spreadsheetTitle || null,
+        sheetId: data.sheetId ?? null,
+        sheetTitle: data.sheetTitle || null,
         message: data.message || "Spreadsheet linked.",
       },
     });
 
     yield put({ type: SHEETS.ROWS.REQUEST });
+    // The PHP backend has no projects to refresh
+    if (!(yield select(selectIsBasicBackend))) yield put({ type: SHEETS.PROJECTS.REQUEST });
   } catch (err) {
     yield put({
       type: SHEETS.LINK.FAILURE,
@@ -103,14 +290,41 @@ function* linkSheetWorker(action) {
   }
 }
 
+// Validates the ID and lists its tabs so the user can pick one before linking
+function* fetchTabsWorker(action) {
+  try {
+    const spreadsheetId = String(action?.payload?.spreadsheetId || "").trim();
+    if (!spreadsheetId) throw new Error("No spreadsheetId provided.");
+
+    const target = yield select(selectTarget);
+    const { data } = yield call(getTabs, target, spreadsheetId);
+    if (!data?.ok) throw new Error(data?.error || "Failed to list tabs.");
+
+    yield put({
+      type: SHEETS.TABS.SUCCESS,
+      payload: {
+        spreadsheetId: data.spreadsheetId,
+        tabs: Array.isArray(data.tabs) ? data.tabs : [],
+      },
+    });
+  } catch (err) {
+    yield put({
+      type: SHEETS.TABS.FAILURE,
+      error: true,
+      payload: normalizeError(err),
+    });
+  }
+}
+
 function* fetchRowsWorker() {
   try {
     const MAX_ATTEMPTS = 3;
+    const target = yield select(selectTarget);
     let lastError = null;
 
     for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
       try {
-        const { data } = yield call(getRows);
+        const { data } = yield call(getRows, target);
         if (!data?.ok) throw new Error(data?.error || "Failed to read rows.");
 
         yield put({
@@ -118,15 +332,26 @@ function* fetchRowsWorker() {
           payload: {
             spreadsheetId: data.spreadsheetId,
             spreadsheetTitle: data.spreadsheetTitle || null,
+            sheetId: data.sheetId ?? null,
             sheetTitle: data.sheetTitle || null,
             rows: Array.isArray(data.rows) ? data.rows : [],
+            versions: Array.isArray(data.versions) ? data.versions : [],
+            columns: data.columns || null,
+            types: data.types || null,
+            keyColumn: data.keyColumn || null,
+            duplicates: Array.isArray(data.duplicates) ? data.duplicates : [],
+            stale: !!data.stale,
+            fetchedAt: data.fetchedAt || null,
           },
         });
 
         return;
       } catch (inner) {
-        lastError = normalizeError(inner);
-        if (lastError.status === 400) break; // e.g., not linked yet
+        lastError = inner;
+        const { status, code } = normalizeError(inner);
+        if (status === 400) break; // e.g., not linked yet
+        if (status === 429) break; // over budget: report it, retrying only burns more
+        if (code) break; // a Sheets error the server already retried
         yield delay(250 * attempt);
       }
     }
@@ -141,75 +366,308 @@ function* fetchRowsWorker() {
   }
 }
 
+// payload: { columns: { [field]: string | string[] }, types?: { [header]: type } } – blank fields use the defaults
+function* saveColumnsWorker(action) {
+  try {
+    const target = yield select(selectTarget);
+    const { data } = yield call(postColumns, target, action?.payload?.columns || {}, action?.payload?.types);
+    if (!data?.ok) throw new Error(data?.error || "Failed to save column mapping.");
+
+    yield put({ type: SHEETS.COLUMNS_SAVE.SUCCESS, payload: { mapping: data.mapping || {} } });
+    yield put({ type: SHEETS.PROJECTS.REQUEST }); // the mapping is saved on the project
+    yield put({ type: SHEETS.ROWS.REQUEST });     // rows report the resolved columns
+  } catch (err) {
+    yield put({
+      type: SHEETS.COLUMNS_SAVE.FAILURE,
+      error: true,
+      payload: normalizeError(err),
+    });
+  }
+}
+
+// payload: { key, device }
 function* completeWorker(action) {
-  const device = String(action?.payload?.device || "").trim();
+  const row = rowOf(action?.payload);
   try {
-    if (!device) throw new Error("Device is required.");
+    if (!row.key) throw new Error("Device is required.");
 
-    const { data } = yield call(setComplete, device);
+    const target = yield select(selectTarget);
+    const completedBy = yield select(selectTechnicianName);
+    const version = yield select(selectRowVersion, row.key);
+    const { data } = yield call(setComplete, target, row, completedBy || undefined, version);
     if (!data?.ok) throw new Error(data?.error || "Failed to mark complete.");
 
-    yield put({ type: SHEETS.COMPLETE.SUCCESS, payload: { device } });
+    yield put({
+      type: SHEETS.COMPLETE.SUCCESS,
+      payload: { ...row, cells: data.cells || {}, version: data.version || null },
+    });
+    yield call(refreshHistoryFor, [row.key]);
   } catch (err) {
     yield put({
       type: SHEETS.COMPLETE.FAILURE,
       error: true,
       payload: normalizeError(err),
-      meta: { device: device || null },
+      meta: { key: row.key || null },
     });
     yield put({ type: SHEETS.ROWS.REQUEST });
   }
 }
 
+// payload: { key, device }
 function* incompleteWorker(action) {
-  const device = String(action?.payload?.device || "").trim();
+  const row = rowOf(action?.payload);
   try {
-    if (!device) throw new Error("Device is required.");
+    if (!row.key) throw new Error("Device is required.");
 
-    const { data } = yield call(setIncomplete, device);
+    const target = yield select(selectTarget);
+    const version = yield select(selectRowVersion, row.key);
+    const { data } = yield call(setIncomplete, target, row, version);
     if (!data?.ok) throw new Error(data?.error || "Failed to mark incomplete.");
 
-    yield put({ type: SHEETS.INCOMPLETE.SUCCESS, payload: { device } });
+    yield put({
+      type: SHEETS.INCOMPLETE.SUCCESS,
+      payload: { ...row, cells: data.cells || {}, version: data.version || null },
+    });
+    yield call(refreshHistoryFor, [row.key]);
   } catch (err) {
     yield put({
       type: SHEETS.INCOMPLETE.FAILURE,
       error: true,
       payload: normalizeError(err),
-      meta: { device: device || null },
+      meta: { key: row.key || null },
     });
     yield put({ type: SHEETS.ROWS.REQUEST });
   }
 }
 
+// payload: { key, device, comment, version? } – version overrides the stored one (overwrite after a conflict)
 function* updateCommentWorker(action) {
-  const device = String(action?.payload?.device || "").trim();
+  const row = rowOf(action?.payload);
   const comment = String(action?.payload?.comment ?? "");
 
   try {
-    if (!device) throw new Error("Device is required.");
+    if (!row.key) throw new Error("Device is required.");
 
-    const { data } = yield call(updateComment, device, comment);
+    const target = yield select(selectTarget);
+    const version = action?.payload?.version || (yield select(selectRowVersion, row.key));
+    const { data } = yield call(updateComment, target, row, comment, version);
     if (!data?.ok) throw new Error(data?.error || "Failed to update comment.");
 
     yield put({
       type: SHEETS.COMMENT_UPDATE.SUCCESS,
-      payload: { device, comment },
+      payload: { ...row, comment, version: data.version || null },
     });
+    yield call(refreshHistoryFor, [row.key]);
   } catch (err) {
+    // 409: the reducer keeps `comment` next to the current text for merging
     yield put({
       type: SHEETS.COMMENT_UPDATE.FAILURE,
       error: true,
       payload: normalizeError(err),
-      meta: { device: device || null },
+      meta: { key: row.key || null, comment },
+    });
+    yield put({ type: SHEETS.ROWS.REQUEST });
+  }
+}
+
+// payload: { operations: [{ key, device?, op: "complete"|"incomplete"|"comment", comment? }] }
+function* batchWorker(action) {
+  const operations = Array.isArray(action?.payload?.operations) ? action.payload.operations : [];
+  try {
+    if (operations.length === 0) throw new Error("Select at least one device.");
+
+    const target = yield select(selectTarget);
+    const completedBy = yield select(selectTechnicianName);
+    const versions = yield select((state) => state.sheets?.rowVersions || {});
+    const withVersions = operations.map((o) => ({
+      ...o,
+      version: versions[String(o.key || "").trim().toLowerCase()] || undefined,
+    }));
+    const { data } = yield call(postBatch, target, withVersions, completedBy || undefined);
+    if (!data?.ok) throw new Error(data?.error || "Failed to apply bulk update.");
+
+    yield put({
+      type: SHEETS.BATCH.SUCCESS,
+      payload: {
+        succeeded: data.succeeded ?? 0,
+        failed: data.failed ?? 0,
+        results: Array.isArray(data.results) ? data.results : [],
+      },
+    });
+
+    // Roll back the optimistic changes that did not stick
+    if (data.failed > 0) yield put({ type: SHEETS.ROWS.REQUEST });
+    yield call(refreshHistoryFor, operations.map((o) => o.key));
+  } catch (err) {
+    yield put({
+      type: SHEETS.BATCH.FAILURE,
+      error: true,
+      payload: normalizeError(err),
     });
     yield put({ type: SHEETS.ROWS.REQUEST });
   }
 }
 
+// payload: { key, device }
+function* fetchHistoryWorker(action) {
+  const row = rowOf(action?.payload);
+  try {
+    if (!row.key) throw new Error("Device is required.");
+
+    const target = yield select(selectTarget);
+    const { data } = yield call(getHistory, target, row);
+    if (!data?.ok) throw new Error(data?.error || "Failed to load history.");
+
+    yield put({
+      type: SHEETS.HISTORY.SUCCESS,
+      payload: { ...row, entries: Array.isArray(data.entries) ? data.entries : [] },
+    });
+  } catch (err) {
+    yield put({
+      type: SHEETS.HISTORY.FAILURE,
+      error: true,
+      payload: normalizeError(err),
+      meta: { key: row.key || null },
+    });
+  }
+}
+
+// payload: { key, device }
+function* fetchNotesWorker(action) {
+  const row = rowOf(action?.payload);
+  try {
+    if (!row.key) throw new Error("Device is required.");
+
+    const target = yield select(selectTarget);
+    const { data } = yield call(getNotes, target, row);
+    if (!data?.ok) throw new Error(data?.error || "Failed to load notes.");
+
+    yield put({
+      type: SHEETS.NOTES.SUCCESS,
+      payload: { ...row, notes: Array.isArray(data.notes) ? data.notes : [] },
+    });
+  } catch (err) {
+    yield put({
+      type: SHEETS.NOTES.FAILURE,
+      error: true,
+      payload: normalizeError(err),
+      meta: { key: row.key || null },
+    });
+  }
+}
+
+// payload: { key, device, text } – signed with the technician name (else the account)
+function* addNoteWorker(action) {
+  const row = rowOf(action?.payload);
+  try {
+    if (!row.key) throw new Error("Device is required.");
+    const text = String(action?.payload?.text ?? "").trim();
+    if (!text) throw new Error("Write a note first.");
+
+    const target = yield select(selectTarget);
+    const author = yield select(selectTechnicianName);
+    const { data } = yield call(postNote, target, row, text, author || undefined);
+    if (!data?.ok) throw new Error(data?.error || "Failed to add note.");
+
+    yield put({
+      type: SHEETS.NOTE_ADD.SUCCESS,
+      payload: {
+        ...row,
+        note: data.note,
+        cells: data.cells || {},
+        version: data.version || null,
+        commentError: data.commentError || null,
+      },
+    });
+    yield call(refreshHistoryFor, [row.key]);
+  } catch (err) {
+    yield put({
+      type: SHEETS.NOTE_ADD.FAILURE,
+      error: true,
+      payload: normalizeError(err),
+      meta: { key: row.key || null },
+    });
+  }
+}
+
+function* fetchLintWorker() {
+  try {
+    const target = yield select(selectTarget);
+    const { data } = yield call(getLint, target);
+    if (!data?.ok) throw new Error(data?.error || "Failed to check the sheet.");
+
+    yield put({
+      type: SHEETS.LINT.SUCCESS,
+      payload: {
+        findings: Array.isArray(data.findings) ? data.findings : [],
+        counts: data.counts || {},
+        checkedRows: data.checkedRows ?? 0,
+      },
+    });
+  } catch (err) {
+    yield put({
+      type: SHEETS.LINT.FAILURE,
+      error: true,
+      payload: normalizeError(err),
+    });
+  }
+}
+
+// payload: { ids, dryRun? } – a dry run only previews the changes
+function* lintFixWorker(action) {
+  const ids = Array.isArray(action?.payload?.ids) ? action.payload.ids : [];
+  const dryRun = !!action?.payload?.dryRun;
+  try {
+    if (ids.length === 0) throw new Error("Select at least one fix.");
+
+    const target = yield select(selectTarget);
+    const { data } = yield call(postLintFix, target, ids, dryRun);
+    if (!data?.ok) throw new Error(data?.error || "Failed to apply fixes.");
+
+    yield put({
+      type: SHEETS.LINT_FIX.SUCCESS,
+      payload: {
+        dryRun,
+        changes: Array.isArray(data.changes) ? data.changes : [],
+        skipped: Array.isArray(data.skipped) ? data.skipped : [],
+        succeeded: data.succeeded ?? 0,
+        failed: data.failed ?? 0,
+      },
+    });
+
+    // Written: show the new values and check again
+    if (!dryRun) {
+      yield put({ type: SHEETS.ROWS.REQUEST });
+      yield put({ type: SHEETS.LINT.REQUEST });
+    }
+  } catch (err) {
+    yield put({
+      type: SHEETS.LINT_FIX.FAILURE,
+      error: true,
+      payload: normalizeError(err),
+    });
+  }
+}
+
 // --- Watchers / Root ---
+function* watchFetchProjects() {
+  yield takeLatest(SHEETS.PROJECTS.REQUEST, fetchProjectsWorker);
+}
+function* watchCreateProject() {
+  yield takeLatest(SHEETS.PROJECT_CREATE.REQUEST, createProjectWorker);
+}
+function* watchSelectProject() {
+  yield takeEvery(SHEETS.PROJECT_SELECT, selectProjectWorker);
+}
+function* watchSetTechnician() {
+  yield takeLatest(SHEETS.TECHNICIAN_SET, setTechnicianWorker);
+}
 function* watchLinkSheet() {
   yield takeLatest(SHEETS.LINK.REQUEST, linkSheetWorker);
 }
+function* watchFetchTabs() {
+  yield takeLatest(SHEETS.TABS.REQUEST, fetchTabsWorker);
+}
 function* watchFetchRows() {
   yield takeLatest(SHEETS.ROWS.REQUEST, fetchRowsWorker);
 }
@@ -222,13 +680,46 @@ function* watchIncomplete() {
 function* watchUpdateComment() {
   yield takeLatest(SHEETS.COMMENT_UPDATE.REQUEST, updateCommentWorker);
 }
+function* watchSaveColumns() {
+  yield takeLatest(SHEETS.COLUMNS_SAVE.REQUEST, saveColumnsWorker);
+}
+function* watchBatch() {
+  yield takeLatest(SHEETS.BATCH.REQUEST, batchWorker);
+}
+function* watchFetchHistory() {
+  yield takeLatest(SHEETS.HISTORY.REQUEST, fetchHistoryWorker);
+}
+function* watchFetchNotes() {
+  yield takeLatest(SHEETS.NOTES.REQUEST, fetchNotesWorker);
+}
+function* watchAddNote() {
+  yield takeEvery(SHEETS.NOTE_ADD.REQUEST, addNoteWorker);
+}
+function* watchFetchLint() {
+  yield takeLatest(SHEETS.LINT.REQUEST, fetchLintWorker);
+}
+function* watchLintFix() {
+  yield takeLatest(SHEETS.LINT_FIX.REQUEST, lintFixWorker);
+}
 
 export default function* googleSheetsSaga() {
   yield all([
+    watchFetchProjects(),
+    watchCreateProject(),
+    watchSelectProject(),
+    watchSetTechnician(),
     watchLinkSheet(),
+    watchFetchTabs(),
     watchFetchRows(),
     watchComplete(),
     watchIncomplete(),
     watchUpdateComment(),
+    watchSaveColumns(),
+    watchBatch(),
+    watchFetchHistory(),
+    watchFetchNotes(),
+    watchAddNote(),
+    watchFetchLint(),
+    watchLintFix(),
   ]);
 }
\ No newline at end of file
@@ -0,0 +1,164 @@
+// redux/sagas/liveUpdates.saga.js
+import { eventChannel, END } from "redux-saga";
+import { call, cancel, cancelled, delay, fork, put, select, take } from "redux-saga/effects";
+import { SHEETS, projectBase, selectProjectId } from "./googleSheets.saga";
+
+// Reconnect backoff: 1s, 2s, 4s ... capped at 30s
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+/**
+ * Read a text/event-stream response and call onEvent({ event, data }) for
+ * each message. fetch (not EventSource) so a failed connect exposes its status.
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, "\n");
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      const data = [];
+      block.split("\n").forEach((line) => {
+        if (line.startsWith(":")) return; // heartbeat comment
+        const sep = line.indexOf(":");
+        const field = sep === -1 ? line : line.slice(0, sep);
+        const val = sep === -1 ? "" : line.slice(sep + 1).replace(/^ /, "");
+        if (field === "event") event = val;
+        else if (field === "data") data.push(val);
+      });
+      if (data.length > 0) onEvent({ event, data: data.join("\n") });
+    }
+  }
+}
+
+/** Channel of parsed stream messages; emits { error } then END when the stream drops. */
+function createEventsChannel(projectId) {
+  return eventChannel((emit) => {
+    const controller = new AbortController();
+
+    fetch(`${projectBase(projectId)}/events`, {
+      headers: { Accept: "text/event-stream" },
+      credentials: "same-origin", // session cookie
+      signal: controller.signal,
+      cache: "no-store",
+    })
+      .then((response) => {
+        if (!response.ok || !response.body) {
+          const error = new Error(`Live updates unavailable (HTTP ${response.status}).`);
+          error.retryAfter = Number(response.headers.get("Retry-After")) || null;
+          throw error;
+        }
+        return readEventStream(response, (message) => {
+          try {
+            emit({ event: message.event, payload: JSON.parse(message.data) });
+          } catch {
+            // ignore a malformed message
+          }
+        });
+      })
+      .catch((error) => {
+        if (!controller.signal.aborted) emit({ error });
+      })
+      .finally(() => emit(END));
+
+    return () => controller.abort();
+  });
+}
+
+function* handleMessage({ event, payload }) {
+  if (event === "ready") {
+    yield put({ type: SHEETS.LIVE.STATUS, payload: { connected: true } });
+    return;
+  }
+
+  if (event === "change") {
+    const sheetId = yield select((state) => state.sheets?.sheetId ?? null);
+    const sameTab = payload.sheetId === null || sheetId === null || payload.sheetId === sheetId;
+    if (sameTab) {
+      yield put({ type: SHEETS.LIVE.CHANGE, payload: { changes: payload.changes || [] } });
+    } else {
+      yield put({ type: SHEETS.ROWS.REQUEST });
+    }
+    return;
+  }
+
+  if (event === "note") {
+    const sheetId = yield select((state) => state.sheets?.sheetId ?? null);
+    if (payload.sheetId === null || sheetId === null || payload.sheetId === sheetId) {
+      yield put({ type: SHEETS.LIVE.NOTE, payload: { note: payload.note } });
+    }
+    return;
+  }
+
+  // Another sheet, or another column mapping: the rows (and their columns) need a reload
+  if (event === "linked" || event === "columns") {
+    yield put({ type: SHEETS.ROWS.REQUEST });
+    yield put({ type: SHEETS.PROJECTS.REQUEST });
+  }
+}
+
+/** Stay subscribed to one project's stream, reconnecting with backoff. */
+function* subscribeToProject(projectId) {
+  let attempt = 0;
+  let channel = null;
+
+  try {
+    for (;;) {
+      channel = yield call(createEventsChannel, projectId);
+      let connected = false;
+      let retryAfterMs = 0;
+
+      for (;;) {
+        const message = yield take(channel);
+        if (message === END) break;
+        if (message.error) {
+          // Rate limited: wait out the budget rather than hammering it
+          retryAfterMs = (message.error.retryAfter || 0) * 1000;
+          break;
+        }
+        if (message.event === "ready") {
+          // Catch up on anything missed while disconnected
+          if (attempt > 0) yield put({ type: SHEETS.ROWS.REQUEST });
+          connected = true;
+          attempt = 0;
+        }
+        yield call(handleMessage, message);
+      }
+
+      channel.close();
+      channel = null;
+      yield put({ type: SHEETS.LIVE.STATUS, payload: { connected: false } });
+
+      attempt = connected ? 1 : attempt + 1;
+      yield delay(Math.max(Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS), retryAfterMs));
+    }
+  } finally {
+    if (yield cancelled()) {
+      if (channel) channel.close();
+      yield put({ type: SHEETS.LIVE.STATUS, payload: { connected: false } });
+    }
+  }
+}
+
+// One subscription at a time, following the selected project while signed in
+export default function* liveUpdatesSaga() {
+  let task = null;
+  for (;;) {
+    yield take([SHEETS.PROJECT_SELECT, "SET_USER", "UNSET_USER"]);
+    if (task) yield cancel(task);
+    task = null;
+
+    const signedIn = yield select((state) => !!state.user?.id);
+    if (signedIn) task = yield fork(subscribeToProject, yield select(selectProjectId));
+  }
+}
@@ -0,0 +1,42 @@
+// redux/sagas/login.saga.js
+import axios from "axios";
+import { put, takeLatest } from "redux-saga/effects";
+
+// worker Saga: will be fired on "LOGIN" actions
+function* loginUser(action) {
+  try {
+    yield put({ type: "CLEAR_LOGIN_ERROR" });
+
+    // the server answers with an HttpOnly session cookie
+    yield axios.post("/api/auth/login", action.payload);
+
+    // after the cookie is set, load the user's information
+    yield put({ type: "FETCH_USER" });
+  } catch (error) {
+    if (error?.response?.status === 401 || error?.response?.status === 400) {
+      // the username/password didn't match
+      yield put({ type: "LOGIN_FAILED" });
+    } else {
+      // got an error that wasn't a 401 – could be the server is down
+      yield put({ type: "LOGIN_FAILED_NO_CODE" });
+    }
+  }
+}
+
+// worker Saga: will be fired on "LOGOUT" actions
+function* logoutUser() {
+  try {
+    // ends the session on the server and clears the cookie
+    yield axios.post("/api/auth/logout");
+  } catch {
+    // the session expires on its own; signing out locally is what matters
+  }
+  // drop the user and everything loaded for them either way
+  yield put({ type: "UNSET_USER" });
+  yield put({ type: "GOOGLE_SHEETS/RESET" });
+}
+
+export default function* loginSaga() {
+  yield takeLatest("LOGIN", loginUser);
+  yield takeLatest("LOGOUT", logoutUser);
+}
@@ -0,0 +1,21 @@
+// redux/sagas/registration.saga.js
+import axios from "axios";
+import { put, takeLatest } from "redux-saga/effects";
+
+// worker Saga: will be fired on "REGISTER" actions
+function* registerUser(action) {
+  try {
+    yield put({ type: "CLEAR_REGISTRATION_ERROR" });
+
+    // registering also signs the new user in (session cookie)
+    yield axios.post("/api/auth/register", action.payload);
+
+    yield put({ type: "FETCH_USER" });
+  } catch (error) {
+    yield put({ type: "REGISTRATION_FAILED", payload: error?.response?.data?.error || null });
+  }
+}
+
+export default function* registrationSaga() {
+  yield takeLatest("REGISTER", registerUser);
+}
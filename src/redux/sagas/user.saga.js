@@ -0,0 +1,38 @@
+// redux/sagas/user.saga.js
+import axios from "axios";
+import { put, select, takeLatest, takeEvery } from "redux-saga/effects";
+import { isBasicBackendResponse, selectIsBasicBackend } from "../backend";
+
+// Ask the server who is signed in (the session lives in an HttpOnly cookie)
+function* fetchUser() {
+  try {
+    const { data } = yield axios.get("/api/auth/me");
+    yield put({ type: "SET_USER", payload: data.user });
+  } catch (error) {
+    if (isBasicBackendResponse(error?.response)) {
+      // googleSheets.php (404, or 401 without its key): no accounts, everyone may use it, as before logins
+      yield put({ type: "SET_USER", payload: { role: "admin", accounts: false, backend: "php" } });
+    } else if (error?.response?.status === 404) {
+      // Some other server without accounts (e.g. a misrouted proxy): read-only, and no key
+      yield put({ type: "SET_USER", payload: { role: "viewer", accounts: false } });
+    } else {
+      // 401 simply means nobody is signed in
+      yield put({ type: "UNSET_USER" });
+    }
+  }
+}
+
+// Any API call rejected with 401 means the session expired or was revoked
+function* sessionExpired() {
+  // The PHP backend has no sessions: its 401 is a wrong API key, shown where it failed
+  if (yield select(selectIsBasicBackend)) return;
+  yield put({ type: "UNSET_USER" });
+}
+
+const isUnauthorizedFailure = (action) =>
+  action.error === true && action.payload?.status === 401;
+
+export default function* userSaga() {
+  yield takeLatest("FETCH_USER", fetchUser);
+  yield takeEvery(isUnauthorizedFailure, sessionExpired);
+}
@@ -0,0 +1,22 @@
+// redux/selectedProject.js
+// Remembers the selected tracking project across page reloads.
+
+export const DEFAULT_PROJECT_ID = "default";
+
+const STORAGE_KEY = "cnh.selectedProjectId";
+
+export function loadSelectedProjectId() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || DEFAULT_PROJECT_ID;
+  } catch {
+    return DEFAULT_PROJECT_ID; // storage disabled (private mode, SSR, ...)
+  }
+}
+
+export function saveSelectedProjectId(projectId) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, projectId || DEFAULT_PROJECT_ID);
+  } catch {
+    // ignore – selection just won't survive a reload
+  }
+}
@@ -0,0 +1,20 @@
+// redux/technician.js
+// Remembers the technician name stamped into "Completed By" on this device.
+
+const STORAGE_KEY = "cnh.technicianName";
+
+export function loadTechnicianName() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || "";
+  } catch {
+    return ""; // storage disabled (private mode, SSR, ...)
+  }
+}
+
+export function saveTechnicianName(name) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, name || "");
+  } catch {
+    // ignore – the name just won't survive a reload
+  }
+}
@@ -0,0 +1,63 @@
+// src/utils/cellTypes.js
+/**
+ * Typed cell values, mirroring server/storage/cellTypes.js.
+ * GET /rows sends cells already converted (booleans, numbers, ISO dates,
+ * IPs; blank -> null) plus `types`: { header: type }. Views read, format
+ * and sort cells through these helpers instead of guessing per component.
+ */
+import { formatSheetDateTime } from "./sheetDates";
+
+/** A boolean cell; tolerates "TRUE" text from older responses and optimistic updates. */
+export const isTrue = (value) =>
+  typeof value === "boolean" ? value : String(value ?? "").trim().toLowerCase() === "true";
+
+// Types a column may be declared as (server CELL_TYPES), labelled for the mapping editor
+export const CELL_TYPE_LABELS = {
+  string: "Text",
+  number: "Number",
+  boolean: "Yes / No",
+  date: "Date",
+  ip: "IP address",
+};
+
+const isBlank = (value) => value === null || value === undefined || value === "";
+
+/** Display text for a cell of the given type ("" when blank). */
+export function formatCell(value, type) {
+  if (isBlank(value)) return "";
+  if (type === "boolean" && typeof value === "boolean") return value ? "Yes" : "No";
+  if (type === "date") return formatSheetDateTime(value);
+  if (type === "number" && typeof value === "number") return value.toLocaleString();
+  return String(value);
+}
+
+// IPv4 sorts by octet; anything else (IPv6, misfits) falls back to text
+function ipSortKey(value) {
+  const parts = String(value).split(".");
+  if (parts.length !== 4 || parts.some((p) => !/^\d{1,3}$/.test(p))) return null;
+  return parts.reduce((acc, p) => acc * 256 + Number(p), 0);
+}
+
+function sortKey(value, type) {
+  if (type === "number" && typeof value === "number") return value;
+  if (type === "boolean" && typeof value === "boolean") return value ? 1 : 0;
+  if (type === "date") {
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
+  }
+  if (type === "ip") return ipSortKey(value);
+  return null;
+}
+
+/**
+ * Array.sort comparator for two cells of one column: by value for typed
+ * cells, else natural text order; `direction` -1 sorts descending. Blanks
+ * always sort last.
+ */
+export function compareCells(a, b, type, direction = 1) {
+  if (isBlank(a) || isBlank(b)) return isBlank(a) - isBlank(b);
+  const ka = sortKey(a, type);
+  const kb = sortKey(b, type);
+  if (ka !== null && kb !== null) return (ka - kb) * direction;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" }) * direction;
+}
@@ -0,0 +1,50 @@
+// src/utils/columns.js
+/**
+ * Column mapping, mirroring server/storage/sheetUtils.js.
+ * Code refers to logical fields; GET /rows reports the header each one
+ * resolves to on the linked tab as `columns` ({ field: header | null }).
+ * DEFAULT_COLUMNS stands in until the first rows arrive.
+ */
+
+export const DEFAULT_COLUMNS = {
+  key: null,
+  device: "Device",
+  status: "Completed",
+  completedAt: "Completed At",
+  completedBy: "Completed By",
+  comment: "Comment",
+  ip: "IP Address",
+  type: "Equipment Type",
+  manufacturer: "Mfr",
+  model: "Model Name",
+  serial: null,
+  location: null,
+};
+
+// Labels for the mapping editor, in display order
+export const COLUMN_LABELS = {
+  key: "Row key (e.g. Asset Tag)",
+  device: "Device name",
+  status: "Completed (status)",
+  completedAt: "Completed at",
+  completedBy: "Completed by",
+  comment: "Comment",
+  ip: "IP address",
+  type: "Equipment type",
+  manufacturer: "Manufacturer",
+  model: "Model",
+  serial: "Serial number",
+  location: "Location",
+};
+
+const normalize = (value) => String(value ?? "").trim().toLowerCase();
+
+/** Value of `field` in a record built from the header (see useSheetSearch); "" when unmapped. */
+export function fieldOf(record, columns, field) {
+  const name = columns?.[field];
+  if (!name || !record) return "";
+  if (name in record) return record[name] ?? "";
+  // header cells may carry stray whitespace
+  const entry = Object.entries(record).find(([h]) => normalize(h) === normalize(name));
+  return entry ? entry[1] ?? "" : "";
+}
@@ -0,0 +1,26 @@
+// src/utils/rowKeys.js
+/**
+ * Row keys, mirroring server/storage/sheetUtils.js.
+ * A row is addressed by its key column (`columns.key`, e.g. "Asset Tag"),
+ * falling back to the device column when that cell is blank or the sheet has
+ * no key column. Keys compare case-insensitively.
+ */
+
+export const normalizeKey = (value) => String(value ?? "").trim().toLowerCase();
+
+const headerIndex = (header, name) =>
+  name ? (header || []).findIndex((h) => normalizeKey(h) === normalizeKey(name)) : -1;
+
+/** Key of a raw sheet row (array), given the header row and resolved columns. */
+export function rowKeyAt(row, header, columns) {
+  const keyIdx = headerIndex(header, columns?.key);
+  const deviceIdx = headerIndex(header, columns?.device);
+  const key = keyIdx === -1 ? "" : String(row?.[keyIdx] ?? "").trim();
+  return key || (deviceIdx === -1 ? "" : String(row?.[deviceIdx] ?? "").trim());
+}
+
+/** Key of a record built from the header (see useSheetSearch). */
+export function recordKeyOf(record, columns) {
+  const header = Object.keys(record || {});
+  return rowKeyAt(Object.values(record || {}), header, columns);
+}
@@ -0,0 +1,22 @@
+// utils/sheetDates.js
+
+// Sheets date serials count days from 1899-12-30
+const SHEETS_EPOCH_OFFSET_DAYS = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Display a date cell as read from the API: a Sheets serial number (already
+ * in the spreadsheet's time zone) or an ISO string (local storage provider).
+ */
+export function formatSheetDateTime(value) {
+  if (value === null || value === undefined || value === "") return "";
+
+  if (typeof value === "number") {
+    const date = new Date((value - SHEETS_EPOCH_OFFSET_DAYS) * MS_PER_DAY);
+    if (Number.isNaN(date.getTime())) return String(value);
+    return date.toLocaleString(undefined, { timeZone: "UTC" }); // wall clock of the sheet
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+}